@@ -0,0 +1,277 @@
+/**
+ * Print layout composition
+ * Places the map, title, legend, scale bar, north arrow and credits on a
+ * page and draws them on a 2D canvas. Layout units are CSS pixels at 96 DPI;
+ * scale the context for higher resolutions.
+ */
+
+import { getPaperPixels } from '../utils/print.js';
+import { getLegendRows, drawLegendRows, LEGEND_ROW_HEIGHT } from '../styles/legend.js';
+
+/**
+ * Page templates
+ */
+export const LAYOUT_TEMPLATES = {
+  'letter-landscape': { name: 'Letter landscape', paper: 'letter', orientation: 'landscape' },
+  'letter-portrait': { name: 'Letter portrait', paper: 'letter', orientation: 'portrait' },
+  'a4-landscape': { name: 'A4 landscape', paper: 'a4', orientation: 'landscape' },
+  'a4-portrait': { name: 'A4 portrait', paper: 'a4', orientation: 'portrait' }
+};
+
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+const TEXT_COLOR = '#212121';
+const MUTED_COLOR = '#616161';
+const MARGIN = 36;
+const GAP = 12;
+const TITLE_SIZE = 24;
+const SUBTITLE_SIZE = 14;
+const LEGEND_WIDTH = 190;
+const LEGEND_COLUMNS = 3;
+const FOOTER_HEIGHT = 40;
+
+/**
+ * Earth circumference at the equator in metres (web mercator)
+ */
+const EARTH_CIRCUMFERENCE = 40075016.686;
+
+/**
+ * MapLibre's tile size in CSS pixels
+ */
+const TILE_SIZE = 512;
+
+/**
+ * Place the parts of a layout on the page
+ * @param {string} templateKey - Key of LAYOUT_TEMPLATES
+ * @param {Object} options - Parts to make room for
+ * @param {boolean} options.hasHeader - Title or subtitle shown
+ * @param {boolean} options.hasSubtitle - Subtitle shown
+ * @param {number} options.legendRows - Legend rows from getLegendRows (0 for no legend)
+ * @param {boolean} options.hasFooter - Scale bar, attribution or date shown
+ * @returns {Object} { page, header, map, legend, footer } — rectangles as { x, y, width, height } (null when left out)
+ */
+export function computeLayout(templateKey, { hasHeader = true, hasSubtitle = false, legendRows = 0, hasFooter = true } = {}) {
+  const template = LAYOUT_TEMPLATES[templateKey] || LAYOUT_TEMPLATES['letter-landscape'];
+  const page = getPaperPixels(template.paper, { orientation: template.orientation });
+  const content = { x: MARGIN, y: MARGIN, width: page.width - MARGIN * 2, height: page.height - MARGIN * 2 };
+
+  let top = content.y;
+  let header = null;
+  if (hasHeader) {
+    const height = TITLE_SIZE + (hasSubtitle ? SUBTITLE_SIZE + 8 : 0) + 4;
+    header = { x: content.x, y: top, width: content.width, height };
+    top += height + GAP;
+  }
+
+  let bottom = content.y + content.height;
+  let footer = null;
+  if (hasFooter) {
+    footer = { x: content.x, y: bottom - FOOTER_HEIGHT, width: content.width, height: FOOTER_HEIGHT };
+    bottom -= FOOTER_HEIGHT + GAP;
+  }
+
+  const map = { x: content.x, y: top, width: content.width, height: bottom - top };
+  let legend = null;
+  if (legendRows > 0) {
+    if (template.orientation === 'landscape') {
+      // Legend column beside the map
+      map.width -= LEGEND_WIDTH + GAP;
+      legend = { x: map.x + map.width + GAP, y: map.y, width: LEGEND_WIDTH, height: map.height };
+    } else {
+      // Legend rows below the map
+      const rows = Math.min(Math.ceil(legendRows / LEGEND_COLUMNS), 8);
+      const height = 24 + rows * LEGEND_ROW_HEIGHT;
+      map.height -= height + GAP;
+      legend = { x: map.x, y: map.y + map.height + GAP, width: map.width, height };
+    }
+  }
+
+  return { page, header, map, legend, footer, columns: template.orientation === 'landscape' ? 1 : LEGEND_COLUMNS };
+}
+
+/**
+ * Draw a composed layout
+ * @param {CanvasRenderingContext2D} context - Context scaled to layout units
+ * @param {Object} layout - Layout from computeLayout
+ * @param {Object} content - What to draw
+ * @param {CanvasImageSource} content.mapImage - Map rendered at the size of layout.map
+ * @param {string} content.title - Title
+ * @param {string} content.subtitle - Subtitle
+ * @param {Array<Object>} content.legend - Entries from buildLegend
+ * @param {Object|null} content.scaleBar - { metersPerPixel, units } ('metric' or 'imperial')
+ * @param {number|null} content.bearing - Map bearing for the north arrow (null for none)
+ * @param {string} content.attribution - Data credits
+ * @param {string} content.date - Date text
+ */
+export function drawLayout(context, layout, content) {
+  const { page, header, map, legend, footer } = layout;
+
+  context.save();
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, page.width, page.height);
+  context.textBaseline = 'alphabetic';
+
+  if (header) {
+    context.fillStyle = TEXT_COLOR;
+    context.font = `600 ${TITLE_SIZE}px ${FONT_FAMILY}`;
+    context.fillText(content.title || '', header.x, header.y + TITLE_SIZE, header.width);
+    if (content.subtitle) {
+      context.fillStyle = MUTED_COLOR;
+      context.font = `${SUBTITLE_SIZE}px ${FONT_FAMILY}`;
+      context.fillText(content.subtitle, header.x, header.y + TITLE_SIZE + 8 + SUBTITLE_SIZE, header.width);
+    }
+  }
+
+  context.drawImage(content.mapImage, map.x, map.y, map.width, map.height);
+  context.strokeStyle = TEXT_COLOR;
+  context.lineWidth = 1;
+  context.strokeRect(map.x + 0.5, map.y + 0.5, map.width - 1, map.height - 1);
+
+  if (content.bearing !== null && content.bearing !== undefined) {
+    drawNorthArrow(context, { x: map.x + map.width - 30, y: map.y + 30 }, content.bearing);
+  }
+
+  if (legend && content.legend?.length) {
+    drawLegend(context, legend, content.legend, layout.columns);
+  }
+
+  if (footer) {
+    drawFooter(context, footer, content);
+  }
+
+  context.restore();
+}
+
+/**
+ * Draw the legend
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Object} box - Legend rectangle
+ * @param {Array<Object>} entries - Legend entries
+ * @param {number} columns - Entry columns
+ */
+function drawLegend(context, box, entries, columns) {
+  context.fillStyle = TEXT_COLOR;
+  context.font = `600 13px ${FONT_FAMILY}`;
+  context.fillText('Legend', box.x, box.y + 13);
+
+  drawLegendRows(context, getLegendRows(entries), { ...box, y: box.y + 20, height: box.height - 20 }, columns);
+}
+
+/**
+ * Draw a north arrow pointing to true north
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Object} center - { x, y }
+ * @param {number} bearing - Map bearing in degrees (north is rotated by -bearing)
+ */
+function drawNorthArrow(context, { x, y }, bearing) {
+  context.save();
+  context.translate(x, y);
+
+  context.beginPath();
+  context.arc(0, 0, 20, 0, Math.PI * 2);
+  context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  context.fill();
+
+  context.rotate(-bearing * Math.PI / 180);
+  context.beginPath();
+  context.moveTo(0, -16);
+  context.lineTo(7, 8);
+  context.lineTo(0, 3);
+  context.lineTo(-7, 8);
+  context.closePath();
+  context.fillStyle = TEXT_COLOR;
+  context.fill();
+
+  context.fillStyle = TEXT_COLOR;
+  context.font = `600 9px ${FONT_FAMILY}`;
+  context.textAlign = 'center';
+  context.fillText('N', 0, 17);
+  context.restore();
+}
+
+/**
+ * Draw the scale bar, credits and date
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Object} box - Footer rectangle
+ * @param {Object} content - Layout content
+ */
+function drawFooter(context, box, content) {
+  if (content.scaleBar) {
+    const { length, label } = chooseScaleBar(content.scaleBar.metersPerPixel, box.width / 4, content.scaleBar.units);
+    const y = box.y + 14;
+    context.fillStyle = TEXT_COLOR;
+    context.strokeStyle = TEXT_COLOR;
+    context.lineWidth = 1;
+
+    // Bar with its first half filled
+    context.fillRect(box.x, y, length / 2, 6);
+    context.strokeRect(box.x + 0.5, y + 0.5, length - 1, 5);
+    context.font = `11px ${FONT_FAMILY}`;
+    context.fillText('0', box.x, y + 20);
+    context.textAlign = 'right';
+    context.fillText(label, box.x + length, y + 20);
+    context.textAlign = 'left';
+  }
+
+  context.textAlign = 'right';
+  context.fillStyle = MUTED_COLOR;
+  context.font = `11px ${FONT_FAMILY}`;
+  const lines = [content.attribution, content.date].filter(Boolean);
+  lines.forEach((line, index) => {
+    context.fillText(line, box.x + box.width, box.y + 14 + index * 16, box.width * 0.7);
+  });
+  context.textAlign = 'left';
+}
+
+/**
+ * Get the ground distance of one CSS pixel at a latitude and zoom
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} zoom - Map zoom
+ * @returns {number} Metres per pixel
+ */
+export function getMetersPerPixel(latitude, zoom) {
+  return EARTH_CIRCUMFERENCE * Math.cos(latitude * Math.PI / 180) / (TILE_SIZE * Math.pow(2, zoom));
+}
+
+/**
+ * Choose a round scale bar length
+ * @param {number} metersPerPixel - Ground distance per pixel
+ * @param {number} maxLength - Longest bar in pixels
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {Object} { length, label } — length in pixels
+ */
+export function chooseScaleBar(metersPerPixel, maxLength, units = 'metric') {
+  const [small, large] = units === 'imperial'
+    ? [{ name: 'ft', meters: 0.3048 }, { name: 'mi', meters: 1609.344 }]
+    : [{ name: 'm', meters: 1 }, { name: 'km', meters: 1000 }];
+
+  const maxMeters = metersPerPixel * maxLength;
+  const unit = maxMeters >= large.meters ? large : small;
+  const maxValue = maxMeters / unit.meters;
+
+  // Largest 1, 2 or 5 × 10^n that fits
+  const magnitude = Math.pow(10, Math.floor(Math.log10(maxValue)));
+  const value = [5, 2, 1].map(step => step * magnitude).find(candidate => candidate <= maxValue) || magnitude;
+
+  return {
+    length: value * unit.meters / metersPerPixel,
+    label: `${Number(value.toPrecision(6))} ${unit.name}`
+  };
+}
+
+/**
+ * Collect the data credits of a style's sources as plain text
+ * @param {Object} style - MapLibre style
+ * @returns {string} Credits, joined with " · "
+ */
+export function getStyleAttribution(style) {
+  const credits = new Set();
+  for (const source of Object.values(style.sources || {})) {
+    if (source.attribution) {
+      const text = source.attribution.replace(/<[^>]*>/g, '').replace(/&copy;/g, '©').replace(/\s+/g, ' ').trim();
+      if (text) {
+        credits.add(text);
+      }
+    }
+  }
+  return [...credits].join(' · ');
+}
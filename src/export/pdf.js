@@ -0,0 +1,289 @@
+/**
+ * PDF writer for captured vector scenes and raster pages
+ * Writes a single-page PDF whose map layers are optional content groups,
+ * which Illustrator and Inkscape open as separate layers. Pages are sized so
+ * one CSS pixel is 1/96 inch, as on screen.
+ */
+
+/**
+ * PDF points per CSS pixel
+ */
+const POINTS_PER_PIXEL = 72 / 96;
+
+/**
+ * Bézier control point distance for a quarter circle of radius 1
+ */
+const CIRCLE_KAPPA = 0.5523;
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+/**
+ * Write a scene as a PDF document
+ * @param {Object} scene - Scene from captureVectorScene
+ * @param {Object} options - Document options
+ * @param {string} options.title - Document title
+ * @returns {Promise<Blob>} PDF file
+ */
+export async function sceneToPDF(scene, { title = 'Map' } = {}) {
+  const opacities = new Map();
+  const content = [
+    // Flip to top-left origin in CSS pixels and clip to the map
+    `${POINTS_PER_PIXEL} 0 0 ${-POINTS_PER_PIXEL} 0 ${formatNumber(scene.height * POINTS_PER_PIXEL)} cm`,
+    `0 0 ${scene.width} ${scene.height} re W n`
+  ];
+
+  scene.layers.forEach((layer, index) => {
+    content.push(`/OC /OC${index} BDC`);
+    for (const item of layer.items) {
+      content.push(...writeItem(item, layer.type, opacities));
+    }
+    content.push('EMC');
+  });
+
+  return writeDocument({
+    width: scene.width * POINTS_PER_PIXEL,
+    height: scene.height * POINTS_PER_PIXEL,
+    title,
+    content: content.join('\n'),
+    layerNames: scene.layers.map(layer => layer.name),
+    opacities
+  });
+}
+
+/**
+ * Write a JPEG image as a full-page PDF document
+ * @param {Blob} jpeg - JPEG image
+ * @param {Object} options - Document options
+ * @param {number} options.width - Page width in CSS pixels
+ * @param {number} options.height - Page height in CSS pixels
+ * @param {number} options.pixelWidth - Image width in pixels
+ * @param {number} options.pixelHeight - Image height in pixels
+ * @param {string} options.title - Document title
+ * @returns {Promise<Blob>} PDF file
+ */
+export async function imageToPDF(jpeg, { width, height, pixelWidth, pixelHeight, title = 'Map' }) {
+  const pageWidth = width * POINTS_PER_PIXEL;
+  const pageHeight = height * POINTS_PER_PIXEL;
+
+  return writeDocument({
+    width: pageWidth,
+    height: pageHeight,
+    title,
+    content: `q ${formatNumber(pageWidth)} 0 0 ${formatNumber(pageHeight)} 0 0 cm /Im0 Do Q`,
+    image: {
+      bytes: new Uint8Array(await jpeg.arrayBuffer()),
+      width: pixelWidth,
+      height: pixelHeight
+    }
+  });
+}
+
+/**
+ * Write drawing operators for a styled item
+ * @param {Object} item - { style, paths }
+ * @param {string} type - Layer type
+ * @param {Map<string, string>} opacities - Graphics state names by "stroke/fill" opacity (updated)
+ * @returns {Array<string>} Operators
+ */
+function writeItem({ style, paths }, type, opacities) {
+  const hasFill = Boolean(style.fill);
+  const hasStroke = Boolean(style.stroke && style.strokeWidth > 0);
+  if ((!hasFill && !hasStroke) || !paths.length) {
+    return [];
+  }
+
+  const ops = ['q'];
+  const fillOpacity = hasFill ? style.fill.a * (style.fillOpacity ?? 1) : 1;
+  const strokeOpacity = hasStroke ? style.stroke.a * (style.strokeOpacity ?? 1) : 1;
+  if (fillOpacity < 1 || strokeOpacity < 1) {
+    const key = `${formatNumber(strokeOpacity)}/${formatNumber(fillOpacity)}`;
+    if (!opacities.has(key)) {
+      opacities.set(key, `GS${opacities.size}`);
+    }
+    ops.push(`/${opacities.get(key)} gs`);
+  }
+
+  if (hasFill) {
+    ops.push(`${formatColor(style.fill)} rg`);
+  }
+  if (hasStroke) {
+    ops.push(`${formatColor(style.stroke)} RG`, `${formatNumber(style.strokeWidth)} w`);
+    ops.push(`${LINE_CAPS[style.lineCap] ?? 0} J`, `${LINE_JOINS[style.lineJoin] ?? 0} j`);
+    if (style.dasharray) {
+      ops.push(`[${style.dasharray.map(formatNumber).join(' ')}] 0 d`);
+    }
+  }
+
+  for (const { points, closed } of paths) {
+    if (type === 'circle') {
+      ops.push(writeCircle(points[0], style.radius));
+    } else {
+      ops.push(points.map(([x, y], i) => `${formatNumber(x)} ${formatNumber(y)} ${i ? 'l' : 'm'}`).join(' ') + (closed ? ' h' : ''));
+    }
+  }
+
+  ops.push(hasFill && hasStroke ? 'B*' : hasFill ? 'f*' : 'S', 'Q');
+  return ops;
+}
+
+/**
+ * Write a circle as four Bézier curves
+ * @param {Array<number>} center - [x, y]
+ * @param {number} radius - Radius
+ * @returns {string} Path operators
+ */
+function writeCircle([x, y], radius) {
+  const k = radius * CIRCLE_KAPPA;
+  const n = formatNumber;
+  return [
+    `${n(x + radius)} ${n(y)} m`,
+    `${n(x + radius)} ${n(y + k)} ${n(x + k)} ${n(y + radius)} ${n(x)} ${n(y + radius)} c`,
+    `${n(x - k)} ${n(y + radius)} ${n(x - radius)} ${n(y + k)} ${n(x - radius)} ${n(y)} c`,
+    `${n(x - radius)} ${n(y - k)} ${n(x - k)} ${n(y - radius)} ${n(x)} ${n(y - radius)} c`,
+    `${n(x + k)} ${n(y - radius)} ${n(x + radius)} ${n(y - k)} ${n(x + radius)} ${n(y)} c h`
+  ].join(' ');
+}
+
+/**
+ * Assemble the PDF file
+ * @param {Object} page - Page description
+ * @param {number} page.width - Width in points
+ * @param {number} page.height - Height in points
+ * @param {string} page.title - Document title
+ * @param {string} page.content - Page content operators
+ * @param {Array<string>} page.layerNames - Optional content group names, in order
+ * @param {Map<string, string>} page.opacities - Graphics state names by "stroke/fill" opacity
+ * @param {Object|null} page.image - JPEG drawn as /Im0: { bytes, width, height }
+ * @returns {Promise<Blob>} PDF file
+ */
+async function writeDocument({ width, height, title, content, layerNames = [], opacities = new Map(), image = null }) {
+  const encoder = new TextEncoder();
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const layerIds = layerNames.map(name => addObject(`<< /Type /OCG /Name ${encodeText(name)} >>`));
+
+  const stream = await compress(encoder.encode(content));
+  const contentId = addObject([
+    encoder.encode(`<< /Length ${stream.bytes.length}${stream.filter ? ` /Filter /${stream.filter}` : ''} >>\nstream\n`),
+    stream.bytes,
+    encoder.encode('\nendstream')
+  ]);
+
+  const imageId = image && addObject([
+    encoder.encode(
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`
+    ),
+    image.bytes,
+    encoder.encode('\nendstream')
+  ]);
+
+  const extGStates = [...opacities].map(([key, name]) => {
+    const [stroke, fill] = key.split('/');
+    return `/${name} << /Type /ExtGState /CA ${stroke} /ca ${fill} >>`;
+  }).join(' ');
+  const properties = layerIds.map((id, index) => `/OC${index} ${id} 0 R`).join(' ');
+  const pageId = addObject(
+    `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] ` +
+    `/Contents ${contentId} 0 R /Resources << /ExtGState << ${extGStates} >> /Properties << ${properties} >>` +
+    `${imageId ? ` /XObject << /Im0 ${imageId} 0 R >>` : ''} >> >>`
+  );
+
+  const layerRefs = layerIds.map(id => `${id} 0 R`).join(' ');
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R` + (layerIds.length
+    ? ` /OCProperties << /OCGs [${layerRefs}] /D << /Order [${layerRefs}] /ON [${layerRefs}] >> >> >>`
+    : ' >>');
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageId} 0 R] /Count 1 >>`;
+  const infoId = addObject(`<< /Title ${encodeText(title)} /Producer (Map Remix) /CreationDate (D:${formatDate(new Date())}) >>`);
+
+  // Header with binary marker bytes, then objects and the cross-reference table
+  const parts = [encoder.encode('%PDF-1.5\n%\xE2\xE3\xCF\xD3\n')];
+  let offset = parts[0].length;
+  const offsets = [];
+  objects.forEach((body, index) => {
+    const chunks = [encoder.encode(`${index + 1} 0 obj\n`), ...(Array.isArray(body) ? body : [encoder.encode(body)]), encoder.encode('\nendobj\n')];
+    offsets.push(offset);
+    for (const chunk of chunks) {
+      parts.push(chunk);
+      offset += chunk.length;
+    }
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF',
+    ''
+  ].join('\n');
+  parts.push(encoder.encode(xref));
+
+  return new Blob(parts, { type: 'application/pdf' });
+}
+
+/**
+ * Compress a stream when the browser supports it
+ * @param {Uint8Array} bytes - Stream data
+ * @returns {Promise<Object>} { bytes, filter } — filter is null when left uncompressed
+ */
+async function compress(bytes) {
+  if (typeof CompressionStream === 'undefined') {
+    return { bytes, filter: null };
+  }
+
+  // 'deflate' is zlib-wrapped, as FlateDecode expects
+  const output = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return { bytes: new Uint8Array(await new Response(output).arrayBuffer()), filter: 'FlateDecode' };
+}
+
+/**
+ * Encode text as a PDF string (UTF-16 so any name survives)
+ * @param {string} text - Text
+ * @returns {string} Hex string
+ */
+function encodeText(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * Format a color as PDF operands
+ * @param {Object} color - { r, g, b } with channels 0–255
+ * @returns {string} "r g b" with channels 0–1
+ */
+function formatColor({ r, g, b }) {
+  return [r, g, b].map(c => formatNumber(c / 255)).join(' ');
+}
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {string} Up to three decimals, without trailing zeros
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Format a date as a PDF date string
+ * @param {Date} date - Date
+ * @returns {string} YYYYMMDDHHmmSSZ
+ */
+function formatDate(date) {
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+}
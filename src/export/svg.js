@@ -0,0 +1,146 @@
+/**
+ * SVG writer for captured vector scenes
+ * Every map layer becomes a named group (an Inkscape layer, and a layer when
+ * opened in Illustrator) so the file can be refined by hand.
+ */
+
+/**
+ * Write a scene as an SVG document
+ * @param {Object} scene - Scene from captureVectorScene
+ * @param {Object} options - Document options
+ * @param {string} options.title - Document title
+ * @returns {string} SVG markup
+ */
+export function sceneToSVG(scene, { title = 'Map' } = {}) {
+  const { width, height } = scene;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `  <title>${escapeXml(title)}</title>`,
+    '  <defs>',
+    `    <clipPath id="map-extent"><rect width="${width}" height="${height}"/></clipPath>`,
+    '  </defs>'
+  ];
+
+  const usedIds = new Set(['map-extent']);
+  for (const layer of scene.layers) {
+    const id = uniqueId(layer.id, usedIds);
+    lines.push(`  <g id="${id}" inkscape:groupmode="layer" inkscape:label="${escapeXml(layer.name)}" clip-path="url(#map-extent)">`);
+    for (const item of layer.items) {
+      lines.push(`    ${layer.type === 'circle' ? writeCircles(item) : writePath(item)}`);
+    }
+    lines.push('  </g>');
+  }
+
+  lines.push('</svg>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Write a styled item as one path element
+ * @param {Object} item - { style, paths }
+ * @returns {string} Path element
+ */
+function writePath({ style, paths }) {
+  const d = paths.map(({ points, closed }) =>
+    'M' + points.map(([x, y]) => `${x} ${y}`).join('L') + (closed ? 'Z' : '')
+  ).join('');
+
+  return `<path d="${d}"${writeStyle(style)}/>`;
+}
+
+/**
+ * Write a styled item of points as a group of circles
+ * @param {Object} item - { style, paths }
+ * @returns {string} Group element
+ */
+function writeCircles({ style, paths }) {
+  const circles = paths.map(({ points: [[x, y]] }) => `<circle cx="${x}" cy="${y}" r="${style.radius}"/>`);
+  return `<g${writeStyle(style)}>${circles.join('')}</g>`;
+}
+
+/**
+ * Write presentation attributes for a style
+ * @param {Object} style - Style from the scene
+ * @returns {string} Attributes with a leading space
+ */
+function writeStyle(style) {
+  const attributes = [];
+
+  if (style.fill) {
+    attributes.push(['fill', formatColor(style.fill)]);
+    attributes.push(['fill-opacity', formatOpacity(style.fill.a * (style.fillOpacity ?? 1))]);
+    attributes.push(['fill-rule', 'evenodd']);
+  } else {
+    attributes.push(['fill', 'none']);
+  }
+
+  if (style.stroke && style.strokeWidth > 0) {
+    attributes.push(['stroke', formatColor(style.stroke)]);
+    attributes.push(['stroke-width', style.strokeWidth]);
+    attributes.push(['stroke-opacity', formatOpacity(style.stroke.a * (style.strokeOpacity ?? 1))]);
+    if (style.lineCap) {
+      attributes.push(['stroke-linecap', style.lineCap]);
+    }
+    if (style.lineJoin) {
+      attributes.push(['stroke-linejoin', style.lineJoin]);
+    }
+    if (style.dasharray) {
+      attributes.push(['stroke-dasharray', style.dasharray.join(' ')]);
+    }
+  }
+
+  return attributes
+    .filter(([name, value]) => !(name.endsWith('opacity') && value === 1))
+    .map(([name, value]) => ` ${name}="${escapeXml(String(value))}"`)
+    .join('');
+}
+
+/**
+ * Format a color without its alpha (alpha goes into the opacity attributes)
+ * @param {Object} color - { r, g, b, a }
+ * @returns {string} CSS color
+ */
+function formatColor({ r, g, b }) {
+  return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Round an opacity for output
+ * @param {number} value - Opacity 0–1
+ * @returns {number} Rounded opacity
+ */
+function formatOpacity(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Make a layer ID into a unique XML ID
+ * @param {string} layerId - Layer ID
+ * @param {Set<string>} usedIds - IDs already in the document (updated)
+ * @returns {string} XML ID
+ */
+function uniqueId(layerId, usedIds) {
+  const base = layerId.replace(/[^A-Za-z0-9_.-]/g, '_').replace(/^(?=[^A-Za-z_])/, 'layer_');
+  let id = base;
+  for (let i = 2; usedIds.has(id); i++) {
+    id = `${base}_${i}`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text) {
+  return text.replace(/[<>&"']/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[char]);
+}
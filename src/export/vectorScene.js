@@ -0,0 +1,286 @@
+/**
+ * Vector scene capture for SVG and PDF export
+ * Reads the features the map is rendering, projects them to screen
+ * coordinates and evaluates their paint properties, giving the writers a
+ * list of layers with styled paths in drawing order.
+ */
+
+/**
+ * Layer types drawn as vector paths
+ */
+export const VECTOR_LAYER_TYPES = ['background', 'fill', 'line', 'circle'];
+
+/**
+ * MapLibre defaults for the properties read here (used when a style leaves them unset)
+ */
+const PROPERTY_DEFAULTS = {
+  'background-color': '#000000',
+  'background-opacity': 1,
+  'fill-color': '#000000',
+  'fill-opacity': 1,
+  'line-color': '#000000',
+  'line-width': 1,
+  'line-opacity': 1,
+  'line-gap-width': 0,
+  'line-cap': 'butt',
+  'line-join': 'miter',
+  'circle-radius': 5,
+  'circle-color': '#000000',
+  'circle-opacity': 1,
+  'circle-stroke-width': 0,
+  'circle-stroke-color': '#000000',
+  'circle-stroke-opacity': 1
+};
+
+/**
+ * Digits kept in projected coordinates (hundredths of a pixel)
+ */
+const COORDINATE_PRECISION = 100;
+
+/**
+ * Capture the visible map as vector layers
+ * Features with the same evaluated style are merged into one item, so a
+ * layer holds one item per distinct style (one for most layers).
+ * @param {maplibregl.Map} map - Rendered map
+ * @param {Object} style - Style being rendered
+ * @param {Object} options - Capture options
+ * @param {Function} options.getLayerName - Display name for a layer ID
+ * @returns {Object} { width, height, layers: [{ id, name, type, items: [{ style, paths }] }], skipped: [{ id, name, reason }] }
+ */
+export function captureVectorScene(map, style, { getLayerName = id => id } = {}) {
+  const container = map.getContainer();
+  const scene = {
+    width: container.clientWidth,
+    height: container.clientHeight,
+    layers: [],
+    skipped: []
+  };
+  const zoom = map.getZoom();
+
+  for (const layer of style.layers) {
+    const name = getLayerName(layer.id);
+    if (layer.layout?.visibility === 'none' || zoom < (layer.minzoom ?? 0) || zoom >= (layer.maxzoom ?? 24)) {
+      continue;
+    }
+    if (!VECTOR_LAYER_TYPES.includes(layer.type)) {
+      scene.skipped.push({ id: layer.id, name, reason: `${layer.type} layers can't be exported as vectors` });
+      continue;
+    }
+
+    const items = layer.type === 'background'
+      ? [{ style: readStyle(layer, null), paths: [rectangle(scene.width, scene.height)] }]
+      : captureFeatures(map, layer);
+    if (items.length) {
+      scene.layers.push({ id: layer.id, name, type: layer.type, items });
+    }
+  }
+
+  return scene;
+}
+
+/**
+ * Capture a layer's rendered features, grouped by evaluated style
+ * @param {maplibregl.Map} map - Rendered map
+ * @param {Object} layer - Style layer
+ * @returns {Array<Object>} Items as { style, paths }
+ */
+function captureFeatures(map, layer) {
+  const items = new Map();
+  const project = ([lng, lat]) => {
+    const point = map.project([lng, lat]);
+    return [round(point.x), round(point.y)];
+  };
+
+  for (const feature of map.queryRenderedFeatures({ layers: [layer.id] })) {
+    const featureStyle = readStyle(layer, feature);
+    const paths = projectGeometry(feature.geometry, layer.type, project);
+    if (!paths.length) {
+      continue;
+    }
+
+    const key = JSON.stringify(featureStyle);
+    if (!items.has(key)) {
+      items.set(key, { style: featureStyle, paths: [] });
+    }
+    items.get(key).paths.push(...paths);
+  }
+
+  return [...items.values()];
+}
+
+/**
+ * Turn a GeoJSON geometry into screen paths
+ * Lines give open paths, polygons closed rings and points single positions.
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {string} type - Layer type drawing it
+ * @param {Function} project - [lng, lat] → [x, y]
+ * @returns {Array<Object>} Paths as { points, closed }
+ */
+function projectGeometry(geometry, type, project) {
+  const toPath = (coordinates, closed) => ({ points: coordinates.map(project), closed });
+
+  switch (`${type}:${geometry.type}`) {
+    case 'line:LineString':
+      return [toPath(geometry.coordinates, false)];
+    case 'line:MultiLineString':
+    case 'line:Polygon':
+      return geometry.coordinates.map(line => toPath(line, geometry.type === 'Polygon'));
+    case 'line:MultiPolygon':
+      return geometry.coordinates.flat().map(ring => toPath(ring, true));
+    case 'fill:Polygon':
+      return geometry.coordinates.map(ring => toPath(ring, true));
+    case 'fill:MultiPolygon':
+      return geometry.coordinates.flat().map(ring => toPath(ring, true));
+    case 'circle:Point':
+      return [toPath([geometry.coordinates], false)];
+    case 'circle:MultiPoint':
+      return geometry.coordinates.map(point => toPath([point], false));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Read the style of a feature (or of the layer, without a feature)
+ * Colors become { r, g, b, a } with channels 0–255 and alpha 0–1.
+ * @param {Object} layer - Style layer
+ * @param {Object|null} feature - Rendered feature
+ * @returns {Object} Style for the writers
+ */
+function readStyle(layer, feature) {
+  const value = (group, property) => readProperty(layer, feature, group, property);
+
+  switch (layer.type) {
+    case 'background':
+      return {
+        fill: parseColor(value('paint', 'background-color')),
+        fillOpacity: value('paint', 'background-opacity')
+      };
+    case 'fill': {
+      const outline = value('paint', 'fill-outline-color');
+      return {
+        fill: parseColor(value('paint', 'fill-color')),
+        fillOpacity: value('paint', 'fill-opacity'),
+        ...(outline && { stroke: parseColor(outline), strokeWidth: 1, strokeOpacity: value('paint', 'fill-opacity') })
+      };
+    }
+    case 'line': {
+      const width = value('paint', 'line-width');
+      const dasharray = value('paint', 'line-dasharray');
+      return {
+        stroke: parseColor(value('paint', 'line-color')),
+        strokeWidth: width,
+        strokeOpacity: value('paint', 'line-opacity'),
+        // Dash lengths are in line widths
+        ...(Array.isArray(dasharray) && dasharray.length && { dasharray: dasharray.map(length => round(length * width)) }),
+        lineCap: value('layout', 'line-cap'),
+        lineJoin: value('layout', 'line-join')
+      };
+    }
+    case 'circle':
+      return {
+        radius: value('paint', 'circle-radius'),
+        fill: parseColor(value('paint', 'circle-color')),
+        fillOpacity: value('paint', 'circle-opacity'),
+        stroke: parseColor(value('paint', 'circle-stroke-color')),
+        strokeWidth: value('paint', 'circle-stroke-width'),
+        strokeOpacity: value('paint', 'circle-stroke-opacity')
+      };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Read one property for a feature
+ * Rendered features carry their layer's properties already evaluated for the
+ * feature and zoom; static style values and defaults cover the rest.
+ * @param {Object} layer - Style layer
+ * @param {Object|null} feature - Rendered feature
+ * @param {string} group - 'paint' or 'layout'
+ * @param {string} property - Property name
+ * @returns {*} Value
+ */
+function readProperty(layer, feature, group, property) {
+  let value = feature?.layer?.[group]?.[property];
+  // Cross-faded values (dasharrays, patterns) report where they fade to
+  if (value && typeof value === 'object' && 'to' in value) {
+    value = value.to;
+  }
+  if (value === undefined) {
+    const styleValue = layer[group]?.[property];
+    value = isStaticValue(styleValue) ? styleValue : undefined;
+  }
+  return value ?? PROPERTY_DEFAULTS[property];
+}
+
+/**
+ * Check that a style value is a plain value rather than an expression
+ * @param {*} value - Style value
+ * @returns {boolean} True for plain values
+ */
+function isStaticValue(value) {
+  if (Array.isArray(value)) {
+    return value.every(item => typeof item === 'number');
+  }
+  return value !== undefined && (value === null || typeof value !== 'object');
+}
+
+/**
+ * Parse a color into channels
+ * @param {string|Object} value - CSS color, or a MapLibre Color (premultiplied channels 0–1)
+ * @returns {Object|null} { r, g, b, a }, or null if it is not a color
+ */
+export function parseColor(value) {
+  if (value && typeof value === 'object' && 'r' in value) {
+    const a = value.a ?? 1;
+    const channel = (c) => a ? Math.round(c / a * 255) : 0;
+    return { r: channel(value.r), g: channel(value.g), b: channel(value.b), a };
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const hex = value.trim().match(/^#([0-9a-f]{3,8})$/i);
+  if (hex && [3, 4, 6, 8].includes(hex[1].length)) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map(d => d + d) : hex[1].match(/../g);
+    const [r, g, b, a = 'ff'] = digits;
+    return { r: parseInt(r, 16), g: parseInt(g, 16), b: parseInt(b, 16), a: parseInt(a, 16) / 255 };
+  }
+
+  const rgb = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : Number(rgb[4]);
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: alpha };
+  }
+
+  // Named and hsl() colors: let the browser resolve them
+  if (typeof document !== 'undefined') {
+    const context = document.createElement('canvas').getContext('2d');
+    context.fillStyle = '#00000000';
+    context.fillStyle = value;
+    return context.fillStyle === '#00000000' && !/^(transparent|#0000(0000)?)$/i.test(value)
+      ? null
+      : parseColor(context.fillStyle);
+  }
+  return null;
+}
+
+/**
+ * Closed path covering the whole scene
+ * @param {number} width - Scene width
+ * @param {number} height - Scene height
+ * @returns {Object} Path as { points, closed }
+ */
+function rectangle(width, height) {
+  return { points: [[0, 0], [width, 0], [width, height], [0, height]], closed: true };
+}
+
+/**
+ * Round a coordinate to the kept precision
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * COORDINATE_PRECISION) / COORDINATE_PRECISION;
+}
@@ -0,0 +1,257 @@
+/**
+ * CartoCSS writer
+ * Every style layer becomes an attachment (#source-layer::layer-id) so
+ * several styles of the same data draw in order. CartoCSS zoom levels count
+ * 256-pixel tiles, one more than MapLibre's.
+ */
+
+import { describeStyle, toHex } from './styleModel.js';
+
+/**
+ * Most selectors a filter may expand to (CartoCSS has no "or" inside a selector)
+ */
+const MAX_SELECTORS = 64;
+
+const LINE_CAPS = { butt: 'butt', round: 'round', square: 'square' };
+
+/**
+ * Convert a style to a CartoCSS stylesheet
+ * @param {Object} style - MapLibre style
+ * @param {Object} options - Options (zoom, getLayerName, see describeStyle)
+ * @returns {Object} { content, untranslated }
+ */
+export function styleToCartoCSS(style, options = {}) {
+  const { background, layers, untranslated } = describeStyle(style, options);
+  const report = (layerId, property, reason) => untranslated.push({ layerId, property, reason });
+
+  const blocks = ['/* Zoom levels are for 256-pixel tiles (MapLibre zoom + 1) */'];
+  if (background) {
+    blocks.push(`Map {\n  background-color: ${formatColor(background.color, background.opacity)};\n}`);
+  }
+
+  for (const layer of layers) {
+    const attachment = `#${formatName(layer.sourceLayer)}::${formatName(layer.id)}`;
+    const zoom = [
+      layer.minzoom !== null ? `[zoom>=${formatNumber(layer.minzoom + 1)}]` : '',
+      layer.maxzoom !== null ? `[zoom<${formatNumber(layer.maxzoom + 1)}]` : ''
+    ].join('');
+
+    for (const rule of layer.rules) {
+      const selectors = writeSelectors(attachment + zoom, [layer.filter, rule.condition], () => report(layer.id, 'filter', 'Filter has too many alternatives for CartoCSS; all features are shown'));
+      blocks.push(writeBlock(selectors, rule.label, writeSymbol(layer.type, rule.symbol)));
+    }
+
+    if (layer.label?.field) {
+      const labelAttachment = `#${formatName(layer.sourceLayer)}::${formatName(`${layer.id}-labels`)}`;
+      const selectors = writeSelectors(labelAttachment + zoom, [layer.filter], () => {});
+      blocks.push(writeBlock(selectors, `${layer.name} labels`, writeLabel(layer.label)));
+    }
+
+    if (!layer.visible) {
+      report(layer.id, 'visibility', 'Hidden layer exported as visible');
+    }
+  }
+
+  return { content: blocks.join('\n\n') + '\n', untranslated };
+}
+
+/**
+ * Write a rule block
+ * @param {Array<string>} selectors - Selectors
+ * @param {string|null} comment - Class label
+ * @param {Array<string>} declarations - "property: value" declarations
+ * @returns {string} Block
+ */
+function writeBlock(selectors, comment, declarations) {
+  const heading = comment ? `/* ${String(comment).replace(/\*\//g, '* /')} */\n` : '';
+  return `${heading}${selectors.join(',\n')} {\n${declarations.map(line => `  ${line};`).join('\n')}\n}`;
+}
+
+/**
+ * Expand filters into selectors
+ * @param {string} prefix - Attachment and zoom selector
+ * @param {Array<Object|null>} filters - Filter groups that must all match
+ * @param {Function} onTooComplex - Called when the filters can't be expanded
+ * @returns {Array<string>} Selectors
+ */
+function writeSelectors(prefix, filters, onTooComplex) {
+  const alternatives = toAlternatives({
+    type: 'group',
+    combinator: 'all',
+    conditions: filters.filter(node => node && node.conditions.length)
+  });
+  if (!alternatives) {
+    onTooComplex();
+    return [prefix];
+  }
+  return alternatives.map(terms => prefix + terms.map(writeTerm).join(''));
+}
+
+/**
+ * Expand a filter into alternatives of conditions that must all hold
+ * @param {Object} node - Filter group or condition
+ * @returns {Array<Array<Object>>|null} Alternatives, or null when there are too many
+ */
+function toAlternatives(node) {
+  if (node.type === 'group') {
+    const children = node.conditions.map(toAlternatives);
+    if (children.includes(null)) {
+      return null;
+    }
+
+    if (node.combinator === 'any') {
+      const alternatives = children.flat();
+      return alternatives.length <= MAX_SELECTORS ? alternatives : null;
+    }
+
+    let alternatives = [[]];
+    for (const child of children) {
+      alternatives = alternatives.flatMap(terms => child.map(childTerms => [...terms, ...childTerms]));
+      if (alternatives.length > MAX_SELECTORS) {
+        return null;
+      }
+    }
+    return alternatives;
+  }
+
+  const term = (operator, value) => ({ field: node.field, operator, value });
+  switch (node.operator) {
+    case 'in':
+      return node.value.map(value => [term('=', value)]);
+    case '!in':
+      return [node.value.map(value => term('!=', value))];
+    case 'has':
+      return [[term('!=', null)]];
+    case '!has':
+      return [[term('=', null)]];
+    case '==':
+      return [[term('=', node.value)]];
+    default:
+      return [[term(node.operator, node.value)]];
+  }
+}
+
+/**
+ * Write a filter term
+ * @param {Object} term - { field, operator, value }
+ * @returns {string} [field=value]
+ */
+function writeTerm({ field, operator, value }) {
+  const name = /^[A-Za-z_][A-Za-z0-9_]*$/.test(field) ? field : `"${field.replace(/"/g, '\\"')}"`;
+  return `[${name}${operator}${formatLiteral(value)}]`;
+}
+
+/**
+ * Write the declarations of a line, fill or circle symbol
+ * @param {string} type - Layer model type
+ * @param {Object} symbol - Symbol from the style model
+ * @returns {Array<string>} Declarations
+ */
+function writeSymbol(type, symbol) {
+  if (type === 'line') {
+    const lines = [
+      `line-color: ${formatColor(symbol.stroke)}`,
+      `line-width: ${formatNumber(symbol.strokeWidth)}`
+    ];
+    if (symbol.strokeOpacity < 1) {
+      lines.push(`line-opacity: ${formatNumber(symbol.strokeOpacity)}`);
+    }
+    if (symbol.dasharray) {
+      lines.push(`line-dasharray: ${symbol.dasharray.map(formatNumber).join(', ')}`);
+    }
+    lines.push(`line-cap: ${LINE_CAPS[symbol.lineCap] || 'butt'}`, `line-join: ${symbol.lineJoin || 'miter'}`);
+    return lines;
+  }
+
+  if (type === 'fill') {
+    const lines = [`polygon-fill: ${formatColor(symbol.fill)}`];
+    if (symbol.fillOpacity < 1) {
+      lines.push(`polygon-opacity: ${formatNumber(symbol.fillOpacity)}`);
+    }
+    if (symbol.stroke) {
+      lines.push(`line-color: ${formatColor(symbol.stroke, symbol.strokeOpacity)}`, `line-width: ${formatNumber(symbol.strokeWidth)}`);
+    }
+    return lines;
+  }
+
+  const lines = [
+    'marker-type: ellipse',
+    `marker-width: ${formatNumber(symbol.radius * 2)}`,
+    `marker-fill: ${formatColor(symbol.fill)}`,
+    'marker-allow-overlap: true'
+  ];
+  if (symbol.fillOpacity < 1) {
+    lines.push(`marker-fill-opacity: ${formatNumber(symbol.fillOpacity)}`);
+  }
+  if (symbol.strokeWidth > 0) {
+    lines.push(`marker-line-color: ${formatColor(symbol.stroke, symbol.strokeOpacity)}`, `marker-line-width: ${formatNumber(symbol.strokeWidth)}`);
+  } else {
+    lines.push('marker-line-width: 0');
+  }
+  return lines;
+}
+
+/**
+ * Write the declarations of a label
+ * @param {Object} label - Label from the style model
+ * @returns {Array<string>} Declarations
+ */
+function writeLabel(label) {
+  const lines = [
+    `text-name: [${label.field}]`,
+    `text-face-name: ${formatLiteral(label.fontName)}`,
+    `text-size: ${formatNumber(label.size)}`,
+    `text-fill: ${formatColor(label.color, label.opacity)}`,
+    `text-placement: ${label.placement}`
+  ];
+  if (label.haloWidth > 0 && label.haloColor?.a > 0) {
+    lines.push(`text-halo-fill: ${formatColor(label.haloColor)}`, `text-halo-radius: ${formatNumber(label.haloWidth)}`);
+  }
+  return lines;
+}
+
+/**
+ * Make a layer name safe for a selector
+ * @param {string} name - Source layer or layer ID
+ * @returns {string} Name
+ */
+function formatName(name) {
+  return String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Format a literal for a filter or declaration
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} Literal
+ */
+function formatLiteral(value) {
+  if (value === null || typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Format a color, with alpha when not opaque
+ * @param {Object|null} color - { r, g, b, a }
+ * @param {number} opacity - Opacity multiplied into alpha
+ * @returns {string} CSS color
+ */
+function formatColor(color, opacity = 1) {
+  if (!color) {
+    return 'transparent';
+  }
+  const alpha = color.a * opacity;
+  return alpha < 1
+    ? `rgba(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)}, ${formatNumber(alpha)})`
+    : toHex(color);
+}
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {string} Up to three decimals
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
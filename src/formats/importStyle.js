@@ -0,0 +1,225 @@
+/**
+ * Style import from other formats
+ * Mapbox GL styles, SLD and QGIS QML files are read into layers grouped by
+ * the data they styled. Those groups point at data this map doesn't have, so
+ * the user binds each group to one of the style's sources before the layers
+ * are added.
+ */
+
+import { readMapboxStyle } from './mapbox.js';
+import { readSLD } from './sld.js';
+import { readQML } from './qml.js';
+import { getLabelTarget } from '../styles/labels.js';
+import { getLayerTypeForGeometry } from '../map/TileSchema.js';
+import { uniqueLayerId } from '../styles/layerConfig.js';
+import { deepClone } from '../utils/helpers.js';
+
+/**
+ * Formats that are imported through the layer mapping
+ */
+export const IMPORT_FORMATS = {
+  mapbox: 'Mapbox GL JSON',
+  sld: 'SLD',
+  qml: 'QGIS QML'
+};
+
+/**
+ * Source URL schemes only Mapbox can load
+ */
+const MAPBOX_URL = /^mapbox:\/\//;
+
+/**
+ * Work out the format of a style file
+ * MapLibre styles whose sources this app can load import as they are; styles
+ * pointing at Mapbox-hosted data need their layers bound to local sources.
+ * @param {string} text - File content
+ * @param {string} filename - File name
+ * @returns {string|null} 'maplibre', 'mapbox', 'sld', 'qml' or null when unknown
+ */
+export function detectStyleFormat(text, filename = '') {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'qml' || /^\s*(<\?xml[^>]*>\s*)?(<!DOCTYPE qgis[^>]*>\s*)?<qgis[\s>]/.test(text)) {
+    return 'qml';
+  }
+  if (extension === 'sld' || /<([\w-]+:)?StyledLayerDescriptor[\s>]/.test(text)) {
+    return 'sld';
+  }
+
+  let style;
+  try {
+    style = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  if (!style || typeof style !== 'object') {
+    return null;
+  }
+  const sources = Object.values(style.sources || {});
+  const isMapbox = [style.glyphs, style.sprite, ...sources.flatMap(source => [source?.url, ...(source?.tiles || [])])]
+    .some(url => typeof url === 'string' && MAPBOX_URL.test(url));
+  return isMapbox ? 'mapbox' : 'maplibre';
+}
+
+/**
+ * Read a style file that needs its layers mapped onto sources
+ * @param {string} text - File content
+ * @param {string} format - 'mapbox', 'sld' or 'qml'
+ * @param {string} filename - File name (names the layer of a QML file)
+ * @returns {Object} { format, formatName, layers, groups: [{ id, name, type, layerIds }],
+ *   background, untranslated } where layers have no source yet
+ */
+export function readStyleFile(text, format, filename = '') {
+  let imported;
+  switch (format) {
+    case 'mapbox':
+      imported = readMapboxStyle(JSON.parse(text));
+      break;
+    case 'sld':
+      imported = readSLD(text);
+      break;
+    case 'qml':
+      imported = readQML(text, filename.replace(/\.[^.]+$/, '') || 'QGIS layer');
+      break;
+    default:
+      throw new Error(`Unknown style format: ${format}`);
+  }
+
+  if (!imported.layers.length) {
+    throw new Error('The file has no layers this app can draw');
+  }
+  return { format, formatName: IMPORT_FORMATS[format], ...imported };
+}
+
+/**
+ * List the data imported layers can be bound to
+ * @param {Object} style - Current style
+ * @param {Object} tileSchema - Tile schemas keyed by source ID
+ * @returns {Array<Object>} [{ id, source, sourceLayer, name, type }] where type is the
+ *   layer type suiting the data's geometry (null when unknown)
+ */
+export function listLayerTargets(style, tileSchema = {}) {
+  const targets = [];
+  for (const [sourceId, source] of Object.entries(style.sources || {})) {
+    if (source.type === 'geojson') {
+      const vectorLayer = tileSchema[sourceId]?.vectorLayers?.[0];
+      targets.push({
+        id: sourceId,
+        source: sourceId,
+        sourceLayer: null,
+        name: sourceId,
+        type: vectorLayer?.geometry ? getLayerTypeForGeometry(vectorLayer) : null
+      });
+      continue;
+    }
+    if (source.type !== 'vector') {
+      continue;
+    }
+
+    // Without a schema, fall back to the source layers the style already uses
+    const vectorLayers = tileSchema[sourceId]?.vectorLayers?.length
+      ? tileSchema[sourceId].vectorLayers
+      : [...new Set(style.layers.filter(layer => layer.source === sourceId && layer['source-layer']).map(layer => layer['source-layer']))]
+        .map(id => ({ id, geometry: null }));
+    for (const vectorLayer of vectorLayers) {
+      targets.push({
+        id: `${sourceId}/${vectorLayer.id}`,
+        source: sourceId,
+        sourceLayer: vectorLayer.id,
+        name: vectorLayers.length > 1 ? `${sourceId} › ${vectorLayer.id}` : sourceId,
+        type: vectorLayer.geometry ? getLayerTypeForGeometry(vectorLayer) : null
+      });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Suggest the data an imported group should draw, by name
+ * "roads" matches co_roads, "railway" matches co_railways.
+ * @param {Object} group - Imported group
+ * @param {Array<Object>} targets - Targets from listLayerTargets
+ * @returns {string|null} Target ID, or null when nothing matches
+ */
+export function suggestLayerTarget(group, targets) {
+  const words = name => String(name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).map(word => word.replace(/s$/, ''));
+  const groupWords = words(group.name);
+
+  let best = null;
+  let bestScore = 0;
+  for (const target of targets) {
+    const targetWords = words(`${target.source} ${target.sourceLayer || ''}`);
+    let score = groupWords.filter(word => targetWords.includes(word)).length;
+    if (score && group.type && target.type === group.type) {
+      score += 0.5;
+    }
+    if (score > bestScore) {
+      best = target.id;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Add imported layers to a style, bound to the chosen data
+ * @param {Object} style - Current style (not modified)
+ * @param {Object} imported - Result of readStyleFile
+ * @param {Object} mapping - Target (from listLayerTargets) keyed by group ID; groups
+ *   without one are skipped
+ * @param {Object} options - Options
+ * @param {string} options.mode - 'replace' to replace the style's layers, 'append' to
+ *   add the imported layers above them
+ * @returns {Object} { style, added: [layerId] }
+ */
+export function applyLayerMapping(style, imported, mapping, { mode = 'append' } = {}) {
+  const result = deepClone(style);
+  const existing = mode === 'replace' ? [] : result.layers;
+  const background = result.layers.find(layer => layer.type === 'background');
+
+  const targetByLayer = new Map();
+  for (const group of imported.groups) {
+    for (const layerId of group.layerIds) {
+      targetByLayer.set(layerId, mapping[group.id]);
+    }
+  }
+
+  result.layers = existing;
+  if (mode === 'replace') {
+    const importedBackground = imported.background && { ...deepClone(imported.background), id: 'background' };
+    if (importedBackground || background) {
+      result.layers.push(importedBackground || background);
+    }
+  }
+
+  const ids = new Map();
+  const added = [];
+  for (const layer of imported.layers) {
+    const target = targetByLayer.get(layer.id);
+    if (!target) {
+      continue;
+    }
+    const copy = deepClone(layer);
+    copy.id = uniqueLayerId(result, layer.id);
+    copy.source = target.source;
+    if (target.sourceLayer) {
+      copy['source-layer'] = target.sourceLayer;
+    }
+    ids.set(layer.id, copy.id);
+    result.layers.push(copy);
+    added.push(copy.id);
+  }
+
+  // Keep labels linked to their layers through any renames
+  for (const layer of result.layers) {
+    const labelFor = added.includes(layer.id) && getLabelTarget(layer);
+    if (labelFor) {
+      if (ids.has(labelFor)) {
+        layer.metadata['map-remix:labelFor'] = ids.get(labelFor);
+      } else {
+        delete layer.metadata['map-remix:labelFor'];
+      }
+    }
+  }
+
+  return { style: result, added };
+}
@@ -0,0 +1,204 @@
+/**
+ * Style layers from imported symbols
+ * The SLD and QML readers describe what they read with the style model's
+ * symbol and label shapes (see styleModel.js); this turns them back into
+ * MapLibre layers. Layers are built without a source: the import dialog
+ * binds them to one.
+ */
+
+import { toHex, splitFontName } from './styleModel.js';
+import { createLabelLayer } from '../styles/labels.js';
+import { fontStacks, DEFAULT_FONT } from '../styles/fonts.js';
+import { buildFilterExpression, createFilterGroup } from '../utils/filters.js';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, a: 0 };
+
+/**
+ * Build the layers drawing a symbol
+ * Fills with an outline wider than the 1-pixel fill outline get a line layer
+ * on top.
+ * @param {Object} options - Layer options
+ * @param {string} options.id - Layer ID
+ * @param {string} options.name - Display name
+ * @param {string} options.type - 'line', 'fill' or 'circle'
+ * @param {Object} options.symbol - Symbol (fill, stroke, fillOpacity, strokeOpacity,
+ *   strokeWidth, dasharray in pixels, lineCap, lineJoin, radius)
+ * @param {Array|null} options.filter - Filter expression
+ * @param {number|null} options.minzoom - Minimum zoom
+ * @param {number|null} options.maxzoom - Maximum zoom
+ * @returns {Array<Object>} MapLibre layers
+ */
+export function buildSymbolLayers({ id, name, type, symbol, filter = null, minzoom = null, maxzoom = null }) {
+  const base = (layerId, layerType, layerName) => {
+    const layer = { id: layerId, type: layerType, metadata: { 'map-remix:name': layerName } };
+    if (filter) {
+      layer.filter = filter;
+    }
+    if (minzoom !== null) {
+      layer.minzoom = minzoom;
+    }
+    if (maxzoom !== null) {
+      layer.maxzoom = maxzoom;
+    }
+    return layer;
+  };
+
+  if (type === 'circle') {
+    const layer = base(id, 'circle', name);
+    layer.paint = {
+      'circle-color': toHex(symbol.fill || TRANSPARENT),
+      'circle-opacity': round(opacityOf(symbol.fill, symbol.fillOpacity)),
+      'circle-radius': round(symbol.radius),
+      'circle-stroke-color': toHex(symbol.stroke || TRANSPARENT),
+      'circle-stroke-width': symbol.stroke ? round(symbol.strokeWidth) : 0,
+      'circle-stroke-opacity': round(opacityOf(symbol.stroke, symbol.strokeOpacity))
+    };
+    return [layer];
+  }
+
+  const layers = [];
+  if (type === 'fill' && symbol.fill) {
+    const layer = base(id, 'fill', name);
+    layer.paint = {
+      'fill-color': toHex(symbol.fill),
+      'fill-opacity': round(opacityOf(symbol.fill, symbol.fillOpacity))
+    };
+    if (symbol.stroke && symbol.strokeWidth > 0 && symbol.strokeWidth <= 1 && !symbol.dasharray) {
+      layer.paint['fill-outline-color'] = toHex(symbol.stroke);
+      layers.push(layer);
+      return layers;
+    }
+    layers.push(layer);
+  }
+
+  if (symbol.stroke && symbol.strokeWidth > 0) {
+    const isOutline = layers.length > 0;
+    const layer = base(isOutline ? `${id}-outline` : id, 'line', isOutline ? `${name} outline` : name);
+    layer.layout = {
+      'line-cap': symbol.lineCap || 'butt',
+      'line-join': symbol.lineJoin || 'miter'
+    };
+    layer.paint = {
+      'line-color': toHex(symbol.stroke),
+      'line-width': round(symbol.strokeWidth),
+      'line-opacity': round(opacityOf(symbol.stroke, symbol.strokeOpacity))
+    };
+    if (symbol.dasharray) {
+      // Dash lengths are in line widths
+      layer.paint['line-dasharray'] = symbol.dasharray.map(length => round(length / symbol.strokeWidth));
+    }
+    layers.push(layer);
+  }
+
+  return layers;
+}
+
+/**
+ * Build a label layer
+ * @param {Object} options - Layer options
+ * @param {string} options.id - Layer ID
+ * @param {Object|null} options.target - Layer the label belongs to (links the label to it)
+ * @param {string} options.name - Display name of the labelled layer
+ * @param {Object} options.label - Label (field, fontName, size, color, opacity, haloColor,
+ *   haloWidth, placement)
+ * @param {Array|null} options.filter - Filter expression
+ * @param {number|null} options.minzoom - Minimum zoom
+ * @param {number|null} options.maxzoom - Maximum zoom
+ * @returns {Object} MapLibre symbol layer
+ */
+export function buildLabelLayer({ id, target, name, label, filter = null, minzoom = null, maxzoom = null }) {
+  const labelled = { id: target?.id || id };
+  for (const [key, value] of Object.entries({ filter, minzoom, maxzoom })) {
+    if (value !== null) {
+      labelled[key] = value;
+    }
+  }
+
+  const layer = createLabelLayer(labelled, { field: label.field, name, font: label.fontName });
+  layer.id = id;
+  delete layer.source;
+  if (!target) {
+    delete layer.metadata['map-remix:labelFor'];
+  }
+
+  layer.layout['text-size'] = round(label.size);
+  layer.layout['symbol-placement'] = label.placement === 'line' ? 'line' : 'point';
+  layer.paint = {
+    'text-color': toHex(label.color),
+    'text-opacity': round(opacityOf(label.color, label.opacity)),
+    'text-halo-color': toHex(label.haloColor || TRANSPARENT),
+    'text-halo-width': label.haloColor ? round(label.haloWidth) : 0
+  };
+  return layer;
+}
+
+/**
+ * Build a layer filter from a filter model
+ * Single conditions are wrapped in a group, as the filter editor builds them.
+ * @param {Object|null} model - Filter group or condition
+ * @returns {Array|null} Filter expression
+ */
+export function buildLayerFilter(model) {
+  if (!model) {
+    return null;
+  }
+  return buildFilterExpression(model.type === 'group' ? model : { ...createFilterGroup('all'), conditions: [model] });
+}
+
+/**
+ * Pick the available font stack closest to a font
+ * @param {string} fontFamily - Family (e.g. "Arial")
+ * @param {string} fontStyle - Style (e.g. "Bold Italic")
+ * @returns {Object} { fontName, substituted }
+ */
+export function matchFontStack(fontFamily, fontStyle = 'Regular') {
+  const wanted = `${fontFamily} ${fontStyle || 'Regular'}`.toLowerCase();
+  const exact = fontStacks.find(font => font.name.toLowerCase() === wanted);
+  if (exact) {
+    return { fontName: exact.name, substituted: false };
+  }
+
+  const sameFamily = fontStacks.filter(font => splitFontName(font.name).fontFamily.toLowerCase() === String(fontFamily).toLowerCase());
+  const candidates = sameFamily.length ? sameFamily : fontStacks.filter(font => font.name.startsWith(splitFontName(DEFAULT_FONT).fontFamily));
+  const pattern = /bold|semibold|black|heavy/i.test(fontStyle)
+    ? /Bold|Semibold/
+    : /italic|oblique/i.test(fontStyle) ? /Italic/ : /Regular/;
+  const match = candidates.find(font => pattern.test(font.name)) || candidates[0];
+  return { fontName: match?.name || DEFAULT_FONT, substituted: true };
+}
+
+/**
+ * Make IDs from names, unique within a set
+ * @param {Set<string>} ids - IDs in use (the new ID is added)
+ * @param {string} name - Name to base the ID on
+ * @returns {string} ID
+ */
+export function createLayerId(ids, name) {
+  const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'layer';
+  let id = base;
+  let suffix = 2;
+  while (ids.has(id)) {
+    id = `${base}-${suffix++}`;
+  }
+  ids.add(id);
+  return id;
+}
+
+/**
+ * Combine a color's alpha with an opacity
+ * @param {Object|null} color - { r, g, b, a }
+ * @param {number} opacity - Opacity
+ * @returns {number} Opacity 0–1
+ */
+function opacityOf(color, opacity = 1) {
+  return color ? color.a * (opacity ?? 1) : 0;
+}
+
+/**
+ * Round a number for the style
+ * @param {number} value - Number
+ * @returns {number} Up to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
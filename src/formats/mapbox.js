@@ -0,0 +1,223 @@
+/**
+ * Mapbox GL style writer and reader
+ * MapLibre styles are Mapbox GL v8 styles with a few differences: sources
+ * and glyphs served from mapbox:// URLs, and layout properties MapLibre
+ * renamed or added since the fork. Those are rewritten; anything without an
+ * equivalent on the other side is listed as untranslated.
+ */
+
+import { deepClone } from '../utils/helpers.js';
+import { splitFontName } from './styleModel.js';
+import { matchFontStack, createLayerId } from './layerBuilder.js';
+import { LAYER_PROPERTIES, getStyleProperty } from '../styles/styleSpec.js';
+
+const MAPBOX_GLYPHS_URL = 'mapbox://fonts/mapbox/{fontstack}/{range}.pbf';
+
+/**
+ * MapLibre overlap modes as Mapbox allow-overlap flags
+ */
+const OVERLAP_PROPERTIES = {
+  'text-overlap': 'text-allow-overlap',
+  'icon-overlap': 'icon-allow-overlap'
+};
+
+/**
+ * Mapbox-only root properties
+ */
+const MAPBOX_ROOT_PROPERTIES = ['fog', 'lights', 'imports', 'terrain', 'projection', 'camera', 'models', 'featuresets', 'schema', 'rain', 'snow'];
+
+/**
+ * Properties drawing sprite images, which aren't imported
+ */
+const SPRITE_PROPERTIES = ['icon-image', 'fill-pattern', 'line-pattern', 'background-pattern', 'fill-extrusion-pattern'];
+
+/**
+ * Source types that can't be bound to vector data
+ */
+const RASTER_SOURCE_TYPES = ['raster', 'raster-dem', 'raster-array', 'image', 'video'];
+
+/**
+ * Convert a style to a Mapbox GL style
+ * @param {Object} style - MapLibre style
+ * @returns {Object} { content, untranslated }
+ */
+export function styleToMapbox(style) {
+  const untranslated = [];
+  const report = (layerId, property, reason) => untranslated.push({ layerId, property, reason });
+  const result = deepClone(style);
+
+  for (const [sourceId, source] of Object.entries(result.sources || {})) {
+    if (typeof source.url === 'string' && source.url.startsWith('pmtiles://')) {
+      source.url = `mapbox://YOUR_ACCOUNT.${sourceId}`;
+      report(null, `sources.${sourceId}`, 'PMTiles archive: upload it as a tileset and replace YOUR_ACCOUNT');
+    } else if (typeof source.data === 'string' && source.data.startsWith('blob:')) {
+      report(null, `sources.${sourceId}`, 'Local file: upload it as a tileset or host the GeoJSON');
+    }
+  }
+
+  if (result.glyphs && !result.glyphs.startsWith('mapbox://')) {
+    result.glyphs = MAPBOX_GLYPHS_URL;
+    for (const fontStack of getFontStacks(result)) {
+      report(null, 'glyphs', `Font "${fontStack}" must be uploaded to your Mapbox account`);
+    }
+  }
+  if (typeof result.sprite === 'string' && !/^(https?|mapbox):\/\//.test(result.sprite)) {
+    report(null, 'sprite', 'Relative sprite URL: host the sprite and use an absolute URL');
+  }
+
+  for (const layer of result.layers) {
+    if (layer.layout) {
+      convertLayout(layer, report);
+    }
+  }
+
+  return { content: JSON.stringify(result, null, 2), untranslated };
+}
+
+/**
+ * Rewrite MapLibre-only layout properties in place
+ * @param {Object} layer - Style layer (copy)
+ * @param {Function} report - Records an untranslated property
+ */
+function convertLayout(layer, report) {
+  const { layout } = layer;
+
+  for (const [property, mapboxProperty] of Object.entries(OVERLAP_PROPERTIES)) {
+    if (layout[property] === undefined) {
+      continue;
+    }
+    const value = layout[property];
+    delete layout[property];
+    if (typeof value !== 'string') {
+      report(layer.id, property, 'Expression has no Mapbox equivalent');
+      continue;
+    }
+    if (value === 'cooperative') {
+      report(layer.id, property, 'Cooperative overlap exported as no overlap');
+    }
+    layout[mapboxProperty] = value === 'always';
+  }
+
+  const offsets = layout['text-variable-anchor-offset'];
+  if (offsets !== undefined) {
+    delete layout['text-variable-anchor-offset'];
+    const anchors = Array.isArray(offsets) && offsets[0] === 'literal' ? offsets[1] : offsets;
+    if (Array.isArray(anchors) && anchors.every((item, index) => index % 2 === 1 || typeof item === 'string')) {
+      layout['text-variable-anchor'] = anchors.filter((item, index) => index % 2 === 0);
+      report(layer.id, 'text-variable-anchor-offset', 'Per-anchor offsets dropped; use text-radial-offset');
+    } else {
+      report(layer.id, 'text-variable-anchor-offset', 'Expression has no Mapbox equivalent');
+    }
+  }
+}
+
+/**
+ * Get the font stacks set on the style's symbol layers
+ * @param {Object} style - Style
+ * @returns {Array<string>} Font stack names
+ */
+function getFontStacks(style) {
+  const stacks = new Set();
+  for (const layer of style.layers) {
+    const font = layer.layout?.['text-font'];
+    if (Array.isArray(font) && font.every(name => typeof name === 'string')) {
+      stacks.add(font.join(','));
+    }
+  }
+  return [...stacks];
+}
+
+/**
+ * Read a Mapbox GL style into style layers
+ * Layers are grouped by the source layer they draw so the import dialog can
+ * bind each group to a source. Mapbox-only layer types and properties,
+ * sprite images and unavailable fonts are listed as untranslated.
+ * @param {Object} style - Mapbox GL style
+ * @returns {Object} { layers, groups: [{ id, name, type, layerIds }], background, untranslated }
+ */
+export function readMapboxStyle(style) {
+  const result = { layers: [], groups: [], background: null, untranslated: [] };
+  const report = (layerId, property, reason) => result.untranslated.push({ layerId, property, reason });
+
+  for (const property of MAPBOX_ROOT_PROPERTIES) {
+    if (style[property] !== undefined) {
+      report(null, property, 'No MapLibre equivalent');
+    }
+  }
+
+  const groups = new Map();
+  const groupIds = new Set();
+  const fonts = new Map();
+  for (const layer of style.layers || []) {
+    if (!LAYER_PROPERTIES[layer.type]) {
+      report(layer.id, 'type', `${layer.type} layers have no MapLibre equivalent`);
+      continue;
+    }
+    if (layer.type === 'background') {
+      result.background ??= convertLayer(layer, fonts, report);
+      continue;
+    }
+    if (RASTER_SOURCE_TYPES.includes(style.sources?.[layer.source]?.type) || ['raster', 'hillshade'].includes(layer.type)) {
+      report(layer.id, 'source', 'Raster layers are not imported');
+      continue;
+    }
+
+    const key = layer['source-layer'] ? `${layer.source}/${layer['source-layer']}` : layer.source;
+    if (!groups.has(key)) {
+      groups.set(key, { id: createLayerId(groupIds, key), name: layer['source-layer'] || layer.source, type: null, layerIds: [] });
+    }
+    const group = groups.get(key);
+    const copy = convertLayer(layer, fonts, report);
+    if (['line', 'fill', 'circle'].includes(layer.type)) {
+      group.type ??= layer.type;
+    }
+    group.layerIds.push(copy.id);
+    result.layers.push(copy);
+  }
+
+  result.groups = [...groups.values()];
+  return result;
+}
+
+/**
+ * Copy a Mapbox layer without its source and Mapbox-only properties
+ * @param {Object} layer - Mapbox layer
+ * @param {Map} fonts - Font substitutions made so far, keyed by font name
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object} MapLibre layer without a source
+ */
+function convertLayer(layer, fonts, report) {
+  const { source, 'source-layer': sourceLayer, slot, ...copy } = deepClone(layer);
+
+  for (const kind of ['paint', 'layout']) {
+    for (const property of Object.keys(copy[kind] || {})) {
+      if (SPRITE_PROPERTIES.includes(property)) {
+        report(layer.id, property, 'Sprite images are not imported');
+        delete copy[kind][property];
+      } else if (!getStyleProperty(layer.type, kind, property)) {
+        report(layer.id, property, 'Mapbox-only property');
+        delete copy[kind][property];
+      }
+    }
+  }
+
+  const font = copy.layout?.['text-font'];
+  if (font !== undefined) {
+    if (Array.isArray(font) && typeof font[0] === 'string') {
+      if (!fonts.has(font[0])) {
+        const { fontFamily, fontStyle } = splitFontName(font[0]);
+        const { fontName, substituted } = matchFontStack(fontFamily, fontStyle);
+        fonts.set(font[0], fontName);
+        if (substituted) {
+          report(layer.id, 'text-font', `"${font[0]}" is not available; using ${fontName}`);
+        }
+      }
+      copy.layout['text-font'] = [fonts.get(font[0])];
+    } else {
+      report(layer.id, 'text-font', 'Font expressions are not imported');
+      delete copy.layout['text-font'];
+    }
+  }
+
+  return copy;
+}
@@ -0,0 +1,841 @@
+/**
+ * QGIS layer style (.qml) writer and reader
+ * QGIS styles one layer per file, so every style layer becomes its own QML:
+ * a single-symbol renderer, or a rule-based renderer when the layer is
+ * filtered or classed, plus simple labeling. Reading accepts single-symbol,
+ * categorized, graduated and rule-based renderers with simple line, fill and
+ * marker symbol layers.
+ */
+
+import { describeStyle, zoomToScale, scaleToZoom } from './styleModel.js';
+import { buildSymbolLayers, buildLabelLayer, buildLayerFilter, matchFontStack, createLayerId } from './layerBuilder.js';
+import { parseXml, childrenNamed, childNamed } from './xml.js';
+import { escapeXml } from '../export/svg.js';
+import { parseColor } from '../export/vectorScene.js';
+import {
+  createFilterGroup,
+  createFilterCondition,
+  parseFilterValue,
+  negateFilter
+} from '../utils/filters.js';
+
+const QGIS_VERSION = '3.28.0-Firenze';
+
+const LINE_CAPS = { butt: 'flat', round: 'round', square: 'square' };
+
+/**
+ * QGIS label placements: curved along lines, over the point otherwise
+ */
+const LABEL_PLACEMENTS = { line: 3, point: 1 };
+
+/**
+ * Pixels per QGIS render unit (millimeters are the QGIS default)
+ */
+const UNIT_PIXELS = {
+  MM: 96 / 25.4,
+  Pixel: 1,
+  Point: 96 / 72,
+  Inch: 96
+};
+
+/**
+ * Dash patterns of QGIS line styles, in line widths
+ */
+const LINE_STYLE_DASHES = {
+  dash: [4, 2],
+  dot: [1, 2],
+  'dash dot': [4, 2, 1, 2],
+  'dash dot dot': [4, 2, 1, 2, 1, 2]
+};
+
+/**
+ * QGIS comparison operators as filter model operators
+ */
+const QGIS_OPERATORS = { '=': '==', '<>': '!=', '!=': '!=', '<': '<', '<=': '<=', '>': '>', '>=': '>=' };
+
+/**
+ * Convert a style to one QML document per layer
+ * @param {Object} style - MapLibre style
+ * @param {Object} options - Options (zoom, getLayerName, see describeStyle) plus
+ *   layerIds to limit the output to some layers
+ * @returns {Object} { files: [{ layerId, name, content }], untranslated }
+ */
+export function styleToQML(style, options = {}) {
+  const { layers, untranslated } = describeStyle(style, options);
+  const wanted = options.layerIds ? layers.filter(layer => options.layerIds.includes(layer.id)) : layers;
+
+  return {
+    files: wanted.map(layer => ({ layerId: layer.id, name: layer.name, content: writeLayer(layer) })),
+    untranslated: untranslated.filter(({ layerId }) => wanted.some(layer => layer.styleLayerIds.includes(layerId)))
+  };
+}
+
+/**
+ * Write a layer's QML document
+ * @param {Object} layer - Layer model
+ * @returns {string} QML
+ */
+function writeLayer(layer) {
+  const scaleAttributes = layer.minzoom !== null || layer.maxzoom !== null
+    ? ` hasScaleBasedVisibilityFlag="1" minScale="${layer.minzoom !== null ? zoomToScale(layer.minzoom) : 0}" maxScale="${layer.maxzoom !== null ? zoomToScale(layer.maxzoom) : 0}"`
+    : ' hasScaleBasedVisibilityFlag="0"';
+
+  const lines = [
+    "<!DOCTYPE qgis PUBLIC 'http://mrcc.com/qgis.dtd' 'SYSTEM'>",
+    `<qgis version="${QGIS_VERSION}" styleCategories="Symbology|Labeling"${scaleAttributes} labelsEnabled="${layer.label?.field ? 1 : 0}">`,
+    ...writeRenderer(layer).map(line => `  ${line}`)
+  ];
+  if (layer.label?.field) {
+    lines.push(...writeLabeling(layer.label).map(line => `  ${line}`));
+  }
+  lines.push('</qgis>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Write the renderer
+ * @param {Object} layer - Layer model
+ * @returns {Array<string>} Lines
+ */
+function writeRenderer(layer) {
+  if (!layer.rules.length) {
+    return ['<renderer-v2 type="nullSymbol"/>'];
+  }
+
+  const symbols = layer.rules.map((rule, index) => writeSymbol(layer.type, rule.symbol, index));
+  const lines = [];
+
+  if (layer.rules.length === 1 && !layer.filter) {
+    lines.push('<renderer-v2 type="singleSymbol" symbollevels="0" enableorderby="0" forceraster="0">');
+  } else {
+    lines.push(
+      '<renderer-v2 type="RuleRenderer" symbollevels="0" enableorderby="0" forceraster="0">',
+      `  <rules key="{${layer.id}-root}">`
+    );
+    layer.rules.forEach((rule, index) => {
+      const conditions = [layer.filter, rule.condition].filter(node => node && node.conditions.length);
+      const filter = conditions.length ? writeExpression({ type: 'group', combinator: 'all', conditions }) : '';
+      lines.push(
+        `    <rule key="{${layer.id}-${index}}" symbol="${index}" label="${escapeXml(rule.label || layer.name)}"` +
+        `${filter ? ` filter="${escapeXml(filter)}"` : ''}/>`
+      );
+    });
+    lines.push('  </rules>');
+  }
+
+  lines.push('  <symbols>', ...symbols.flat().map(line => `    ${line}`), '  </symbols>', '</renderer-v2>');
+  return lines;
+}
+
+/**
+ * Write a symbol
+ * @param {string} type - Layer model type
+ * @param {Object} symbol - Symbol from the style model
+ * @param {number} index - Symbol name
+ * @returns {Array<string>} Lines
+ */
+function writeSymbol(type, symbol, index) {
+  let symbolType;
+  let layerClass;
+  let options;
+
+  if (type === 'line') {
+    symbolType = 'line';
+    layerClass = 'SimpleLine';
+    options = {
+      line_color: formatColor(symbol.stroke, symbol.strokeOpacity),
+      line_width: formatNumber(symbol.strokeWidth),
+      line_width_unit: 'Pixel',
+      line_style: 'solid',
+      capstyle: LINE_CAPS[symbol.lineCap] || 'flat',
+      joinstyle: symbol.lineJoin || 'miter'
+    };
+    if (symbol.dasharray) {
+      Object.assign(options, {
+        use_custom_dash: '1',
+        customdash: symbol.dasharray.map(formatNumber).join(';'),
+        customdash_unit: 'Pixel'
+      });
+    }
+  } else if (type === 'fill') {
+    symbolType = 'fill';
+    layerClass = 'SimpleFill';
+    options = {
+      color: formatColor(symbol.fill, symbol.fillOpacity),
+      style: 'solid',
+      outline_color: symbol.stroke ? formatColor(symbol.stroke, symbol.strokeOpacity) : '0,0,0,0',
+      outline_style: symbol.stroke ? 'solid' : 'no',
+      outline_width: formatNumber(symbol.strokeWidth),
+      outline_width_unit: 'Pixel'
+    };
+  } else {
+    symbolType = 'marker';
+    layerClass = 'SimpleMarker';
+    options = {
+      name: 'circle',
+      color: formatColor(symbol.fill, symbol.fillOpacity),
+      size: formatNumber(symbol.radius * 2),
+      size_unit: 'Pixel',
+      outline_color: formatColor(symbol.stroke, symbol.strokeOpacity),
+      outline_style: symbol.strokeWidth > 0 ? 'solid' : 'no',
+      outline_width: formatNumber(symbol.strokeWidth),
+      outline_width_unit: 'Pixel'
+    };
+  }
+
+  return [
+    `<symbol type="${symbolType}" name="${index}" alpha="1" clip_to_extent="1" force_rhr="0">`,
+    `  <layer class="${layerClass}" enabled="1" pass="0" locked="0">`,
+    '    <Option type="Map">',
+    ...Object.entries(options).map(([name, value]) => `      <Option type="QString" name="${name}" value="${escapeXml(String(value))}"/>`),
+    '    </Option>',
+    '  </layer>',
+    '</symbol>'
+  ];
+}
+
+/**
+ * Write simple labeling
+ * @param {Object} label - Label from the style model
+ * @returns {Array<string>} Lines
+ */
+function writeLabeling(label) {
+  const buffer = label.haloWidth > 0 && label.haloColor?.a > 0;
+  return [
+    '<labeling type="simple">',
+    '  <settings calloutType="simple">',
+    `    <text-style fieldName="${escapeXml(label.field)}" isExpression="0" fontFamily="${escapeXml(label.fontFamily)}" ` +
+      `namedStyle="${escapeXml(label.fontStyle)}" fontSize="${formatNumber(label.size)}" fontSizeUnit="Pixel" ` +
+      `textColor="${formatColor(label.color)}" textOpacity="${formatNumber(label.opacity)}">`,
+    `      <text-buffer bufferDraw="${buffer ? 1 : 0}" bufferSize="${formatNumber(label.haloWidth)}" bufferSizeUnits="Pixel" ` +
+      `bufferColor="${buffer ? formatColor(label.haloColor) : '255,255,255,255'}" bufferOpacity="1"/>`,
+    '    </text-style>',
+    `    <placement placement="${LABEL_PLACEMENTS[label.placement]}"/>`,
+    '  </settings>',
+    '</labeling>'
+  ];
+}
+
+/**
+ * Write a filter as a QGIS expression
+ * @param {Object} node - Filter group or condition
+ * @returns {string} Expression
+ */
+function writeExpression(node) {
+  if (node.type === 'group') {
+    const parts = node.conditions.map(writeExpression);
+    const joined = parts.join(node.combinator === 'any' ? ' OR ' : ' AND ');
+    return parts.length > 1 ? `(${joined})` : joined;
+  }
+
+  const field = `"${node.field.replace(/"/g, '""')}"`;
+  switch (node.operator) {
+    case 'in':
+    case '!in':
+      return `${field} ${node.operator === 'in' ? 'IN' : 'NOT IN'} (${node.value.map(formatLiteral).join(', ')})`;
+    case 'has':
+      return `${field} IS NOT NULL`;
+    case '!has':
+      return `${field} IS NULL`;
+    case '==':
+      return `${field} = ${formatLiteral(node.value)}`;
+    default:
+      return `${field} ${node.operator === '!=' ? '<>' : node.operator} ${formatLiteral(node.value)}`;
+  }
+}
+
+/**
+ * Format a literal for a QGIS expression
+ * @param {*} value - String, number or boolean
+ * @returns {string} Literal
+ */
+function formatLiteral(value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Format a color as QGIS "r,g,b,a"
+ * @param {Object} color - { r, g, b, a }
+ * @param {number} opacity - Opacity multiplied into alpha
+ * @returns {string} Color
+ */
+function formatColor(color, opacity = 1) {
+  if (!color) {
+    return '0,0,0,0';
+  }
+  return [color.r, color.g, color.b, color.a * opacity * 255].map(Math.round).join(',');
+}
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {string} Up to three decimals
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Read a QML document into style layers
+ * @param {string} text - QML document
+ * @param {string} name - Name of the styled layer (usually the file name)
+ * @returns {Object} { layers, groups: [{ id, name, type, layerIds }], background, untranslated }
+ */
+export function readQML(text, name = 'QGIS layer') {
+  const root = parseXml(text);
+  if (root.localName !== 'qgis') {
+    throw new Error('Not a QGIS layer style');
+  }
+
+  const layerIds = new Set();
+  const group = { id: createLayerId(new Set(), name), name, type: null, layerIds: [] };
+  const result = { layers: [], groups: [group], background: null, untranslated: [] };
+  const reportFor = layerId => (property, reason) => result.untranslated.push({ layerId, property, reason });
+
+  const layerRange = root.getAttribute('hasScaleBasedVisibilityFlag') === '1'
+    ? readScaleRange(root.getAttribute('minScale'), root.getAttribute('maxScale'))
+    : { minzoom: null, maxzoom: null };
+
+  const renderer = childNamed(root, 'renderer-v2');
+  const symbols = new Map(childrenNamed(childNamed(renderer, 'symbols'), 'symbol')
+    .map(symbol => [symbol.getAttribute('name'), symbol]));
+
+  let target = null;
+  for (const entry of readRendererEntries(renderer, name, reportFor(name))) {
+    const symbol = symbols.get(entry.symbol);
+    if (!symbol) {
+      continue;
+    }
+    const report = reportFor(entry.label);
+    const range = {
+      minzoom: maxOf(layerRange.minzoom, entry.minzoom),
+      maxzoom: minOf(layerRange.maxzoom, entry.maxzoom)
+    };
+    const filter = buildLayerFilter(entry.condition);
+
+    for (const symbolLayer of readSymbolLayers(symbol, report)) {
+      const layers = buildSymbolLayers({
+        id: createLayerId(layerIds, `${name}-${entry.label}`),
+        name: entry.label,
+        ...symbolLayer,
+        filter,
+        ...range
+      });
+      group.type ??= symbolLayer.type;
+      target ??= layers[0] || null;
+      result.layers.push(...layers);
+    }
+  }
+
+  for (const labeling of readLabelings(childNamed(root, 'labeling'), reportFor(name))) {
+    const label = readLabel(labeling.settings, reportFor(`${name} labels`));
+    if (!label) {
+      continue;
+    }
+    result.layers.push(buildLabelLayer({
+      id: createLayerId(layerIds, `${name}-labels`),
+      target,
+      name,
+      label,
+      filter: buildLayerFilter(labeling.condition),
+      ...layerRange
+    }));
+    target = null;
+  }
+
+  group.layerIds = result.layers.map(layer => layer.id);
+  return result;
+}
+
+/**
+ * List what a renderer draws
+ * @param {Element|null} renderer - renderer-v2 element
+ * @param {string} name - Layer name (label of single symbols)
+ * @param {Function} report - Records an untranslated property
+ * @returns {Array<Object>} [{ label, symbol, condition, minzoom, maxzoom }] in draw order
+ */
+function readRendererEntries(renderer, name, report) {
+  const type = renderer?.getAttribute('type');
+  const field = renderer?.getAttribute('attr') || '';
+  const entry = (label, symbol, condition = null, range = {}) =>
+    ({ label: label || name, symbol, condition, minzoom: range.minzoom ?? null, maxzoom: range.maxzoom ?? null });
+
+  if ((type === 'categorizedSymbol' || type === 'graduatedSymbol') && !/^("[^"]+"|\w+)$/.test(field)) {
+    report(type, `Classes by expression (${field}) are not imported`);
+    return [];
+  }
+  const attribute = field.replace(/^"|"$/g, '');
+
+  switch (type) {
+    case 'singleSymbol':
+      return [entry(name, childNamed(childNamed(renderer, 'symbols'), 'symbol')?.getAttribute('name') || '0')];
+
+    case 'categorizedSymbol': {
+      const categories = childrenNamed(childNamed(renderer, 'categories'), 'category').map(category => ({
+        element: category,
+        values: readCategoryValues(category)
+      }));
+      const listed = categories.flatMap(category => category.values);
+      return categories
+        .filter(({ element }) => element.getAttribute('render') !== 'false')
+        .map(({ element, values }) => {
+          const condition = values.length
+            ? createFilterCondition(attribute, values.length > 1 ? 'in' : '==', values.length > 1 ? values : values[0])
+            // The empty category draws all other values
+            : createFilterCondition(attribute, '!in', listed);
+          return entry(element.getAttribute('label') || values.join(', ') || 'Other', element.getAttribute('symbol'), condition);
+        });
+    }
+
+    case 'graduatedSymbol':
+      return childrenNamed(childNamed(renderer, 'ranges'), 'range')
+        .map((range, index) => ({ range, index }))
+        .filter(({ range }) => range.getAttribute('render') !== 'false')
+        .map(({ range, index }) => {
+          // QGIS ranges include their upper bound; the first also includes its lower bound
+          const condition = {
+            ...createFilterGroup('all'),
+            conditions: [
+              createFilterCondition(attribute, index === 0 ? '>=' : '>', Number(range.getAttribute('lower'))),
+              createFilterCondition(attribute, '<=', Number(range.getAttribute('upper')))
+            ]
+          };
+          const label = range.getAttribute('label') || `${range.getAttribute('lower')} – ${range.getAttribute('upper')}`;
+          return entry(label, range.getAttribute('symbol'), condition);
+        });
+
+    case 'RuleRenderer':
+      return readRules(childNamed(renderer, 'rules'), null, { minzoom: null, maxzoom: null }, report)
+        .map(rule => entry(rule.label, rule.symbol, rule.condition, rule));
+
+    case 'nullSymbol':
+    case undefined:
+      return [];
+
+    default:
+      report(type, 'Renderer has no equivalent');
+      return [];
+  }
+}
+
+/**
+ * Read the values of a category (one value, or a list in QGIS 3.x)
+ * @param {Element} category - category element
+ * @returns {Array} Values (empty for the "all other values" category)
+ */
+function readCategoryValues(category) {
+  const list = childrenNamed(category, 'Option').find(option => option.getAttribute('type') === 'List');
+  const texts = list
+    ? childrenNamed(list, 'Option').map(option => option.getAttribute('value'))
+    : [category.getAttribute('value') ?? ''];
+  const isString = category.getAttribute('type') === 'string';
+  return texts.filter(text => text !== '').map(text => (isString ? text : parseFilterValue(text)));
+}
+
+/**
+ * Read nested rules, combining each rule's filter and scale range with its parents'
+ * @param {Element|null} parent - rules or rule element
+ * @param {Object|null} parentCondition - Filter model of the parents
+ * @param {Object} parentRange - { minzoom, maxzoom } of the parents
+ * @param {Function} report - Records an untranslated property
+ * @returns {Array<Object>} [{ label, symbol, condition, minzoom, maxzoom }]
+ */
+function readRules(parent, parentCondition, parentRange, report) {
+  const rules = childrenNamed(parent, 'rule').filter(rule => rule.getAttribute('checkstate') !== '0');
+  const conditions = rules.map(rule => {
+    const expression = rule.getAttribute('filter');
+    if (!expression || expression === 'ELSE') {
+      return null;
+    }
+    const condition = parseQgisExpression(expression);
+    if (!condition) {
+      report(rule.getAttribute('label') || expression, `Unsupported filter ${expression}; the rule applies to all features`);
+    }
+    return condition;
+  });
+
+  return rules.flatMap((rule, index) => {
+    let condition = conditions[index];
+    if (rule.getAttribute('filter') === 'ELSE') {
+      const others = conditions.filter(Boolean).map(negateFilter);
+      condition = others.length ? { ...createFilterGroup('all'), conditions: others } : null;
+    }
+    const combined = [parentCondition, condition].filter(Boolean);
+    const ruleCondition = combined.length > 1 ? { ...createFilterGroup('all'), conditions: combined } : combined[0] || null;
+
+    const ruleRange = readScaleRange(rule.getAttribute('scalemaxdenom'), rule.getAttribute('scalemindenom'));
+    const range = {
+      minzoom: maxOf(parentRange.minzoom, ruleRange.minzoom),
+      maxzoom: minOf(parentRange.maxzoom, ruleRange.maxzoom)
+    };
+
+    const own = rule.getAttribute('symbol') !== null
+      ? [{ label: rule.getAttribute('label') || rule.getAttribute('filter'), symbol: rule.getAttribute('symbol'), condition: ruleCondition, ...range }]
+      : [];
+    return [...own, ...readRules(rule, ruleCondition, range, report)];
+  });
+}
+
+/**
+ * Read the labeling settings (simple, or one per rule)
+ * @param {Element|null} labeling - labeling element
+ * @param {Function} report - Records an untranslated property
+ * @returns {Array<Object>} [{ settings, condition }]
+ */
+function readLabelings(labeling, report) {
+  const type = labeling?.getAttribute('type');
+  if (type === 'simple') {
+    return [{ settings: childNamed(labeling, 'settings'), condition: null }];
+  }
+  if (type === 'rule-based') {
+    return childrenNamed(childNamed(labeling, 'rules'), 'rule')
+      .filter(rule => childNamed(rule, 'settings') && rule.getAttribute('active') !== '0')
+      .map(rule => {
+        const expression = rule.getAttribute('filter');
+        const condition = expression ? parseQgisExpression(expression) : null;
+        if (expression && !condition) {
+          report('labeling', `Unsupported label filter ${expression}; labels show on all features`);
+        }
+        return { settings: childNamed(rule, 'settings'), condition };
+      });
+  }
+  if (type) {
+    report('labeling', `${type} labeling has no equivalent`);
+  }
+  return [];
+}
+
+/**
+ * Read the simple symbol layers of a symbol
+ * @param {Element} symbol - symbol element
+ * @param {Function} report - Records an untranslated property
+ * @returns {Array<Object>} [{ type, symbol }] bottom-most first
+ */
+function readSymbolLayers(symbol, report) {
+  const alpha = Number(symbol.getAttribute('alpha') ?? 1);
+  const symbolLayers = [];
+
+  for (const layer of childrenNamed(symbol, 'layer')) {
+    if (layer.getAttribute('enabled') === '0') {
+      continue;
+    }
+    const layerClass = layer.getAttribute('class');
+    const options = readOptions(layer);
+    const size = (key, fallback) => toPixels(options[key] ?? fallback, options[`${key}_unit`], key, report);
+
+    if (layerClass === 'SimpleLine') {
+      if (options.line_style === 'no') {
+        continue;
+      }
+      const width = size('line_width', 0.26);
+      let dasharray = null;
+      if (options.use_custom_dash === '1' && options.customdash) {
+        dasharray = options.customdash.split(';').map(length => toPixels(length, options.customdash_unit, 'customdash', report));
+      } else if (LINE_STYLE_DASHES[options.line_style]) {
+        dasharray = LINE_STYLE_DASHES[options.line_style].map(length => length * width);
+      }
+      symbolLayers.push({
+        type: 'line',
+        symbol: {
+          fill: null,
+          stroke: readColor(options.line_color || options.color),
+          strokeWidth: width,
+          strokeOpacity: alpha,
+          dasharray,
+          lineCap: { flat: 'butt', square: 'square', round: 'round' }[options.capstyle] || 'square',
+          lineJoin: options.joinstyle || 'bevel'
+        }
+      });
+    } else if (layerClass === 'SimpleFill') {
+      if (!['solid', 'no', undefined].includes(options.style)) {
+        report('style', `${options.style} fill pattern drawn as a solid fill`);
+      }
+      const hasOutline = options.outline_style !== 'no';
+      symbolLayers.push({
+        type: 'fill',
+        symbol: {
+          fill: options.style === 'no' ? null : readColor(options.color),
+          fillOpacity: alpha,
+          stroke: hasOutline ? readColor(options.outline_color) : null,
+          strokeWidth: hasOutline ? size('outline_width', 0.26) : 0,
+          strokeOpacity: alpha,
+          lineJoin: options.joinstyle || 'bevel'
+        }
+      });
+    } else if (layerClass === 'SimpleMarker') {
+      if (options.name && options.name !== 'circle') {
+        report('name', `${options.name} markers are drawn as circles`);
+      }
+      const hasOutline = options.outline_style !== 'no';
+      symbolLayers.push({
+        type: 'circle',
+        symbol: {
+          fill: readColor(options.color),
+          fillOpacity: alpha,
+          radius: size('size', 2) / 2,
+          stroke: hasOutline ? readColor(options.outline_color) : null,
+          strokeWidth: hasOutline ? size('outline_width', 0) : 0,
+          strokeOpacity: alpha
+        }
+      });
+    } else {
+      report(layerClass, 'Symbol layer type has no equivalent');
+    }
+  }
+
+  return symbolLayers;
+}
+
+/**
+ * Read a label's text settings
+ * @param {Element|null} settings - settings element
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object|null} Label, or null when it doesn't show a single attribute
+ */
+function readLabel(settings, report) {
+  const textStyle = childNamed(settings, 'text-style');
+  if (!textStyle) {
+    return null;
+  }
+
+  let field = textStyle.getAttribute('fieldName') || '';
+  if (textStyle.getAttribute('isExpression') === '1') {
+    const match = field.match(/^\s*"([^"]+)"\s*$/);
+    if (!match) {
+      report('fieldName', `Label expression ${field} is not imported`);
+      return null;
+    }
+    field = match[1];
+  }
+  if (!field) {
+    return null;
+  }
+
+  const family = textStyle.getAttribute('fontFamily') || 'Noto Sans';
+  const style = textStyle.getAttribute('namedStyle') ||
+    [Number(textStyle.getAttribute('fontWeight')) >= 63 ? 'Bold' : '', textStyle.getAttribute('fontItalic') === '1' ? 'Italic' : '']
+      .filter(Boolean).join(' ') || 'Regular';
+  const { fontName, substituted } = matchFontStack(family, style);
+  if (substituted) {
+    report('fontFamily', `"${family} ${style}" is not available; using ${fontName}`);
+  }
+
+  const buffer = childNamed(textStyle, 'text-buffer');
+  const hasHalo = buffer?.getAttribute('bufferDraw') === '1';
+  const haloColor = hasHalo ? readColor(buffer.getAttribute('bufferColor')) : null;
+  if (haloColor) {
+    haloColor.a *= Number(buffer.getAttribute('bufferOpacity') ?? 1);
+  }
+  const placement = Number(childNamed(settings, 'placement')?.getAttribute('placement'));
+
+  return {
+    field,
+    fontName,
+    // QGIS label sizes default to points
+    size: toPixels(textStyle.getAttribute('fontSize') || 10, textStyle.getAttribute('fontSizeUnit') || 'Point', 'fontSize', report),
+    color: readColor(textStyle.getAttribute('textColor') || '0,0,0,255'),
+    opacity: Number(textStyle.getAttribute('textOpacity') ?? 1),
+    haloColor,
+    haloWidth: hasHalo ? toPixels(buffer.getAttribute('bufferSize') || 1, buffer.getAttribute('bufferSizeUnits'), 'bufferSize', report) : 0,
+    placement: placement === 2 || placement === 3 ? 'line' : 'point'
+  };
+}
+
+/**
+ * Read a symbol layer's options (QGIS 3 Option map or older prop list)
+ * @param {Element} layer - Symbol layer element
+ * @returns {Object} Values keyed by option name
+ */
+function readOptions(layer) {
+  const values = {};
+  for (const prop of childrenNamed(layer, 'prop')) {
+    values[prop.getAttribute('k')] = prop.getAttribute('v');
+  }
+  const map = childrenNamed(layer, 'Option').find(option => option.getAttribute('type') === 'Map');
+  for (const option of childrenNamed(map, 'Option')) {
+    if (option.hasAttribute('value')) {
+      values[option.getAttribute('name')] = option.getAttribute('value');
+    }
+  }
+  return values;
+}
+
+/**
+ * Convert a QGIS size to pixels
+ * @param {string|number} value - Size
+ * @param {string} unit - QGIS render unit (millimeters when empty)
+ * @param {string} property - Option name, for the report
+ * @param {Function} report - Records an untranslated property
+ * @returns {number} Pixels
+ */
+function toPixels(value, unit, property, report) {
+  const factor = UNIT_PIXELS[unit || 'MM'];
+  if (!factor) {
+    report(property, `${unit} sizes read as pixels`);
+  }
+  return Number(value) * (factor || 1);
+}
+
+/**
+ * Read a QGIS color ("r,g,b,a", optionally followed by color space values)
+ * @param {string} text - Color
+ * @returns {Object} { r, g, b, a }
+ */
+function readColor(text = '0,0,0,255') {
+  if (String(text).startsWith('#')) {
+    return parseColor(text);
+  }
+  const [r, g, b, a = 255] = String(text).split(',').slice(0, 4).map(Number);
+  return { r, g, b, a: a / 255 };
+}
+
+/**
+ * Convert a QGIS scale range to zooms
+ * @param {string|null} maxScale - Most zoomed-out scale denominator (0 or empty for none)
+ * @param {string|null} minScale - Most zoomed-in scale denominator (0 or empty for none)
+ * @returns {Object} { minzoom, maxzoom }
+ */
+function readScaleRange(maxScale, minScale) {
+  return {
+    minzoom: Number(maxScale) > 0 ? Math.max(0, scaleToZoom(Number(maxScale))) : null,
+    maxzoom: Number(minScale) > 0 ? Math.min(24, scaleToZoom(Number(minScale))) : null
+  };
+}
+
+/**
+ * Larger of two optional zooms
+ * @param {number|null} a - Zoom
+ * @param {number|null} b - Zoom
+ * @returns {number|null} Zoom
+ */
+function maxOf(a, b) {
+  return a === null ? b : b === null ? a : Math.max(a, b);
+}
+
+/**
+ * Smaller of two optional zooms
+ * @param {number|null} a - Zoom
+ * @param {number|null} b - Zoom
+ * @returns {number|null} Zoom
+ */
+function minOf(a, b) {
+  return a === null ? b : b === null ? a : Math.min(a, b);
+}
+
+/**
+ * Parse a QGIS filter expression into a filter model node
+ * Understands comparisons, IN, IS NULL, AND, OR, NOT and parentheses.
+ * @param {string} expression - Expression
+ * @returns {Object|null} Group or condition, or null when unsupported
+ */
+function parseQgisExpression(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:"((?:[^"]|"")*)"|'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)|(<>|!=|<=|>=|=|<|>|\(|\)|,)|([A-Za-z_][A-Za-z0-9_]*))/y;
+  let index = 0;
+  while (index < expression.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) {
+      if (!expression.slice(index).trim()) {
+        break;
+      }
+      return null;
+    }
+    index = pattern.lastIndex;
+    const [, field, string, number, symbol, word] = match;
+    if (field !== undefined) {
+      tokens.push({ kind: 'field', value: field.replace(/""/g, '"') });
+    } else if (string !== undefined) {
+      tokens.push({ kind: 'value', value: string.replace(/''/g, "'") });
+    } else if (number !== undefined) {
+      tokens.push({ kind: 'value', value: Number(number) });
+    } else if (symbol !== undefined) {
+      tokens.push({ kind: 'symbol', value: symbol });
+    } else if (/^(true|false)$/i.test(word)) {
+      tokens.push({ kind: 'value', value: word.toLowerCase() === 'true' });
+    } else if (/^(and|or|not|in|is|null)$/i.test(word)) {
+      tokens.push({ kind: 'keyword', value: word.toUpperCase() });
+    } else {
+      tokens.push({ kind: 'field', value: word });
+    }
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const accept = (kind, value) => {
+    const token = tokens[position];
+    if (token?.kind === kind && (value === undefined || token.value === value)) {
+      position++;
+      return token;
+    }
+    return null;
+  };
+  const expect = (kind, value) => {
+    const token = accept(kind, value);
+    if (!token) {
+      throw new Error(`Expected ${value || kind}`);
+    }
+    return token;
+  };
+
+  const parseList = () => {
+    expect('symbol', '(');
+    const values = [expect('value').value];
+    while (accept('symbol', ',')) {
+      values.push(expect('value').value);
+    }
+    expect('symbol', ')');
+    return values;
+  };
+
+  const parsePrimary = () => {
+    if (accept('symbol', '(')) {
+      const node = parseOr();
+      expect('symbol', ')');
+      return node;
+    }
+    const field = expect('field').value;
+    if (accept('keyword', 'IS')) {
+      const negated = Boolean(accept('keyword', 'NOT'));
+      expect('keyword', 'NULL');
+      return createFilterCondition(field, negated ? 'has' : '!has', '');
+    }
+    if (accept('keyword', 'NOT')) {
+      expect('keyword', 'IN');
+      return createFilterCondition(field, '!in', parseList());
+    }
+    if (accept('keyword', 'IN')) {
+      return createFilterCondition(field, 'in', parseList());
+    }
+    const operator = QGIS_OPERATORS[expect('symbol').value];
+    if (!operator) {
+      throw new Error('Expected a comparison');
+    }
+    return createFilterCondition(field, operator, expect('value').value);
+  };
+
+  const parseNot = () => (accept('keyword', 'NOT') ? negateFilter(parseNot()) : parsePrimary());
+
+  const parseChain = (keyword, combinator, parseOperand) => {
+    const operands = [parseOperand()];
+    while (accept('keyword', keyword)) {
+      operands.push(parseOperand());
+    }
+    return operands.length === 1 ? operands[0] : { ...createFilterGroup(combinator), conditions: operands };
+  };
+  const parseAnd = () => parseChain('AND', 'all', parseNot);
+  const parseOr = () => parseChain('OR', 'any', parseAnd);
+
+  try {
+    const node = parseOr();
+    return peek() ? null : node;
+  } catch (error) {
+    return null;
+  }
+}
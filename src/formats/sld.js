@@ -0,0 +1,623 @@
+/**
+ * OGC SLD / Symbology Encoding writer and reader
+ * Writes SLD 1.1 with one NamedLayer per source layer (as GeoServer names
+ * them), a FeatureTypeStyle per style layer in draw order and a Rule per
+ * class. Reads SLD 1.0 and 1.1 back into style layers, one per rule and
+ * symbolizer.
+ */
+
+import { describeStyle, zoomToScale, scaleToZoom, toHex } from './styleModel.js';
+import { buildSymbolLayers, buildLabelLayer, buildLayerFilter, matchFontStack, createLayerId } from './layerBuilder.js';
+import { parseXml, childrenNamed, childNamed, pathNamed, textOf } from './xml.js';
+import { escapeXml } from '../export/svg.js';
+import { parseColor } from '../export/vectorScene.js';
+import {
+  createFilterGroup,
+  createFilterCondition,
+  parseFilterValue,
+  negateFilter
+} from '../utils/filters.js';
+
+const COMPARISONS = {
+  '==': 'PropertyIsEqualTo',
+  '!=': 'PropertyIsNotEqualTo',
+  '<': 'PropertyIsLessThan',
+  '<=': 'PropertyIsLessThanOrEqualTo',
+  '>': 'PropertyIsGreaterThan',
+  '>=': 'PropertyIsGreaterThanOrEqualTo'
+};
+
+/**
+ * Symbolizers and the layer type they become
+ */
+const SYMBOLIZER_TYPES = {
+  LineSymbolizer: 'line',
+  PolygonSymbolizer: 'fill',
+  PointSymbolizer: 'circle'
+};
+
+/**
+ * Rule elements that describe rather than draw
+ */
+const RULE_METADATA = ['Name', 'Title', 'Abstract', 'Description', 'LegendGraphic', 'Filter', 'ElseFilter',
+  'MinScaleDenominator', 'MaxScaleDenominator'];
+
+/**
+ * Convert a style to an SLD document
+ * @param {Object} style - MapLibre style
+ * @param {Object} options - Options (zoom, getLayerName, see describeStyle)
+ * @returns {Object} { content, untranslated }
+ */
+export function styleToSLD(style, options = {}) {
+  const { layers, untranslated } = describeStyle(style, options);
+  const report = (layerId, property, reason) => untranslated.push({ layerId, property, reason });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<StyledLayerDescriptor version="1.1.0" xmlns="http://www.opengis.net/sld" xmlns:se="http://www.opengis.net/se" ' +
+      'xmlns:ogc="http://www.opengis.net/ogc" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+      'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      'xsi:schemaLocation="http://www.opengis.net/sld http://schemas.opengis.net/sld/1.1.0/StyledLayerDescriptor.xsd">'
+  ];
+
+  // Group style layers by the data they draw
+  const groups = new Map();
+  for (const layer of layers) {
+    if (!groups.has(layer.sourceLayer)) {
+      groups.set(layer.sourceLayer, []);
+    }
+    groups.get(layer.sourceLayer).push(layer);
+  }
+
+  for (const [sourceLayer, group] of groups) {
+    lines.push(
+      '  <NamedLayer>',
+      `    <se:Name>${escapeXml(sourceLayer)}</se:Name>`,
+      '    <UserStyle>',
+      `      <se:Name>${escapeXml(sourceLayer)}</se:Name>`
+    );
+    for (const layer of group) {
+      lines.push(...writeFeatureTypeStyle(layer, report).map(line => `      ${line}`));
+    }
+    lines.push('    </UserStyle>', '  </NamedLayer>');
+  }
+
+  lines.push('</StyledLayerDescriptor>', '');
+  return { content: lines.join('\n'), untranslated };
+}
+
+/**
+ * Write a style layer as a FeatureTypeStyle
+ * @param {Object} layer - Layer model
+ * @param {Function} report - Records an untranslated property
+ * @returns {Array<string>} Lines
+ */
+function writeFeatureTypeStyle(layer, report) {
+  const lines = [
+    '<se:FeatureTypeStyle>',
+    `  <se:Name>${escapeXml(layer.id)}</se:Name>`,
+    `  <se:Description><se:Title>${escapeXml(layer.name)}</se:Title></se:Description>`
+  ];
+
+  for (const rule of layer.rules) {
+    lines.push(...writeRule(layer, rule.label || layer.name, rule.condition, writeSymbolizer(layer.type, rule.symbol)));
+  }
+  if (layer.label?.field) {
+    lines.push(...writeRule(layer, `${layer.name} labels`, null, writeTextSymbolizer(layer.label)));
+  }
+  if (!layer.visible) {
+    report(layer.id, 'visibility', 'Hidden layer exported as visible');
+  }
+
+  lines.push('</se:FeatureTypeStyle>');
+  return lines;
+}
+
+/**
+ * Write a Rule
+ * @param {Object} layer - Layer model
+ * @param {string} name - Rule name
+ * @param {Object|null} condition - Class condition (filter group)
+ * @param {Array<string>} symbolizer - Symbolizer lines
+ * @returns {Array<string>} Lines
+ */
+function writeRule(layer, name, condition, symbolizer) {
+  const lines = ['  <se:Rule>', `    <se:Name>${escapeXml(String(name))}</se:Name>`];
+
+  const filters = [layer.filter, condition].filter(node => node && node.conditions.length);
+  const filter = filters.length > 1 ? { type: 'group', combinator: 'all', conditions: filters } : filters[0];
+  if (filter) {
+    lines.push('    <ogc:Filter>', ...writeFilter(filter).map(line => `      ${line}`), '    </ogc:Filter>');
+  }
+
+  // Scale denominators: minzoom sets the largest scale shown, maxzoom the smallest
+  if (layer.maxzoom !== null) {
+    lines.push(`    <se:MinScaleDenominator>${zoomToScale(layer.maxzoom)}</se:MinScaleDenominator>`);
+  }
+  if (layer.minzoom !== null) {
+    lines.push(`    <se:MaxScaleDenominator>${zoomToScale(layer.minzoom)}</se:MaxScaleDenominator>`);
+  }
+
+  lines.push(...symbolizer.map(line => `    ${line}`), '  </se:Rule>');
+  return lines;
+}
+
+/**
+ * Write an OGC filter
+ * @param {Object} node - Filter group or condition
+ * @returns {Array<string>} Lines
+ */
+function writeFilter(node) {
+  if (node.type === 'group') {
+    if (node.conditions.length === 1) {
+      return writeFilter(node.conditions[0]);
+    }
+    const element = node.combinator === 'any' ? 'ogc:Or' : 'ogc:And';
+    return [`<${element}>`, ...node.conditions.flatMap(writeFilter).map(line => `  ${line}`), `</${element}>`];
+  }
+
+  const property = `<ogc:PropertyName>${escapeXml(node.field)}</ogc:PropertyName>`;
+  const compare = (operator, value) =>
+    `<ogc:${COMPARISONS[operator]}>${property}<ogc:Literal>${escapeXml(String(value))}</ogc:Literal></ogc:${COMPARISONS[operator]}>`;
+
+  switch (node.operator) {
+    case 'in':
+    case '!in': {
+      const values = node.value.map(value => compare(node.operator === 'in' ? '==' : '!=', value));
+      const element = node.operator === 'in' ? 'ogc:Or' : 'ogc:And';
+      return values.length === 1 ? values : [`<${element}>`, ...values.map(line => `  ${line}`), `</${element}>`];
+    }
+    case 'has':
+      return [`<ogc:Not><ogc:PropertyIsNull>${property}</ogc:PropertyIsNull></ogc:Not>`];
+    case '!has':
+      return [`<ogc:PropertyIsNull>${property}</ogc:PropertyIsNull>`];
+    default:
+      return [compare(node.operator, node.value)];
+  }
+}
+
+/**
+ * Write the symbolizer of a line, fill or circle symbol
+ * @param {string} type - Layer model type
+ * @param {Object} symbol - Symbol from the style model
+ * @returns {Array<string>} Lines
+ */
+function writeSymbolizer(type, symbol) {
+  if (type === 'line') {
+    return ['<se:LineSymbolizer>', ...writeStroke(symbol).map(line => `  ${line}`), '</se:LineSymbolizer>'];
+  }
+
+  if (type === 'fill') {
+    return [
+      '<se:PolygonSymbolizer>',
+      ...writeFill(symbol.fill, symbol.fillOpacity).map(line => `  ${line}`),
+      ...(symbol.stroke ? writeStroke(symbol).map(line => `  ${line}`) : []),
+      '</se:PolygonSymbolizer>'
+    ];
+  }
+
+  return [
+    '<se:PointSymbolizer>',
+    '  <se:Graphic>',
+    '    <se:Mark>',
+    '      <se:WellKnownName>circle</se:WellKnownName>',
+    ...writeFill(symbol.fill, symbol.fillOpacity).map(line => `      ${line}`),
+    ...(symbol.strokeWidth > 0 ? writeStroke(symbol).map(line => `      ${line}`) : []),
+    '    </se:Mark>',
+    `    <se:Size>${formatNumber(symbol.radius * 2)}</se:Size>`,
+    '  </se:Graphic>',
+    '</se:PointSymbolizer>'
+  ];
+}
+
+/**
+ * Write a Fill element
+ * @param {Object|null} color - { r, g, b, a }
+ * @param {number} opacity - Fill opacity
+ * @returns {Array<string>} Lines
+ */
+function writeFill(color, opacity = 1) {
+  if (!color) {
+    return [];
+  }
+  return [
+    '<se:Fill>',
+    `  <se:SvgParameter name="fill">${toHex(color)}</se:SvgParameter>`,
+    ...writeOpacity('fill-opacity', color.a * opacity).map(line => `  ${line}`),
+    '</se:Fill>'
+  ];
+}
+
+/**
+ * Write a Stroke element
+ * @param {Object} symbol - Symbol with stroke, strokeWidth, strokeOpacity, dasharray, lineCap, lineJoin
+ * @returns {Array<string>} Lines
+ */
+function writeStroke(symbol) {
+  if (!symbol.stroke) {
+    return [];
+  }
+
+  const lines = [
+    '<se:Stroke>',
+    `  <se:SvgParameter name="stroke">${toHex(symbol.stroke)}</se:SvgParameter>`,
+    `  <se:SvgParameter name="stroke-width">${formatNumber(symbol.strokeWidth)}</se:SvgParameter>`,
+    ...writeOpacity('stroke-opacity', symbol.stroke.a * (symbol.strokeOpacity ?? 1)).map(line => `  ${line}`)
+  ];
+  if (symbol.lineCap) {
+    lines.push(`  <se:SvgParameter name="stroke-linecap">${symbol.lineCap}</se:SvgParameter>`);
+  }
+  if (symbol.lineJoin) {
+    lines.push(`  <se:SvgParameter name="stroke-linejoin">${symbol.lineJoin === 'miter' ? 'mitre' : symbol.lineJoin}</se:SvgParameter>`);
+  }
+  if (symbol.dasharray) {
+    lines.push(`  <se:SvgParameter name="stroke-dasharray">${symbol.dasharray.map(formatNumber).join(' ')}</se:SvgParameter>`);
+  }
+  lines.push('</se:Stroke>');
+  return lines;
+}
+
+/**
+ * Write a TextSymbolizer for a label
+ * @param {Object} label - Label from the style model
+ * @returns {Array<string>} Lines
+ */
+function writeTextSymbolizer(label) {
+  const lines = [
+    '<se:TextSymbolizer>',
+    `  <se:Label><ogc:PropertyName>${escapeXml(label.field)}</ogc:PropertyName></se:Label>`,
+    '  <se:Font>',
+    `    <se:SvgParameter name="font-family">${escapeXml(label.fontFamily)}</se:SvgParameter>`,
+    `    <se:SvgParameter name="font-size">${formatNumber(label.size)}</se:SvgParameter>`
+  ];
+  if (/Bold|Semibold|Black/.test(label.fontStyle)) {
+    lines.push('    <se:SvgParameter name="font-weight">bold</se:SvgParameter>');
+  }
+  if (/Italic/.test(label.fontStyle)) {
+    lines.push('    <se:SvgParameter name="font-style">italic</se:SvgParameter>');
+  }
+  lines.push(
+    '  </se:Font>',
+    `  <se:LabelPlacement>${label.placement === 'line' ? '<se:LinePlacement/>' : '<se:PointPlacement/>'}</se:LabelPlacement>`
+  );
+  if (label.haloWidth > 0 && label.haloColor?.a > 0) {
+    lines.push(
+      '  <se:Halo>',
+      `    <se:Radius>${formatNumber(label.haloWidth)}</se:Radius>`,
+      ...writeFill(label.haloColor).map(line => `    ${line}`),
+      '  </se:Halo>'
+    );
+  }
+  lines.push(...writeFill(label.color, label.opacity).map(line => `  ${line}`), '</se:TextSymbolizer>');
+  return lines;
+}
+
+/**
+ * Write an opacity parameter unless it is fully opaque
+ * @param {string} name - Parameter name
+ * @param {number} value - Opacity 0–1
+ * @returns {Array<string>} Lines
+ */
+function writeOpacity(name, value) {
+  return value < 1 ? [`<se:SvgParameter name="${name}">${formatNumber(value)}</se:SvgParameter>`] : [];
+}
+
+/**
+ * Format a number compactly
+ * @param {number} value - Number
+ * @returns {string} Up to three decimals
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Read an SLD document into style layers
+ * Each NamedLayer becomes a group of layers for the import dialog to bind to
+ * a source.
+ * @param {string} text - SLD document
+ * @returns {Object} { layers, groups: [{ id, name, type, layerIds }], background, untranslated }
+ */
+export function readSLD(text) {
+  const root = parseXml(text);
+  if (root.localName !== 'StyledLayerDescriptor') {
+    throw new Error('Not an SLD document');
+  }
+
+  const layerIds = new Set();
+  const groupIds = new Set();
+  const result = { layers: [], groups: [], background: null, untranslated: [] };
+
+  for (const namedLayer of [...childrenNamed(root, 'NamedLayer'), ...childrenNamed(root, 'UserLayer')]) {
+    const name = textOf(childNamed(namedLayer, 'Name')) || `Layer ${result.groups.length + 1}`;
+    const group = { id: createLayerId(groupIds, name), name, type: null, layerIds: [] };
+
+    for (const userStyle of childrenNamed(namedLayer, 'UserStyle')) {
+      for (const featureTypeStyle of childrenNamed(userStyle, 'FeatureTypeStyle')) {
+        readFeatureTypeStyle(featureTypeStyle, group, layerIds, result);
+      }
+    }
+    if (group.layerIds.length) {
+      result.groups.push(group);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read the rules of a FeatureTypeStyle
+ * @param {Element} featureTypeStyle - FeatureTypeStyle element
+ * @param {Object} group - Group the layers belong to (layerIds and type are updated)
+ * @param {Set<string>} layerIds - Layer IDs in use
+ * @param {Object} result - Reader result (layers and untranslated are appended to)
+ */
+function readFeatureTypeStyle(featureTypeStyle, group, layerIds, result) {
+  const ruleElements = childrenNamed(featureTypeStyle, 'Rule');
+  const rules = ruleElements.map((rule, index) => {
+    const title = textOf(pathNamed(rule, 'Description', 'Title')) || textOf(childNamed(rule, 'Title')) ||
+      textOf(childNamed(rule, 'Name'));
+    const name = title || (ruleElements.length > 1 ? `${group.name} ${index + 1}` : group.name);
+    const report = (property, reason) => result.untranslated.push({ layerId: name, property, reason });
+    const filterElement = childNamed(rule, 'Filter');
+    let filter = null;
+    if (filterElement) {
+      filter = readFilter(childrenNamed(filterElement)[0]);
+      if (!filter) {
+        report('Filter', 'Unsupported filter; the rule applies to all features');
+      }
+    }
+    return { element: rule, name, report, filter, isElse: Boolean(childNamed(rule, 'ElseFilter')) };
+  });
+
+  for (const rule of rules) {
+    let condition = rule.filter;
+    if (rule.isElse) {
+      // Features no other rule of the style draws
+      const others = rules.filter(other => other !== rule && other.filter).map(other => negateFilter(other.filter));
+      condition = others.length ? { ...createFilterGroup('all'), conditions: others } : null;
+    }
+    const filter = buildLayerFilter(condition);
+
+    const maxScale = Number(textOf(childNamed(rule.element, 'MaxScaleDenominator')));
+    const minScale = Number(textOf(childNamed(rule.element, 'MinScaleDenominator')));
+    const zoomRange = {
+      filter,
+      minzoom: maxScale > 0 && Number.isFinite(maxScale) ? Math.max(0, scaleToZoom(maxScale)) : null,
+      maxzoom: minScale > 0 ? Math.min(24, scaleToZoom(minScale)) : null
+    };
+
+    let target = null;
+    for (const symbolizer of childrenNamed(rule.element)) {
+      const name = symbolizer.localName;
+      if (RULE_METADATA.includes(name)) {
+        continue;
+      }
+      if (/metre|foot/.test(symbolizer.getAttribute('uom') || '')) {
+        rule.report(`${name} uom`, 'Ground units read as pixels');
+      }
+
+      if (SYMBOLIZER_TYPES[name]) {
+        const type = SYMBOLIZER_TYPES[name];
+        const layers = buildSymbolLayers({
+          id: createLayerId(layerIds, rule.name.startsWith(group.name) ? rule.name : `${group.name}-${rule.name}`),
+          name: rule.name,
+          type,
+          symbol: readSymbol(symbolizer, type, rule.report),
+          ...zoomRange
+        });
+        group.type ??= type;
+        target = layers[0] || target;
+        addLayers(layers, group, result);
+      } else if (name === 'TextSymbolizer') {
+        const label = readLabel(symbolizer, rule.report);
+        if (label) {
+          addLayers([buildLabelLayer({
+            id: createLayerId(layerIds, `${rule.name.startsWith(group.name) ? rule.name : `${group.name}-${rule.name}`}-labels`),
+            target,
+            name: rule.name,
+            label,
+            ...zoomRange
+          })], group, result);
+        }
+      } else {
+        rule.report(name, 'No equivalent');
+      }
+    }
+  }
+}
+
+/**
+ * Add layers to the reader result and their group
+ * @param {Array<Object>} layers - Layers
+ * @param {Object} group - Group
+ * @param {Object} result - Reader result
+ */
+function addLayers(layers, group, result) {
+  result.layers.push(...layers);
+  group.layerIds.push(...layers.map(layer => layer.id));
+}
+
+/**
+ * Read an OGC filter operator into a filter model node
+ * @param {Element} element - Operator element (e.g. PropertyIsEqualTo)
+ * @returns {Object|null} Group or condition, or null when unsupported
+ */
+function readFilter(element) {
+  if (!element) {
+    return null;
+  }
+  const name = element.localName;
+
+  if (name === 'And' || name === 'Or') {
+    const conditions = childrenNamed(element).map(readFilter);
+    if (conditions.includes(null)) {
+      return null;
+    }
+    return { ...createFilterGroup(name === 'Or' ? 'any' : 'all'), conditions };
+  }
+
+  if (name === 'Not') {
+    const inner = readFilter(childrenNamed(element)[0]);
+    return inner ? negateFilter(inner) : null;
+  }
+
+  const field = textOf(childNamed(element, 'PropertyName'));
+  if (!field) {
+    return null;
+  }
+
+  if (name === 'PropertyIsNull') {
+    return createFilterCondition(field, '!has', '');
+  }
+  if (name === 'PropertyIsBetween') {
+    return {
+      ...createFilterGroup('all'),
+      conditions: [
+        createFilterCondition(field, '>=', parseFilterValue(textOf(pathNamed(element, 'LowerBoundary', 'Literal')))),
+        createFilterCondition(field, '<=', parseFilterValue(textOf(pathNamed(element, 'UpperBoundary', 'Literal'))))
+      ]
+    };
+  }
+
+  const operator = Object.keys(COMPARISONS).find(key => COMPARISONS[key] === name);
+  const literal = childNamed(element, 'Literal');
+  if (!operator || !literal) {
+    return null;
+  }
+  return createFilterCondition(field, operator, parseFilterValue(textOf(literal)));
+}
+
+/**
+ * Read the SvgParameter (SE) or CssParameter (SLD 1.0) values of an element
+ * @param {Element|null} element - Fill, Stroke or Font element
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object} Values keyed by parameter name
+ */
+function readParameters(element, report) {
+  const values = {};
+  for (const parameter of [...childrenNamed(element, 'SvgParameter'), ...childrenNamed(element, 'CssParameter')]) {
+    const name = parameter.getAttribute('name');
+    if (childrenNamed(parameter).some(child => child.localName !== 'Literal')) {
+      report(name, 'Data-driven values are not imported');
+      continue;
+    }
+    values[name] ??= textOf(parameter);
+  }
+  return values;
+}
+
+/**
+ * Read a symbolizer's fill and stroke
+ * @param {Element} symbolizer - Line, Polygon or PointSymbolizer
+ * @param {string} type - Layer type
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object} Symbol
+ */
+function readSymbol(symbolizer, type, report) {
+  if (type === 'circle') {
+    const graphic = childNamed(symbolizer, 'Graphic');
+    const mark = childNamed(graphic, 'Mark');
+    if (!mark) {
+      report('ExternalGraphic', 'Images are drawn as circles');
+    } else if (!['', 'circle'].includes(textOf(childNamed(mark, 'WellKnownName')))) {
+      report('WellKnownName', `${textOf(childNamed(mark, 'WellKnownName'))} marks are drawn as circles`);
+    }
+    const opacity = Number(textOf(childNamed(graphic, 'Opacity')) || 1);
+    const fill = readFill(childNamed(mark, 'Fill'), report, mark ? '#808080' : '#000000');
+    const stroke = childNamed(mark, 'Stroke') ? readStroke(childNamed(mark, 'Stroke'), report) : null;
+    return {
+      ...fill,
+      fillOpacity: fill.fillOpacity * opacity,
+      ...(stroke || { stroke: null, strokeWidth: 0, strokeOpacity: 1 }),
+      radius: Number(textOf(childNamed(graphic, 'Size')) || 6) / 2
+    };
+  }
+
+  const strokeElement = childNamed(symbolizer, 'Stroke');
+  const stroke = type === 'line' || strokeElement ? readStroke(strokeElement, report) : null;
+  const fill = type === 'fill' && childNamed(symbolizer, 'Fill') ? readFill(childNamed(symbolizer, 'Fill'), report) : null;
+  return {
+    fill: fill?.fill || null,
+    fillOpacity: fill?.fillOpacity ?? 1,
+    ...(stroke || { stroke: null, strokeWidth: 0, strokeOpacity: 1 })
+  };
+}
+
+/**
+ * Read a Fill element
+ * @param {Element|null} element - Fill element
+ * @param {Function} report - Records an untranslated property
+ * @param {string} fallback - Color when none is given (SE default gray)
+ * @returns {Object} { fill, fillOpacity }
+ */
+function readFill(element, report, fallback = '#808080') {
+  if (childNamed(element, 'GraphicFill')) {
+    report('GraphicFill', 'Pattern fills are drawn as solid fills');
+  }
+  const values = readParameters(element, report);
+  return {
+    fill: parseColor(values.fill || fallback),
+    fillOpacity: Number(values['fill-opacity'] ?? 1)
+  };
+}
+
+/**
+ * Read a Stroke element
+ * @param {Element|null} element - Stroke element (SE defaults when missing)
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object} Stroke part of a symbol
+ */
+function readStroke(element, report) {
+  if (childNamed(element, 'GraphicStroke')) {
+    report('GraphicStroke', 'Image strokes are drawn as solid lines');
+  }
+  const values = readParameters(element, report);
+  const dasharray = (values['stroke-dasharray'] || '').split(/[\s,]+/).filter(Boolean).map(Number);
+  return {
+    stroke: parseColor(values.stroke || '#000000'),
+    strokeWidth: Number(values['stroke-width'] ?? 1),
+    strokeOpacity: Number(values['stroke-opacity'] ?? 1),
+    dasharray: dasharray.length && dasharray.every(Number.isFinite) ? dasharray : null,
+    lineCap: values['stroke-linecap'] || 'butt',
+    lineJoin: values['stroke-linejoin'] === 'mitre' || !values['stroke-linejoin'] ? 'miter' : values['stroke-linejoin']
+  };
+}
+
+/**
+ * Read a TextSymbolizer
+ * @param {Element} symbolizer - TextSymbolizer element
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object|null} Label, or null when it doesn't show a single attribute
+ */
+function readLabel(symbolizer, report) {
+  const labelElement = childNamed(symbolizer, 'Label');
+  const properties = childrenNamed(labelElement, 'PropertyName');
+  if (properties.length !== 1 || childrenNamed(labelElement).length !== 1) {
+    report('Label', 'Only labels showing one attribute are imported');
+    return null;
+  }
+
+  const font = readParameters(childNamed(symbolizer, 'Font'), report);
+  const family = (font['font-family'] || 'Noto Sans').split(',')[0].trim();
+  const style = [font['font-weight'] === 'bold' ? 'Bold' : '', /italic|oblique/.test(font['font-style'] || '') ? 'Italic' : '']
+    .filter(Boolean).join(' ') || 'Regular';
+  const { fontName, substituted } = matchFontStack(family, style);
+  if (substituted) {
+    report('font-family', `"${family} ${style}" is not available; using ${fontName}`);
+  }
+
+  const halo = childNamed(symbolizer, 'Halo');
+  const fill = readFill(childNamed(symbolizer, 'Fill'), report, '#000000');
+  const haloFill = halo ? readFill(childNamed(halo, 'Fill'), report, '#ffffff') : null;
+  return {
+    field: textOf(properties[0]),
+    fontName,
+    size: Number(font['font-size'] || 10),
+    color: fill.fill,
+    opacity: fill.fillOpacity,
+    haloColor: haloFill ? { ...haloFill.fill, a: haloFill.fill.a * haloFill.fillOpacity } : null,
+    haloWidth: halo ? Number(textOf(childNamed(halo, 'Radius')) || 1) : 0,
+    placement: pathNamed(symbolizer, 'LabelPlacement', 'LinePlacement') ? 'line' : 'point'
+  };
+}
@@ -0,0 +1,450 @@
+/**
+ * Format-neutral description of a style's layers
+ * The SLD, QML and CartoCSS writers read the style through this model: fixed
+ * symbol values, one rule per class of a data-driven property, a filter tree
+ * and label settings. Whatever the model can't express is listed as
+ * untranslated so users know what to redo by hand.
+ */
+
+import { isExpression, parseZoomExpression, evaluateAtZoom, parseDataExpression } from '../utils/expressions.js';
+import { parseFilterExpression, createFilterGroup, createFilterCondition, GEOMETRY_FIELD } from '../utils/filters.js';
+import { getLabelTarget, getLabelField } from '../styles/labels.js';
+import { parseColor } from '../export/vectorScene.js';
+
+/**
+ * Paint and layout properties each layer type's symbol is built from
+ */
+const SYMBOL_PROPERTIES = {
+  line: {
+    paint: ['line-color', 'line-width', 'line-opacity', 'line-dasharray'],
+    layout: ['line-cap', 'line-join']
+  },
+  fill: {
+    paint: ['fill-color', 'fill-opacity', 'fill-outline-color', 'fill-antialias'],
+    layout: []
+  },
+  'fill-extrusion': {
+    paint: ['fill-extrusion-color', 'fill-extrusion-opacity'],
+    layout: []
+  },
+  circle: {
+    paint: ['circle-color', 'circle-radius', 'circle-opacity', 'circle-stroke-color', 'circle-stroke-width', 'circle-stroke-opacity'],
+    layout: []
+  }
+};
+
+/**
+ * Label properties carried over from symbol layers
+ */
+const LABEL_PROPERTIES = {
+  paint: ['text-color', 'text-opacity', 'text-halo-color', 'text-halo-width'],
+  layout: ['text-field', 'text-font', 'text-size', 'symbol-placement']
+};
+
+/**
+ * Editor settings with no effect on the rendered map
+ */
+const IGNORED_LAYOUT_PROPERTIES = ['visibility', 'text-allow-overlap', 'text-overlap', 'text-ignore-placement', 'text-padding', 'symbol-spacing'];
+
+/**
+ * Font stack name suffixes that are a font style rather than a family
+ */
+const FONT_STYLES = ['Regular', 'Bold', 'Italic', 'Bold Italic', 'Semibold', 'Light', 'Medium', 'Black'];
+
+/**
+ * Scale denominator at MapLibre zoom 0 (512-pixel tiles, 0.28 mm pixels)
+ */
+const ZOOM_0_SCALE = 279541132.014;
+
+/**
+ * Describe a style's layers for the format writers
+ * Zoom-dependent values are fixed at the given zoom. Label layers are folded
+ * into the layer they label when it is exported too.
+ * @param {Object} style - MapLibre style
+ * @param {Object} options - Options
+ * @param {number} options.zoom - Zoom to fix zoom-dependent values at
+ * @param {Function} options.getLayerName - Display name for a layer ID
+ * @returns {Object} { background, layers, untranslated } — layers in draw order:
+ *   { id, name, type, source, sourceLayer, visible, minzoom, maxzoom, filter, rules, label,
+ *   styleLayerIds } (styleLayerIds includes a folded label layer);
+ *   rules: [{ label, condition, symbol }]; untranslated: [{ layerId, property, reason }]
+ */
+export function describeStyle(style, { zoom = 10, getLayerName = id => id } = {}) {
+  const untranslated = [];
+  const layers = [];
+  let background = null;
+
+  for (const layer of style.layers) {
+    const report = (property, reason) => untranslated.push({ layerId: layer.id, property, reason });
+
+    if (layer.type === 'background') {
+      background = {
+        color: parseColor(resolveValue(layer, 'paint', 'background-color', '#000000', zoom, report)),
+        opacity: resolveValue(layer, 'paint', 'background-opacity', 1, zoom, report)
+      };
+      reportOthers(layer, { paint: ['background-color', 'background-opacity'], layout: [] }, report);
+      continue;
+    }
+
+    if (layer.type === 'symbol' && layer.layout?.['text-field'] !== undefined) {
+      const label = describeLabel(layer, zoom, report);
+      const target = layers.find(model => model.id === getLabelTarget(layer));
+      if (target && !target.label) {
+        target.label = label;
+        target.styleLayerIds.push(layer.id);
+      } else {
+        layers.push({ ...describeBase(layer, getLayerName, report), rules: [], label });
+      }
+      reportOthers(layer, LABEL_PROPERTIES, report);
+      continue;
+    }
+
+    if (!SYMBOL_PROPERTIES[layer.type]) {
+      report('type', `${layer.type} layers have no equivalent`);
+      continue;
+    }
+
+    if (layer.type === 'fill-extrusion') {
+      report('fill-extrusion-height', '3D extrusion exported as a flat fill');
+    }
+    layers.push({
+      ...describeBase(layer, getLayerName, report),
+      rules: describeRules(layer, zoom, report),
+      label: null
+    });
+    reportOthers(layer, SYMBOL_PROPERTIES[layer.type], report);
+  }
+
+  return { background, layers, untranslated };
+}
+
+/**
+ * Describe what every layer model has in common
+ * @private
+ * @param {Object} layer - Style layer
+ * @param {Function} getLayerName - Display name for a layer ID
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object} Layer model without rules and label
+ */
+function describeBase(layer, getLayerName, report) {
+  const filter = parseFilterExpression(layer.filter);
+  if (!filter) {
+    report('filter', 'Filter too complex to translate; all features are shown');
+  } else if (removeGeometryConditions(filter)) {
+    report('filter', 'Geometry type conditions dropped');
+  }
+
+  return {
+    id: layer.id,
+    name: getLayerName(layer.id),
+    type: layer.type === 'fill-extrusion' ? 'fill' : layer.type,
+    source: layer.source,
+    sourceLayer: layer['source-layer'] || layer.source,
+    visible: layer.layout?.visibility !== 'none',
+    minzoom: layer.minzoom ?? null,
+    maxzoom: layer.maxzoom ?? null,
+    filter: filter && filter.conditions.length ? filter : null,
+    styleLayerIds: [layer.id]
+  };
+}
+
+/**
+ * Describe a layer's rules: one per class of its first data-driven property
+ * @private
+ * @param {Object} layer - Style layer
+ * @param {number} zoom - Zoom to fix zoom-dependent values at
+ * @param {Function} report - Records an untranslated property
+ * @returns {Array<Object>} Rules: { label, condition, symbol }
+ */
+function describeRules(layer, zoom, report) {
+  const classProperty = SYMBOL_PROPERTIES[layer.type].paint.find(property => parseDataExpression(layer.paint?.[property]));
+  if (!classProperty) {
+    return [{ label: null, condition: null, symbol: describeSymbol(layer, zoom, report) }];
+  }
+
+  const expression = layer.paint[classProperty];
+  const model = parseDataExpression(expression);
+  if (model.curve === 'interpolate') {
+    report(classProperty, `Interpolated by ${model.field}; exported as classes between its stops`);
+  }
+
+  // Properties shared by all classes are reported once
+  return getClassConditions(expression, model.field).map(({ label, condition, output }, index) => ({
+    label,
+    condition,
+    symbol: describeSymbol({ ...layer, paint: { ...layer.paint, [classProperty]: output } }, zoom, index === 0 ? report : () => {})
+  }));
+}
+
+/**
+ * Get the condition and output of each class of a data-driven expression
+ * @private
+ * @param {Array} expression - match, step or interpolate expression
+ * @param {string} field - Attribute the expression reads
+ * @returns {Array<Object>} Classes: { label, condition, output }
+ */
+function getClassConditions(expression, field) {
+  const classes = [];
+  const group = (...conditions) => {
+    const node = createFilterGroup('all');
+    node.conditions.push(...conditions);
+    return node;
+  };
+
+  if (expression[0] === 'match') {
+    const pairs = expression.slice(2, -1);
+    const allValues = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      const values = Array.isArray(pairs[i]) ? pairs[i] : [pairs[i]];
+      allValues.push(...values);
+      classes.push({
+        label: values.join(', '),
+        condition: group(values.length === 1
+          ? createFilterCondition(field, '==', values[0])
+          : createFilterCondition(field, 'in', values)),
+        output: pairs[i + 1]
+      });
+    }
+    classes.push({
+      label: 'Other',
+      condition: group(createFilterCondition(field, '!in', allValues)),
+      output: expression[expression.length - 1]
+    });
+    return classes;
+  }
+
+  // step: [step, input, output0, stop1, output1, ...]; interpolate: [interpolate, type, input, stop0, output0, ...]
+  const stops = expression[0] === 'step'
+    ? [[-Infinity, expression[2]], ...pairsOf(expression.slice(3))]
+    : pairsOf(expression.slice(3));
+  stops.forEach(([lower, output], index) => {
+    const upper = stops[index + 1]?.[0];
+    const conditions = [];
+    if (index > 0) {
+      conditions.push(createFilterCondition(field, '>=', lower));
+    }
+    if (upper !== undefined) {
+      conditions.push(createFilterCondition(field, '<', upper));
+    }
+    classes.push({
+      label: stops.length === 1 ? 'All' : upper === undefined ? `≥ ${lower}` : index === 0 ? `< ${upper}` : `${lower} – ${upper}`,
+      condition: group(...conditions),
+      output
+    });
+  });
+  return classes;
+}
+
+/**
+ * Split a flat list into pairs
+ * @private
+ * @param {Array} list - [a, b, c, d, ...]
+ * @returns {Array<Array>} [[a, b], [c, d], ...]
+ */
+function pairsOf(list) {
+  const pairs = [];
+  for (let i = 0; i + 1 < list.length; i += 2) {
+    pairs.push([list[i], list[i + 1]]);
+  }
+  return pairs;
+}
+
+/**
+ * Describe a layer's symbol with fixed values
+ * Uses the shape of captured vector styles: fill, stroke ({ r, g, b, a }),
+ * fillOpacity, strokeOpacity, strokeWidth, dasharray (pixels), lineCap,
+ * lineJoin and radius.
+ * @private
+ * @param {Object} layer - Style layer
+ * @param {number} zoom - Zoom to fix zoom-dependent values at
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object} Symbol
+ */
+function describeSymbol(layer, zoom, report) {
+  const paint = (property, fallback) => resolveValue(layer, 'paint', property, fallback, zoom, report);
+  const layout = (property, fallback) => resolveValue(layer, 'layout', property, fallback, zoom, report);
+
+  switch (layer.type) {
+    case 'line': {
+      const width = paint('line-width', 1);
+      const dasharray = paint('line-dasharray', null);
+      return {
+        fill: null,
+        stroke: parseColor(paint('line-color', '#000000')),
+        strokeWidth: width,
+        strokeOpacity: paint('line-opacity', 1),
+        // Dash lengths are in line widths
+        dasharray: Array.isArray(dasharray) ? dasharray.map(length => length * width) : null,
+        lineCap: layout('line-cap', 'butt'),
+        lineJoin: layout('line-join', 'miter')
+      };
+    }
+    case 'fill':
+    case 'fill-extrusion': {
+      const prefix = layer.type;
+      const outline = layer.type === 'fill' ? paint('fill-outline-color', null) : null;
+      return {
+        fill: parseColor(paint(`${prefix}-color`, '#000000')),
+        fillOpacity: paint(`${prefix}-opacity`, 1),
+        stroke: outline ? parseColor(outline) : null,
+        strokeWidth: outline ? 1 : 0,
+        strokeOpacity: 1
+      };
+    }
+    case 'circle':
+      return {
+        fill: parseColor(paint('circle-color', '#000000')),
+        fillOpacity: paint('circle-opacity', 1),
+        radius: paint('circle-radius', 5),
+        stroke: parseColor(paint('circle-stroke-color', '#000000')),
+        strokeWidth: paint('circle-stroke-width', 0),
+        strokeOpacity: paint('circle-stroke-opacity', 1)
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe a symbol layer's text label
+ * @private
+ * @param {Object} layer - Symbol layer
+ * @param {number} zoom - Zoom to fix zoom-dependent values at
+ * @param {Function} report - Records an untranslated property
+ * @returns {Object} { field, fontName, fontFamily, fontStyle, size, color, opacity, haloColor, haloWidth, placement }
+ */
+function describeLabel(layer, zoom, report) {
+  const paint = (property, fallback) => resolveValue(layer, 'paint', property, fallback, zoom, report);
+  const layout = (property, fallback) => resolveValue(layer, 'layout', property, fallback, zoom, report);
+
+  const field = getLabelField(layer);
+  if (!field) {
+    report('text-field', 'Only labels showing one attribute can be translated');
+  }
+
+  const fonts = layer.layout?.['text-font'];
+  const fontName = Array.isArray(fonts) && typeof fonts[0] === 'string' ? fonts[0] : 'Open Sans Regular';
+
+  return {
+    field,
+    fontName,
+    ...splitFontName(fontName),
+    size: layout('text-size', 16),
+    color: parseColor(paint('text-color', '#000000')),
+    opacity: paint('text-opacity', 1),
+    haloColor: parseColor(paint('text-halo-color', 'rgba(0, 0, 0, 0)')),
+    haloWidth: paint('text-halo-width', 0),
+    placement: layout('symbol-placement', 'point') === 'point' ? 'point' : 'line'
+  };
+}
+
+/**
+ * Resolve a property to a fixed value
+ * @private
+ * @param {Object} layer - Style layer
+ * @param {string} kind - 'paint' or 'layout'
+ * @param {string} property - Property name
+ * @param {*} fallback - Default value
+ * @param {number} zoom - Zoom to fix zoom-dependent values at
+ * @param {Function} report - Records an untranslated property
+ * @returns {*} Value
+ */
+function resolveValue(layer, kind, property, fallback, zoom, report) {
+  const value = layer[kind]?.[property];
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (property === 'text-field' || property === 'text-font') {
+    return value;
+  }
+  if (!isExpression(value) || (property === 'line-dasharray' && value.every(n => typeof n === 'number'))) {
+    return value;
+  }
+
+  if (parseZoomExpression(value)) {
+    report(property, `Zoom-dependent; exported at zoom ${Math.round(zoom * 10) / 10}`);
+    return evaluateAtZoom(value, zoom, fallback);
+  }
+
+  report(property, 'Expression not supported; default used');
+  return fallback;
+}
+
+/**
+ * Report properties a layer sets that the model doesn't carry
+ * @private
+ * @param {Object} layer - Style layer
+ * @param {Object} handled - { paint, layout } property names the model reads
+ * @param {Function} report - Records an untranslated property
+ */
+function reportOthers(layer, handled, report) {
+  for (const kind of ['paint', 'layout']) {
+    for (const property of Object.keys(layer[kind] || {})) {
+      if (!handled[kind].includes(property) && !IGNORED_LAYOUT_PROPERTIES.includes(property)) {
+        report(property, 'No equivalent');
+      }
+    }
+  }
+}
+
+/**
+ * Remove conditions on the geometry type from a filter tree
+ * @private
+ * @param {Object} group - Filter group (changed in place)
+ * @returns {boolean} True if any were removed
+ */
+function removeGeometryConditions(group) {
+  let removed = false;
+  group.conditions = group.conditions.filter((node) => {
+    if (node.type === 'group') {
+      removed = removeGeometryConditions(node) || removed;
+      return node.conditions.length > 0;
+    }
+    if (node.field === GEOMETRY_FIELD) {
+      removed = true;
+      return false;
+    }
+    return true;
+  });
+  return removed;
+}
+
+/**
+ * Convert a MapLibre zoom to a map scale denominator
+ * @param {number} zoom - Zoom level
+ * @returns {number} Scale denominator (e.g. 17061 for 1:17,061)
+ */
+export function zoomToScale(zoom) {
+  return Math.round(ZOOM_0_SCALE / Math.pow(2, zoom));
+}
+
+/**
+ * Convert a map scale denominator to a MapLibre zoom level
+ * @param {number} scale - Scale denominator
+ * @returns {number} Zoom level, to two decimals
+ */
+export function scaleToZoom(scale) {
+  return Math.round(Math.log2(ZOOM_0_SCALE / scale) * 100) / 100;
+}
+
+/**
+ * Split a font stack name into family and style
+ * @param {string} fontName - Font stack name (e.g. "Noto Sans Bold")
+ * @returns {Object} { fontFamily, fontStyle } (e.g. "Noto Sans", "Bold")
+ */
+export function splitFontName(fontName) {
+  const fontStyle = FONT_STYLES.find(style => fontName.endsWith(` ${style}`)) || 'Regular';
+  return {
+    fontFamily: fontName.endsWith(` ${fontStyle}`) ? fontName.slice(0, -fontStyle.length - 1) : fontName,
+    fontStyle
+  };
+}
+
+/**
+ * Format a color as hex, ignoring alpha
+ * @param {Object} color - { r, g, b }
+ * @returns {string} #rrggbb
+ */
+export function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
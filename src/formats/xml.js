@@ -0,0 +1,58 @@
+/**
+ * XML helpers for the SLD and QML readers
+ * Elements are matched by local name so prefixed (se:, ogc:, sld:) and
+ * unprefixed documents read the same.
+ */
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML text
+ * @returns {Element} Root element
+ */
+export function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const error = doc.getElementsByTagName('parsererror')[0];
+  if (error) {
+    throw new Error(`Invalid XML: ${error.textContent.split('\n')[0]}`);
+  }
+  return doc.documentElement;
+}
+
+/**
+ * Get the child elements with a local name
+ * @param {Element} element - Parent element
+ * @param {string} name - Local name (any when omitted)
+ * @returns {Array<Element>} Children in document order
+ */
+export function childrenNamed(element, name) {
+  return Array.from(element?.children || []).filter(child => !name || child.localName === name);
+}
+
+/**
+ * Get the first child element with a local name
+ * @param {Element} element - Parent element
+ * @param {string} name - Local name
+ * @returns {Element|null} Child
+ */
+export function childNamed(element, name) {
+  return childrenNamed(element, name)[0] || null;
+}
+
+/**
+ * Follow a path of local names
+ * @param {Element} element - Start element
+ * @param {...string} names - Local names
+ * @returns {Element|null} Element at the end of the path
+ */
+export function pathNamed(element, ...names) {
+  return names.reduce((current, name) => childNamed(current, name), element);
+}
+
+/**
+ * Get an element's trimmed text
+ * @param {Element|null} element - Element
+ * @returns {string} Text ('' when missing)
+ */
+export function textOf(element) {
+  return element?.textContent.trim() || '';
+}
@@ -5,11 +5,23 @@
 
 import { MapController } from './map/MapController.js';
 import { AppState } from './state/AppState.js';
+import { SessionStore } from './state/SessionStore.js';
+import { UrlStateSync } from './state/UrlStateSync.js';
 import { LayerControls } from './ui/LayerControls.js';
 import { StyleControls } from './ui/StyleControls.js';
 import { ExportControls } from './ui/ExportControls.js';
 import { ErrorDisplay } from './ui/ErrorDisplay.js';
 import { ThemeSelector } from './ui/ThemeSelector.js';
+import { AddDataControls } from './ui/AddDataControls.js';
+import { CodeEditor } from './ui/CodeEditor.js';
+import { ProjectManager } from './ui/ProjectManager.js';
+import { HistoryPanel } from './ui/HistoryPanel.js';
+import { Legend } from './ui/Legend.js';
+import { ImageExportDialog } from './ui/ImageExportDialog.js';
+import { LayoutComposer } from './ui/LayoutComposer.js';
+import { StyleExportDialog } from './ui/StyleExportDialog.js';
+import { StyleImportDialog } from './ui/StyleImportDialog.js';
+import { StyleDiffDialog } from './ui/StyleDiffDialog.js';
 import { supportsFeature } from './utils/helpers.js';
 
 class MapRemixApp {
@@ -21,6 +33,13 @@ class MapRemixApp {
     this.exportControls = null;
     this.errorDisplay = null;
     this.themeSelector = null;
+    this.addDataControls = null;
+    this.codeEditor = null;
+    this.sessionStore = null;
+    this.projectManager = null;
+    this.historyPanel = null;
+    this.urlStateSync = null;
+    this.legend = null;
     this.isInitialized = false;
   }
 
@@ -46,6 +65,9 @@ class MapRemixApp {
       // Setup keyboard shortcuts
       this._setupKeyboardShortcuts();
 
+      // Open a shared link or offer to restore autosaved work, then keep both up to date
+      await this._restoreSession();
+
       this.isInitialized = true;
       console.log('Map Remix initialized successfully!');
 
@@ -113,48 +135,182 @@ class MapRemixApp {
       }
     });
     
+    // Read tile schemas first so the map starts with the real source-layer names
+    const tileSchema = await this.mapController.inspectTileSources(this.appState.getCurrentStyle());
+    const schemaReport = this.appState.applyTileSchema(tileSchema);
+    schemaReport.renamed.forEach(({ layerId, from, to }) => {
+      console.info(`Layer ${layerId}: source-layer "${from}" not found in tiles, using "${to}"`);
+    });
+    this.mapController.setInitialStyle(this.appState.getCurrentStyle());
+
     await this.mapController.initializeMap();
 
+    // Whole-style changes (undo/redo, history jumps, themes, reset, import,
+    // restore) all reconcile the map from AppState here
+    this.appState.on('styleChanged', (data) => {
+      if (data.previousStyle) {
+        this.mapController.updateStyle(this.appState.getCurrentStyle());
+      }
+    });
+
     // Initialize UI components
     const layerControlsContainer = document.getElementById('layer-controls');
     this.layerControls = new LayerControls(layerControlsContainer, this.appState, this.mapController);
 
+    const legendContainer = document.getElementById('legend');
+    this.legend = new Legend(legendContainer, this.appState, this.mapController);
+
     const styleControlsContainer = document.getElementById('style-controls');
     this.styleControls = new StyleControls(styleControlsContainer, this.appState, this.mapController);
 
     const themeSelectorContainer = document.getElementById('theme-selector');
     this.themeSelector = new ThemeSelector(themeSelectorContainer, this.appState, this.mapController);
 
+    const addDataContainer = document.getElementById('add-data');
+    this.addDataControls = new AddDataControls(addDataContainer, this.appState, this.mapController);
+
+    const historyPanelContainer = document.getElementById('history-panel');
+    this.historyPanel = new HistoryPanel(historyPanelContainer, this.appState, this.mapController);
+
     // Initialize export controls
     this.exportControls = new ExportControls(this.appState, this.mapController);
 
+    const styleExportContainer = document.getElementById('style-export-dialog');
+    this.styleExportDialog = new StyleExportDialog(styleExportContainer, this.appState, this.mapController, this.exportControls);
+
+    const styleImportContainer = document.getElementById('style-import-dialog');
+    this.styleImportDialog = new StyleImportDialog(styleImportContainer, this.appState, this.mapController, this.exportControls);
+
+    const imageExportContainer = document.getElementById('image-export-dialog');
+    this.imageExportDialog = new ImageExportDialog(imageExportContainer, this.appState, this.mapController, this.exportControls);
+
+    const layoutComposerContainer = document.getElementById('layout-composer');
+    this.layoutComposer = new LayoutComposer(layoutComposerContainer, this.appState, this.mapController, this.exportControls);
+
+    this.sessionStore = new SessionStore(this.appState, this.mapController);
+    this.urlStateSync = new UrlStateSync(this.appState, this.mapController);
+
+    const projectManagerContainer = document.getElementById('project-manager');
+    this.projectManager = new ProjectManager(projectManagerContainer, this.appState, this.mapController, this.sessionStore);
+
+    const styleDiffContainer = document.getElementById('style-diff-dialog');
+    this.styleDiffDialog = new StyleDiffDialog(styleDiffContainer, this.appState, this.mapController, this.exportControls, this.projectManager.projectStore);
+
     console.log('Core components initialized');
   }
 
+  /**
+   * Open the state in a shared link, or restore the autosaved session (after
+   * asking), then start autosaving and syncing the URL
+   * @private
+   */
+  async _restoreSession() {
+    const linkState = await this.urlStateSync.read();
+    const session = await this.sessionStore.load();
+    const canRestore = session && session.fallback === this.appState.isFallbackMode;
+    const savedAt = canRestore && new Date(session.savedAt).toLocaleString();
+
+    if (linkState && !(canRestore && this.sessionStore.hasChanges(session) &&
+        !confirm(`Open the shared link? Cancel to restore your unsaved work from ${savedAt} instead.`))) {
+      const result = this.urlStateSync.apply(linkState);
+      if (result.success) {
+        this.errorDisplay.showSuccess('Opened shared map');
+      } else {
+        this.errorDisplay.showWarning(result.error);
+      }
+    } else if (canRestore) {
+      if (this.sessionStore.hasChanges(session) && (linkState || confirm(`Restore your unsaved work from ${savedAt}?`))) {
+        const { missingSources } = this.sessionStore.restore(session);
+        this.errorDisplay.showSuccess('Previous session restored');
+        if (missingSources.length) {
+          this.errorDisplay.showWarning(`Add these local files again to see their data: ${missingSources.join(', ')}`, { persistent: true });
+        }
+      } else if (session.viewState) {
+        this.mapController.setViewState(session.viewState);
+      }
+    }
+
+    this.sessionStore.start();
+    this.urlStateSync.start();
+  }
+
   /**
    * Setup UI event listeners for buttons and interactions
    * @private
    */
   _setupUIEventListeners() {
-    // Export JSON button
-    const exportJsonBtn = document.getElementById('export-json');
-    if (exportJsonBtn) {
-      exportJsonBtn.addEventListener('click', async () => {
-        const result = await this.exportControls.exportStyleJSON();
-        if (!result.success) {
+    // Export style button (choose the format first)
+    const exportStyleBtn = document.getElementById('export-style');
+    if (exportStyleBtn) {
+      exportStyleBtn.addEventListener('click', () => {
+        this.styleExportDialog.open();
+      });
+    }
+
+    // Compare button (diff against a saved project or style file)
+    const compareStyleBtn = document.getElementById('compare-style');
+    if (compareStyleBtn) {
+      compareStyleBtn.addEventListener('click', () => {
+        this.styleDiffDialog.open();
+      });
+    }
+
+    // Import style button (MapLibre, Mapbox, SLD or QML file)
+    const importStyleBtn = document.getElementById('import-style');
+    const importStyleInput = document.getElementById('import-style-file');
+    if (importStyleBtn && importStyleInput) {
+      importStyleBtn.addEventListener('click', () => {
+        importStyleInput.click();
+      });
+      importStyleInput.addEventListener('change', async (e) => {
+        const [file] = e.target.files;
+        if (file) {
+          await this._importStyleFile(file);
+          e.target.value = '';
+        }
+      });
+    }
+
+    // Copy link button
+    const copyLinkBtn = document.getElementById('copy-link');
+    if (copyLinkBtn) {
+      copyLinkBtn.addEventListener('click', async () => {
+        const result = await this.urlStateSync.copyLink();
+        if (result.success) {
+          this.errorDisplay.showSuccess('Link copied to clipboard');
+        } else {
           this.errorDisplay.showError(result.error);
         }
       });
     }
 
-    // Export PNG button
+    // Export image button (choose format, size and resolution first)
     const exportPngBtn = document.getElementById('export-png');
     if (exportPngBtn) {
-      exportPngBtn.addEventListener('click', async () => {
-        const result = await this.exportControls.exportPNG();
-        if (!result.success) {
-          this.errorDisplay.showError(result.error);
+      exportPngBtn.addEventListener('click', () => {
+        this.imageExportDialog.open();
+      });
+    }
+
+    // Print layout button
+    const printLayoutBtn = document.getElementById('print-layout');
+    if (printLayoutBtn) {
+      printLayoutBtn.addEventListener('click', () => {
+        this.layoutComposer.open();
+      });
+    }
+
+    // Code editor toggle (created on first use)
+    const toggleCodeBtn = document.getElementById('toggle-code');
+    if (toggleCodeBtn) {
+      toggleCodeBtn.addEventListener('click', () => {
+        const editorContainer = document.getElementById('code-editor');
+        if (!this.codeEditor) {
+          this.codeEditor = new CodeEditor(editorContainer, this.appState, this.mapController);
         }
+        editorContainer.hidden = !editorContainer.hidden;
+        toggleCodeBtn.setAttribute('aria-pressed', editorContainer.hidden ? 'false' : 'true');
+        this.mapController.resize();
       });
     }
 
@@ -164,7 +320,6 @@ class MapRemixApp {
       resetBtn.addEventListener('click', () => {
         if (confirm('Reset to default style? This will lose all your changes.')) {
           this.appState.resetToDefault();
-          this.mapController.updateStyle(this.appState.getCurrentStyle());
           this.errorDisplay.showInfo('Style reset to default');
         }
       });
@@ -176,6 +331,31 @@ class MapRemixApp {
     console.log('UI event listeners setup complete');
   }
 
+  /**
+   * Import a style file: MapLibre styles directly, other formats after
+   * binding their layers to data
+   * @private
+   * @param {File} file - Style file
+   */
+  async _importStyleFile(file) {
+    const result = await this.exportControls.readStyleFile(file);
+    if (!result.success) {
+      return;
+    }
+
+    if (result.imported) {
+      this.styleImportDialog.open(result.imported, file.name);
+      return;
+    }
+
+    const importResult = await this.exportControls.importStyleJSON(file, {
+      onValidationIssues: (report, filename) => this.errorDisplay.showValidationReport(report, filename)
+    });
+    if (!importResult.success && !importResult.cancelled) {
+      this.errorDisplay.showError(importResult.error);
+    }
+  }
+
   /**
    * Setup file import via drag and drop
    * @private
@@ -194,7 +374,7 @@ class MapRemixApp {
     // Visual feedback for drag over
     mapContainer.addEventListener('dragenter', () => {
       mapContainer.style.opacity = '0.7';
-      this.errorDisplay.showInfo('Drop JSON file to import style', { persistent: true });
+      this.errorDisplay.showInfo('Drop a style (JSON, SLD or QML) to import it, or a PMTiles / GeoJSON file to add data', { persistent: true });
     });
 
     mapContainer.addEventListener('dragleave', (e) => {
@@ -213,13 +393,12 @@ class MapRemixApp {
       const files = e.dataTransfer.files;
       if (files.length > 0) {
         const file = files[0];
-        if (file.type === 'application/json' || file.name.endsWith('.json')) {
-          const result = await this.exportControls.importStyleJSON(file);
-          if (!result.success) {
-            this.errorDisplay.showError(result.error);
-          }
+        if (/\.(pmtiles|geojson)$/i.test(file.name)) {
+          await this.addDataControls.addFile(file);
+        } else if (file.type === 'application/json' || /\.(json|sld|qml|xml)$/i.test(file.name)) {
+          await this._importStyleFile(file);
         } else {
-          this.errorDisplay.showError('Please drop a JSON file');
+          this.errorDisplay.showError('Please drop a style (JSON, SLD or QML), PMTiles or GeoJSON file');
         }
       }
     });
@@ -254,21 +433,22 @@ class MapRemixApp {
    */
   _setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
+      // The code editor keeps its own text undo and typing
+      const isEditingText = e.target.tagName === 'TEXTAREA';
+
       // Ctrl/Cmd + Z - Undo
-      if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey && !isEditingText) {
         e.preventDefault();
         if (this.appState.undo()) {
-          this.mapController.updateStyle(this.appState.getCurrentStyle());
           this.errorDisplay.showInfo('Undone');
         }
       }
 
       // Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y - Redo
-      if (((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'Z') || 
-          ((e.ctrlKey || e.metaKey) && e.key === 'y')) {
+      if (!isEditingText && (((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'Z') || 
+          ((e.ctrlKey || e.metaKey) && e.key === 'y'))) {
         e.preventDefault();
         if (this.appState.redo()) {
-          this.mapController.updateStyle(this.appState.getCurrentStyle());
           this.errorDisplay.showInfo('Redone');
         }
       }
@@ -279,17 +459,22 @@ class MapRemixApp {
         this.exportControls.exportStyleJSON();
       }
 
-      // Ctrl/Cmd + E - Export PNG
+      // Ctrl/Cmd + E - Export PNG at the map's size
       if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
         e.preventDefault();
         this.exportControls.exportPNG();
       }
 
+      // Alt + P - Focus the project switcher
+      if (e.altKey && e.code === 'KeyP') {
+        e.preventDefault();
+        this.projectManager.focusSwitcher();
+      }
+
       // R - Reset style (with confirmation)
-      if (e.key === 'r' && !e.ctrlKey && !e.metaKey && e.target.tagName !== 'INPUT') {
+      if (e.key === 'r' && !e.ctrlKey && !e.metaKey && e.target.tagName !== 'INPUT' && !isEditingText) {
         if (confirm('Reset to default style? This will lose all your changes.')) {
           this.appState.resetToDefault();
-          this.mapController.updateStyle(this.appState.getCurrentStyle());
           this.errorDisplay.showInfo('Style reset to default');
         }
       }
@@ -355,6 +540,20 @@ class MapRemixApp {
    * Cleanup and destroy the application
    */
   destroy() {
+    // Save the final session while the map can still report its view and
+    // local archives; nothing may capture it after cleanup
+    if (this.sessionStore) {
+      if (this.sessionStore.isStarted) {
+        this.sessionStore.save();
+      }
+      this.sessionStore.stop();
+    }
+    if (this.urlStateSync) {
+      this.urlStateSync.stop();
+    }
+    if (this.projectManager) {
+      this.projectManager.destroy();
+    }
     if (this.layerControls) {
       this.layerControls.destroy();
     }
@@ -364,6 +563,18 @@ class MapRemixApp {
     if (this.themeSelector) {
       this.themeSelector.destroy();
     }
+    if (this.addDataControls) {
+      this.addDataControls.destroy();
+    }
+    if (this.legend) {
+      this.legend.destroy();
+    }
+    if (this.codeEditor) {
+      this.codeEditor.destroy();
+    }
+    if (this.historyPanel) {
+      this.historyPanel.destroy();
+    }
     if (this.errorDisplay) {
       this.errorDisplay.destroy();
     }
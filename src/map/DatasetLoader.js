@@ -0,0 +1,236 @@
+/**
+ * DatasetLoader - Turns user-supplied PMTiles / GeoJSON into style sources and layers
+ * Handles local files (via the pmtiles FileSource) and remote URLs
+ */
+
+import { getLayerTypeForGeometry } from './TileSchema.js';
+import { createDefaultLayer, humanizeLayerId, uniqueLayerId } from '../styles/layerConfig.js';
+import { getRampColors } from '../styles/colorRamps.js';
+
+/**
+ * GeoJSON geometry types grouped by the layer type that renders them
+ */
+const GEOMETRY_GROUPS = {
+  Point: ['Point', 'MultiPoint'],
+  LineString: ['LineString', 'MultiLineString'],
+  Polygon: ['Polygon', 'MultiPolygon']
+};
+
+/**
+ * Maximum GeoJSON features inspected for fields and geometry types
+ */
+const GEOJSON_SAMPLE_SIZE = 1000;
+
+export class DatasetLoader {
+  /**
+   * Initialize DatasetLoader
+   * @param {MapController} mapController - Map controller (owns the PMTiles protocol)
+   */
+  constructor(mapController) {
+    this.mapController = mapController;
+  }
+
+  /**
+   * Load a dataset from a local file
+   * @param {File} file - .pmtiles, .geojson or .json file
+   * @param {Object} style - Current style (used to pick unique IDs)
+   * @returns {Promise<Object>} Dataset ({sourceId, source, layers, schema, name}),
+   *   with reattached set and no layers when a .pmtiles file matches a source already in the style
+   */
+  async loadFile(file, style) {
+    const name = file.name.replace(/\.(pmtiles|geojson|json)$/i, '');
+
+    if (/\.pmtiles$/i.test(file.name)) {
+      const { url, schema } = await this.mapController.registerPMTilesFile(file);
+      const existing = Object.entries(style.sources).find(([, source]) => source.url === url);
+      if (existing) {
+        // File added again after a reload: its source and layers are already styled
+        const [sourceId, source] = existing;
+        return { sourceId, name, source, layers: [], schema, reattached: true };
+      }
+      return this._createPMTilesDataset(name, url, schema, style);
+    }
+
+    if (/\.(geo)?json$/i.test(file.name)) {
+      const data = JSON.parse(await file.text());
+      return this._createGeoJSONDataset(name, data, data, style);
+    }
+
+    throw new Error(`Unsupported file type: ${file.name}. Use .pmtiles or .geojson`);
+  }
+
+  /**
+   * Load a dataset from a URL
+   * @param {string} url - PMTiles or GeoJSON URL
+   * @param {Object} style - Current style (used to pick unique IDs)
+   * @returns {Promise<Object>} Dataset ({sourceId, source, layers, schema, name})
+   */
+  async loadUrl(url, style) {
+    const path = url.split(/[?#]/)[0];
+    const name = decodeURIComponent(path.split('/').pop() || 'dataset')
+      .replace(/\.(pmtiles|geojson|json)$/i, '');
+
+    if (/\.pmtiles$/i.test(path) || url.startsWith('pmtiles://')) {
+      const archiveUrl = url.replace(/^pmtiles:\/\//, '');
+      const schema = await this.mapController.registerPMTilesUrl(archiveUrl);
+      return this._createPMTilesDataset(name, `pmtiles://${archiveUrl}`, schema, style);
+    }
+
+    // Anything else is treated as GeoJSON; keep the URL in the style, not the data
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url} (HTTP ${response.status})`);
+    }
+    const data = await response.json();
+    return this._createGeoJSONDataset(name, data, url, style);
+  }
+
+  /**
+   * Build a dataset for a PMTiles archive
+   * @private
+   * @param {string} name - Dataset name
+   * @param {string} url - pmtiles:// URL
+   * @param {Object} schema - Archive schema
+   * @param {Object} style - Current style
+   * @returns {Object} Dataset
+   */
+  _createPMTilesDataset(name, url, schema, style) {
+    if (!schema.vectorLayers.length) {
+      throw new Error(`${name} has no vector layers (raster PMTiles are not supported)`);
+    }
+
+    const sourceId = this._uniqueSourceId(style, name);
+    const colors = this._pickColors(style, schema.vectorLayers.length);
+    const layers = schema.vectorLayers.map((vectorLayer, i) => createDefaultLayer({
+      id: uniqueLayerId(style, schema.vectorLayers.length === 1 ? sourceId : `${sourceId}_${vectorLayer.id}`),
+      source: sourceId,
+      sourceLayer: vectorLayer.id,
+      type: getLayerTypeForGeometry(vectorLayer),
+      color: colors[i],
+      name: schema.vectorLayers.length === 1 ? humanizeLayerId(name) : humanizeLayerId(vectorLayer.id)
+    }));
+
+    return {
+      sourceId,
+      name,
+      source: { type: 'vector', url },
+      layers,
+      schema
+    };
+  }
+
+  /**
+   * Build a dataset for GeoJSON, one layer per geometry kind present
+   * @private
+   * @param {string} name - Dataset name
+   * @param {Object} data - Parsed GeoJSON
+   * @param {Object|string} sourceData - Data to store in the source (object or URL)
+   * @param {Object} style - Current style
+   * @returns {Object} Dataset
+   */
+  _createGeoJSONDataset(name, data, sourceData, style) {
+    const features = this._getFeatures(data);
+    if (features.length === 0) {
+      throw new Error(`${name} contains no GeoJSON features`);
+    }
+
+    const sourceId = this._uniqueSourceId(style, name);
+    const fields = {};
+    const geometries = new Set();
+
+    for (const feature of features.slice(0, GEOJSON_SAMPLE_SIZE)) {
+      const geometryType = feature.geometry?.type;
+      const group = Object.keys(GEOMETRY_GROUPS).find(key => GEOMETRY_GROUPS[key].includes(geometryType));
+      if (group) {
+        geometries.add(group);
+      }
+
+      for (const [field, value] of Object.entries(feature.properties || {})) {
+        if (fields[field] === 'String') continue;
+        fields[field] = typeof value === 'number' ? 'Number' : typeof value === 'boolean' ? 'Boolean' : 'String';
+      }
+    }
+
+    const groups = [...geometries];
+    const colors = this._pickColors(style, groups.length);
+    const layers = groups.map((geometry, i) => {
+      const suffix = groups.length > 1 ? `_${geometry.toLowerCase()}` : '';
+      const layer = createDefaultLayer({
+        id: uniqueLayerId(style, `${sourceId}${suffix}`),
+        source: sourceId,
+        type: getLayerTypeForGeometry({ geometry }),
+        color: colors[i],
+        name: `${humanizeLayerId(name)}${groups.length > 1 ? ` (${geometry})` : ''}`
+      });
+
+      // Mixed collections need a filter so each layer only draws its geometry kind
+      if (groups.length > 1) {
+        layer.filter = ['match', ['geometry-type'], GEOMETRY_GROUPS[geometry], true, false];
+      }
+      return layer;
+    });
+
+    return {
+      sourceId,
+      name,
+      source: { type: 'geojson', data: sourceData },
+      layers,
+      schema: {
+        name,
+        minzoom: 0,
+        maxzoom: 24,
+        bounds: null,
+        vectorLayers: [{ id: sourceId, description: '', fields, geometry: groups[0] || null }]
+      }
+    };
+  }
+
+  /**
+   * Get the features of a GeoJSON object
+   * @private
+   * @param {Object} data - GeoJSON
+   * @returns {Object[]} Features
+   */
+  _getFeatures(data) {
+    if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+      return data.features;
+    }
+    if (data?.type === 'Feature') {
+      return [data];
+    }
+    if (data?.type && data.coordinates) {
+      return [{ type: 'Feature', geometry: data, properties: {} }];
+    }
+    throw new Error('File is not valid GeoJSON');
+  }
+
+  /**
+   * Make a source ID unique within a style
+   * @private
+   * @param {Object} style - Current style
+   * @param {string} name - Dataset name
+   * @returns {string} Unused source ID
+   */
+  _uniqueSourceId(style, name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'dataset';
+    const layerIds = new Set(style.layers.map(layer => layer.id));
+    let id = base;
+    let suffix = 2;
+    while (style.sources[id] || layerIds.has(id)) {
+      id = `${base}_${suffix++}`;
+    }
+    return id;
+  }
+
+  /**
+   * Pick colors not yet used by existing layers
+   * @private
+   * @param {Object} style - Current style
+   * @param {number} count - Number of colors
+   * @returns {string[]} Hex colors
+   */
+  _pickColors(style, count) {
+    const offset = style.layers.length;
+    return getRampColors('tableau', offset + count).slice(offset);
+  }
+}
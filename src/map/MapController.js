@@ -7,6 +7,26 @@ import { defaultStyle } from '../styles/defaultStyle.js';
 import { fallbackStyle } from '../styles/fallbackStyle.js';
 import { debounce } from '../utils/debounce.js';
 import { supportsFeature } from '../utils/helpers.js';
+import { getPMTilesArchiveUrl, getLocalArchiveKey, isLocalArchiveKey, readPMTilesSchema } from './TileSchema.js';
+import { planStyleUpdate } from './StyleReconciler.js';
+import { checkImageSize, planTiles, canvasToBlob } from '../utils/print.js';
+import { captureVectorScene } from '../export/vectorScene.js';
+
+/**
+ * Largest tile rendered in one pass when exporting; larger drawing buffers
+ * exhaust graphics memory on many laptops even when WebGL allows them
+ */
+const MAX_EXPORT_TILE_SIZE = 4096;
+
+/**
+ * Extra CSS pixels rendered around each export tile
+ */
+const EXPORT_TILE_MARGIN = 64;
+
+/**
+ * How long an export waits for tiles before giving up (ms)
+ */
+const EXPORT_RENDER_TIMEOUT = 60000;
 
 export class MapController {
   /**
@@ -18,6 +38,7 @@ export class MapController {
     this.containerId = containerId;
     this.map = null;
     this.pmtilesProtocol = null;
+    this.pmtilesArchives = new Map();
     this.loadingTiles = new Set();
     this.eventListeners = new Map();
     this.initialStyle = initialStyle;
@@ -129,6 +150,196 @@ export class MapController {
     }
   }
 
+  /**
+   * Read header and metadata of every PMTiles source in a style
+   * Sources whose archive cannot be read, and local files (not added yet this
+   * session), are left out of the result.
+   * @param {Object} style - MapLibre style (defaults to the initial style)
+   * @returns {Promise<Object>} Schemas keyed by source ID
+   */
+  async inspectTileSources(style = this.initialStyle) {
+    const schema = {};
+    const archives = Object.entries(style.sources || {})
+      .map(([sourceId, source]) => [sourceId, getPMTilesArchiveUrl(source.url)])
+      .filter(([, archiveUrl]) => archiveUrl && !isLocalArchiveKey(archiveUrl));
+
+    await Promise.all(archives.map(async ([sourceId, archiveUrl]) => {
+      try {
+        schema[sourceId] = await readPMTilesSchema(this._getPMTilesArchive(archiveUrl));
+      } catch (error) {
+        console.warn(`Could not read PMTiles metadata for ${sourceId}:`, error.message);
+      }
+    }));
+
+    this.emit('tileSchemaLoaded', { schema });
+    return schema;
+  }
+
+  /**
+   * Register a local .pmtiles file with the PMTiles protocol
+   * @param {File} file - PMTiles file
+   * @returns {Promise<Object>} { url, schema } where url is the pmtiles:// source URL
+   */
+  async registerPMTilesFile(file) {
+    // Keyed by name and size so a file added again after a reload matches its saved source
+    const key = getLocalArchiveKey(file);
+    const source = new pmtiles.FileSource(file);
+    source.getKey = () => key;
+    const archive = new pmtiles.PMTiles(source);
+
+    const schema = await readPMTilesSchema(archive);
+    this.pmtilesArchives.set(key, archive);
+    this.pmtilesProtocol?.add(archive);
+
+    return { url: `pmtiles://${key}`, schema };
+  }
+
+  /**
+   * Register a remote PMTiles archive and read its schema
+   * @param {string} archiveUrl - Archive URL (without pmtiles://)
+   * @returns {Promise<Object>} Archive schema
+   */
+  async registerPMTilesUrl(archiveUrl) {
+    return readPMTilesSchema(this._getPMTilesArchive(archiveUrl));
+  }
+
+  /**
+   * Add a source and its layers to the map
+   * @param {string} sourceId - Source ID
+   * @param {Object} source - MapLibre source
+   * @param {Object[]} layers - Layers to add on top of the existing ones
+   */
+  addDataset(sourceId, source, layers) {
+    if (!this.map) {
+      console.warn('Cannot add dataset: map not initialized');
+      return;
+    }
+
+    try {
+      if (!this.map.getSource(sourceId)) {
+        this.map.addSource(sourceId, source);
+      }
+      for (const layer of layers) {
+        this.map.addLayer(layer);
+      }
+      this.emit('datasetAdded', { sourceId, layerIds: layers.map(layer => layer.id) });
+    } catch (error) {
+      console.error(`Failed to add dataset ${sourceId}:`, error);
+      this.emit('error', {
+        type: 'datasetAdd',
+        message: `Failed to add ${sourceId} to the map`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Reload the tiles of a source whose archive was registered again
+   * @param {string} sourceId - Source ID
+   */
+  reloadSource(sourceId) {
+    const source = this.map?.getSource(sourceId);
+    if (!source?.setUrl) {
+      return;
+    }
+
+    try {
+      // Same URL: re-reads the TileJSON and drops tiles that failed without the file
+      source.setUrl(source.url);
+      this.emit('sourceReloaded', { sourceId });
+    } catch (error) {
+      console.error(`Failed to reload source ${sourceId}:`, error);
+      this.emit('error', {
+        type: 'sourceReload',
+        message: `Failed to reload ${sourceId}`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Move a layer in the draw order
+   * @param {string} layerId - Layer ID
+   * @param {string|null} beforeId - Layer to draw above it (null for top)
+   */
+  moveLayer(layerId, beforeId = null) {
+    if (!this.map) {
+      console.warn('Cannot move layer: map not initialized');
+      return;
+    }
+
+    try {
+      this.map.moveLayer(layerId, beforeId || undefined);
+      this.emit('styleUpdated', { layerId, beforeId });
+    } catch (error) {
+      console.error(`Failed to move layer ${layerId}:`, error);
+      this.emit('error', {
+        type: 'styleUpdate',
+        message: `Failed to move ${layerId}`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Add a single layer to the map
+   * @param {Object} layer - MapLibre layer
+   * @param {string|null} beforeId - Layer to insert before (null for top)
+   */
+  addLayer(layer, beforeId = null) {
+    if (!this.map) {
+      console.warn('Cannot add layer: map not initialized');
+      return;
+    }
+
+    try {
+      this.map.addLayer(layer, beforeId || undefined);
+      this.emit('styleUpdated', { layerId: layer.id });
+    } catch (error) {
+      console.error(`Failed to add layer ${layer.id}:`, error);
+      this.emit('error', {
+        type: 'styleUpdate',
+        message: `Failed to add ${layer.id}`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Remove layers from the map
+   * @param {string[]} layerIds - Layer IDs
+   */
+  removeLayers(layerIds) {
+    if (!this.map) {
+      console.warn('Cannot remove layers: map not initialized');
+      return;
+    }
+
+    try {
+      for (const layerId of layerIds) {
+        if (this.map.getLayer(layerId)) {
+          this.map.removeLayer(layerId);
+        }
+      }
+      this.emit('styleUpdated', { removed: layerIds });
+    } catch (error) {
+      console.error('Failed to remove layers:', error);
+      this.emit('error', {
+        type: 'styleUpdate',
+        message: 'Failed to remove layers',
+        error
+      });
+    }
+  }
+
+  /**
+   * Set the style the map is created with
+   * @param {Object} style - MapLibre style object
+   */
+  setInitialStyle(style) {
+    this.initialStyle = style;
+  }
+
   /**
    * Update map style with debouncing
    * @param {Object} newStyle - New MapLibre style object
@@ -168,6 +379,31 @@ export class MapController {
     }
   }
 
+  /**
+   * Update a single layout property (immediate, no debouncing)
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Layout property name
+   * @param {*} value - Property value
+   */
+  updateLayoutProperty(layerId, property, value) {
+    if (!this.map) {
+      console.warn('Cannot update layout property: map not initialized');
+      return;
+    }
+
+    try {
+      this.map.setLayoutProperty(layerId, property, value);
+      this.emit('styleUpdated', { layerId, property, value });
+    } catch (error) {
+      console.error(`Failed to update layout property ${property} for layer ${layerId}:`, error);
+      this.emit('error', {
+        type: 'styleUpdate',
+        message: `Failed to update ${property}`,
+        error
+      });
+    }
+  }
+
   /**
    * Toggle layer visibility
    * @param {string} layerId - Layer ID
@@ -193,40 +429,89 @@ export class MapController {
   }
 
   /**
-   * Export current map as PNG
-   * @param {Object} options - Export options (width, height, quality)
+   * Export the current view as PNG, rendered off-screen at the requested size
+   * The image shows the on-screen extent (fitted to the new aspect ratio);
+   * pixelRatio scales line widths and text, e.g. 300 / 96 for a 300 DPI print.
+   * Images larger than WebGL can draw at once are rendered in tiles.
+   * @param {Object} options - Export options
+   * @param {number} options.width - Image width in pixels (defaults to the map's size)
+   * @param {number} options.height - Image height in pixels (defaults to the map's size)
+   * @param {number} options.pixelRatio - Image pixels per CSS pixel
+   * @param {Function} options.onProgress - Called with { completed, total } tiles
    * @returns {Promise<Blob>} PNG blob
    */
   async exportPNG(options = {}) {
+    const canvas = await this.renderImage(options);
+    return canvasToBlob(canvas, 'image/png');
+  }
+
+  /**
+   * Render the current view off-screen to a canvas (see exportPNG)
+   * @param {Object} options - Export options (width, height, pixelRatio, onProgress)
+   * @returns {Promise<HTMLCanvasElement>} Rendered image
+   */
+  async renderImage(options = {}) {
     if (!this.map) {
       throw new Error('Cannot export PNG: map not initialized');
     }
 
-    const defaultOptions = { 
-      width: 1024, 
-      height: 768, 
-      quality: 0.92 
-    };
-    const exportOptions = { ...defaultOptions, ...options };
+    const screen = this.map.getContainer();
+    const {
+      pixelRatio = 1,
+      width = Math.round(screen.clientWidth * pixelRatio),
+      height = Math.round(screen.clientHeight * pixelRatio),
+      onProgress
+    } = options;
+
+    const sizeError = checkImageSize(width, height);
+    if (sizeError) {
+      throw new Error(sizeError);
+    }
+
+    // Tiled renders add a margin on each side (plus rounding to CSS pixels),
+    // which must stay within the largest canvas the GPU draws
+    const maxSize = this._getMaxRenderSize();
+    let tiles = planTiles(width, height, maxSize);
+    if (tiles.length > 1) {
+      const padding = 2 * Math.ceil(EXPORT_TILE_MARGIN * pixelRatio) + Math.ceil(pixelRatio);
+      tiles = planTiles(width, height, maxSize - padding);
+    }
+    const view = this.getViewState();
+    if (tiles.length > 1 && view.pitch) {
+      throw new Error('Tilted views can only be exported up to the size your graphics card draws at once; reset the pitch or choose a smaller size');
+    }
 
+    const camera = this.getExportCamera(width, height, pixelRatio);
+
+    // Tiles are rendered with a margin so labels near their edges are placed
+    // as they would be in one image
+    const margin = tiles.length > 1 ? EXPORT_TILE_MARGIN : 0;
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+
+    const { map, container } = await this._createExportMap(pixelRatio);
     try {
-      return new Promise((resolve, reject) => {
-        // Wait for map to finish rendering
-        this.map.once('idle', () => {
-          try {
-            const canvas = this.map.getCanvas();
-            canvas.toBlob((blob) => {
-              if (blob) {
-                resolve(blob);
-              } else {
-                reject(new Error('Failed to create PNG blob'));
-              }
-            }, 'image/png', exportOptions.quality);
-          } catch (error) {
-            reject(error);
-          }
-        });
-      });
+      for (const [index, tile] of tiles.entries()) {
+        container.style.width = `${Math.ceil(tile.width / pixelRatio) + margin * 2}px`;
+        container.style.height = `${Math.ceil(tile.height / pixelRatio) + margin * 2}px`;
+        map.resize();
+        map.jumpTo(camera);
+        map.panBy([
+          (tile.x + tile.width / 2 - width / 2) / pixelRatio,
+          (tile.y + tile.height / 2 - height / 2) / pixelRatio
+        ], { animate: false });
+        await this._waitForRender(map);
+
+        const canvas = map.getCanvas();
+        context.drawImage(
+          canvas,
+          (canvas.width - tile.width) / 2, (canvas.height - tile.height) / 2, tile.width, tile.height,
+          tile.x, tile.y, tile.width, tile.height
+        );
+        onProgress?.({ completed: index + 1, total: tiles.length });
+      }
     } catch (error) {
       console.error('Failed to export PNG:', error);
       this.emit('error', {
@@ -235,6 +520,148 @@ export class MapController {
         error
       });
       throw error;
+    } finally {
+      map.remove();
+      container.remove();
+    }
+
+    return output;
+  }
+
+  /**
+   * Get the camera an export of the given size is rendered with
+   * The on-screen extent is kept whatever the export's size and aspect ratio.
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} pixelRatio - Image pixels per CSS pixel
+   * @returns {Object} View state ({ center, zoom, bearing, pitch })
+   */
+  getExportCamera(width, height, pixelRatio = 1) {
+    const screen = this.map.getContainer();
+    const view = this.getViewState();
+    const scale = Math.min(width / pixelRatio / screen.clientWidth, height / pixelRatio / screen.clientHeight);
+    return { ...view, zoom: view.zoom + Math.log2(scale) };
+  }
+
+  /**
+   * Capture the visible map as vector paths grouped by layer
+   * Waits for tiles that are still loading so the capture is complete.
+   * @param {Object} options - Capture options (getLayerName)
+   * @returns {Promise<Object>} Scene (see captureVectorScene)
+   */
+  async captureVectorScene(options = {}) {
+    if (!this.map) {
+      throw new Error('Cannot export vectors: map not initialized');
+    }
+
+    if (!this.map.loaded()) {
+      await this._waitForRender(this.map);
+    }
+    return captureVectorScene(this.map, this.map.getStyle(), options);
+  }
+
+  /**
+   * Sample attribute values from a layer's rendered features
+   * @param {string} layerId - Layer ID
+   * @param {Object} options - Sampling options (limit)
+   * @returns {Object} { featureCount, fields: { name: { type, values } } }
+   */
+  sampleLayerAttributes(layerId, options = {}) {
+    const { limit = 5000 } = options;
+    const result = { featureCount: 0, fields: {} };
+
+    if (!this.map || !this.map.getLayer(layerId)) {
+      return result;
+    }
+
+    const features = this.map.queryRenderedFeatures({ layers: [layerId] }).slice(0, limit);
+    result.featureCount = features.length;
+
+    for (const feature of features) {
+      for (const [name, value] of Object.entries(feature.properties || {})) {
+        if (!result.fields[name]) {
+          result.fields[name] = { type: null, values: [] };
+        }
+        result.fields[name].values.push(value);
+      }
+    }
+
+    // Numeric strings (e.g. OSM voltage tags) count as numbers
+    for (const field of Object.values(result.fields)) {
+      const isNumeric = field.values.every(value => {
+        return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+      });
+      field.type = isNumeric ? 'number' : 'string';
+    }
+
+    return result;
+  }
+
+  /**
+   * Count features of a layer's source in the loaded tiles, with and without a filter
+   * Features split across tiles are counted once when they have an ID.
+   * @param {string} layerId - Layer ID
+   * @param {Array|null} filter - Filter expression to test
+   * @returns {Object|null} { matched, total } or null if the layer is not on the map
+   */
+  countFeatures(layerId, filter) {
+    const layer = this.map?.getLayer(layerId);
+    if (!layer || !layer.source) {
+      return null;
+    }
+
+    const count = (features) => {
+      const ids = new Set();
+      let withoutId = 0;
+      for (const feature of features) {
+        if (feature.id === undefined) {
+          withoutId++;
+        } else {
+          ids.add(feature.id);
+        }
+      }
+      return ids.size + withoutId;
+    };
+
+    const parameters = layer.sourceLayer ? { sourceLayer: layer.sourceLayer } : {};
+    const total = count(this.map.querySourceFeatures(layer.source, parameters));
+    const matched = filter
+      ? count(this.map.querySourceFeatures(layer.source, { ...parameters, filter }))
+      : total;
+
+    return { matched, total };
+  }
+
+  /**
+   * Set or clear a layer filter
+   * @param {string} layerId - Layer ID
+   * @param {Array|null} filter - Filter expression (null removes the filter)
+   */
+  setFilter(layerId, filter) {
+    if (!this.map) {
+      console.warn('Cannot set filter: map not initialized');
+      return;
+    }
+
+    try {
+      this.map.setFilter(layerId, filter);
+      this.emit('styleUpdated', { layerId, filter });
+    } catch (error) {
+      console.error(`Failed to set filter for layer ${layerId}:`, error);
+      this.emit('error', {
+        type: 'styleUpdate',
+        message: `Failed to filter ${layerId}`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Resize the map to fit its container (e.g. after a side panel opens)
+   */
+  resize() {
+    if (this.map) {
+      this.map.resize();
     }
   }
 
@@ -253,6 +680,40 @@ export class MapController {
     };
   }
 
+  /**
+   * Move the map to a saved view
+   * @param {Object} viewState - { center: [lng, lat], zoom, bearing, pitch }
+   */
+  setViewState(viewState) {
+    if (!this.map || !viewState) return;
+
+    this.map.jumpTo({
+      center: viewState.center,
+      zoom: viewState.zoom,
+      bearing: viewState.bearing ?? 0,
+      pitch: viewState.pitch ?? 0
+    });
+  }
+
+  /**
+   * Check whether a source URL points at a local PMTiles file
+   * Local files can't be reopened after a reload and must be added again.
+   * @param {string} sourceUrl - Source URL
+   * @returns {boolean} True for local PMTiles files
+   */
+  isLocalArchive(sourceUrl) {
+    return isLocalArchiveKey(getPMTilesArchiveUrl(sourceUrl));
+  }
+
+  /**
+   * Check whether the local file behind a source URL was added this session
+   * @param {string} sourceUrl - Source URL
+   * @returns {boolean} True if its tiles can be read
+   */
+  hasLocalArchive(sourceUrl) {
+    return this.isLocalArchive(sourceUrl) && this.pmtilesArchives.has(getPMTilesArchiveUrl(sourceUrl));
+  }
+
   /**
    * Get current style object
    * @returns {Object} Current MapLibre style
@@ -270,6 +731,11 @@ export class MapController {
     try {
       this.pmtilesProtocol = new pmtiles.Protocol();
       maplibregl.addProtocol('pmtiles', this.pmtilesProtocol.tile);
+
+      // Reuse archives opened during schema inspection (header already cached)
+      for (const archive of this.pmtilesArchives.values()) {
+        this.pmtilesProtocol.add(archive);
+      }
       console.log('PMTiles protocol registered successfully');
     } catch (error) {
       console.error('Failed to setup PMTiles protocol:', error);
@@ -277,6 +743,21 @@ export class MapController {
     }
   }
 
+  /**
+   * Get (or open) the PMTiles archive for a URL
+   * @private
+   * @param {string} archiveUrl - Archive URL
+   * @returns {PMTiles} Archive instance
+   */
+  _getPMTilesArchive(archiveUrl) {
+    if (!this.pmtilesArchives.has(archiveUrl)) {
+      const archive = new pmtiles.PMTiles(archiveUrl);
+      this.pmtilesArchives.set(archiveUrl, archive);
+      this.pmtilesProtocol?.add(archive);
+    }
+    return this.pmtilesArchives.get(archiveUrl);
+  }
+
   /**
    * Setup map event listeners
    * @private
@@ -318,20 +799,130 @@ export class MapController {
 
   /**
    * Internal style update method
+   * Applies only what changed (paint/layout properties, filters, added, removed
+   * and moved layers); reloads the whole style when root settings such as
+   * glyphs or sprite change, or when an incremental update fails.
    * @private
+   * @param {Object} newStyle - New MapLibre style object
+   * @param {Object} options - Update options ({reload} forces a full reload)
    */
   _updateStyleInternal(newStyle, options) {
+    const renderedStyle = options.reload ? null : this._getRenderedStyle();
+    const calls = renderedStyle && planStyleUpdate(renderedStyle, newStyle);
+
     try {
-      this.map.setStyle(newStyle, options);
-      this.emit('styleUpdated', { style: newStyle });
+      if (calls) {
+        for (const { method, args } of calls) {
+          this.map[method](...args);
+        }
+      } else {
+        this.map.setStyle(newStyle, options);
+      }
+      this.emit('styleUpdated', { style: newStyle, incremental: Boolean(calls) });
+      return;
     } catch (error) {
-      console.error('Failed to update map style:', error);
-      this.emit('error', {
-        type: 'styleUpdate',
-        message: 'Failed to update map style',
-        error
+      if (!calls) {
+        console.error('Failed to update map style:', error);
+        this.emit('error', {
+          type: 'styleUpdate',
+          message: 'Failed to update map style',
+          error
+        });
+        return;
+      }
+      console.warn('Incremental style update failed, reloading the style:', error);
+    }
+
+    this._updateStyleInternal(newStyle, { ...options, reload: true });
+  }
+
+  /**
+   * Read the style the map is currently rendering
+   * @private
+   * @returns {Object|null} Style, or null while the style is still loading
+   */
+  _getRenderedStyle() {
+    try {
+      return this.map.getStyle() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a hidden map showing the current style for export
+   * @private
+   * @param {number} pixelRatio - Image pixels per CSS pixel
+   * @returns {Promise<Object>} { map, container } — remove both when done
+   */
+  async _createExportMap(pixelRatio) {
+    const container = document.createElement('div');
+    container.className = 'export-map';
+    container.setAttribute('aria-hidden', 'true');
+    container.style.width = `${this.map.getContainer().clientWidth}px`;
+    container.style.height = `${this.map.getContainer().clientHeight}px`;
+    document.body.appendChild(container);
+
+    const map = new maplibregl.Map({
+      container,
+      style: this.map.getStyle(),
+      ...this.getViewState(),
+      pixelRatio,
+      interactive: false,
+      attributionControl: false,
+      preserveDrawingBuffer: true,
+      fadeDuration: 0
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        map.once('load', resolve);
+        map.once('error', (event) => reject(event.error || new Error('Failed to load the map for export')));
       });
+    } catch (error) {
+      map.remove();
+      container.remove();
+      throw error;
+    }
+    return { map, container };
+  }
+
+  /**
+   * Wait until a map has loaded its tiles and finished drawing
+   * @private
+   * @param {maplibregl.Map} map - Map
+   * @returns {Promise<void>}
+   */
+  _waitForRender(map) {
+    return new Promise((resolve, reject) => {
+      const handleIdle = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+      const timeout = setTimeout(() => {
+        map.off('idle', handleIdle);
+        reject(new Error('Timed out waiting for map tiles to load'));
+      }, EXPORT_RENDER_TIMEOUT);
+
+      map.once('idle', handleIdle);
+      map.triggerRepaint();
+    });
+  }
+
+  /**
+   * Largest image side the graphics card can draw at once
+   * @private
+   * @returns {number} Size in pixels
+   */
+  _getMaxRenderSize() {
+    const canvas = this.map.getCanvas();
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    if (!gl) {
+      return MAX_EXPORT_TILE_SIZE;
     }
+
+    const [maxWidth, maxHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(MAX_EXPORT_TILE_SIZE, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), maxWidth, maxHeight);
   }
 
   /**
@@ -382,5 +973,6 @@ export class MapController {
 
     this.eventListeners.clear();
     this.loadingTiles.clear();
+    this.pmtilesArchives.clear();
   }
 }
\ No newline at end of file
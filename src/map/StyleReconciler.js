@@ -0,0 +1,129 @@
+/**
+ * StyleReconciler - Minimal map updates between two styles
+ * Turns the difference between the style on the map and the new style into
+ * the MapLibre calls (setPaintProperty, addLayer, moveLayer, …) that apply it,
+ * so the map never has to reload the whole style for an edit.
+ */
+
+import { isEqual } from '../utils/helpers.js';
+
+/**
+ * Top-level style keys that don't affect rendering once the map exists
+ */
+const IGNORED_ROOT_KEYS = ['version', 'name', 'metadata', 'center', 'zoom', 'bearing', 'pitch', 'sources', 'layers'];
+
+/**
+ * Layer keys that require removing and re-adding the layer when they change
+ */
+const LAYER_IDENTITY_KEYS = ['type', 'source', 'source-layer'];
+
+/**
+ * Plan the map calls that turn one style into another
+ * @param {Object} previous - Style currently on the map
+ * @param {Object} next - Style to show
+ * @returns {Array<Object>|null} Calls as { method, args } in order, or null if the style must be reloaded
+ */
+export function planStyleUpdate(previous, next) {
+  const rootKeys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const key of rootKeys) {
+    if (!IGNORED_ROOT_KEYS.includes(key) && !isSameSetting(previous[key], next[key])) {
+      return null;
+    }
+  }
+
+  const calls = [];
+  const previousSources = previous.sources || {};
+  const nextSources = next.sources || {};
+
+  // Sources that are removed or redefined take their layers with them
+  const replacedSources = new Set(Object.keys(previousSources)
+    .filter(sourceId => !isEqual(previousSources[sourceId], nextSources[sourceId])));
+
+  const nextLayers = new Map(next.layers.map(layer => [layer.id, layer]));
+  const order = [];
+
+  for (const layer of previous.layers) {
+    const target = nextLayers.get(layer.id);
+    const isReplaced = !target || replacedSources.has(layer.source) ||
+      LAYER_IDENTITY_KEYS.some(key => layer[key] !== target[key]);
+
+    if (isReplaced) {
+      calls.push({ method: 'removeLayer', args: [layer.id] });
+    } else {
+      order.push(layer.id);
+      calls.push(...planLayerUpdate(layer, target));
+    }
+  }
+
+  for (const sourceId of replacedSources) {
+    calls.push({ method: 'removeSource', args: [sourceId] });
+  }
+  for (const [sourceId, source] of Object.entries(nextSources)) {
+    if (!previousSources[sourceId] || replacedSources.has(sourceId)) {
+      calls.push({ method: 'addSource', args: [sourceId, source] });
+    }
+  }
+
+  // Walk from the top down so every layer ends up directly below the one above it
+  for (let i = next.layers.length - 1; i >= 0; i--) {
+    const layer = next.layers[i];
+    const beforeId = next.layers[i + 1]?.id;
+    const index = order.indexOf(layer.id);
+    const expected = beforeId ? order.indexOf(beforeId) - 1 : order.length - 1;
+
+    if (index === -1) {
+      calls.push({ method: 'addLayer', args: beforeId ? [layer, beforeId] : [layer] });
+      order.splice(beforeId ? order.indexOf(beforeId) : order.length, 0, layer.id);
+    } else if (index !== expected) {
+      calls.push({ method: 'moveLayer', args: beforeId ? [layer.id, beforeId] : [layer.id] });
+      order.splice(index, 1);
+      order.splice(beforeId ? order.indexOf(beforeId) : order.length, 0, layer.id);
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Plan the calls that update a layer in place
+ * @param {Object} layer - Layer on the map
+ * @param {Object} target - Layer to show
+ * @returns {Array<Object>} Calls as { method, args }
+ */
+function planLayerUpdate(layer, target) {
+  const calls = [];
+
+  for (const [group, method] of [['paint', 'setPaintProperty'], ['layout', 'setLayoutProperty']]) {
+    const before = layer[group] || {};
+    const after = target[group] || {};
+    for (const property of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (!isEqual(before[property], after[property])) {
+        // undefined restores the property's default
+        calls.push({ method, args: [target.id, property, after[property]] });
+      }
+    }
+  }
+
+  if (!isEqual(layer.filter, target.filter)) {
+    calls.push({ method: 'setFilter', args: [target.id, target.filter ?? null] });
+  }
+
+  if (layer.minzoom !== target.minzoom || layer.maxzoom !== target.maxzoom) {
+    calls.push({ method: 'setLayerZoomRange', args: [target.id, target.minzoom ?? 0, target.maxzoom ?? 24] });
+  }
+
+  return calls;
+}
+
+/**
+ * Compare root style settings, treating a missing setting and an empty one
+ * alike (the map reports e.g. `light: {}` for a style without light)
+ * @param {*} a - Setting on the map
+ * @param {*} b - Setting in the new style
+ * @returns {boolean} True if equivalent
+ */
+function isSameSetting(a, b) {
+  const isEmpty = (value) => value === undefined ||
+    (value !== null && typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length);
+  return (isEmpty(a) && isEmpty(b)) || isEqual(a, b);
+}
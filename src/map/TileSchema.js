@@ -0,0 +1,110 @@
+/**
+ * TileSchema - Reads PMTiles header and metadata
+ * Describes the vector layers, attribute fields, zoom range and bounds of each archive
+ */
+
+/**
+ * Map tilestats geometry names to MapLibre layer types
+ */
+const GEOMETRY_LAYER_TYPES = {
+  Point: 'circle',
+  LineString: 'line',
+  Polygon: 'fill'
+};
+
+/**
+ * Get the archive URL from a pmtiles:// source URL
+ * @param {string} sourceUrl - Source URL (e.g. pmtiles://../assets/tiles/co_roads.pmtiles)
+ * @returns {string|null} Archive URL or null if not a PMTiles URL
+ */
+export function getPMTilesArchiveUrl(sourceUrl) {
+  if (typeof sourceUrl !== 'string' || !sourceUrl.startsWith('pmtiles://')) {
+    return null;
+  }
+  return sourceUrl.slice('pmtiles://'.length);
+}
+
+/**
+ * Prefix of the archive keys given to local files
+ */
+const LOCAL_ARCHIVE_PREFIX = 'local:';
+
+/**
+ * Get the archive key for a local PMTiles file
+ * Name and size stay the same across reloads, so adding the file again maps
+ * it back onto the source saved in the style.
+ * @param {File} file - PMTiles file
+ * @returns {string} Archive key (e.g. local:roads.pmtiles:52340)
+ */
+export function getLocalArchiveKey(file) {
+  return `${LOCAL_ARCHIVE_PREFIX}${file.name}:${file.size}`;
+}
+
+/**
+ * Check whether an archive URL is the key of a local file
+ * @param {string|null} archiveUrl - Archive URL (without pmtiles://)
+ * @returns {boolean} True for local file keys
+ */
+export function isLocalArchiveKey(archiveUrl) {
+  return typeof archiveUrl === 'string' && archiveUrl.startsWith(LOCAL_ARCHIVE_PREFIX);
+}
+
+/**
+ * Read the schema of a PMTiles archive
+ * @param {PMTiles} archive - pmtiles.PMTiles instance
+ * @returns {Promise<Object>} Schema ({minzoom, maxzoom, bounds, center, vectorLayers})
+ */
+export async function readPMTilesSchema(archive) {
+  const header = await archive.getHeader();
+  const metadata = (await archive.getMetadata()) || {};
+
+  // tippecanoe records per-layer geometry in tilestats, vector_layers omits it
+  const geometryByLayer = {};
+  for (const stats of metadata.tilestats?.layers || []) {
+    geometryByLayer[stats.layer] = stats.geometry;
+  }
+
+  const vectorLayers = (metadata.vector_layers || []).map(vectorLayer => ({
+    id: vectorLayer.id,
+    description: vectorLayer.description || '',
+    minzoom: vectorLayer.minzoom ?? header.minZoom,
+    maxzoom: vectorLayer.maxzoom ?? header.maxZoom,
+    fields: { ...(vectorLayer.fields || {}) },
+    geometry: geometryByLayer[vectorLayer.id] || null
+  }));
+
+  return {
+    name: metadata.name || null,
+    attribution: metadata.attribution || null,
+    minzoom: header.minZoom,
+    maxzoom: header.maxZoom,
+    bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+    center: [header.centerLon, header.centerLat],
+    vectorLayers
+  };
+}
+
+/**
+ * Find a vector layer in a source schema
+ * GeoJSON sources have no source-layer; their single entry is returned instead.
+ * @param {Object} schema - Schemas keyed by source ID
+ * @param {string} sourceId - Source ID
+ * @param {string} sourceLayer - Source layer name (undefined for GeoJSON)
+ * @returns {Object|null} Vector layer description or null
+ */
+export function findVectorLayer(schema, sourceId, sourceLayer) {
+  const vectorLayers = schema[sourceId]?.vectorLayers || [];
+  if (sourceLayer === undefined) {
+    return vectorLayers.length === 1 ? vectorLayers[0] : null;
+  }
+  return vectorLayers.find(vectorLayer => vectorLayer.id === sourceLayer) || null;
+}
+
+/**
+ * Suggest a MapLibre layer type for a vector layer
+ * @param {Object} vectorLayer - Vector layer description
+ * @returns {string} Layer type (defaults to 'line' for infrastructure data)
+ */
+export function getLayerTypeForGeometry(vectorLayer) {
+  return GEOMETRY_LAYER_TYPES[vectorLayer?.geometry] || 'line';
+}
@@ -5,25 +5,42 @@
 
 import { defaultStyle, layerConfig } from '../styles/defaultStyle.js';
 import { fallbackStyle, fallbackLayerConfig } from '../styles/fallbackStyle.js';
-import { deepClone } from '../utils/helpers.js';
+import { buildLayerConfig, applySchemaToStyle, createDefaultLayer, uniqueLayerId } from '../styles/layerConfig.js';
+import { createLabelLayer, findLabelLayer, getLabelTarget } from '../styles/labels.js';
+import { applyThemeLayer } from '../styles/themes.js';
+import { deepClone, isEqual } from '../utils/helpers.js';
+import { StyleHistory, describeChange } from './StyleHistory.js';
+
+/**
+ * History labels for whole-style replacements, keyed by source
+ */
+const REPLACE_LABELS = {
+  import: 'Imported style',
+  code: 'Edited style JSON',
+  url: 'Opened shared link',
+  merge: 'Merged style changes'
+};
 
 export class AppState {
   /**
    * Initialize application state
    */
   constructor() {
+    this.tileSchema = {};
     this.currentStyle = deepClone(defaultStyle);
     this.layerVisibility = this._initializeLayerVisibility();
-    this.styleHistory = [deepClone(this.currentStyle)];
-    this.historyIndex = 0;
     this.activeTheme = 'default';
+    this.activeProjectId = null;
     this.isLoading = false;
     this.errors = [];
     this.eventListeners = new Map();
     this.isFallbackMode = false;
+    this.transaction = null;
     
     // Configuration
     this.maxHistorySize = 50;
+
+    this.history = new StyleHistory(this.currentStyle, { maxSize: this.maxHistorySize, label: 'Default style', activeTheme: this.activeTheme });
   }
 
   /**
@@ -33,13 +50,54 @@ export class AppState {
    */
   _initializeLayerVisibility() {
     const visibility = {};
-    const config = this.isFallbackMode ? fallbackLayerConfig : layerConfig;
-    for (const [layerId, layerConfig] of Object.entries(config)) {
-      visibility[layerId] = layerConfig.defaultVisible;
+    for (const [layerId, config] of Object.entries(this.getLayerConfig())) {
+      visibility[layerId] = config.defaultVisible;
     }
     return visibility;
   }
 
+  /**
+   * Create the default style aligned with the loaded tile schema
+   * @private
+   * @returns {Object} Default MapLibre style
+   */
+  _createDefaultStyle() {
+    const style = deepClone(defaultStyle);
+    applySchemaToStyle(style, this.tileSchema);
+    return style;
+  }
+
+  /**
+   * Get the style a new document starts from
+   * @returns {Object} Copy of the default style (the demo style in fallback mode)
+   */
+  getDefaultStyle() {
+    return this.isFallbackMode ? deepClone(fallbackStyle) : this._createDefaultStyle();
+  }
+
+  /**
+   * Apply tile schemas read from the PMTiles archives
+   * Fixes guessed source-layer names, adds layers for unstyled datasets and
+   * makes the result the new history baseline.
+   * @param {Object} schema - Schemas keyed by source ID
+   * @returns {Object} Report of renamed and added layers
+   */
+  applyTileSchema(schema) {
+    this.tileSchema = schema;
+    const report = applySchemaToStyle(this.currentStyle, schema);
+
+    this.layerVisibility = this._initializeLayerVisibility();
+    this.history.reset(this.currentStyle, 'Default style', this.activeTheme);
+
+    this.emit('tileSchemaLoaded', {
+      schema,
+      report,
+      style: this.currentStyle
+    });
+
+    return report;
+  }
+
   /**
    * Switch to fallback mode
    * @param {string} reason - Reason for fallback
@@ -48,8 +106,7 @@ export class AppState {
     this.isFallbackMode = true;
     this.currentStyle = deepClone(fallbackStyle);
     this.layerVisibility = this._initializeLayerVisibility();
-    this.styleHistory = [deepClone(this.currentStyle)];
-    this.historyIndex = 0;
+    this.history.reset(this.currentStyle, 'Demo style', this.activeTheme);
     
     this.emit('fallbackModeEnabled', {
       reason,
@@ -83,7 +140,9 @@ export class AppState {
       layer.paint[property] = value;
 
       // Push to history if this is a significant change
-      this._pushToHistory();
+      this._pushToHistory(describeChange(this._getLayerName(layerId), property, oldValue, value), {
+        layerId, property, oldValue, value
+      });
 
       // Emit change event
       this.emit('styleChanged', {
@@ -106,6 +165,337 @@ export class AppState {
     }
   }
 
+  /**
+   * Change how a layer is rendered (e.g. fill → fill-extrusion, circle → heatmap)
+   * Paint and layout are replaced with the new type's defaults, keeping the
+   * layer's color, source, filter, zoom range and visibility.
+   * @param {string} layerId - Layer ID
+   * @param {string} type - New MapLibre layer type
+   * @returns {boolean} Success status
+   */
+  changeLayerType(layerId, type) {
+    this.commitTransaction();
+    const index = this.currentStyle.layers.findIndex(l => l.id === layerId);
+    if (index === -1) {
+      console.warn(`Layer ${layerId} not found in current style`);
+      return false;
+    }
+
+    const layer = this.currentStyle.layers[index];
+    if (layer.type === type) {
+      return false;
+    }
+
+    const color = Object.entries(layer.paint || {})
+      .find(([property, value]) => property.endsWith('-color') && typeof value === 'string')?.[1];
+    const fields = Object.keys(this.getLayerAttributes(layerId));
+
+    const replacement = createDefaultLayer({
+      id: layer.id,
+      source: layer.source,
+      sourceLayer: layer['source-layer'],
+      type,
+      color,
+      labelField: fields.includes('name') ? 'name' : fields[0]
+    });
+
+    for (const key of ['metadata', 'filter', 'minzoom', 'maxzoom']) {
+      if (layer[key] !== undefined) {
+        replacement[key] = layer[key];
+      }
+    }
+    replacement.layout.visibility = layer.layout?.visibility || 'visible';
+
+    const previousType = layer.type;
+    this.currentStyle.layers[index] = replacement;
+    this._pushToHistory(describeChange(this._getLayerName(layerId), 'type', previousType, type));
+
+    this.emit('layersChanged', {
+      type: 'layerTypeChanged',
+      layerId,
+      layerType: type,
+      previousType,
+      style: this.currentStyle
+    });
+
+    return true;
+  }
+
+  /**
+   * Update a layout property for a specific layer
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Layout property name
+   * @param {*} value - Property value
+   * @returns {boolean} Success status
+   */
+  updateLayoutProperty(layerId, property, value) {
+    const layer = this.currentStyle.layers.find(l => l.id === layerId);
+    if (!layer) {
+      console.warn(`Layer ${layerId} not found in current style`);
+      return false;
+    }
+
+    if (!layer.layout) {
+      layer.layout = {};
+    }
+
+    const oldValue = layer.layout[property];
+    layer.layout[property] = value;
+
+    this._pushToHistory(describeChange(this._getLayerName(layerId), property, oldValue, value), {
+      layerId, property, oldValue, value
+    });
+
+    this.emit('styleChanged', {
+      layerId,
+      property,
+      value,
+      oldValue,
+      layout: true,
+      style: this.currentStyle
+    });
+
+    return true;
+  }
+
+  /**
+   * Set or clear the filter of a layer
+   * Label layers attached to the layer get the same filter so labels match what is drawn.
+   * @param {string} layerId - Layer ID
+   * @param {Array|null} filter - Filter expression (null removes the filter)
+   * @returns {string[]|null} IDs of the updated layers, or null if the layer was not found
+   */
+  updateFilter(layerId, filter) {
+    this.commitTransaction();
+    const layer = this.currentStyle.layers.find(l => l.id === layerId);
+    if (!layer) {
+      console.warn(`Layer ${layerId} not found in current style`);
+      return null;
+    }
+
+    const oldValue = layer.filter;
+    const updated = this.currentStyle.layers
+      .filter(l => l.id === layerId || getLabelTarget(l) === layerId);
+
+    for (const target of updated) {
+      if (filter) {
+        target.filter = deepClone(filter);
+      } else {
+        delete target.filter;
+      }
+    }
+
+    this._pushToHistory(`${filter ? 'Filtered' : 'Removed filter from'} ${this._getLayerName(layerId)}`);
+
+    this.emit('styleChanged', {
+      layerId,
+      property: 'filter',
+      value: filter,
+      oldValue,
+      filter: true,
+      style: this.currentStyle
+    });
+
+    return updated.map(l => l.id);
+  }
+
+  /**
+   * Add a label (symbol) layer for a layer, drawn above all other layers
+   * @param {string} layerId - Layer to label
+   * @param {Object} options - Label options ({field, font})
+   * @returns {string|null} Label layer ID or null if it could not be added
+   */
+  addLabelLayer(layerId, options) {
+    this.commitTransaction();
+    const layer = this.currentStyle.layers.find(l => l.id === layerId);
+    if (!layer || !layer.source) {
+      console.warn(`Layer ${layerId} cannot be labelled`);
+      return null;
+    }
+    if (findLabelLayer(this.currentStyle, layerId)) {
+      console.warn(`Layer ${layerId} already has labels`);
+      return null;
+    }
+
+    const labelLayer = createLabelLayer(layer, {
+      ...options,
+      name: this.getLayerConfig(layerId)?.name
+    });
+    if (this.currentStyle.layers.some(l => l.id === labelLayer.id)) {
+      labelLayer.id = uniqueLayerId(this.currentStyle, labelLayer.id);
+    }
+
+    this.currentStyle.layers.push(labelLayer);
+    this.layerVisibility[labelLayer.id] = true;
+    this._pushToHistory(`Added labels to ${this._getLayerName(layerId)}`);
+
+    this.emit('layersChanged', {
+      type: 'labelsAdded',
+      layerId,
+      added: [labelLayer.id],
+      style: this.currentStyle
+    });
+
+    return labelLayer.id;
+  }
+
+  /**
+   * Remove a layer (and any label layers attached to it) from the current style
+   * @param {string} layerId - Layer ID
+   * @returns {string[]|null} Removed layer IDs, or null if the layer was not found
+   */
+  removeLayer(layerId) {
+    this.commitTransaction();
+    if (!this.currentStyle.layers.some(l => l.id === layerId)) {
+      console.warn(`Layer ${layerId} not found in current style`);
+      return null;
+    }
+
+    const removed = this.currentStyle.layers
+      .filter(l => l.id === layerId || getLabelTarget(l) === layerId)
+      .map(l => l.id);
+    const name = this._getLayerName(layerId);
+
+    this.currentStyle.layers = this.currentStyle.layers.filter(l => !removed.includes(l.id));
+    for (const id of removed) {
+      delete this.layerVisibility[id];
+    }
+    this._pushToHistory(`Removed ${name}`);
+
+    this.emit('layersChanged', {
+      type: 'layerRemoved',
+      layerId,
+      removed,
+      style: this.currentStyle
+    });
+
+    return removed;
+  }
+
+  /**
+   * Move a layer in the draw order
+   * Follows map.moveLayer: the layer is drawn directly below `beforeId`,
+   * or on top of everything when `beforeId` is omitted.
+   * @param {string} layerId - Layer ID
+   * @param {string|null} beforeId - Layer to insert before (null for top)
+   * @returns {boolean} Success status
+   */
+  moveLayer(layerId, beforeId = null) {
+    this.commitTransaction();
+    const layers = this.currentStyle.layers;
+    const index = layers.findIndex(l => l.id === layerId);
+    if (index === -1 || layerId === beforeId) {
+      console.warn(`Cannot move layer ${layerId}`);
+      return false;
+    }
+
+    const [layer] = layers.splice(index, 1);
+    const beforeIndex = beforeId ? layers.findIndex(l => l.id === beforeId) : -1;
+    if (beforeId && beforeIndex === -1) {
+      layers.splice(index, 0, layer);
+      console.warn(`Layer ${beforeId} not found in current style`);
+      return false;
+    }
+
+    const newIndex = beforeIndex === -1 ? layers.length : beforeIndex;
+    layers.splice(newIndex, 0, layer);
+    if (newIndex === index) {
+      return false;
+    }
+
+    this._pushToHistory(`Moved ${this._getLayerName(layerId)} ${beforeId ? `below ${this._getLayerName(beforeId)}` : 'to the top'}`);
+
+    this.emit('layersChanged', {
+      type: 'layerMoved',
+      layerId,
+      beforeId,
+      style: this.currentStyle
+    });
+
+    return true;
+  }
+
+  /**
+   * Duplicate a layer directly below the original (e.g. a casing under roads)
+   * @param {string} layerId - Layer ID
+   * @returns {Object|null} { layer, beforeId } of the copy, or null on failure
+   */
+  duplicateLayer(layerId) {
+    this.commitTransaction();
+    const index = this.currentStyle.layers.findIndex(l => l.id === layerId);
+    if (index === -1) {
+      console.warn(`Layer ${layerId} not found in current style`);
+      return null;
+    }
+
+    const original = this.currentStyle.layers[index];
+    const copy = deepClone(original);
+    copy.id = uniqueLayerId(this.currentStyle, `${layerId}_copy`);
+    copy.metadata = {
+      ...(copy.metadata || {}),
+      'map-remix:name': `${this.getLayerConfig(layerId)?.name || layerId} copy`
+    };
+    // A copied label layer becomes a plain symbol layer
+    delete copy.metadata['map-remix:labelFor'];
+
+    this.currentStyle.layers.splice(index, 0, copy);
+    this.layerVisibility[copy.id] = copy.layout?.visibility !== 'none';
+    this._pushToHistory(`Duplicated ${this._getLayerName(layerId)}`);
+
+    this.emit('layersChanged', {
+      type: 'layerDuplicated',
+      layerId,
+      added: [copy.id],
+      style: this.currentStyle
+    });
+
+    return { layer: deepClone(copy), beforeId: layerId };
+  }
+
+  /**
+   * Add a user dataset (source, default layers and schema) to the current style
+   * @param {Object} dataset - Dataset from DatasetLoader ({sourceId, source, layers, schema, name})
+   * @returns {boolean} Success status
+   */
+  addDataset(dataset) {
+    this.commitTransaction();
+    const { sourceId, source, layers, schema, name } = dataset;
+
+    if (this.currentStyle.sources[sourceId]) {
+      console.warn(`Source ${sourceId} already exists in current style`);
+      return false;
+    }
+
+    this.currentStyle.sources[sourceId] = source;
+    this.currentStyle.layers.push(...layers);
+    this.tileSchema = { ...this.tileSchema, [sourceId]: schema };
+
+    for (const layer of layers) {
+      this.layerVisibility[layer.id] = layer.layout?.visibility !== 'none';
+    }
+
+    this._pushToHistory(`Added dataset ${name || sourceId}`);
+
+    this.emit('layersChanged', {
+      type: 'datasetAdded',
+      sourceId,
+      name,
+      added: layers.map(layer => layer.id),
+      style: this.currentStyle
+    });
+
+    return true;
+  }
+
+  /**
+   * Record the schema of a source already in the style (e.g. a local file added again)
+   * @param {string} sourceId - Source ID
+   * @param {Object} schema - Archive schema
+   */
+  setSourceSchema(sourceId, schema) {
+    this.tileSchema = { ...this.tileSchema, [sourceId]: schema };
+  }
+
   /**
    * Toggle layer visibility
    * @param {string} layerId - Layer ID
@@ -113,6 +503,7 @@ export class AppState {
    * @returns {boolean} New visibility state
    */
   toggleLayerVisibility(layerId, visible) {
+    this.commitTransaction();
     // If visible is not provided, toggle current state
     if (visible === undefined) {
       visible = !this.layerVisibility[layerId];
@@ -129,6 +520,9 @@ export class AppState {
       layer.layout.visibility = visible ? 'visible' : 'none';
     }
 
+    // A history step, so undoing an earlier change doesn't silently revert it
+    this._pushToHistory(`${visible ? 'Showed' : 'Hid'} ${this._getLayerName(layerId)}`);
+
     this.emit('layerVisibilityChanged', {
       layerId,
       visible,
@@ -140,6 +534,11 @@ export class AppState {
 
   /**
    * Apply a theme to the current style
+   * Themes may set paint, layout, filter and minzoom/maxzoom per layer. In
+   * 'replace' mode every layer of the default style is first reset to its
+   * default, so nothing from a previous theme lingers; 'merge' mode (the
+   * default) layers the theme on top of the current style. A replace that
+   * clears filters or can't reset added layers says so in themeChanged.
    * @param {string} themeName - Theme name
    * @param {Object} themeData - Theme configuration
    * @returns {Promise<boolean>} Success status
@@ -149,34 +548,55 @@ export class AppState {
       this.isLoading = true;
       this.emit('loadingChanged', { isLoading: true });
 
-      // Store previous theme for potential rollback
+      // An open edit is history of the previous theme, not part of this one
+      this.commitTransaction();
+
       const previousTheme = this.activeTheme;
-      const previousStyle = deepClone(this.currentStyle);
-
-      // Apply theme changes to current style
-      if (themeData.layers) {
-        for (const [layerId, layerChanges] of Object.entries(themeData.layers)) {
-          const layer = this.currentStyle.layers.find(l => l.id === layerId);
-          if (layer && layerChanges.paint) {
-            layer.paint = { ...layer.paint, ...layerChanges.paint };
-          }
-        }
-      }
+      const mode = themeData.mode === 'replace' ? 'replace' : 'merge';
+      const style = deepClone(this.currentStyle);
 
-      // Update background if provided
+      const reset = mode === 'replace'
+        ? this._resetLayersToDefault(style)
+        : { clearedFilters: [], notReset: [] };
+
+      const entries = { ...(themeData.layers || {}) };
       if (themeData.background) {
-        const backgroundLayer = this.currentStyle.layers.find(l => l.id === 'background');
+        const backgroundLayer = style.layers.find(l => l.type === 'background');
         if (backgroundLayer) {
-          backgroundLayer.paint = { ...backgroundLayer.paint, ...themeData.background };
+          entries[backgroundLayer.id] = {
+            ...entries[backgroundLayer.id],
+            paint: { ...entries[backgroundLayer.id]?.paint, ...themeData.background }
+          };
         }
       }
 
+      const report = { unmatched: [], skipped: [] };
+      for (const [layerId, layerChanges] of Object.entries(entries)) {
+        const layer = style.layers.find(l => l.id === layerId);
+        if (!layer) {
+          report.unmatched.push(layerId);
+          continue;
+        }
+        report.skipped.push(...applyThemeLayer(layer, layerChanges));
+      }
+
       this.activeTheme = themeName;
-      this._pushToHistory();
+      this._setCurrentStyle(style, { type: 'theme', themeName }, {
+        label: `Applied theme ${themeData.name || themeName}`
+      });
+
+      if (report.unmatched.length || report.skipped.length) {
+        console.warn(`Theme ${themeName} entries not applied:`, report);
+      }
 
       this.emit('themeChanged', {
         themeName,
         previousTheme,
+        mode,
+        unmatched: report.unmatched,
+        skipped: report.skipped,
+        clearedFilters: reset.clearedFilters,
+        notReset: reset.notReset,
         style: this.currentStyle
       });
 
@@ -195,6 +615,129 @@ export class AppState {
     }
   }
 
+  /**
+   * Reset layers that exist in the default style to their default paint,
+   * layout, filter and zoom range (visibility and layer type are kept)
+   * @private
+   * @param {Object} style - Style to reset (modified in place)
+   * @returns {Object} { clearedFilters, notReset } — IDs of layers whose filter
+   *   was replaced by the default one, and of added layers left as they are
+   */
+  _resetLayersToDefault(style) {
+    const defaults = this._createDefaultStyle();
+    const clearedFilters = [];
+    const notReset = [];
+
+    for (const layer of style.layers) {
+      const base = defaults.layers.find(l => l.id === layer.id);
+      if (!base || base.type !== layer.type) {
+        notReset.push(layer.id);
+        continue;
+      }
+      if (layer.filter !== undefined && !isEqual(layer.filter, base.filter)) {
+        clearedFilters.push(layer.id);
+      }
+
+      const visibility = layer.layout?.visibility;
+      layer.paint = deepClone(base.paint || {});
+      layer.layout = { ...deepClone(base.layout || {}), ...(visibility ? { visibility } : {}) };
+
+      for (const key of ['filter', 'minzoom', 'maxzoom']) {
+        if (base[key] === undefined) {
+          delete layer[key];
+        } else {
+          layer[key] = deepClone(base[key]);
+        }
+      }
+    }
+
+    return { clearedFilters, notReset };
+  }
+
+  /**
+   * Replace the whole style (e.g. an imported style)
+   * @param {Object} style - New MapLibre style
+   * @param {Object} options - Options
+   * @param {Object} options.layerVisibility - Visibility overrides keyed by layer ID
+   * @param {string} options.activeTheme - Theme to mark as active
+   * @param {string} options.source - What replaced the style (included in events)
+   * @param {string} options.label - History label (defaults to one for the source)
+   */
+  replaceStyle(style, { layerVisibility = null, activeTheme = null, source = 'import', label = null } = {}) {
+    const newStyle = deepClone(style);
+    for (const [layerId, visible] of Object.entries(layerVisibility || {})) {
+      const layer = newStyle.layers.find(l => l.id === layerId);
+      if (layer) {
+        layer.layout = { ...layer.layout, visibility: visible ? 'visible' : 'none' };
+      }
+    }
+
+    this._setCurrentStyle(newStyle, { type: 'replace', source }, {
+      activeTheme,
+      label: label || REPLACE_LABELS[source] || 'Replaced style'
+    });
+  }
+
+  /**
+   * Restore an autosaved session (style, undo history, visibility and theme)
+   * @param {Object} session - Session saved by SessionStore
+   */
+  restoreSession(session) {
+    // Schemas read at startup are fresher than the saved ones
+    this.tileSchema = { ...deepClone(session.tileSchema || {}), ...this.tileSchema };
+    this.transaction = null;
+    this.history = StyleHistory.fromJSON(session.history, session.style, {
+      maxSize: this.maxHistorySize,
+      index: session.historyIndex,
+      label: session.history ? 'Restored style' : 'New document',
+      activeTheme: session.activeTheme
+    });
+
+    const previousProjectId = this.activeProjectId;
+    this.activeProjectId = session.projectId ?? null;
+
+    this._setCurrentStyle(deepClone(session.style), { type: 'restore', source: 'session' }, {
+      activeTheme: session.activeTheme
+    });
+    this._emitHistoryChanged();
+
+    if (this.activeProjectId !== previousProjectId) {
+      this.emit('projectChanged', {
+        projectId: this.activeProjectId,
+        previousProjectId
+      });
+    }
+  }
+
+  /**
+   * Start a new document from the default style with empty history
+   * @param {string|null} projectId - Project the document belongs to
+   */
+  startNewDocument(projectId = null) {
+    const style = this._createDefaultStyle();
+    this.restoreSession({
+      style,
+      history: null,
+      layerVisibility: {},
+      activeTheme: 'default',
+      projectId
+    });
+  }
+
+  /**
+   * Mark which project the working style belongs to
+   * @param {string|null} projectId - Project ID (null for an unsaved workspace)
+   */
+  setActiveProject(projectId) {
+    const previousProjectId = this.activeProjectId;
+    if (projectId === previousProjectId) {
+      return;
+    }
+
+    this.activeProjectId = projectId;
+    this.emit('projectChanged', { projectId, previousProjectId });
+  }
+
   /**
    * Get current style object (deep clone for safety)
    * @returns {Object} Current MapLibre style
@@ -209,64 +752,162 @@ export class AppState {
    * @returns {Object} Layer configuration
    */
   getLayerConfig(layerId) {
-    const config = this.isFallbackMode ? fallbackLayerConfig : layerConfig;
+    const config = this.isFallbackMode
+      ? fallbackLayerConfig
+      : buildLayerConfig(this.currentStyle, this.tileSchema, layerConfig);
     if (layerId) {
       return config[layerId] || null;
     }
     return config;
   }
 
+  /**
+   * Get the attribute catalog for a layer from the tile schema
+   * @param {string} layerId - Layer ID
+   * @returns {Object} Field types keyed by attribute name
+   */
+  getLayerAttributes(layerId) {
+    return this.getLayerConfig(layerId)?.fields || {};
+  }
+
+  /**
+   * Rebuild layer visibility from the layout of the current style
+   * @private
+   */
+  _syncLayerVisibility() {
+    this.layerVisibility = {};
+    for (const layer of this.currentStyle.layers) {
+      this.layerVisibility[layer.id] = layer.layout?.visibility !== 'none';
+    }
+  }
+
   /**
    * Push current state to history
+   * Inside a transaction a property change is only recorded; the transaction's
+   * commit adds a single step. Any other change must commit the transaction
+   * before it modifies the style, so it gets its own step.
    * @private
+   * @param {string} label - Description of the change
+   * @param {Object} change - Property change ({layerId, property, oldValue, value}) for transaction labels
    */
-  _pushToHistory() {
-    // Remove any future history if we're not at the end
-    if (this.historyIndex < this.styleHistory.length - 1) {
-      this.styleHistory = this.styleHistory.slice(0, this.historyIndex + 1);
+  _pushToHistory(label, change = null) {
+    if (this.transaction && change) {
+      this.transaction.label = label;
+      const key = `${change.layerId}/${change.property}`;
+      const first = this.transaction.changes.get(key);
+      this.transaction.changes.set(key, { ...change, oldValue: first ? first.oldValue : change.oldValue });
+      return;
     }
 
-    // Add current state to history
-    this.styleHistory.push(deepClone(this.currentStyle));
-    this.historyIndex = this.styleHistory.length - 1;
+    if (this.history.push(this.currentStyle, label, this.activeTheme)) {
+      this._emitHistoryChanged();
+    }
+  }
 
-    // Limit history size
-    if (this.styleHistory.length > this.maxHistorySize) {
-      this.styleHistory.shift();
-      this.historyIndex--;
+  /**
+   * Start a transaction: changes update the style (and can be previewed on
+   * the map) but only land in history as one step when committed
+   * @param {string} label - History label for the commit (defaults to one describing the changes)
+   * @returns {boolean} False if a transaction is already open
+   */
+  beginTransaction(label = null) {
+    if (this.transaction) {
+      return false;
     }
 
-    this.emit('historyChanged', {
-      canUndo: this.canUndo(),
-      canRedo: this.canRedo(),
-      historyLength: this.styleHistory.length
-    });
+    this.transaction = {
+      label: null,
+      commitLabel: label,
+      changes: new Map(),
+      style: deepClone(this.currentStyle)
+    };
+    return true;
   }
 
   /**
-   * Undo last change
-   * @returns {boolean} Success status
+   * Add the changes made since beginTransaction to history as one step
+   * @param {string} label - History label (overrides the one given to beginTransaction)
+   * @returns {boolean} True if a step was added
    */
-  undo() {
-    if (!this.canUndo()) {
+  commitTransaction(label = null) {
+    const transaction = this.transaction;
+    if (!transaction) {
       return false;
     }
+    this.transaction = null;
 
-    this.historyIndex--;
-    this.currentStyle = deepClone(this.styleHistory[this.historyIndex]);
+    const changes = [...transaction.changes.values()];
+    let stepLabel = label || transaction.commitLabel;
+    if (!stepLabel && changes.length === 1) {
+      const { layerId, property, oldValue, value } = changes[0];
+      stepLabel = describeChange(this._getLayerName(layerId), property, oldValue, value);
+    }
+    stepLabel = stepLabel || (changes.length > 1 ? `Edited ${changes.length} properties` : transaction.label);
 
-    this.emit('styleChanged', {
-      type: 'undo',
-      style: this.currentStyle
-    });
+    if (!stepLabel) {
+      return false;
+    }
+
+    const added = this.history.push(this.currentStyle, stepLabel, this.activeTheme);
+    if (added) {
+      this._emitHistoryChanged();
+    }
+    return added;
+  }
+
+  /**
+   * Undo the changes made since beginTransaction without adding a step
+   * @returns {boolean} True if a transaction was cancelled
+   */
+  cancelTransaction() {
+    const transaction = this.transaction;
+    if (!transaction) {
+      return false;
+    }
+    this.transaction = null;
+
+    this._setCurrentStyle(transaction.style, { type: 'cancel' });
+    return true;
+  }
+
+  /**
+   * Check whether a transaction is open
+   * @returns {boolean} True during a transaction
+   */
+  isInTransaction() {
+    return Boolean(this.transaction);
+  }
 
+  /**
+   * Notify listeners that the history changed
+   * @private
+   */
+  _emitHistoryChanged() {
     this.emit('historyChanged', {
       canUndo: this.canUndo(),
       canRedo: this.canRedo(),
-      historyLength: this.styleHistory.length
+      historyLength: this.history.length,
+      historyIndex: this.history.index
     });
+  }
 
-    return true;
+  /**
+   * Get a layer's display name for history labels
+   * @private
+   * @param {string} layerId - Layer ID
+   * @returns {string} Layer name
+   */
+  _getLayerName(layerId) {
+    return this.getLayerConfig(layerId)?.name || layerId;
+  }
+
+  /**
+   * Undo last change
+   * @returns {boolean} Success status
+   */
+  undo() {
+    this.commitTransaction();
+    return this._moveInHistory(this.history.undo(), 'undo');
   }
 
   /**
@@ -274,33 +915,115 @@ export class AppState {
    * @returns {boolean} Success status
    */
   redo() {
-    if (!this.canRedo()) {
+    this.commitTransaction();
+    return this._moveInHistory(this.history.redo(), 'redo');
+  }
+
+  /**
+   * Jump to any step in the history
+   * @param {number} index - Step index (see getHistory)
+   * @returns {boolean} Success status
+   */
+  goToHistory(index) {
+    this.commitTransaction();
+    if (index === this.history.index) {
       return false;
     }
+    return this._moveInHistory(this.history.goTo(index), 'history');
+  }
 
-    this.historyIndex++;
-    this.currentStyle = deepClone(this.styleHistory[this.historyIndex]);
+  /**
+   * Bring back the steps replaced by a change made after undoing
+   * (the steps they replaced become the alternative branch)
+   * @returns {boolean} Success status
+   */
+  switchHistoryBranch() {
+    this.commitTransaction();
+    return this._moveInHistory(this.history.switchBranch(), 'branch');
+  }
 
-    this.emit('styleChanged', {
-      type: 'redo',
-      style: this.currentStyle
-    });
+  /**
+   * Get the history for display
+   * @returns {Object} { entries, branch } — see StyleHistory.getEntries and getBranch
+   */
+  getHistory() {
+    return {
+      entries: this.history.getEntries(),
+      branch: this.history.getBranch()
+    };
+  }
 
-    this.emit('historyChanged', {
-      canUndo: this.canUndo(),
-      canRedo: this.canRedo(),
-      historyLength: this.styleHistory.length
+  /**
+   * Make a style from the history current
+   * @private
+   * @param {Object|null} style - Style at the new step (null if the move was not possible)
+   * @param {string} type - Kind of move (included in events)
+   * @returns {boolean} Success status
+   */
+  _moveInHistory(style, type) {
+    if (!style) {
+      return false;
+    }
+
+    this._setCurrentStyle(style, { type, historyIndex: this.history.index }, {
+      activeTheme: this.history.getActiveTheme()
     });
+    this._emitHistoryChanged();
 
     return true;
   }
 
+  /**
+   * Make a whole style current and tell every listener to resync from it
+   * All whole-style changes (undo/redo, history jumps, themes, reset, import,
+   * restore) come through here. Layer visibility is rebuilt from the style so
+   * the style stays the single source of truth; styleChanged carries the
+   * previous style so the map can be reconciled with minimal updates.
+   * @private
+   * @param {Object} style - New current style (used as is)
+   * @param {Object} details - styleChanged details ({type, source, …})
+   * @param {Object} options - Options
+   * @param {string} options.activeTheme - Theme to mark as active
+   * @param {string} options.label - History label (omit to leave the history alone)
+   */
+  _setCurrentStyle(style, details, { activeTheme = null, label = null } = {}) {
+    if (label) {
+      this.commitTransaction();
+    }
+    const previousStyle = this.currentStyle;
+    const previousTheme = this.activeTheme;
+
+    this.currentStyle = style;
+    this._syncLayerVisibility();
+    if (activeTheme) {
+      this.activeTheme = activeTheme;
+    }
+    if (label) {
+      this._pushToHistory(label);
+    }
+
+    this.emit('styleChanged', {
+      ...details,
+      previousStyle,
+      style: this.currentStyle,
+      layerVisibility: { ...this.layerVisibility }
+    });
+
+    if (this.activeTheme !== previousTheme) {
+      this.emit('themeChanged', {
+        themeName: this.activeTheme,
+        previousTheme,
+        style: this.currentStyle
+      });
+    }
+  }
+
   /**
    * Check if undo is available
    * @returns {boolean} Can undo
    */
   canUndo() {
-    return this.historyIndex > 0;
+    return this.history.canUndo();
   }
 
   /**
@@ -308,17 +1031,17 @@ export class AppState {
    * @returns {boolean} Can redo
    */
   canRedo() {
-    return this.historyIndex < this.styleHistory.length - 1;
+    return this.history.canRedo();
   }
 
   /**
    * Reset to default style
    */
   resetToDefault() {
-    this.currentStyle = deepClone(defaultStyle);
-    this.layerVisibility = this._initializeLayerVisibility();
-    this.activeTheme = 'default';
-    this._pushToHistory();
+    this._setCurrentStyle(this._createDefaultStyle(), { type: 'reset' }, {
+      activeTheme: 'default',
+      label: 'Reset to default style'
+    });
 
     this.emit('styleReset', {
       style: this.currentStyle,
@@ -0,0 +1,186 @@
+/**
+ * ProjectStore - Named style documents
+ * Each project keeps its own style, undo history, layer visibility, theme and
+ * map view (a session as captured by SessionStore).
+ */
+
+import { createStore } from '../utils/storage.js';
+import { deepClone, generateId } from '../utils/helpers.js';
+
+export class ProjectStore {
+  /**
+   * Initialize ProjectStore
+   * @param {Object} store - Key-value store (defaults to persistent storage)
+   */
+  constructor(store = createStore('projects')) {
+    this.store = store;
+    this.projects = new Map();
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Load saved projects
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.projects.clear();
+    for (const [id, project] of await this.store.entries()) {
+      if (project?.name && Array.isArray(project.session?.style?.layers)) {
+        this.projects.set(id, project);
+      }
+    }
+    this.emit('projectsChanged', { projects: this.getAll() });
+  }
+
+  /**
+   * Get all projects sorted by name (without their sessions)
+   * @returns {Array<Object>} { id, name, created, updated }
+   */
+  getAll() {
+    return [...this.projects.values()]
+      .map(({ id, name, created, updated }) => ({ id, name, created, updated }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a project
+   * @param {string} projectId - Project ID
+   * @returns {Object|null} Project or null if not found
+   */
+  get(projectId) {
+    return this.projects.get(projectId) || null;
+  }
+
+  /**
+   * Create a project
+   * @param {string} name - Project name
+   * @param {Object} session - Session to store
+   * @returns {Promise<string>} New project ID
+   */
+  async create(name, session) {
+    if (!name?.trim()) {
+      throw new Error('Project needs a name');
+    }
+
+    const id = generateId('project');
+    const now = Date.now();
+    const project = {
+      id,
+      name: name.trim(),
+      created: now,
+      updated: now,
+      session: { ...deepClone(session), projectId: id }
+    };
+
+    await this.store.set(id, project);
+    this.projects.set(id, project);
+
+    this.emit('projectsChanged', { projects: this.getAll(), added: [id] });
+    return id;
+  }
+
+  /**
+   * Store the latest session of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} session - Session
+   * @returns {Promise<boolean>} Success status
+   */
+  async save(projectId, session) {
+    const project = this.projects.get(projectId);
+    if (!project) {
+      return false;
+    }
+
+    const updated = {
+      ...project,
+      updated: Date.now(),
+      session: { ...deepClone(session), projectId }
+    };
+    await this.store.set(projectId, updated);
+    this.projects.set(projectId, updated);
+    return true;
+  }
+
+  /**
+   * Rename a project
+   * @param {string} projectId - Project ID
+   * @param {string} name - New name
+   * @returns {Promise<boolean>} Success status
+   */
+  async rename(projectId, name) {
+    const project = this.projects.get(projectId);
+    if (!project || !name?.trim()) {
+      return false;
+    }
+
+    const renamed = { ...project, name: name.trim() };
+    await this.store.set(projectId, renamed);
+    this.projects.set(projectId, renamed);
+
+    this.emit('projectsChanged', { projects: this.getAll() });
+    return true;
+  }
+
+  /**
+   * Duplicate a project
+   * @param {string} projectId - Project ID
+   * @param {string} name - Name of the copy (defaults to "<name> copy")
+   * @returns {Promise<string|null>} ID of the copy, or null if not found
+   */
+  async duplicate(projectId, name) {
+    const project = this.projects.get(projectId);
+    if (!project) {
+      return null;
+    }
+    return this.create(name || `${project.name} copy`, project.session);
+  }
+
+  /**
+   * Delete a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(projectId) {
+    if (!this.projects.has(projectId)) {
+      return false;
+    }
+
+    await this.store.delete(projectId);
+    this.projects.delete(projectId);
+
+    this.emit('projectsChanged', { projects: this.getAll(), removed: [projectId] });
+    return true;
+  }
+
+  /**
+   * Event emitter functionality
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (!this.eventListeners.has(event)) return;
+
+    const listeners = this.eventListeners.get(event);
+    const index = listeners.indexOf(callback);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  emit(event, data) {
+    if (!this.eventListeners.has(event)) return;
+
+    this.eventListeners.get(event).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * SessionStore - Autosave of the working session
+ * Persists the current style, undo history, layer visibility, theme and map
+ * view so work survives a reload or crash.
+ */
+
+import { createStore } from '../utils/storage.js';
+import { createDebouncedFunction } from '../utils/debounce.js';
+import { deepClone, isEqual } from '../utils/helpers.js';
+
+/**
+ * Key of the autosaved session
+ */
+const SESSION_KEY = 'current';
+
+/**
+ * Version of the saved session format
+ */
+const SESSION_VERSION = 1;
+
+/**
+ * AppState events that change what is saved
+ */
+const SAVE_EVENTS = ['historyChanged', 'layerVisibilityChanged', 'themeChanged', 'styleReset', 'tileSchemaLoaded', 'projectChanged'];
+
+export class SessionStore {
+  /**
+   * Initialize SessionStore
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   * @param {Object} store - Key-value store (defaults to persistent storage)
+   */
+  constructor(appState, mapController, store = createStore('session')) {
+    this.appState = appState;
+    this.mapController = mapController;
+    this.store = store;
+    this.isStarted = false;
+    this.lastSaved = null;
+    this.eventListeners = new Map();
+
+    this.pendingSave = createDebouncedFunction(() => this.save(), 1000);
+    this.debouncedSave = this.pendingSave.func;
+    this._handlePageHide = () => this.save();
+  }
+
+  /**
+   * Load the autosaved session
+   * @returns {Promise<Object|null>} Session or null if there is none (or it is unreadable)
+   */
+  async load() {
+    try {
+      const session = await this.store.get(SESSION_KEY);
+      if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.style?.layers)) {
+        return null;
+      }
+      return session;
+    } catch (error) {
+      console.warn('Failed to read autosaved session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a session differs from the current state
+   * @param {Object} session - Saved session
+   * @returns {boolean} True if restoring would change the style
+   */
+  hasChanges(session) {
+    return !isEqual(session.style, this.appState.currentStyle);
+  }
+
+  /**
+   * Restore a saved session into the application state and map view
+   * @param {Object} session - Saved session
+   * @returns {Object} { missingSources } — local files that must be added again
+   */
+  restore(session) {
+    this.appState.restoreSession(session);
+
+    if (session.viewState) {
+      this.mapController.setViewState(session.viewState);
+    }
+
+    // Files already added this session (same name and size) keep working
+    const missingSources = (session.localSources || [])
+      .filter(sourceId => !this.mapController.hasLocalArchive(session.style.sources[sourceId]?.url));
+    return { missingSources };
+  }
+
+  /**
+   * Start saving automatically
+   */
+  start() {
+    if (this.isStarted) {
+      return;
+    }
+    this.isStarted = true;
+
+    for (const event of SAVE_EVENTS) {
+      this.appState.on(event, this.debouncedSave);
+    }
+    this.mapController.on('viewChanged', this.debouncedSave);
+    window.addEventListener('pagehide', this._handlePageHide);
+
+    this.save();
+  }
+
+  /**
+   * Stop saving automatically
+   */
+  stop() {
+    for (const event of SAVE_EVENTS) {
+      this.appState.off(event, this.debouncedSave);
+    }
+    this.mapController.off('viewChanged', this.debouncedSave);
+    window.removeEventListener('pagehide', this._handlePageHide);
+    this.pendingSave.clear();
+    this.isStarted = false;
+  }
+
+  /**
+   * Save the current session
+   * Falls back to saving without undo history when storage is short on space.
+   * @returns {Promise<boolean>} Success status
+   */
+  async save() {
+    const session = this.capture();
+
+    try {
+      await this.store.set(SESSION_KEY, session);
+    } catch (error) {
+      try {
+        console.warn('Autosave too large, saving without undo history:', error);
+        await this.store.set(SESSION_KEY, {
+          ...session,
+          history: null
+        });
+      } catch (retryError) {
+        console.error('Failed to autosave session:', retryError);
+        return false;
+      }
+    }
+
+    this.lastSaved = session.savedAt;
+    this.emit('sessionSaved', { session });
+    return true;
+  }
+
+  /**
+   * Delete the autosaved session
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.store.delete(SESSION_KEY);
+    this.lastSaved = null;
+  }
+
+  /**
+   * Capture the current session
+   * @returns {Object} Session
+   */
+  capture() {
+    const viewState = this.mapController.getViewState();
+    const style = this.appState.currentStyle;
+
+    return {
+      version: SESSION_VERSION,
+      savedAt: Date.now(),
+      projectId: this.appState.activeProjectId,
+      fallback: this.appState.isFallbackMode,
+      style: deepClone(style),
+      history: this.appState.history.toJSON(),
+      layerVisibility: { ...this.appState.layerVisibility },
+      activeTheme: this.appState.activeTheme,
+      tileSchema: deepClone(this.appState.tileSchema),
+      localSources: Object.entries(style.sources)
+        .filter(([, source]) => this.mapController.isLocalArchive(source.url))
+        .map(([sourceId]) => sourceId),
+      viewState: viewState && {
+        center: [viewState.center.lng, viewState.center.lat],
+        zoom: viewState.zoom,
+        bearing: viewState.bearing,
+        pitch: viewState.pitch
+      }
+    };
+  }
+
+  /**
+   * Event emitter functionality
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (!this.eventListeners.has(event)) return;
+
+    const listeners = this.eventListeners.get(event);
+    const index = listeners.indexOf(callback);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  emit(event, data) {
+    if (!this.eventListeners.has(event)) return;
+
+    this.eventListeners.get(event).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * StyleHistory - Labeled undo history stored as style patches
+ * Only the style at the current step is kept whole; every step stores the
+ * patches to move to it from the previous step and back, so long sessions and
+ * large imported styles stay small. When a change is made after undoing, the
+ * undone steps are kept as a branch that can be switched back to.
+ */
+
+import { diffStyle, applyStylePatch } from '../utils/patch.js';
+import { deepClone, formatNumber } from '../utils/helpers.js';
+
+/**
+ * Version of the serialized history format
+ */
+const HISTORY_VERSION = 1;
+
+/**
+ * Describe a property change for a history label
+ * @param {string} name - Layer name
+ * @param {string} property - Property name
+ * @param {*} oldValue - Previous value
+ * @param {*} value - New value
+ * @returns {string} Label such as "Roads line-width 2.5 → 4"
+ */
+export function describeChange(name, property, oldValue, value) {
+  return `${name} ${property} ${describeValue(oldValue)} → ${describeValue(value)}`;
+}
+
+/**
+ * Describe a style value briefly
+ * @param {*} value - Property value
+ * @returns {string} Description
+ */
+function describeValue(value) {
+  if (value === undefined || value === null) {
+    return 'default';
+  }
+  if (typeof value === 'number') {
+    return formatNumber(value);
+  }
+  if (Array.isArray(value)) {
+    return typeof value[0] === 'string' ? `${value[0]} expression` : 'list';
+  }
+  return String(value);
+}
+
+export class StyleHistory {
+  /**
+   * Initialize StyleHistory
+   * @param {Object} style - Starting style
+   * @param {Object} options - History options
+   * @param {number} options.maxSize - Most steps kept (older steps are dropped)
+   * @param {string} options.label - Label of the starting step
+   * @param {string} options.activeTheme - Theme active at the starting step
+   */
+  constructor(style, { maxSize = 50, label = 'Opened style', activeTheme = null } = {}) {
+    this.maxSize = maxSize;
+    this.reset(style, label, activeTheme);
+  }
+
+  /**
+   * Start over from a style
+   * @param {Object} style - Starting style
+   * @param {string} label - Label of the starting step
+   * @param {string} activeTheme - Theme active at the starting step
+   */
+  reset(style, label = 'Opened style', activeTheme = null) {
+    this.snapshot = deepClone(style);
+    this.entries = [{ label, timestamp: Date.now(), activeTheme }];
+    this.index = 0;
+    this.branch = null;
+  }
+
+  /**
+   * Number of steps
+   * @returns {number} Step count
+   */
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Record a new step
+   * Undone steps are kept as the alternative branch.
+   * @param {Object} style - Style after the change
+   * @param {string} label - Description of the change
+   * @param {string} activeTheme - Theme active after the change
+   * @returns {boolean} False if the style did not change
+   */
+  push(style, label = 'Edited style', activeTheme = null) {
+    const redo = diffStyle(this.snapshot, style);
+    if (!redo) {
+      return false;
+    }
+
+    if (this.canRedo()) {
+      this.branch = { index: this.index, entries: this.entries.splice(this.index + 1) };
+    }
+
+    this.entries.push({
+      label,
+      timestamp: Date.now(),
+      activeTheme,
+      redo,
+      undo: diffStyle(style, this.snapshot)
+    });
+    this.snapshot = deepClone(style);
+    this.index = this.entries.length - 1;
+    this._trim();
+
+    return true;
+  }
+
+  /**
+   * Step back
+   * @returns {Object|null} Style at the previous step, or null if there is none
+   */
+  undo() {
+    return this.canUndo() ? this.goTo(this.index - 1) : null;
+  }
+
+  /**
+   * Step forward
+   * @returns {Object|null} Style at the next step, or null if there is none
+   */
+  redo() {
+    return this.canRedo() ? this.goTo(this.index + 1) : null;
+  }
+
+  /**
+   * Move to any step
+   * @param {number} index - Step index
+   * @returns {Object|null} Style at that step, or null if the index is out of range
+   */
+  goTo(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.entries.length) {
+      return null;
+    }
+
+    let style = this.snapshot;
+    while (this.index > index) {
+      style = applyStylePatch(style, this.entries[this.index].undo);
+      this.index--;
+    }
+    while (this.index < index) {
+      this.index++;
+      style = applyStylePatch(style, this.entries[this.index].redo);
+    }
+
+    this.snapshot = style;
+    return deepClone(this.snapshot);
+  }
+
+  /**
+   * Swap the current steps after the branch point with the undone branch
+   * @returns {Object|null} Style at the end of the restored branch, or null if there is no branch
+   */
+  switchBranch() {
+    if (!this.branch) {
+      return null;
+    }
+
+    const { index, entries } = this.branch;
+    this.goTo(index);
+    const replaced = this.entries.splice(index + 1);
+    this.entries.push(...entries);
+    this.branch = replaced.length ? { index, entries: replaced } : null;
+
+    const style = this.goTo(this.entries.length - 1);
+    this._trim();
+    return style;
+  }
+
+  /**
+   * Theme that was active at the current step
+   * @returns {string|null} Theme name, or null if not recorded
+   */
+  getActiveTheme() {
+    return this.entries[this.index].activeTheme || null;
+  }
+
+  /**
+   * Check if undo is available
+   * @returns {boolean} Can undo
+   */
+  canUndo() {
+    return this.index > 0;
+  }
+
+  /**
+   * Check if redo is available
+   * @returns {boolean} Can redo
+   */
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+
+  /**
+   * Get the steps for display
+   * @returns {Array<Object>} { index, label, timestamp, isCurrent, isUndone }
+   */
+  getEntries() {
+    return this.entries.map(({ label, timestamp }, index) => ({
+      index,
+      label,
+      timestamp,
+      isCurrent: index === this.index,
+      isUndone: index > this.index
+    }));
+  }
+
+  /**
+   * Describe the undone branch
+   * @returns {Object|null} { index, length, label } (label of its last step), or null if there is none
+   */
+  getBranch() {
+    if (!this.branch) {
+      return null;
+    }
+
+    const { index, entries } = this.branch;
+    return { index, length: entries.length, label: entries[entries.length - 1].label };
+  }
+
+  /**
+   * Serialize for storage
+   * @returns {Object} Serialized history
+   */
+  toJSON() {
+    return {
+      version: HISTORY_VERSION,
+      index: this.index,
+      snapshot: deepClone(this.snapshot),
+      entries: deepClone(this.entries),
+      branch: deepClone(this.branch)
+    };
+  }
+
+  /**
+   * Restore a serialized history
+   * Also accepts the older list of full style snapshots.
+   * @param {Object|Array|null} data - Serialized history
+   * @param {Object} style - Current style (used when the history is missing or unreadable)
+   * @param {Object} options - History options
+   * @param {number} options.maxSize - Most steps kept
+   * @param {number} options.index - Current step of an older snapshot list
+   * @param {string} options.label - Label of the first step when starting fresh
+   * @param {string} options.activeTheme - Theme active with `style`
+   * @returns {StyleHistory} History positioned at `style`
+   */
+  static fromJSON(data, style, { maxSize = 50, index, label = 'Restored style', activeTheme = null } = {}) {
+    const history = new StyleHistory(style, { maxSize, label, activeTheme });
+
+    if (Array.isArray(data) && data.length) {
+      history.reset(data[0], 'Restored style');
+      data.slice(1).forEach((snapshot, i) => history.push(snapshot, `Step ${i + 1}`));
+      history.branch = null;
+      history.goTo(Math.min(Math.max(index ?? history.length - 1, 0), history.length - 1));
+    } else if (data?.version === HISTORY_VERSION && Array.isArray(data.entries) && data.entries.length) {
+      history.snapshot = deepClone(data.snapshot);
+      history.entries = deepClone(data.entries);
+      history.index = Math.min(Math.max(data.index, 0), data.entries.length - 1);
+      history.branch = deepClone(data.branch || null);
+    }
+
+    // The saved style wins if the history does not end up at it
+    if (diffStyle(history.snapshot, style)) {
+      history.push(style, 'Restored style', activeTheme);
+    }
+    return history;
+  }
+
+  /**
+   * Drop the oldest steps beyond the size limit
+   * @private
+   */
+  _trim() {
+    const excess = this.entries.length - this.maxSize;
+    if (excess <= 0) {
+      return;
+    }
+
+    this.entries.splice(0, excess);
+    const first = this.entries[0];
+    delete first.undo;
+    delete first.redo;
+    this.index -= excess;
+
+    if (this.branch) {
+      this.branch.index -= excess;
+      if (this.branch.index < 0) {
+        this.branch = null;
+      }
+    }
+  }
+}
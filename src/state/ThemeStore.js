@@ -0,0 +1,207 @@
+/**
+ * ThemeStore - User-authored themes
+ * Persists themes saved from the editor or imported from theme packs
+ */
+
+import { createStore } from '../utils/storage.js';
+import { validateTheme, parseThemePack, createThemePack } from '../styles/themes.js';
+import { deepClone } from '../utils/helpers.js';
+
+/**
+ * Prefix that keeps user theme IDs apart from the built-in presets
+ */
+const USER_THEME_PREFIX = 'user:';
+
+export class ThemeStore {
+  /**
+   * Initialize ThemeStore
+   * @param {Object} store - Key-value store (defaults to persistent storage)
+   */
+  constructor(store = createStore('themes')) {
+    this.store = store;
+    this.themes = new Map();
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Load saved themes
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.themes.clear();
+    for (const [id, theme] of await this.store.entries()) {
+      if (validateTheme(theme).valid) {
+        this.themes.set(id, theme);
+      }
+    }
+    this.emit('themesChanged', { themes: this.getAll() });
+  }
+
+  /**
+   * Check if an ID belongs to a user theme
+   * @param {string} themeId - Theme ID
+   * @returns {boolean} True for user themes
+   */
+  static isUserTheme(themeId) {
+    return typeof themeId === 'string' && themeId.startsWith(USER_THEME_PREFIX);
+  }
+
+  /**
+   * Get all user themes, oldest first
+   * @returns {Object} Themes keyed by ID
+   */
+  getAll() {
+    const sorted = [...this.themes.entries()]
+      .sort(([, a], [, b]) => (a.created || 0) - (b.created || 0));
+    return Object.fromEntries(sorted);
+  }
+
+  /**
+   * Get a user theme
+   * @param {string} themeId - Theme ID
+   * @returns {Object|null} Theme or null if not found
+   */
+  get(themeId) {
+    return this.themes.get(themeId) || null;
+  }
+
+  /**
+   * Save a new theme
+   * @param {Object} theme - Theme
+   * @returns {Promise<string>} New theme ID
+   */
+  async save(theme) {
+    const { valid, errors } = validateTheme(theme);
+    if (!valid) {
+      throw new Error(`Invalid theme: ${errors.join(', ')}`);
+    }
+
+    const id = this._createId(theme.name);
+    const stored = { ...deepClone(theme), created: Date.now() };
+    await this.store.set(id, stored);
+    this.themes.set(id, stored);
+
+    this.emit('themesChanged', { themes: this.getAll(), added: [id] });
+    return id;
+  }
+
+  /**
+   * Rename a theme
+   * @param {string} themeId - Theme ID
+   * @param {string} name - New name
+   * @returns {Promise<boolean>} Success status
+   */
+  async rename(themeId, name) {
+    const theme = this.themes.get(themeId);
+    if (!theme || !name.trim()) {
+      return false;
+    }
+
+    const renamed = { ...theme, name: name.trim() };
+    await this.store.set(themeId, renamed);
+    this.themes.set(themeId, renamed);
+
+    this.emit('themesChanged', { themes: this.getAll() });
+    return true;
+  }
+
+  /**
+   * Delete a theme
+   * @param {string} themeId - Theme ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(themeId) {
+    if (!this.themes.has(themeId)) {
+      return false;
+    }
+
+    await this.store.delete(themeId);
+    this.themes.delete(themeId);
+
+    this.emit('themesChanged', { themes: this.getAll(), removed: [themeId] });
+    return true;
+  }
+
+  /**
+   * Import themes from a theme pack (or a single theme object)
+   * Imported themes are always added as new themes; nothing is overwritten.
+   * @param {*} data - Parsed JSON
+   * @returns {Promise<Object>} { added: themeId[], errors: string[] }
+   */
+  async importPack(data) {
+    const { themes, errors } = parseThemePack(data);
+    const added = [];
+
+    for (const { theme } of themes) {
+      const { created, ...rest } = theme;
+      added.push(await this.save(rest));
+    }
+
+    return { added, errors };
+  }
+
+  /**
+   * Export user themes as a theme pack
+   * @param {string[]} themeIds - Themes to export (defaults to all)
+   * @returns {Object} Theme pack
+   */
+  exportPack(themeIds = [...this.themes.keys()]) {
+    const packThemes = {};
+    for (const id of themeIds) {
+      const theme = this.themes.get(id);
+      if (theme) {
+        const { created, ...rest } = theme;
+        packThemes[id.slice(USER_THEME_PREFIX.length)] = deepClone(rest);
+      }
+    }
+    return createThemePack(packThemes);
+  }
+
+  /**
+   * Create a unique theme ID from a name
+   * @private
+   * @param {string} name - Theme name
+   * @returns {string} Theme ID
+   */
+  _createId(name) {
+    const base = `${USER_THEME_PREFIX}${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme'}`;
+    let id = base;
+    let suffix = 2;
+    while (this.themes.has(id)) {
+      id = `${base}-${suffix++}`;
+    }
+    return id;
+  }
+
+  /**
+   * Event emitter functionality
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (!this.eventListeners.has(event)) return;
+    
+    const listeners = this.eventListeners.get(event);
+    const index = listeners.indexOf(callback);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  emit(event, data) {
+    if (!this.eventListeners.has(event)) return;
+    
+    this.eventListeners.get(event).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in event listener for ${event}:`, error);
+      }
+    });
+  }
+}
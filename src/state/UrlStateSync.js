@@ -0,0 +1,283 @@
+/**
+ * UrlStateSync - Keeps the URL hash in sync with the map
+ * The hash carries the map view, active theme, hidden layers and a compact
+ * diff of the current style against the default style, so the address bar is
+ * always a link to what is on screen.
+ */
+
+import { createDebouncedFunction } from '../utils/debounce.js';
+import { diffStyle, applyStylePatch } from '../utils/patch.js';
+import { encodeUrlState, decodeUrlState } from '../utils/urlState.js';
+import { validateStyle } from '../utils/validation.js';
+
+/**
+ * AppState events that change the encoded style, theme or visibility
+ */
+const STYLE_EVENTS = ['historyChanged', 'layerVisibilityChanged', 'themeChanged', 'styleReset', 'tileSchemaLoaded'];
+
+/**
+ * Session storage key of the hash last written, so a reload of this tab is
+ * not mistaken for opening a shared link
+ */
+const LAST_HASH_KEY = 'map-remix:lastHash';
+
+export class UrlStateSync {
+  /**
+   * Initialize UrlStateSync
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   */
+  constructor(appState, mapController) {
+    this.appState = appState;
+    this.mapController = mapController;
+    this.isStarted = false;
+    this.lastHash = null;
+    this.stylePayload = null;
+    this.isStyleDirty = true;
+    this.isOmitted = false;
+    this.updateCount = 0;
+
+    this.pendingUpdate = createDebouncedFunction(() => this.update(), 500);
+    this.debouncedUpdate = this.pendingUpdate.func;
+    this._handleStyleEvent = () => {
+      this.isStyleDirty = true;
+      this.debouncedUpdate();
+    };
+    this._handleHashChange = () => {
+      if (window.location.hash !== this.lastHash) {
+        this.applyFromUrl();
+      }
+    };
+  }
+
+  /**
+   * Check whether the current URL carries shared state
+   * The hash this app last wrote in this tab is not a shared link.
+   * @returns {Promise<Object|null>} Decoded state or null if there is none (or it is unreadable)
+   */
+  async read() {
+    if (window.location.hash && window.location.hash === readLastHash()) {
+      return null;
+    }
+
+    try {
+      return await decodeUrlState(window.location.hash);
+    } catch (error) {
+      console.error('Failed to read link:', error);
+      this.appState.addError({
+        type: 'urlState',
+        message: 'This link could not be read; it may have been cut off',
+        error
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Apply state decoded from a link
+   * @param {Object} state - Decoded state
+   * @returns {Object} { success, error } — error explains why the style was not applied
+   */
+  apply(state) {
+    if (state.view) {
+      this.mapController.setViewState(state.view);
+    }
+
+    if (state.patch && state.fallback !== this.appState.isFallbackMode) {
+      return {
+        success: false,
+        error: state.fallback
+          ? 'This link was made in demo mode; only the map view was applied'
+          : 'This link needs the PMTiles data, which is not available; only the map view was applied'
+      };
+    }
+
+    const hidden = new Set(state.hidden);
+
+    // Links too long for the style only carry the view and visibility; the
+    // current style stays as it is apart from which layers are shown
+    if (state.styleOmitted) {
+      for (const layer of this.appState.currentStyle.layers) {
+        const visible = !hidden.has(layer.id);
+        if (this.appState.layerVisibility[layer.id] !== visible) {
+          this.appState.toggleLayerVisibility(layer.id, visible);
+        }
+      }
+      return { success: true };
+    }
+
+    const style = applyStylePatch(this.appState.getDefaultStyle(), state.patch);
+    for (const layer of style.layers) {
+      layer.layout = { ...layer.layout, visibility: hidden.has(layer.id) ? 'none' : 'visible' };
+    }
+
+    const report = validateStyle(style, { tileSchema: this.appState.tileSchema });
+    if (!report.valid) {
+      return {
+        success: false,
+        error: `The style in this link is invalid (${report.errors[0].message}); only the map view was applied`
+      };
+    }
+
+    this.appState.replaceStyle(style, {
+      activeTheme: state.theme || 'default',
+      source: 'url'
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Read and apply the state in the current URL
+   * @returns {Promise<boolean>} True if the URL carried state
+   */
+  async applyFromUrl() {
+    const state = await this.read();
+    if (!state) {
+      return false;
+    }
+
+    const result = this.apply(state);
+    if (!result.success) {
+      this.appState.addError({
+        type: 'urlState',
+        message: result.error
+      });
+    }
+    this.appState.emit('urlStateApplied', { styleApplied: result.success });
+    return true;
+  }
+
+  /**
+   * Start keeping the URL in sync
+   */
+  start() {
+    if (this.isStarted) {
+      return;
+    }
+    this.isStarted = true;
+
+    for (const event of STYLE_EVENTS) {
+      this.appState.on(event, this._handleStyleEvent);
+    }
+    this.mapController.on('viewChanged', this.debouncedUpdate);
+    window.addEventListener('hashchange', this._handleHashChange);
+
+    this.isStyleDirty = true;
+    this.update();
+  }
+
+  /**
+   * Stop keeping the URL in sync
+   */
+  stop() {
+    for (const event of STYLE_EVENTS) {
+      this.appState.off(event, this._handleStyleEvent);
+    }
+    this.mapController.off('viewChanged', this.debouncedUpdate);
+    window.removeEventListener('hashchange', this._handleHashChange);
+    this.pendingUpdate.clear();
+    this.isStarted = false;
+  }
+
+  /**
+   * Write the current state into the URL
+   * The style is only re-encoded after it changed; panning reuses the last payload.
+   * @returns {Promise<string>} The new hash
+   */
+  async update() {
+    const updateId = ++this.updateCount;
+
+    if (this.isStyleDirty) {
+      this.stylePayload = null;
+      this.isStyleDirty = false;
+    }
+
+    const { hash, stylePayload, omitted } = await encodeUrlState(this.capture(), {
+      stylePayload: this.stylePayload
+    });
+
+    // A newer update started while this one was compressing
+    if (updateId !== this.updateCount) {
+      return this.lastHash;
+    }
+
+    this.stylePayload = stylePayload;
+    if (omitted && !this.isOmitted) {
+      this.appState.emit('urlStateTooLarge', { hash });
+    }
+    this.isOmitted = omitted;
+
+    if (hash !== window.location.hash) {
+      const url = `${window.location.pathname}${window.location.search}${hash}`;
+      window.history.replaceState(window.history.state, '', url);
+    }
+    this.lastHash = window.location.hash;
+    writeLastHash(this.lastHash);
+    return hash;
+  }
+
+  /**
+   * Capture the state to encode
+   * @returns {Object} { view, theme, hidden, patch, fallback }
+   */
+  capture() {
+    const viewState = this.mapController.getViewState();
+    const style = this.appState.currentStyle;
+
+    return {
+      view: viewState && {
+        center: [viewState.center.lng, viewState.center.lat],
+        zoom: viewState.zoom,
+        bearing: viewState.bearing,
+        pitch: viewState.pitch
+      },
+      theme: this.appState.activeTheme,
+      hidden: style.layers
+        .filter(layer => this.appState.layerVisibility[layer.id] === false)
+        .map(layer => layer.id),
+      // Skip the diff when the cached payload is still current
+      patch: this.stylePayload ? null : diffStyle(this.appState.getDefaultStyle(), style, { ignoreLayout: ['visibility'] }),
+      fallback: this.appState.isFallbackMode
+    };
+  }
+
+  /**
+   * Copy a link to the current map to the clipboard
+   * @returns {Promise<Object>} { success, error }
+   */
+  async copyLink() {
+    try {
+      await this.update();
+      await navigator.clipboard.writeText(window.location.href);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+      return { success: false, error: 'Could not copy the link; copy it from the address bar instead' };
+    }
+  }
+}
+
+/**
+ * Read the hash last written in this tab
+ * @returns {string|null} Hash, or null if none (or session storage is unavailable)
+ */
+function readLastHash() {
+  try {
+    return sessionStorage.getItem(LAST_HASH_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remember the hash last written in this tab
+ * @param {string} hash - Hash
+ */
+function writeLastHash(hash) {
+  try {
+    sessionStorage.setItem(LAST_HASH_KEY, hash);
+  } catch (error) {
+    // Without session storage a reload reads as a shared link, as before
+  }
+}
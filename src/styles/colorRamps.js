@@ -0,0 +1,144 @@
+/**
+ * Color ramps for data-driven styling
+ * Sequential ramps suit graduated (numeric) classes, qualitative ramps suit categories
+ */
+
+import { rgbToHex } from '../utils/helpers.js';
+
+export const colorRamps = {
+  blues: {
+    name: 'Blues',
+    type: 'sequential',
+    colors: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c']
+  },
+  reds: {
+    name: 'Reds',
+    type: 'sequential',
+    colors: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15']
+  },
+  ylOrRd: {
+    name: 'Yellow-Orange-Red',
+    type: 'sequential',
+    colors: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026']
+  },
+  viridis: {
+    name: 'Viridis',
+    type: 'sequential',
+    colors: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']
+  },
+  magma: {
+    name: 'Magma',
+    type: 'sequential',
+    colors: ['#000004', '#51127c', '#b73779', '#fc8961', '#fcfdbf']
+  },
+  rdYlBu: {
+    name: 'Red-Yellow-Blue',
+    type: 'diverging',
+    colors: ['#d7191c', '#fdae61', '#ffffbf', '#abd9e9', '#2c7bb6']
+  },
+  set2: {
+    name: 'Set 2',
+    type: 'qualitative',
+    colors: ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3']
+  },
+  tableau: {
+    name: 'Tableau 10',
+    type: 'qualitative',
+    colors: [
+      '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+      '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'
+    ]
+  }
+};
+
+/**
+ * Get a ramp by key
+ * @param {string} rampKey - Ramp key
+ * @returns {Object|null} Ramp definition or null if not found
+ */
+export function getColorRamp(rampKey) {
+  return colorRamps[rampKey] || null;
+}
+
+/**
+ * Get `count` colors from a ramp
+ * Sequential and diverging ramps are interpolated; qualitative ramps repeat.
+ * @param {string} rampKey - Ramp key
+ * @param {number} count - Number of colors
+ * @returns {string[]} Hex colors
+ */
+export function getRampColors(rampKey, count) {
+  const ramp = getColorRamp(rampKey);
+  if (!ramp || count <= 0) {
+    return [];
+  }
+
+  if (ramp.type === 'qualitative') {
+    return Array.from({ length: count }, (_, i) => ramp.colors[i % ramp.colors.length]);
+  }
+
+  if (count === 1) {
+    return [ramp.colors[ramp.colors.length - 1]];
+  }
+
+  return Array.from({ length: count }, (_, i) => {
+    return sampleRamp(ramp.colors, i / (count - 1));
+  });
+}
+
+/**
+ * Sample a color at position t (0-1) along a list of hex colors
+ * @private
+ * @param {string[]} colors - Hex colors
+ * @param {number} t - Position
+ * @returns {string} Hex color
+ */
+function sampleRamp(colors, t) {
+  const position = t * (colors.length - 1);
+  const index = Math.min(Math.floor(position), colors.length - 2);
+  const fraction = position - index;
+
+  const from = hexToRgb(colors[index]);
+  const to = hexToRgb(colors[index + 1]);
+
+  return rgbToHex(
+    Math.round(from.r + (to.r - from.r) * fraction),
+    Math.round(from.g + (to.g - from.g) * fraction),
+    Math.round(from.b + (to.b - from.b) * fraction)
+  );
+}
+
+/**
+ * Convert a 6-digit hex color to RGB components
+ * @private
+ * @param {string} hex - Hex color
+ * @returns {Object} {r, g, b}
+ */
+function hexToRgb(hex) {
+  const value = hex.replace('#', '');
+  return {
+    r: parseInt(value.substr(0, 2), 16),
+    g: parseInt(value.substr(2, 2), 16),
+    b: parseInt(value.substr(4, 2), 16)
+  };
+}
+
+/**
+ * Build a CSS linear-gradient preview for a ramp
+ * @param {string} rampKey - Ramp key
+ * @returns {string} CSS background value
+ */
+export function getRampGradient(rampKey) {
+  const ramp = getColorRamp(rampKey);
+  if (!ramp) {
+    return 'none';
+  }
+
+  if (ramp.type === 'qualitative') {
+    const step = 100 / ramp.colors.length;
+    const segments = ramp.colors.map((color, i) => `${color} ${i * step}% ${(i + 1) * step}%`);
+    return `linear-gradient(to right, ${segments.join(', ')})`;
+  }
+
+  return `linear-gradient(to right, ${ramp.colors.join(', ')})`;
+}
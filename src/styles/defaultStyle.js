@@ -3,6 +3,8 @@
  * This will be used as the base style for the application
  */
 
+import { GLYPHS_URL } from './fonts.js';
+
 export const defaultStyle = {
   "version": 8,
   "name": "Map Remix Default",
@@ -10,6 +12,7 @@ export const defaultStyle = {
     "mapbox:autocomposite": false,
     "mapbox:type": "template"
   },
+  "glyphs": GLYPHS_URL,
   "sources": {
     "co_roads": {
       "type": "vector",
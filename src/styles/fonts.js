@@ -0,0 +1,48 @@
+/**
+ * Font configuration for labels
+ * Glyphs load from the public MapLibre font server unless the page sets
+ * another endpoint (see GLYPHS_URL and assets/fonts/README.md).
+ */
+
+export const REMOTE_GLYPHS_URL = 'https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf';
+export const LOCAL_GLYPHS_URL = '../assets/fonts/{fontstack}/{range}.pbf';
+
+/**
+ * Read the glyphs endpoint configured by the page
+ * @private
+ * @returns {string} Glyphs URL template
+ */
+function getConfiguredGlyphsUrl() {
+  const meta = globalThis.document?.querySelector('meta[name="glyphs-url"]');
+  return meta?.content.trim() || REMOTE_GLYPHS_URL;
+}
+
+/**
+ * Glyphs endpoint used for new label styles
+ * Set per deployment with <meta name="glyphs-url" content="..."> in
+ * public/index.html, e.g. LOCAL_GLYPHS_URL once glyphs are built into assets/fonts/.
+ */
+export const GLYPHS_URL = getConfiguredGlyphsUrl();
+
+/**
+ * Font stacks available on the glyphs endpoint
+ * Each name must match a directory under the glyphs URL.
+ */
+export const fontStacks = [
+  { name: 'Noto Sans Regular', label: 'Noto Sans' },
+  { name: 'Noto Sans Bold', label: 'Noto Sans Bold' },
+  { name: 'Noto Sans Italic', label: 'Noto Sans Italic' },
+  { name: 'Open Sans Regular', label: 'Open Sans' },
+  { name: 'Open Sans Semibold', label: 'Open Sans Semibold' }
+];
+
+export const DEFAULT_FONT = fontStacks[0].name;
+
+/**
+ * Get the display label of a font stack
+ * @param {string} fontName - Font stack name
+ * @returns {string} Display label
+ */
+export function getFontLabel(fontName) {
+  return fontStacks.find(font => font.name === fontName)?.label || fontName;
+}
@@ -0,0 +1,126 @@
+/**
+ * Label layers
+ * Labels are symbol layers stacked above the layer they annotate and linked
+ * to it through layer metadata, so they export as plain style JSON.
+ */
+
+import { DEFAULT_FONT } from './fonts.js';
+
+const LABEL_FOR_KEY = 'map-remix:labelFor';
+
+/**
+ * Editable label layout properties with input ranges
+ */
+export const LABEL_LAYOUT_PROPERTIES = {
+  'text-size': { min: 6, max: 36, step: 1, unit: 'px' },
+  'text-padding': { min: 0, max: 20, step: 1, unit: 'px' },
+  'symbol-spacing': { min: 50, max: 1000, step: 50, unit: 'px' }
+};
+
+/**
+ * Editable label paint properties with input ranges
+ */
+export const LABEL_PAINT_PROPERTIES = {
+  'text-halo-width': { min: 0, max: 5, step: 0.5, unit: 'px' }
+};
+
+/**
+ * Get the label layer ID for a layer
+ * @param {string} layerId - Labelled layer ID
+ * @returns {string} Label layer ID
+ */
+export function getLabelLayerId(layerId) {
+  return `${layerId}-labels`;
+}
+
+/**
+ * Get the layer a label layer belongs to
+ * @param {Object} layer - Style layer
+ * @returns {string|null} Labelled layer ID or null if not a label layer
+ */
+export function getLabelTarget(layer) {
+  return layer?.metadata?.[LABEL_FOR_KEY] || null;
+}
+
+/**
+ * Find the label layer of a layer
+ * @param {Object} style - MapLibre style
+ * @param {string} layerId - Labelled layer ID
+ * @returns {Object|null} Label layer or null
+ */
+export function findLabelLayer(style, layerId) {
+  return style.layers.find(layer => getLabelTarget(layer) === layerId) || null;
+}
+
+/**
+ * Read the attribute a label layer shows
+ * @param {Object} labelLayer - Label layer
+ * @returns {string|null} Attribute name
+ */
+export function getLabelField(labelLayer) {
+  const textField = labelLayer?.layout?.['text-field'];
+  const accessor = Array.isArray(textField) && textField[0] === 'to-string' ? textField[1] : textField;
+  if (Array.isArray(accessor) && accessor[0] === 'get') {
+    return accessor[1];
+  }
+  if (typeof textField === 'string') {
+    return textField.match(/^\{(.+)\}$/)?.[1] || null;
+  }
+  return null;
+}
+
+/**
+ * Build the text-field expression for an attribute
+ * @param {string} field - Attribute name
+ * @returns {Array} Expression
+ */
+export function buildLabelField(field) {
+  return ['to-string', ['get', field]];
+}
+
+/**
+ * Create a label layer for a layer
+ * @param {Object} layer - Layer to label
+ * @param {Object} options - Label options
+ * @param {string} options.field - Attribute to show
+ * @param {string} options.name - Display name of the labelled layer
+ * @param {string} options.font - Font stack name
+ * @returns {Object} MapLibre symbol layer
+ */
+export function createLabelLayer(layer, { field, name, font = DEFAULT_FONT }) {
+  const labelLayer = {
+    id: getLabelLayerId(layer.id),
+    type: 'symbol',
+    source: layer.source,
+    metadata: {
+      'map-remix:name': `${name || layer.id} labels`,
+      [LABEL_FOR_KEY]: layer.id
+    },
+    layout: {
+      visibility: 'visible',
+      'text-field': buildLabelField(field),
+      'text-font': [font],
+      'text-size': 12,
+      'symbol-placement': layer.type === 'line' ? 'line' : 'point',
+      'text-allow-overlap': false,
+      'text-ignore-placement': false,
+      'text-padding': 2
+    },
+    paint: {
+      'text-color': '#333333',
+      'text-halo-color': '#ffffff',
+      'text-halo-width': 1
+    }
+  };
+
+  if (layer['source-layer']) {
+    labelLayer['source-layer'] = layer['source-layer'];
+  }
+  for (const key of ['filter', 'minzoom', 'maxzoom']) {
+    if (layer[key] !== undefined) {
+      labelLayer[key] = layer[key];
+    }
+  }
+
+  return labelLayer;
+}
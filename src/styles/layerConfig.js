@@ -0,0 +1,173 @@
+/**
+ * Layer configuration builder
+ * Derives the UI layer list from the current style and the tile schema instead of hardcoding it
+ */
+
+import { findVectorLayer, getLayerTypeForGeometry } from '../map/TileSchema.js';
+import { getRampColors } from './colorRamps.js';
+import { layerTypes } from './layerTypes.js';
+import { getLabelTarget } from './labels.js';
+
+/**
+ * Editable paint properties per layer type
+ */
+export const STYLE_PROPERTIES_BY_TYPE = Object.fromEntries(
+  Object.entries(layerTypes).map(([type, definition]) => [
+    type,
+    definition.properties.map(spec => spec.property)
+  ])
+);
+
+/**
+ * Turn a layer ID into a display name (co_power_lines → "Co Power Lines")
+ * @param {string} layerId - Layer ID
+ * @returns {string} Display name
+ */
+export function humanizeLayerId(layerId) {
+  return layerId
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .replace(/\b\w/g, l => l.toUpperCase());
+}
+
+/**
+ * Create a default layer for a source layer
+ * @param {Object} options - Layer options
+ * @param {string} options.id - Layer ID
+ * @param {string} options.source - Source ID
+ * @param {string} options.sourceLayer - Source layer name (omit for GeoJSON sources)
+ * @param {string} options.type - Layer type
+ * @param {string} options.color - Base color
+ * @param {string} options.name - Display name stored in layer metadata
+ * @param {string} options.labelField - Attribute shown by symbol layers
+ * @returns {Object} MapLibre layer
+ */
+export function createDefaultLayer({ id, source, sourceLayer, type = 'line', color = '#607D8B', name, labelField }) {
+  const layer = { id, type, source };
+
+  if (sourceLayer) {
+    layer['source-layer'] = sourceLayer;
+  }
+  if (name) {
+    layer.metadata = { 'map-remix:name': name };
+  }
+
+  const definition = layerTypes[type] || layerTypes.line;
+  layer.layout = { visibility: 'visible', ...(definition.layout?.({ labelField }) || {}) };
+  layer.paint = definition.paint(color);
+
+  return layer;
+}
+
+/**
+ * Align a style's source-layer names with the tile schema
+ * Layers pointing at a missing source-layer are moved to an unclaimed one, and
+ * vector layers no style layer uses get a default layer.
+ * @param {Object} style - MapLibre style (modified in place)
+ * @param {Object} schema - Schemas keyed by source ID
+ * @returns {Object} { renamed: [{layerId, from, to}], added: [layerId] }
+ */
+export function applySchemaToStyle(style, schema) {
+  const report = { renamed: [], added: [] };
+
+  for (const [sourceId, sourceSchema] of Object.entries(schema)) {
+    const vectorLayers = sourceSchema.vectorLayers || [];
+    if (style.sources[sourceId]?.type !== 'vector' || vectorLayers.length === 0) {
+      continue;
+    }
+
+    const sourceLayers = style.layers.filter(layer => layer.source === sourceId);
+    const claimed = new Set(
+      sourceLayers
+        .map(layer => layer['source-layer'])
+        .filter(name => vectorLayers.some(vectorLayer => vectorLayer.id === name))
+    );
+
+    for (const layer of sourceLayers) {
+      if (findVectorLayer(schema, sourceId, layer['source-layer'])) {
+        continue;
+      }
+
+      const replacement = vectorLayers.find(vectorLayer => !claimed.has(vectorLayer.id)) || vectorLayers[0];
+      report.renamed.push({ layerId: layer.id, from: layer['source-layer'], to: replacement.id });
+      layer['source-layer'] = replacement.id;
+      claimed.add(replacement.id);
+    }
+
+    const unclaimed = vectorLayers.filter(vectorLayer => !claimed.has(vectorLayer.id));
+    const colors = getRampColors('tableau', style.layers.length + unclaimed.length);
+
+    for (const vectorLayer of unclaimed) {
+      const id = uniqueLayerId(style, vectorLayers.length === 1 ? sourceId : `${sourceId}_${vectorLayer.id}`);
+      style.layers.push(createDefaultLayer({
+        id,
+        source: sourceId,
+        sourceLayer: vectorLayer.id,
+        type: getLayerTypeForGeometry(vectorLayer),
+        color: colors[style.layers.length],
+        name: humanizeLayerId(vectorLayer.id)
+      }));
+      report.added.push(id);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Make a layer ID unique within a style
+ * @param {Object} style - MapLibre style
+ * @param {string} baseId - Preferred ID
+ * @returns {string} Unused layer ID
+ */
+export function uniqueLayerId(style, baseId) {
+  const ids = new Set(style.layers.map(layer => layer.id));
+  let id = baseId;
+  let suffix = 2;
+  while (ids.has(id)) {
+    id = `${baseId}_${suffix++}`;
+  }
+  return id;
+}
+
+/**
+ * Build UI layer configuration from a style
+ * Entries are ordered top-most layer first, matching how layer lists read.
+ * @param {Object} style - MapLibre style
+ * @param {Object} schema - Schemas keyed by source ID
+ * @param {Object} knownConfig - Curated config (names, defaults) for known layer IDs
+ * @returns {Object} Layer configuration keyed by layer ID
+ */
+export function buildLayerConfig(style, schema = {}, knownConfig = {}) {
+  const config = {};
+
+  for (const layer of [...style.layers].reverse()) {
+    if (layer.type === 'background' || !layer.source) {
+      continue;
+    }
+
+    const known = knownConfig[layer.id];
+    const vectorLayer = findVectorLayer(schema, layer.source, layer['source-layer']);
+    const sourceSchema = schema[layer.source];
+
+    config[layer.id] = {
+      name: layer.metadata?.['map-remix:name'] || known?.name || humanizeLayerId(layer.id),
+      type: layer.type,
+      defaultVisible: known?.defaultVisible ?? layer.layout?.visibility !== 'none',
+      styleProperties: known?.type === layer.type
+        ? known.styleProperties
+        : (STYLE_PROPERTIES_BY_TYPE[layer.type] || []),
+      source: layer.source,
+      sourceLayer: layer['source-layer'] || null,
+      labelFor: getLabelTarget(layer),
+      description: vectorLayer?.description || '',
+      fields: vectorLayer?.fields || {},
+      geometry: vectorLayer?.geometry || null,
+      minzoom: vectorLayer?.minzoom ?? sourceSchema?.minzoom ?? null,
+      maxzoom: vectorLayer?.maxzoom ?? sourceSchema?.maxzoom ?? null,
+      bounds: sourceSchema?.bounds || null
+    };
+  }
+
+  return config;
+}
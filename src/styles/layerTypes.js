@@ -0,0 +1,222 @@
+/**
+ * Layer type definitions for the style editor
+ * Each type lists its editable paint properties (with input ranges) and default paint
+ */
+
+/**
+ * Transparent start for heatmap color ramps so low density fades out
+ */
+const HEATMAP_TRANSPARENT = 'rgba(0, 0, 0, 0)';
+
+export const layerTypes = {
+  line: {
+    name: 'Line',
+    geometries: ['LineString', 'Polygon'],
+    properties: [
+      { property: 'line-color', valueType: 'color', default: '#607D8B' },
+      { property: 'line-width', valueType: 'number', min: 1, max: 10, step: 1, unit: 'px', default: 1.5 },
+      { property: 'line-opacity', valueType: 'number', min: 0, max: 1, step: 0.1, unit: '', default: 0.8 }
+    ],
+    paint: color => ({ 'line-color': color, 'line-width': 1.5, 'line-opacity': 0.8 }),
+    layout: () => ({ 'line-join': 'round', 'line-cap': 'round' })
+  },
+
+  fill: {
+    name: 'Fill',
+    geometries: ['Polygon'],
+    properties: [
+      { property: 'fill-color', valueType: 'color', default: '#607D8B' },
+      { property: 'fill-opacity', valueType: 'number', min: 0, max: 1, step: 0.05, unit: '', default: 0.4 },
+      { property: 'fill-outline-color', valueType: 'color', default: '#455A64' }
+    ],
+    paint: color => ({ 'fill-color': color, 'fill-opacity': 0.4, 'fill-outline-color': color })
+  },
+
+  'fill-extrusion': {
+    name: '3D extrusion',
+    geometries: ['Polygon'],
+    properties: [
+      { property: 'fill-extrusion-color', valueType: 'color', default: '#607D8B' },
+      {
+        property: 'fill-extrusion-height',
+        valueType: 'attribute-number',
+        min: 0,
+        max: 500,
+        step: 5,
+        unit: 'm',
+        default: 20
+      },
+      { property: 'fill-extrusion-base', valueType: 'number', min: 0, max: 200, step: 5, unit: 'm', default: 0 },
+      { property: 'fill-extrusion-opacity', valueType: 'number', min: 0, max: 1, step: 0.05, unit: '', default: 0.8 }
+    ],
+    paint: color => ({
+      'fill-extrusion-color': color,
+      'fill-extrusion-height': 20,
+      'fill-extrusion-base': 0,
+      'fill-extrusion-opacity': 0.8
+    })
+  },
+
+  circle: {
+    name: 'Circle',
+    geometries: ['Point'],
+    properties: [
+      { property: 'circle-color', valueType: 'color', default: '#607D8B' },
+      { property: 'circle-radius', valueType: 'number', min: 1, max: 20, step: 0.5, unit: 'px', default: 4 },
+      { property: 'circle-opacity', valueType: 'number', min: 0, max: 1, step: 0.1, unit: '', default: 0.8 },
+      { property: 'circle-stroke-color', valueType: 'color', default: '#ffffff' },
+      { property: 'circle-stroke-width', valueType: 'number', min: 0, max: 5, step: 0.5, unit: 'px', default: 1 },
+      { property: 'circle-blur', valueType: 'number', min: 0, max: 1, step: 0.1, unit: '', default: 0 }
+    ],
+    paint: color => ({
+      'circle-color': color,
+      'circle-radius': 4,
+      'circle-opacity': 0.8,
+      'circle-stroke-color': '#ffffff',
+      'circle-stroke-width': 1
+    })
+  },
+
+  symbol: {
+    name: 'Symbol (text)',
+    geometries: ['Point', 'LineString', 'Polygon'],
+    requiresGlyphs: true,
+    properties: [
+      { property: 'text-color', valueType: 'color', default: '#333333' },
+      { property: 'text-opacity', valueType: 'number', min: 0, max: 1, step: 0.1, unit: '', default: 1 },
+      { property: 'text-halo-color', valueType: 'color', default: '#ffffff' },
+      { property: 'text-halo-width', valueType: 'number', min: 0, max: 5, step: 0.5, unit: 'px', default: 1 }
+    ],
+    paint: color => ({
+      'text-color': color,
+      'text-halo-color': '#ffffff',
+      'text-halo-width': 1
+    }),
+    layout: ({ labelField = 'name' } = {}) => ({
+      'text-field': ['to-string', ['get', labelField]],
+      'text-size': 12
+    })
+  },
+
+  heatmap: {
+    name: 'Heatmap',
+    geometries: ['Point'],
+    properties: [
+      { property: 'heatmap-radius', valueType: 'number', min: 1, max: 50, step: 1, unit: 'px', default: 15 },
+      { property: 'heatmap-intensity', valueType: 'number', min: 0, max: 5, step: 0.1, unit: '', default: 1 },
+      { property: 'heatmap-opacity', valueType: 'number', min: 0, max: 1, step: 0.1, unit: '', default: 0.8 },
+      { property: 'heatmap-color', valueType: 'density-ramp', default: null }
+    ],
+    paint: () => ({
+      'heatmap-radius': 15,
+      'heatmap-intensity': 1,
+      'heatmap-opacity': 0.8,
+      'heatmap-color': buildDensityRamp(['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'])
+    })
+  },
+
+  background: {
+    name: 'Background',
+    geometries: [],
+    properties: [
+      { property: 'background-color', valueType: 'color', default: '#f8f9fa' }
+    ],
+    paint: color => ({ 'background-color': color })
+  }
+};
+
+/**
+ * Get a layer type definition
+ * @param {string} type - MapLibre layer type
+ * @returns {Object|null} Layer type definition
+ */
+export function getLayerType(type) {
+  return layerTypes[type] || null;
+}
+
+/**
+ * Get the spec of a paint property
+ * @param {string} type - Layer type
+ * @param {string} property - Paint property
+ * @returns {Object|null} Property spec
+ */
+export function getPropertySpec(type, property) {
+  return layerTypes[type]?.properties.find(spec => spec.property === property) || null;
+}
+
+/**
+ * Property name prefixes each layer type accepts (paint and layout)
+ */
+const PROPERTY_PREFIXES = {
+  line: ['line-'],
+  fill: ['fill-'],
+  'fill-extrusion': ['fill-extrusion-'],
+  circle: ['circle-'],
+  symbol: ['text-', 'icon-', 'symbol-'],
+  heatmap: ['heatmap-'],
+  background: ['background-']
+};
+
+/**
+ * Check whether a paint or layout property applies to a layer type
+ * @param {string} property - Property name
+ * @param {string} type - Layer type
+ * @returns {boolean} True if the layer type accepts the property
+ */
+export function propertyMatchesType(property, type) {
+  if (property === 'visibility') {
+    return true;
+  }
+  const prefixes = PROPERTY_PREFIXES[type];
+  if (!prefixes) {
+    return true;
+  }
+  // 'fill-extrusion-*' starts with 'fill-' but is not a fill property
+  if (type === 'fill' && property.startsWith('fill-extrusion-')) {
+    return false;
+  }
+  return prefixes.some(prefix => property.startsWith(prefix));
+}
+
+/**
+ * Get layer types that can render a geometry
+ * @param {string|null} geometry - 'Point', 'LineString', 'Polygon' or null if unknown
+ * @returns {string[]} Layer types
+ */
+export function getTypesForGeometry(geometry) {
+  return Object.entries(layerTypes)
+    .filter(([type, definition]) => type !== 'background' && (!geometry || definition.geometries.includes(geometry)))
+    .map(([type]) => type);
+}
+
+/**
+ * Build a heatmap-color ramp over heatmap density
+ * @param {string[]} colors - Colors from low to high density
+ * @returns {Array} interpolate expression
+ */
+export function buildDensityRamp(colors) {
+  const expression = ['interpolate', ['linear'], ['heatmap-density'], 0, HEATMAP_TRANSPARENT];
+  colors.forEach((color, i) => {
+    expression.push(parseFloat(((i + 1) / colors.length).toFixed(2)), color);
+  });
+  return expression;
+}
+
+/**
+ * Read the colors of a heatmap density ramp
+ * @param {*} value - heatmap-color value
+ * @returns {string[]|null} Colors (excluding the transparent start) or null
+ */
+export function parseDensityRamp(value) {
+  if (!Array.isArray(value) || value[0] !== 'interpolate' || value[2]?.[0] !== 'heatmap-density') {
+    return null;
+  }
+
+  const colors = [];
+  for (let i = 3; i < value.length; i += 2) {
+    if (value[i] > 0 && typeof value[i + 1] === 'string') {
+      colors.push(value[i + 1]);
+    }
+  }
+  return colors;
+}
@@ -0,0 +1,344 @@
+/**
+ * Legend builder
+ * Describes what each layer of a style looks like at a zoom level, including
+ * the classes and ramps of data-driven properties, and draws legends on a 2D
+ * canvas for the legend panel and exports.
+ */
+
+import { evaluateAtZoom, parseDataExpression } from '../utils/expressions.js';
+
+/**
+ * Layer types that get a legend entry (backgrounds and labels don't)
+ */
+export const LEGEND_LAYER_TYPES = ['line', 'fill', 'fill-extrusion', 'circle'];
+
+/**
+ * Properties whose data-driven classes are listed, in order of preference
+ */
+const CLASS_PROPERTIES = {
+  line: ['line-color', 'line-width', 'line-opacity'],
+  fill: ['fill-color', 'fill-opacity'],
+  'fill-extrusion': ['fill-extrusion-color'],
+  circle: ['circle-color', 'circle-radius', 'circle-opacity']
+};
+
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+const TEXT_COLOR = '#212121';
+const MUTED_COLOR = '#616161';
+const SWATCH_WIDTH = 28;
+const SWATCH_HEIGHT = 12;
+const INDENT = 12;
+
+/**
+ * Height of a legend row in pixels
+ */
+export const LEGEND_ROW_HEIGHT = 20;
+
+/**
+ * Build legend entries for a style
+ * @param {Object} style - MapLibre style
+ * @param {Object} options - Legend options
+ * @param {number} options.zoom - Zoom to evaluate zoom-dependent values at
+ * @param {Function} options.getLayerName - Display name for a layer ID
+ * @param {boolean} options.includeHidden - Also list hidden layers and layers outside their zoom range
+ * @returns {Array<Object>} Entries, topmost layer first: { layerId, name, type, visible,
+ *   inZoomRange, swatch, classes } — classes describes a data-driven property (or is null)
+ */
+export function buildLegend(style, { zoom = 10, getLayerName = id => id, includeHidden = false } = {}) {
+  const entries = [];
+
+  for (const layer of [...style.layers].reverse()) {
+    if (!LEGEND_LAYER_TYPES.includes(layer.type)) {
+      continue;
+    }
+
+    const visible = layer.layout?.visibility !== 'none';
+    const inZoomRange = zoom >= (layer.minzoom ?? 0) && zoom < (layer.maxzoom ?? 24);
+    if (!(visible && inZoomRange) && !includeHidden) {
+      continue;
+    }
+
+    const classes = describeClasses(layer, zoom);
+    entries.push({
+      layerId: layer.id,
+      name: getLayerName(layer.id),
+      type: layer.type,
+      visible,
+      inZoomRange,
+      swatch: classes ? classes.items[0].swatch : describeSwatch(layer, zoom),
+      classes
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Describe how to draw a layer's swatch
+ * Data-driven values fall back to MapLibre's defaults.
+ * @param {Object} layer - Style layer
+ * @param {number} zoom - Zoom level
+ * @returns {Object} Swatch: line { color, width, opacity, dasharray }, fill
+ *   { color, opacity, outlineColor } or circle { color, radius, opacity, strokeColor, strokeWidth }
+ */
+export function describeSwatch(layer, zoom) {
+  const paint = (property, fallback) => evaluateAtZoom(layer.paint?.[property], zoom, fallback);
+
+  switch (layer.type) {
+    case 'line': {
+      const dasharray = paint('line-dasharray', null);
+      return {
+        color: paint('line-color', '#000000'),
+        width: paint('line-width', 1),
+        opacity: paint('line-opacity', 1),
+        dasharray: Array.isArray(dasharray) && dasharray.every(n => typeof n === 'number') ? dasharray : null
+      };
+    }
+    case 'fill':
+      return {
+        color: paint('fill-color', '#000000'),
+        opacity: paint('fill-opacity', 1),
+        outlineColor: paint('fill-outline-color', null)
+      };
+    case 'fill-extrusion':
+      return {
+        color: paint('fill-extrusion-color', '#000000'),
+        opacity: paint('fill-extrusion-opacity', 1),
+        outlineColor: null
+      };
+    case 'circle':
+      return {
+        color: paint('circle-color', '#000000'),
+        radius: paint('circle-radius', 5),
+        opacity: paint('circle-opacity', 1),
+        strokeColor: paint('circle-stroke-color', '#000000'),
+        strokeWidth: paint('circle-stroke-width', 0)
+      };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Describe the classes of a layer's data-driven property
+ * Only the first data-driven property (color before width or opacity) is
+ * listed; each class's swatch shows the layer with that class's output.
+ * @param {Object} layer - Style layer
+ * @param {number} zoom - Zoom level
+ * @returns {Object|null} { property, field, curve, ramp, items: [{ label, swatch }] } — ramp is
+ *   true for colors interpolated along a numeric attribute
+ */
+export function describeClasses(layer, zoom) {
+  for (const property of CLASS_PROPERTIES[layer.type] || []) {
+    const model = parseDataExpression(layer.paint?.[property]);
+    if (!model) {
+      continue;
+    }
+
+    const withOutput = output => describeSwatch({ ...layer, paint: { ...layer.paint, [property]: output } }, zoom);
+    const items = model.classes.map(({ label, output }) => ({ label, swatch: withOutput(output) }));
+    if (model.mode === 'categorical' && model.fallback !== null && model.fallback !== undefined) {
+      items.push({ label: 'Other', swatch: withOutput(model.fallback) });
+    }
+    if (!items.length) {
+      continue;
+    }
+
+    return {
+      property,
+      field: model.field,
+      curve: model.curve,
+      ramp: model.curve === 'interpolate' && property.endsWith('-color'),
+      items
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Flatten legend entries into drawable rows
+ * Data-driven layers get a heading row followed by a row per class, or a
+ * single gradient row for color ramps.
+ * @param {Array<Object>} entries - Entries from buildLegend
+ * @returns {Array<Object>} Rows: { label, type, swatch, ramp, indent }
+ */
+export function getLegendRows(entries) {
+  const rows = [];
+
+  for (const entry of entries) {
+    if (!entry.classes) {
+      rows.push({ label: entry.name, type: entry.type, swatch: entry.swatch, ramp: null, indent: 0 });
+      continue;
+    }
+
+    const { field, ramp, items } = entry.classes;
+    rows.push({ label: `${entry.name} (${field})`, type: entry.type, swatch: null, ramp: null, indent: 0 });
+    if (ramp) {
+      rows.push({
+        label: `${items[0].label} – ${items[items.length - 1].label}`,
+        type: entry.type,
+        swatch: null,
+        ramp: items.map(item => item.swatch.color),
+        indent: 1
+      });
+    } else {
+      for (const item of items) {
+        rows.push({ label: item.label, type: entry.type, swatch: item.swatch, ramp: null, indent: 1 });
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Draw legend rows in a box, filling columns top to bottom
+ * Rows that don't fit are summarised as "+ n more".
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Array<Object>} rows - Rows from getLegendRows
+ * @param {Object} box - { x, y, width, height } to draw in
+ * @param {number} columns - Number of columns
+ */
+export function drawLegendRows(context, rows, { x, y, width, height }, columns = 1) {
+  const columnWidth = width / columns;
+  const perColumn = Math.max(1, Math.floor(height / LEGEND_ROW_HEIGHT));
+  const fits = rows.length <= perColumn * columns;
+  const shown = fits ? rows : rows.slice(0, perColumn * columns - 1);
+  const position = index => ({
+    left: x + Math.floor(index / perColumn) * columnWidth,
+    top: y + (index % perColumn) * LEGEND_ROW_HEIGHT
+  });
+
+  context.save();
+  context.textBaseline = 'alphabetic';
+  context.font = `12px ${FONT_FAMILY}`;
+  shown.forEach((row, index) => {
+    const { left, top } = position(index);
+    const indented = left + row.indent * INDENT;
+    const box = { x: indented, y: top + 4, width: SWATCH_WIDTH, height: SWATCH_HEIGHT };
+
+    if (row.ramp) {
+      drawRamp(context, row.ramp, box);
+    } else if (row.swatch) {
+      drawSwatch(context, row.type, row.swatch, box);
+    }
+
+    const textLeft = row.swatch || row.ramp ? indented + SWATCH_WIDTH + 8 : indented;
+    context.fillStyle = TEXT_COLOR;
+    context.fillText(row.label, textLeft, top + 14, Math.max(left + columnWidth - textLeft - 4, 1));
+  });
+
+  if (!fits) {
+    const { left, top } = position(shown.length);
+    context.fillStyle = MUTED_COLOR;
+    context.fillText(`+ ${rows.length - shown.length} more`, left, top + 14);
+  }
+  context.restore();
+}
+
+/**
+ * Draw a legend panel on a white background, e.g. over an exported map
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Array<Object>} entries - Entries from buildLegend
+ * @param {Object} options - Placement
+ * @param {number} options.x - Left edge
+ * @param {number} options.bottom - Bottom edge
+ * @param {number} options.maxHeight - Tallest the panel may be
+ * @returns {Object} Panel rectangle { x, y, width, height }
+ */
+export function drawLegendPanel(context, entries, { x, bottom, maxHeight }) {
+  const padding = 10;
+  const rows = getLegendRows(entries);
+
+  context.save();
+  context.font = `12px ${FONT_FAMILY}`;
+  const contentWidth = Math.max(60, ...rows.map(row =>
+    context.measureText(row.label).width + row.indent * INDENT + (row.swatch || row.ramp ? SWATCH_WIDTH + 8 : 0)
+  ));
+  const width = Math.min(contentWidth, 280) + padding * 2;
+  const height = Math.min(rows.length * LEGEND_ROW_HEIGHT + 20 + padding * 2, maxHeight);
+  const panel = { x, y: bottom - height, width, height };
+
+  context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  context.fillRect(panel.x, panel.y, panel.width, panel.height);
+  context.fillStyle = TEXT_COLOR;
+  context.font = `600 13px ${FONT_FAMILY}`;
+  context.fillText('Legend', panel.x + padding, panel.y + padding + 12);
+  context.restore();
+
+  drawLegendRows(context, rows, {
+    x: panel.x + padding,
+    y: panel.y + padding + 20,
+    width: panel.width - padding * 2,
+    height: panel.height - padding * 2 - 20
+  });
+  return panel;
+}
+
+/**
+ * Draw a color ramp as a horizontal gradient
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Array<string>} colors - Colors, evenly spaced
+ * @param {Object} box - { x, y, width, height } to draw in
+ */
+export function drawRamp(context, colors, { x, y, width, height }) {
+  const gradient = context.createLinearGradient(x, 0, x + width, 0);
+  colors.forEach((color, index) => {
+    gradient.addColorStop(colors.length > 1 ? index / (colors.length - 1) : 0, color);
+  });
+
+  context.save();
+  context.fillStyle = gradient;
+  context.fillRect(x, y, width, height);
+  context.restore();
+}
+
+/**
+ * Draw a swatch on a 2D canvas
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {string} type - Layer type
+ * @param {Object} swatch - Swatch from describeSwatch
+ * @param {Object} box - { x, y, width, height } to draw in
+ */
+export function drawSwatch(context, type, swatch, { x, y, width, height }) {
+  context.save();
+
+  if (type === 'line') {
+    // Cap the width so thick lines still read as lines
+    const lineWidth = Math.min(swatch.width, height);
+    context.strokeStyle = swatch.color;
+    context.globalAlpha = swatch.opacity;
+    context.lineWidth = lineWidth;
+    context.lineCap = 'butt';
+    context.setLineDash(swatch.dasharray ? swatch.dasharray.map(length => length * lineWidth) : []);
+    context.beginPath();
+    context.moveTo(x, y + height / 2);
+    context.lineTo(x + width, y + height / 2);
+    context.stroke();
+  } else if (type === 'circle') {
+    const radius = Math.min(swatch.radius, height / 2);
+    context.beginPath();
+    context.arc(x + width / 2, y + height / 2, radius, 0, Math.PI * 2);
+    context.globalAlpha = swatch.opacity;
+    context.fillStyle = swatch.color;
+    context.fill();
+    if (swatch.strokeWidth > 0) {
+      context.lineWidth = swatch.strokeWidth;
+      context.strokeStyle = swatch.strokeColor;
+      context.stroke();
+    }
+  } else {
+    context.globalAlpha = swatch.opacity;
+    context.fillStyle = swatch.color;
+    context.fillRect(x, y, width, height);
+    if (swatch.outlineColor) {
+      context.globalAlpha = 1;
+      context.lineWidth = 1;
+      context.strokeStyle = swatch.outlineColor;
+      context.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+    }
+  }
+
+  context.restore();
+}
@@ -0,0 +1,320 @@
+/**
+ * MapLibre style specification reference for validation
+ * Value types and ranges of the layer properties, source types and expression
+ * operators supported by MapLibre GL JS v3.
+ */
+
+/**
+ * Supported style version
+ */
+export const STYLE_VERSION = 8;
+
+/**
+ * Source types and the keys each one needs (any one of them)
+ */
+export const SOURCE_TYPES = {
+  vector: ['url', 'tiles'],
+  raster: ['url', 'tiles'],
+  'raster-dem': ['url', 'tiles'],
+  geojson: ['data'],
+  image: ['url'],
+  video: ['urls']
+};
+
+/**
+ * Source types whose layers must name a source-layer
+ */
+export const TILED_VECTOR_SOURCES = ['vector'];
+
+const number = (min, max) => ({ type: 'number', ...(min !== undefined && { min }), ...(max !== undefined && { max }) });
+const enumOf = (...values) => ({ type: 'enum', values });
+const color = { type: 'color' };
+const bool = { type: 'boolean' };
+const string = { type: 'string' };
+const image = { type: 'resolvedImage' };
+const numbers = (length) => ({ type: 'array', value: 'number', ...(length && { length }) });
+const opacity = number(0, 1);
+const translate = numbers(2);
+const translateAnchor = enumOf('map', 'viewport');
+const visibility = { ...enumOf('visible', 'none'), expression: false };
+
+/**
+ * Paint and layout properties by layer type
+ */
+export const LAYER_PROPERTIES = {
+  background: {
+    layout: { visibility },
+    paint: {
+      'background-color': color,
+      'background-pattern': image,
+      'background-opacity': opacity
+    }
+  },
+  fill: {
+    layout: { visibility, 'fill-sort-key': number() },
+    paint: {
+      'fill-antialias': bool,
+      'fill-opacity': opacity,
+      'fill-color': color,
+      'fill-outline-color': color,
+      'fill-translate': translate,
+      'fill-translate-anchor': translateAnchor,
+      'fill-pattern': image
+    }
+  },
+  line: {
+    layout: {
+      visibility,
+      'line-cap': enumOf('butt', 'round', 'square'),
+      'line-join': enumOf('bevel', 'round', 'miter'),
+      'line-miter-limit': number(),
+      'line-round-limit': number(),
+      'line-sort-key': number()
+    },
+    paint: {
+      'line-opacity': opacity,
+      'line-color': color,
+      'line-translate': translate,
+      'line-translate-anchor': translateAnchor,
+      'line-width': number(0),
+      'line-gap-width': number(0),
+      'line-offset': number(),
+      'line-blur': number(0),
+      'line-dasharray': { ...numbers(), min: 0 },
+      'line-pattern': image,
+      'line-gradient': { ...color, expressionOnly: true }
+    }
+  },
+  symbol: {
+    layout: {
+      visibility,
+      'symbol-placement': enumOf('point', 'line', 'line-center'),
+      'symbol-spacing': number(1),
+      'symbol-avoid-edges': bool,
+      'symbol-sort-key': number(),
+      'symbol-z-order': enumOf('auto', 'viewport-y', 'source'),
+      'icon-allow-overlap': bool,
+      'icon-overlap': enumOf('never', 'always', 'cooperative'),
+      'icon-ignore-placement': bool,
+      'icon-optional': bool,
+      'icon-rotation-alignment': enumOf('map', 'viewport', 'auto'),
+      'icon-size': number(0),
+      'icon-text-fit': enumOf('none', 'width', 'height', 'both'),
+      'icon-text-fit-padding': numbers(4),
+      'icon-image': image,
+      'icon-rotate': number(),
+      'icon-padding': number(0),
+      'icon-keep-upright': bool,
+      'icon-offset': numbers(2),
+      'icon-anchor': enumOf('center', 'left', 'right', 'top', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right'),
+      'icon-pitch-alignment': enumOf('map', 'viewport', 'auto'),
+      'text-pitch-alignment': enumOf('map', 'viewport', 'auto'),
+      'text-rotation-alignment': enumOf('map', 'viewport', 'viewport-glyph', 'auto'),
+      'text-field': { type: 'formatted' },
+      'text-font': { type: 'array', value: 'string' },
+      'text-size': number(0),
+      'text-max-width': number(0),
+      'text-line-height': number(),
+      'text-letter-spacing': number(),
+      'text-justify': enumOf('auto', 'left', 'center', 'right'),
+      'text-radial-offset': number(),
+      'text-variable-anchor': { type: 'array', value: 'string' },
+      'text-anchor': enumOf('center', 'left', 'right', 'top', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right'),
+      'text-max-angle': number(),
+      'text-writing-mode': { type: 'array', value: 'string' },
+      'text-rotate': number(),
+      'text-padding': number(0),
+      'text-keep-upright': bool,
+      'text-transform': enumOf('none', 'uppercase', 'lowercase'),
+      'text-offset': numbers(2),
+      'text-allow-overlap': bool,
+      'text-overlap': enumOf('never', 'always', 'cooperative'),
+      'text-ignore-placement': bool,
+      'text-optional': bool
+    },
+    paint: {
+      'icon-opacity': opacity,
+      'icon-color': color,
+      'icon-halo-color': color,
+      'icon-halo-width': number(0),
+      'icon-halo-blur': number(0),
+      'icon-translate': translate,
+      'icon-translate-anchor': translateAnchor,
+      'text-opacity': opacity,
+      'text-color': color,
+      'text-halo-color': color,
+      'text-halo-width': number(0),
+      'text-halo-blur': number(0),
+      'text-translate': translate,
+      'text-translate-anchor': translateAnchor
+    }
+  },
+  circle: {
+    layout: { visibility, 'circle-sort-key': number() },
+    paint: {
+      'circle-radius': number(0),
+      'circle-color': color,
+      'circle-blur': number(),
+      'circle-opacity': opacity,
+      'circle-translate': translate,
+      'circle-translate-anchor': translateAnchor,
+      'circle-pitch-scale': enumOf('map', 'viewport'),
+      'circle-pitch-alignment': enumOf('map', 'viewport'),
+      'circle-stroke-width': number(0),
+      'circle-stroke-color': color,
+      'circle-stroke-opacity': opacity
+    }
+  },
+  heatmap: {
+    layout: { visibility },
+    paint: {
+      'heatmap-radius': number(1),
+      'heatmap-weight': number(0),
+      'heatmap-intensity': number(0),
+      'heatmap-color': { ...color, expressionOnly: true },
+      'heatmap-opacity': opacity
+    }
+  },
+  'fill-extrusion': {
+    layout: { visibility },
+    paint: {
+      'fill-extrusion-opacity': opacity,
+      'fill-extrusion-color': color,
+      'fill-extrusion-translate': translate,
+      'fill-extrusion-translate-anchor': translateAnchor,
+      'fill-extrusion-pattern': image,
+      'fill-extrusion-height': number(0),
+      'fill-extrusion-base': number(0),
+      'fill-extrusion-vertical-gradient': bool
+    }
+  },
+  raster: {
+    layout: { visibility },
+    paint: {
+      'raster-opacity': opacity,
+      'raster-hue-rotate': number(),
+      'raster-brightness-min': number(0, 1),
+      'raster-brightness-max': number(0, 1),
+      'raster-saturation': number(-1, 1),
+      'raster-contrast': number(-1, 1),
+      'raster-resampling': enumOf('linear', 'nearest'),
+      'raster-fade-duration': number(0)
+    }
+  },
+  hillshade: {
+    layout: { visibility },
+    paint: {
+      'hillshade-illumination-direction': number(0, 359),
+      'hillshade-illumination-anchor': enumOf('map', 'viewport'),
+      'hillshade-exaggeration': number(0, 1),
+      'hillshade-shadow-color': color,
+      'hillshade-highlight-color': color,
+      'hillshade-accent-color': color
+    }
+  }
+};
+
+/**
+ * Expression operators
+ */
+export const EXPRESSION_OPERATORS = new Set([
+  // Types
+  'array', 'boolean', 'collator', 'format', 'image', 'literal', 'number', 'number-format',
+  'object', 'string', 'to-boolean', 'to-color', 'to-number', 'to-string', 'typeof',
+  // Feature data
+  'accumulated', 'feature-state', 'geometry-type', 'id', 'line-progress', 'properties',
+  // Lookup
+  'at', 'get', 'has', 'in', 'index-of', 'length', 'slice',
+  // Decision
+  '!', '!=', '<', '<=', '==', '>', '>=', 'all', 'any', 'case', 'coalesce', 'match', 'within',
+  // Ramps, scales, curves
+  'interpolate', 'interpolate-hcl', 'interpolate-lab', 'step',
+  // Variable binding
+  'let', 'var',
+  // String
+  'concat', 'downcase', 'is-supported-script', 'resolved-locale', 'upcase',
+  // Color
+  'rgb', 'rgba', 'to-rgba',
+  // Math
+  '-', '*', '/', '%', '^', '+', 'abs', 'acos', 'asin', 'atan', 'ceil', 'cos', 'distance', 'e',
+  'floor', 'ln', 'ln2', 'log10', 'log2', 'max', 'min', 'pi', 'round', 'sin', 'sqrt', 'tan',
+  // Zoom, heatmap
+  'zoom', 'heatmap-density'
+]);
+
+/**
+ * Argument counts of expression operators as [min, max]
+ * (match and interpolate are checked in detail by the validator)
+ */
+export const EXPRESSION_ARITY = {
+  // Types
+  'array': [1, 3], 'boolean': [1, Infinity], 'collator': [1, 1], 'format': [1, Infinity],
+  'image': [1, 1], 'literal': [1, 1], 'number': [1, Infinity], 'number-format': [2, 2],
+  'object': [1, Infinity], 'string': [1, Infinity], 'to-boolean': [1, 1], 'to-color': [1, Infinity],
+  'to-number': [1, Infinity], 'to-string': [1, 1], 'typeof': [1, 1],
+  // Feature data
+  'accumulated': [0, 0], 'feature-state': [1, 1], 'geometry-type': [0, 0], 'id': [0, 0],
+  'line-progress': [0, 0], 'properties': [0, 0],
+  // Lookup
+  'at': [2, 2], 'get': [1, 2], 'has': [1, 2], 'in': [2, 2], 'index-of': [2, 3], 'length': [1, 1],
+  'slice': [2, 3],
+  // Decision
+  '!': [1, 1], '!=': [2, 3], '<': [2, 3], '<=': [2, 3], '==': [2, 3], '>': [2, 3], '>=': [2, 3],
+  'case': [3, Infinity], 'coalesce': [1, Infinity], 'within': [1, 1],
+  // Ramps, scales, curves
+  'step': [4, Infinity],
+  // Variable binding
+  'let': [3, Infinity], 'var': [1, 1],
+  // String
+  'concat': [1, Infinity], 'downcase': [1, 1], 'is-supported-script': [1, 1], 'resolved-locale': [1, 1],
+  'upcase': [1, 1],
+  // Color
+  'rgb': [3, 3], 'rgba': [4, 4], 'to-rgba': [1, 1],
+  // Math
+  '-': [1, 2], '*': [2, Infinity], '/': [2, 2], '%': [2, 2], '^': [2, 2], '+': [2, Infinity],
+  'abs': [1, 1], 'acos': [1, 1], 'asin': [1, 1], 'atan': [1, 1], 'ceil': [1, 1], 'cos': [1, 1],
+  'distance': [1, 1], 'e': [0, 0], 'floor': [1, 1], 'ln': [1, 1], 'ln2': [0, 0], 'log10': [1, 1],
+  'log2': [1, 1], 'max': [1, Infinity], 'min': [1, Infinity], 'pi': [0, 0], 'round': [1, 1],
+  'sin': [1, 1], 'sqrt': [1, 1], 'tan': [1, 1],
+  // Zoom, heatmap
+  'zoom': [0, 0], 'heatmap-density': [0, 0]
+};
+
+/**
+ * Output types of expression operators that always return the same type
+ * (branching operators such as match and step output the types of their branches)
+ */
+export const EXPRESSION_OUTPUT_TYPES = {
+  number: [
+    'to-number', 'number', 'length', 'index-of', 'zoom', 'heatmap-density', 'line-progress', 'accumulated',
+    '-', '*', '/', '%', '^', '+', 'abs', 'acos', 'asin', 'atan', 'ceil', 'cos', 'distance', 'e', 'floor',
+    'ln', 'ln2', 'log10', 'log2', 'max', 'min', 'pi', 'round', 'sin', 'sqrt', 'tan'
+  ],
+  string: ['to-string', 'string', 'concat', 'downcase', 'upcase', 'typeof', 'geometry-type', 'resolved-locale', 'number-format'],
+  boolean: [
+    'to-boolean', 'boolean', '!', '!=', '<', '<=', '==', '>', '>=', 'all', 'any', 'has', 'in', 'within',
+    'is-supported-script'
+  ],
+  color: ['to-color', 'rgb', 'rgba']
+};
+
+/**
+ * Operators only valid in legacy (pre-expression) filters
+ */
+export const LEGACY_FILTER_OPERATORS = new Set(['!in', '!has', 'none']);
+
+/**
+ * Interpolation types accepted by interpolate
+ */
+export const INTERPOLATION_TYPES = ['linear', 'exponential', 'cubic-bezier'];
+
+/**
+ * Get the spec of a layer property
+ * @param {string} layerType - Layer type
+ * @param {string} kind - 'paint' or 'layout'
+ * @param {string} property - Property name
+ * @returns {Object|null} Property spec
+ */
+export function getStyleProperty(layerType, kind, property) {
+  return LAYER_PROPERTIES[layerType]?.[kind]?.[property] || null;
+}
@@ -3,10 +3,14 @@
  * Contains curated style themes as specified in the PRD
  */
 
+import { propertyMatchesType } from './layerTypes.js';
+import { deepClone } from '../utils/helpers.js';
+
 export const themes = {
   default: {
     name: 'Default',
     description: 'Clean, modern cartographic style',
+    mode: 'replace',
     background: {
       'background-color': '#f8f9fa'
     },
@@ -38,6 +42,7 @@ export const themes = {
   retro: {
     name: 'Retro',
     description: 'Vintage-inspired earth tones',
+    mode: 'replace',
     background: {
       'background-color': '#f4f1e8'
     },
@@ -69,6 +74,7 @@ export const themes = {
   night: {
     name: 'Night',
     description: 'Dark theme with neon accents',
+    mode: 'replace',
     background: {
       'background-color': '#1a1a1a'
     },
@@ -100,6 +106,7 @@ export const themes = {
   terrain: {
     name: 'Terrain',
     description: 'Natural colors inspired by topographic maps',
+    mode: 'replace',
     background: {
       'background-color': '#f0f8e8'
     },
@@ -131,6 +138,7 @@ export const themes = {
   minimal: {
     name: 'Minimal',
     description: 'Clean, high-contrast design',
+    mode: 'replace',
     background: {
       'background-color': '#ffffff'
     },
@@ -184,4 +192,210 @@ export function getThemeNames() {
  */
 export function hasTheme(themeName) {
   return themeName in themes;
-}
\ No newline at end of file
+}
+/**
+ * Format marker for exported theme packs
+ */
+export const THEME_PACK_FORMAT = 'map-remix-theme-pack';
+
+/**
+ * Create a theme from a style
+ * Captures paint, layout (except visibility), filter and zoom range of every
+ * layer so the current look can be re-applied later in 'replace' mode.
+ * @param {Object} style - MapLibre style
+ * @param {Object} info - Theme info
+ * @param {string} info.name - Display name
+ * @param {string} info.description - Description
+ * @returns {Object} Theme
+ */
+export function createThemeFromStyle(style, { name, description = '' }) {
+  const theme = { name, description, mode: 'replace', layers: {} };
+
+  for (const layer of style.layers) {
+    if (layer.type === 'background') {
+      theme.background = deepClone(layer.paint || {});
+      continue;
+    }
+
+    const entry = { paint: deepClone(layer.paint || {}) };
+    const { visibility, ...layout } = layer.layout || {};
+    if (Object.keys(layout).length) {
+      entry.layout = deepClone(layout);
+    }
+    if (layer.filter) {
+      entry.filter = deepClone(layer.filter);
+    }
+    for (const key of ['minzoom', 'maxzoom']) {
+      if (layer[key] !== undefined) {
+        entry[key] = layer[key];
+      }
+    }
+    theme.layers[layer.id] = entry;
+  }
+
+  return theme;
+}
+
+/**
+ * Apply one theme layer entry to a style layer
+ * Properties that do not belong to the layer's type are skipped; visibility
+ * is left to the layer toggles. A null filter or zoom removes it.
+ * @param {Object} layer - Style layer (modified in place)
+ * @param {Object} changes - Theme layer entry
+ * @returns {string[]} Skipped entries as 'layerId.property'
+ */
+export function applyThemeLayer(layer, changes) {
+  const skipped = [];
+
+  for (const kind of ['paint', 'layout']) {
+    if (!changes[kind]) {
+      continue;
+    }
+    for (const [property, value] of Object.entries(changes[kind])) {
+      if (property === 'visibility') {
+        continue;
+      }
+      if (!propertyMatchesType(property, layer.type)) {
+        skipped.push(`${layer.id}.${property}`);
+        continue;
+      }
+      layer[kind] = layer[kind] || {};
+      if (value === null) {
+        delete layer[kind][property];
+      } else {
+        layer[kind][property] = deepClone(value);
+      }
+    }
+  }
+
+  for (const key of ['filter', 'minzoom', 'maxzoom']) {
+    if (!(key in changes)) {
+      continue;
+    }
+    if (changes[key] === null) {
+      delete layer[key];
+    } else {
+      layer[key] = deepClone(changes[key]);
+    }
+  }
+
+  return skipped;
+}
+
+/**
+ * Validate the structure of a theme
+ * @param {*} theme - Theme candidate
+ * @returns {Object} { valid, errors }
+ */
+export function validateTheme(theme) {
+  const errors = [];
+
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    return { valid: false, errors: ['Theme must be an object'] };
+  }
+  if (typeof theme.name !== 'string' || !theme.name.trim()) {
+    errors.push('Theme needs a name');
+  }
+  if (theme.mode !== undefined && !['merge', 'replace'].includes(theme.mode)) {
+    errors.push("mode must be 'merge' or 'replace'");
+  }
+  if (theme.background !== undefined && (typeof theme.background !== 'object' || Array.isArray(theme.background))) {
+    errors.push('background must be an object of paint properties');
+  }
+  if (theme.layers !== undefined) {
+    if (typeof theme.layers !== 'object' || Array.isArray(theme.layers)) {
+      errors.push('layers must be an object keyed by layer ID');
+    } else {
+      for (const [layerId, changes] of Object.entries(theme.layers)) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+          errors.push(`layers.${layerId} must be an object`);
+        } else {
+          errors.push(...validateThemeLayer(layerId, changes));
+        }
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a single theme layer entry
+ * @private
+ * @param {string} layerId - Layer ID
+ * @param {Object} changes - Theme layer entry
+ * @returns {string[]} Errors
+ */
+function validateThemeLayer(layerId, changes) {
+  const errors = [];
+
+  for (const kind of ['paint', 'layout']) {
+    if (changes[kind] !== undefined && (!changes[kind] || typeof changes[kind] !== 'object' || Array.isArray(changes[kind]))) {
+      errors.push(`layers.${layerId}.${kind} must be an object`);
+    }
+  }
+  if (changes.filter !== undefined && changes.filter !== null && !Array.isArray(changes.filter)) {
+    errors.push(`layers.${layerId}.filter must be an expression array or null`);
+  }
+  for (const key of ['minzoom', 'maxzoom']) {
+    const value = changes[key];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0 || value > 24)) {
+      errors.push(`layers.${layerId}.${key} must be a number between 0 and 24 or null`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Compare a theme's layer entries with the layers of a style
+ * @param {Object} theme - Theme
+ * @param {Object} style - MapLibre style
+ * @returns {Object} { matched: layerId[], unmatched: layerId[] }
+ */
+export function matchThemeToStyle(theme, style) {
+  const layerIds = new Set(style.layers.map(layer => layer.id));
+  const entries = Object.keys(theme.layers || {});
+  return {
+    matched: entries.filter(layerId => layerIds.has(layerId)),
+    unmatched: entries.filter(layerId => !layerIds.has(layerId))
+  };
+}
+
+/**
+ * Create a theme pack for export
+ * @param {Object} packThemes - Themes keyed by ID
+ * @returns {Object} Theme pack
+ */
+export function createThemePack(packThemes) {
+  return {
+    format: THEME_PACK_FORMAT,
+    version: 1,
+    exported: new Date().toISOString(),
+    themes: packThemes
+  };
+}
+
+/**
+ * Read themes from a theme pack (or a single theme)
+ * @param {*} data - Parsed JSON
+ * @returns {Object} { themes: [{id, theme}], errors: string[] }
+ */
+export function parseThemePack(data) {
+  const result = { themes: [], errors: [] };
+
+  const entries = data?.format === THEME_PACK_FORMAT && data.themes && typeof data.themes === 'object'
+    ? Object.entries(data.themes)
+    : [[null, data]];
+
+  for (const [id, theme] of entries) {
+    const { valid, errors } = validateTheme(theme);
+    if (valid) {
+      result.themes.push({ id, theme });
+    } else {
+      result.errors.push(`${id || theme?.name || 'Theme'}: ${errors.join(', ')}`);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,180 @@
+/**
+ * AddDataControls - UI component for loading user datasets at runtime
+ * Accepts local .pmtiles / .geojson files or a URL and adds them as styleable layers
+ */
+
+import { generateId } from '../utils/helpers.js';
+import { DatasetLoader } from '../map/DatasetLoader.js';
+
+export class AddDataControls {
+  /**
+   * Initialize AddDataControls
+   * @param {HTMLElement} container - Container element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   */
+  constructor(container, appState, mapController) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.loader = new DatasetLoader(mapController);
+    this.isLoading = false;
+
+    this._render();
+  }
+
+  /**
+   * Render file and URL inputs
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+
+    const fileId = generateId('add-data-file');
+    const urlId = generateId('add-data-url');
+
+    // File picker
+    const fileLabel = document.createElement('label');
+    fileLabel.htmlFor = fileId;
+    fileLabel.textContent = 'Add data file';
+
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.id = fileId;
+    this.fileInput.accept = '.pmtiles,.geojson,.json';
+    this.fileInput.setAttribute('aria-describedby', `${fileId}-desc`);
+    this.fileInput.addEventListener('change', async (e) => {
+      const [file] = e.target.files;
+      if (file) {
+        await this.addFile(file);
+        e.target.value = '';
+      }
+    });
+
+    const fileDescription = document.createElement('small');
+    fileDescription.id = `${fileId}-desc`;
+    fileDescription.textContent = 'PMTiles (vector) or GeoJSON. You can also drop files on the map.';
+
+    // URL form
+    const form = document.createElement('form');
+    form.className = 'add-data-url';
+
+    const urlLabel = document.createElement('label');
+    urlLabel.htmlFor = urlId;
+    urlLabel.className = 'sr-only';
+    urlLabel.textContent = 'Dataset URL';
+
+    this.urlInput = document.createElement('input');
+    this.urlInput.type = 'url';
+    this.urlInput.id = urlId;
+    this.urlInput.placeholder = 'https://…/data.pmtiles or .geojson';
+
+    this.urlButton = document.createElement('button');
+    this.urlButton.type = 'submit';
+    this.urlButton.className = 'secondary';
+    this.urlButton.textContent = 'Add URL';
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const url = this.urlInput.value.trim();
+      if (url) {
+        const result = await this.addUrl(url);
+        if (result.success) {
+          this.urlInput.value = '';
+        }
+      }
+    });
+
+    form.appendChild(urlLabel);
+    form.appendChild(this.urlInput);
+    form.appendChild(this.urlButton);
+
+    this.container.appendChild(fileLabel);
+    this.container.appendChild(this.fileInput);
+    this.container.appendChild(fileDescription);
+    this.container.appendChild(form);
+  }
+
+  /**
+   * Add a dataset from a local file
+   * @param {File} file - .pmtiles, .geojson or .json file
+   * @returns {Promise<Object>} Result
+   */
+  async addFile(file) {
+    return this._addDataset(file.name, () => this.loader.loadFile(file, this.appState.currentStyle));
+  }
+
+  /**
+   * Add a dataset from a URL
+   * @param {string} url - PMTiles or GeoJSON URL
+   * @returns {Promise<Object>} Result
+   */
+  async addUrl(url) {
+    return this._addDataset(url, () => this.loader.loadUrl(url, this.appState.currentStyle));
+  }
+
+  /**
+   * Load a dataset and register it with state and map
+   * @private
+   * @param {string} label - File name or URL for messages
+   * @param {Function} load - Returns a promise for the dataset
+   * @returns {Promise<Object>} Result
+   */
+  async _addDataset(label, load) {
+    if (this.isLoading) {
+      return { success: false, error: 'A dataset is already loading' };
+    }
+
+    try {
+      this.isLoading = true;
+      this.setEnabled(false);
+      this.appState.emit('importStarted', { type: 'data' });
+
+      const dataset = await load();
+
+      if (dataset.reattached) {
+        this.appState.setSourceSchema(dataset.sourceId, dataset.schema);
+        this.mapController.reloadSource(dataset.sourceId);
+      } else {
+        if (!this.appState.addDataset(dataset)) {
+          throw new Error(`Dataset ${dataset.sourceId} is already loaded`);
+        }
+        this.mapController.addDataset(dataset.sourceId, dataset.source, dataset.layers);
+      }
+
+      this.appState.emit('importCompleted', { type: 'data', filename: label });
+
+      return { success: true, sourceId: dataset.sourceId, layerIds: dataset.layers.map(layer => layer.id) };
+
+    } catch (error) {
+      console.error(`Failed to add dataset ${label}:`, error);
+      this.appState.addError({
+        type: 'import',
+        message: `Failed to add data: ${error.message}`,
+        error
+      });
+      return { success: false, error: error.message };
+
+    } finally {
+      this.isLoading = false;
+      this.setEnabled(true);
+    }
+  }
+
+  /**
+   * Enable/disable all controls
+   * @param {boolean} enabled - Enable state
+   */
+  setEnabled(enabled) {
+    this.fileInput.disabled = !enabled;
+    this.urlInput.disabled = !enabled;
+    this.urlButton.disabled = !enabled;
+  }
+
+  /**
+   * Destroy the component and cleanup
+   */
+  destroy() {
+    this.container.innerHTML = '';
+  }
+}
@@ -0,0 +1,499 @@
+/**
+ * AttributeStyler - "Style by attribute" panel for a single layer
+ * Builds categorical (match) and graduated (step/interpolate) expressions from sampled features
+ */
+
+import { generateId, formatNumber } from '../utils/helpers.js';
+import { classify, countCategories, CLASSIFICATION_METHODS } from '../utils/classification.js';
+import { colorRamps, getRampColors, getRampGradient } from '../styles/colorRamps.js';
+import {
+  buildCategoricalExpression,
+  buildGraduatedExpression,
+  parseDataExpression,
+  getStaticValue
+} from '../utils/expressions.js';
+
+/**
+ * Maximum number of categories before the rest fall into "Other"
+ */
+const MAX_CATEGORIES = 10;
+
+export class AttributeStyler {
+  /**
+   * Initialize AttributeStyler
+   * @param {Object} options - Styler options
+   * @param {string} options.layerId - Layer ID
+   * @param {Array<{property: string, label: string, spec: Object}>} options.properties - Stylable properties
+   * @param {Object} options.attributes - Attribute catalog from the tile schema (name → type)
+   * @param {MapController} options.mapController - Map controller used to sample features
+   * @param {Function} options.getValue - Returns the current value of a paint property
+   * @param {Function} options.onApply - Called with (property, value) to commit a change
+   */
+  constructor(options) {
+    this.options = options;
+    this.sample = null;
+    this.settings = {
+      property: options.properties[0]?.property,
+      field: null,
+      mode: 'categorical',
+      method: 'quantile',
+      classCount: 5,
+      curve: 'step',
+      ramp: 'tableau',
+      minSize: 0,
+      maxSize: 1
+    };
+
+    this._resetOutputRange();
+    this.element = this._createElement();
+  }
+
+  /**
+   * Create the collapsible panel
+   * @private
+   * @returns {HTMLElement} Panel element
+   */
+  _createElement() {
+    const details = document.createElement('details');
+    details.className = 'attribute-styler';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Style by attribute';
+    details.appendChild(summary);
+
+    this.body = document.createElement('div');
+    this.body.className = 'attribute-styler-body';
+    details.appendChild(this.body);
+
+    // Sample lazily: rendered features are only meaningful once the user looks
+    details.addEventListener('toggle', () => {
+      if (details.open) {
+        if (!this.sample) {
+          this._sampleFeatures();
+        }
+        this._render();
+      }
+    });
+
+    return details;
+  }
+
+  /**
+   * Sample attributes from rendered features
+   * @private
+   */
+  _sampleFeatures() {
+    this.sample = this.options.mapController.sampleLayerAttributes(this.options.layerId);
+
+    // List every catalogued field, even ones with no features in view
+    for (const [name, catalogType] of Object.entries(this.options.attributes || {})) {
+      const field = this.sample.fields[name];
+      if (!field) {
+        this.sample.fields[name] = { type: catalogType === 'Number' ? 'number' : 'string', values: [] };
+      } else if (catalogType === 'Number') {
+        field.type = 'number';
+      }
+    }
+
+    const fieldNames = Object.keys(this.sample.fields);
+    const current = parseDataExpression(this.options.getValue(this.settings.property));
+    if (current && this.sample.fields[current.field]) {
+      this.settings.field = current.field;
+      this.settings.mode = current.mode;
+    } else if (!fieldNames.includes(this.settings.field)) {
+      this.settings.field = fieldNames[0] || null;
+    }
+  }
+
+  /**
+   * Render panel contents for the current settings
+   * @private
+   */
+  _render() {
+    this.body.innerHTML = '';
+
+    const fieldNames = Object.keys(this.sample?.fields || {});
+    const sampleInfo = document.createElement('p');
+    sampleInfo.className = 'attribute-styler-info';
+    sampleInfo.textContent = this.sample.featureCount
+      ? `${this.sample.featureCount} features sampled from the current view`
+      : 'No features in the current view. Pan to an area with features and resample.';
+
+    const resampleButton = this._createButton('Resample', () => {
+      this._sampleFeatures();
+      this._render();
+    });
+
+    this.body.appendChild(sampleInfo);
+    this.body.appendChild(resampleButton);
+
+    if (!fieldNames.length) {
+      return;
+    }
+
+    const propertyOptions = this.options.properties.map(({ property, label }) => ({ value: property, label }));
+    this.body.appendChild(this._createSelect('Property', propertyOptions, this.settings.property, (value) => {
+      this.settings.property = value;
+      this._resetOutputRange();
+    }));
+
+    const fieldOptions = fieldNames.map(name => ({
+      value: name,
+      label: `${name} (${this.sample.fields[name].type})`
+    }));
+    this.body.appendChild(this._createSelect('Field', fieldOptions, this.settings.field, (value) => {
+      this.settings.field = value;
+      this.settings.mode = this.sample.fields[value].type === 'number' ? 'graduated' : 'categorical';
+    }));
+
+    const field = this.sample.fields[this.settings.field];
+    const modeOptions = [{ value: 'categorical', label: 'Categorical' }];
+    if (field.type === 'number') {
+      modeOptions.push({ value: 'graduated', label: 'Graduated' });
+    } else {
+      this.settings.mode = 'categorical';
+    }
+    this.body.appendChild(this._createSelect('Mode', modeOptions, this.settings.mode, (value) => {
+      this.settings.mode = value;
+    }));
+
+    if (this.settings.mode === 'graduated') {
+      const methodOptions = Object.entries(CLASSIFICATION_METHODS).map(([value, { name }]) => ({ value, label: name }));
+      this.body.appendChild(this._createSelect('Breaks', methodOptions, this.settings.method, (value) => {
+        this.settings.method = value;
+      }));
+
+      this.body.appendChild(this._createNumber('Classes', this.settings.classCount, { min: 2, max: 9, step: 1 }, (value) => {
+        this.settings.classCount = value;
+      }));
+
+      const curveOptions = [
+        { value: 'step', label: 'Stepped classes' },
+        { value: 'interpolate', label: 'Smooth ramp' }
+      ];
+      this.body.appendChild(this._createSelect('Output', curveOptions, this.settings.curve, (value) => {
+        this.settings.curve = value;
+      }));
+    }
+
+    if (this._isColorProperty()) {
+      this.body.appendChild(this._createRampPicker());
+    } else {
+      const spec = this._getPropertySpec();
+      const range = { min: spec.min ?? 0, max: spec.max ?? 10, step: spec.step ?? 0.5 };
+      this.body.appendChild(this._createNumber('Min', this.settings.minSize, range, (value) => {
+        this.settings.minSize = value;
+      }));
+      this.body.appendChild(this._createNumber('Max', this.settings.maxSize, range, (value) => {
+        this.settings.maxSize = value;
+      }));
+    }
+
+    if (field.values.length === 0) {
+      const note = document.createElement('p');
+      note.className = 'attribute-styler-info';
+      note.textContent = `No ${this.settings.field} values in the current view to classify.`;
+      this.body.appendChild(note);
+      return;
+    }
+
+    const result = this._buildExpression();
+    this.body.appendChild(this._createPreview(result.classes));
+
+    const actions = document.createElement('div');
+    actions.className = 'attribute-styler-actions';
+    actions.appendChild(this._createButton('Apply', () => {
+      this.options.onApply(this.settings.property, result.expression);
+    }, 'primary'));
+    actions.appendChild(this._createButton('Clear', () => this._clear()));
+    this.body.appendChild(actions);
+  }
+
+  /**
+   * Build the expression and class preview for the current settings
+   * @private
+   * @returns {Object} { expression, classes: [{label, output}] }
+   */
+  _buildExpression() {
+    const { field: fieldName, mode, method, classCount, curve } = this.settings;
+    const field = this.sample.fields[fieldName];
+
+    if (mode === 'categorical') {
+      const categories = countCategories(field.values);
+      const shown = categories.slice(0, MAX_CATEGORIES);
+      const outputs = this._getOutputs(shown.length);
+      const fallback = this._getFallbackOutput();
+
+      const classes = shown.map((category, i) => ({ label: String(category.value), output: outputs[i] }));
+      if (categories.length > shown.length) {
+        classes.push({ label: 'Other', output: fallback });
+      }
+
+      return {
+        expression: buildCategoricalExpression(
+          fieldName,
+          shown.map((category, i) => ({ value: category.value, output: outputs[i] })),
+          fallback
+        ),
+        classes
+      };
+    }
+
+    const values = field.values.map(Number);
+    const breaks = classify(values, method, classCount);
+
+    // All sampled values equal: a single class, drawn with a plain value
+    // (a step without stops is not a valid expression)
+    if (breaks.length < 2) {
+      const [output] = this._getOutputs(1);
+      return {
+        expression: output,
+        classes: [{ label: breaks.length ? formatNumber(breaks[0]) : 'All', output }]
+      };
+    }
+
+    if (curve === 'interpolate') {
+      const outputs = this._getOutputs(breaks.length);
+      return {
+        expression: buildGraduatedExpression(fieldName, breaks, outputs, 'interpolate'),
+        classes: breaks.map((boundary, i) => ({ label: formatNumber(boundary), output: outputs[i] }))
+      };
+    }
+
+    const outputs = this._getOutputs(breaks.length - 1);
+    return {
+      expression: buildGraduatedExpression(fieldName, breaks, outputs, 'step'),
+      classes: outputs.map((output, i) => ({
+        label: `${formatNumber(breaks[i])} – ${formatNumber(breaks[i + 1])}`,
+        output
+      }))
+    };
+  }
+
+  /**
+   * Get `count` outputs for the target property (colors or sizes)
+   * @private
+   * @param {number} count - Number of outputs
+   * @returns {Array} Outputs
+   */
+  _getOutputs(count) {
+    if (this._isColorProperty()) {
+      return getRampColors(this.settings.ramp, count);
+    }
+
+    const { minSize, maxSize } = this.settings;
+    if (count === 1) {
+      return [maxSize];
+    }
+    return Array.from({ length: count }, (_, i) => {
+      return parseFloat(formatNumber(minSize + ((maxSize - minSize) * i) / (count - 1)));
+    });
+  }
+
+  /**
+   * Reset the numeric output range to the selected property's range
+   * @private
+   */
+  _resetOutputRange() {
+    const spec = this._getPropertySpec();
+    this.settings.minSize = spec.min ?? 0;
+    this.settings.maxSize = spec.max ?? 1;
+  }
+
+  /**
+   * Output for features that match no category
+   * @private
+   * @returns {*} Fallback output
+   */
+  _getFallbackOutput() {
+    return this._isColorProperty() ? '#cccccc' : this.settings.minSize;
+  }
+
+  /**
+   * Check if the selected property is a color
+   * @private
+   * @returns {boolean} True for color properties
+   */
+  _isColorProperty() {
+    return this._getPropertySpec().valueType === 'color';
+  }
+
+  /**
+   * Get the spec of the selected property
+   * @private
+   * @returns {Object} Property spec
+   */
+  _getPropertySpec() {
+    const entry = this.options.properties.find(p => p.property === this.settings.property);
+    return entry?.spec || {};
+  }
+
+  /**
+   * Revert the selected property to a single value
+   * @private
+   */
+  _clear() {
+    const current = this.options.getValue(this.settings.property);
+    const parsed = parseDataExpression(current);
+    if (!parsed) {
+      return;
+    }
+
+    const fallback = parsed.classes[0]?.output ?? getStaticValue(current, this._getFallbackOutput());
+    this.options.onApply(this.settings.property, fallback);
+  }
+
+  /**
+   * Create ramp picker with gradient preview
+   * @private
+   * @returns {HTMLElement} Picker element
+   */
+  _createRampPicker() {
+    const wantedType = this.settings.mode === 'categorical' ? 'qualitative' : 'sequential';
+    const options = Object.entries(colorRamps)
+      .filter(([, ramp]) => this.settings.mode === 'categorical' ? ramp.type === wantedType : ramp.type !== 'qualitative')
+      .map(([value, ramp]) => ({ value, label: ramp.name }));
+
+    if (!options.some(option => option.value === this.settings.ramp)) {
+      this.settings.ramp = options[0].value;
+    }
+
+    const group = this._createSelect('Ramp', options, this.settings.ramp, (value) => {
+      this.settings.ramp = value;
+    });
+
+    const preview = document.createElement('span');
+    preview.className = 'ramp-preview';
+    preview.style.background = getRampGradient(this.settings.ramp);
+    preview.setAttribute('aria-hidden', 'true');
+    group.appendChild(preview);
+
+    return group;
+  }
+
+  /**
+   * Create class preview list
+   * @private
+   * @param {Array<{label: string, output: *}>} classes - Classes
+   * @returns {HTMLElement} List element
+   */
+  _createPreview(classes) {
+    const list = document.createElement('ul');
+    list.className = 'attribute-classes';
+    list.setAttribute('aria-label', 'Class preview');
+
+    for (const { label, output } of classes) {
+      const item = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = 'class-swatch';
+      swatch.setAttribute('aria-hidden', 'true');
+
+      if (this._isColorProperty()) {
+        swatch.style.background = output;
+      } else {
+        swatch.style.height = `${output}px`;
+      }
+
+      const text = document.createElement('span');
+      text.textContent = this._isColorProperty() ? label : `${label} (${output}px)`;
+
+      item.appendChild(swatch);
+      item.appendChild(text);
+      list.appendChild(item);
+    }
+
+    return list;
+  }
+
+  /**
+   * Create labelled select; any change re-renders the panel
+   * @private
+   * @param {string} labelText - Label
+   * @param {Array<{value: string, label: string}>} options - Options
+   * @param {string} selected - Selected value
+   * @param {Function} onChange - Change handler
+   * @returns {HTMLElement} Control group
+   */
+  _createSelect(labelText, options, selected, onChange) {
+    const controlId = generateId(`attribute-${this.options.layerId}-${labelText.toLowerCase()}`);
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = labelText;
+
+    const select = document.createElement('select');
+    select.id = controlId;
+    for (const option of options) {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      element.selected = option.value === selected;
+      select.appendChild(element);
+    }
+    select.addEventListener('change', (e) => {
+      onChange(e.target.value);
+      this._render();
+    });
+
+    group.appendChild(label);
+    group.appendChild(select);
+    return group;
+  }
+
+  /**
+   * Create labelled number input; any change re-renders the panel
+   * @private
+   * @param {string} labelText - Label
+   * @param {number} value - Current value
+   * @param {Object} range - {min, max, step}
+   * @param {Function} onChange - Change handler
+   * @returns {HTMLElement} Control group
+   */
+  _createNumber(labelText, value, range, onChange) {
+    const controlId = generateId(`attribute-${this.options.layerId}-${labelText.toLowerCase()}`);
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = labelText;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = controlId;
+    input.value = value;
+    input.min = range.min;
+    input.max = range.max;
+    input.step = range.step;
+    input.addEventListener('change', (e) => {
+      const numValue = parseFloat(e.target.value);
+      if (!Number.isNaN(numValue)) {
+        onChange(Math.min(Math.max(numValue, range.min), range.max));
+        this._render();
+      }
+    });
+
+    group.appendChild(label);
+    group.appendChild(input);
+    return group;
+  }
+
+  /**
+   * Create a button
+   * @private
+   * @param {string} text - Button text
+   * @param {Function} onClick - Click handler
+   * @param {string} variant - 'primary' or 'secondary'
+   * @returns {HTMLButtonElement} Button
+   */
+  _createButton(text, onClick, variant = 'secondary') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = variant === 'primary' ? 'attribute-styler-button' : 'secondary outline attribute-styler-button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
@@ -0,0 +1,640 @@
+/**
+ * CodeEditor - Live JSON view of the current style
+ * Highlights and validates the style JSON as it is typed, suggests property
+ * names and values, and keeps the text and the visual controls in sync.
+ */
+
+import { createDebouncedFunction } from '../utils/debounce.js';
+import { validateStyle, fromPointer, toPointer } from '../utils/validation.js';
+import { tokenizeJSON, parseJSONWithLocations, getJSONContext, getLineColumn } from '../utils/jsonSource.js';
+import { LAYER_PROPERTIES, EXPRESSION_OPERATORS } from '../styles/styleSpec.js';
+
+/**
+ * Keys of a style layer offered by autocompletion
+ */
+const LAYER_KEYS = ['id', 'type', 'source', 'source-layer', 'filter', 'minzoom', 'maxzoom', 'layout', 'paint', 'metadata'];
+
+/**
+ * Most suggestions shown at once
+ */
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Spaces inserted by the Tab key
+ */
+const INDENT = '  ';
+
+/**
+ * AppState events after which the text is rebuilt from the style
+ */
+const SYNC_EVENTS = ['layersChanged', 'themeChanged', 'styleReset', 'layerVisibilityChanged', 'tileSchemaLoaded', 'fallbackModeEnabled'];
+
+export class CodeEditor {
+  /**
+   * Initialize CodeEditor
+   * @param {HTMLElement} container - Container element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   */
+  constructor(container, appState, mapController) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.appliedText = '';
+    this.lastValidStyle = null;
+    this.issues = [];
+    this.suggestions = [];
+    this.selectedSuggestion = 0;
+    this.suggestionContext = null;
+
+    this.pendingApply = createDebouncedFunction(() => this._applyText(), 500);
+    this.debouncedApply = this.pendingApply.func;
+    this.pendingSync = createDebouncedFunction(() => this._syncFromState(), 150);
+    this.debouncedSync = this.pendingSync.func;
+
+    this._render();
+    this._setupEventListeners();
+    this._setText(this._formatStyle(this.appState.currentStyle));
+  }
+
+  /**
+   * Setup event listeners for state changes
+   * @private
+   */
+  _setupEventListeners() {
+    // Changes made through the visual controls (or undo, themes, imports)
+    this._handleStyleChanged = (data) => {
+      if (data.source !== 'code') {
+        this.debouncedSync();
+      }
+    };
+    this.appState.on('styleChanged', this._handleStyleChanged);
+
+    for (const event of SYNC_EVENTS) {
+      this.appState.on(event, this.debouncedSync);
+    }
+  }
+
+  /**
+   * Render editor elements
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+    this.container.classList.add('code-editor');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'code-editor-toolbar';
+
+    this.status = document.createElement('span');
+    this.status.className = 'code-editor-status';
+    this.status.setAttribute('aria-live', 'polite');
+    toolbar.appendChild(this.status);
+
+    this.reloadButton = this._createButton('Reload from map', () => {
+      this._setText(this._formatStyle(this.appState.currentStyle));
+    });
+    this.reloadButton.hidden = true;
+    toolbar.appendChild(this.reloadButton);
+
+    toolbar.appendChild(this._createButton('Format', () => this._format()));
+    this.container.appendChild(toolbar);
+
+    const body = document.createElement('div');
+    body.className = 'code-editor-body';
+
+    this.highlight = document.createElement('pre');
+    this.highlight.className = 'code-editor-highlight';
+    this.highlight.setAttribute('aria-hidden', 'true');
+    this.highlightCode = document.createElement('code');
+    this.highlight.appendChild(this.highlightCode);
+    body.appendChild(this.highlight);
+
+    this.textarea = document.createElement('textarea');
+    this.textarea.className = 'code-editor-input';
+    this.textarea.spellcheck = false;
+    this.textarea.wrap = 'off';
+    this.textarea.setAttribute('aria-label', 'Style JSON');
+    this.textarea.setAttribute('autocomplete', 'off');
+    this.textarea.setAttribute('autocapitalize', 'off');
+    this.textarea.addEventListener('input', () => this._handleInput());
+    this.textarea.addEventListener('scroll', () => this._syncScroll());
+    this.textarea.addEventListener('keydown', (e) => this._handleKeydown(e));
+    this.textarea.addEventListener('click', () => this._updateSuggestions());
+    this.textarea.addEventListener('blur', () => {
+      // Let clicks on suggestions land first
+      setTimeout(() => this._hideSuggestions(), 150);
+    });
+    body.appendChild(this.textarea);
+    this.container.appendChild(body);
+
+    this.suggestionList = document.createElement('ul');
+    this.suggestionList.className = 'code-editor-suggestions';
+    this.suggestionList.setAttribute('role', 'listbox');
+    this.suggestionList.setAttribute('aria-label', 'Suggestions');
+    this.suggestionList.hidden = true;
+    this.container.appendChild(this.suggestionList);
+
+    this.issueList = document.createElement('ul');
+    this.issueList.className = 'code-editor-issues';
+    this.container.appendChild(this.issueList);
+  }
+
+  /**
+   * Replace the editor text (keeping the cursor on the same JSON value)
+   * @private
+   * @param {string} text - New text
+   */
+  _setText(text) {
+    const previousText = this.textarea.value;
+    const cursor = this._mapOffset(previousText, text, this.textarea.selectionStart);
+    const scrollTop = this.textarea.scrollTop;
+
+    this.textarea.value = text;
+    this.appliedText = text;
+    this.reloadButton.hidden = true;
+
+    if (document.activeElement === this.textarea) {
+      this.textarea.setSelectionRange(cursor, cursor);
+    }
+    this.textarea.scrollTop = scrollTop;
+
+    this._validate(text);
+  }
+
+  /**
+   * Find the offset in new text that corresponds to an offset in old text
+   * The cursor stays inside the same JSON value (by pointer) at the same distance
+   * from its start, so edits made elsewhere don't make it jump.
+   * @private
+   * @param {string} oldText - Previous text
+   * @param {string} newText - New text
+   * @param {number} offset - Offset in the previous text
+   * @returns {number} Offset in the new text
+   */
+  _mapOffset(oldText, newText, offset) {
+    if (!oldText) {
+      return 0;
+    }
+
+    const before = parseJSONWithLocations(oldText);
+    const after = parseJSONWithLocations(newText);
+    if (before.error || after.error) {
+      return Math.min(offset, newText.length);
+    }
+
+    // Innermost value containing the cursor
+    let best = null;
+    for (const [pointer, location] of before.locations) {
+      const start = location.keyStart ?? location.start;
+      if (start <= offset && offset <= location.end && (!best || start >= best.start)) {
+        best = { pointer, start };
+      }
+    }
+
+    // Fall back to the closest ancestor that still exists
+    const segments = best ? fromPointer(best.pointer) : [];
+    while (segments.length) {
+      const pointer = toPointer(segments);
+      const target = after.locations.get(pointer);
+      if (target) {
+        const source = before.locations.get(pointer);
+        const sourceStart = source.keyStart ?? source.start;
+        const targetStart = target.keyStart ?? target.start;
+        return Math.min(targetStart + (offset - sourceStart), target.end);
+      }
+      segments.pop();
+    }
+
+    return Math.min(offset, newText.length);
+  }
+
+  /**
+   * Sync the editor with the application state
+   * Pending edits are never overwritten; a reload button is offered instead.
+   * @private
+   */
+  _syncFromState() {
+    const text = this._formatStyle(this.appState.currentStyle);
+    if (text === this.textarea.value) {
+      return;
+    }
+
+    if (this.textarea.value !== this.appliedText) {
+      this.reloadButton.hidden = false;
+      this.status.textContent = 'Style changed outside the editor';
+      return;
+    }
+
+    this._setText(text);
+  }
+
+  /**
+   * Handle typing
+   * @private
+   */
+  _handleInput() {
+    this._validate(this.textarea.value);
+    this._updateSuggestions();
+    this.debouncedApply();
+  }
+
+  /**
+   * Parse and validate text, then refresh highlighting and the issue list
+   * @private
+   * @param {string} text - Editor text
+   * @returns {Object} { style, valid } where style is undefined if the JSON does not parse
+   */
+  _validate(text) {
+    const { value, locations, error } = parseJSONWithLocations(text);
+    this.issues = [];
+
+    if (error) {
+      const lineEnd = text.indexOf('\n', error.offset);
+      this.issues.push({
+        severity: 'error',
+        path: '',
+        message: `JSON syntax error: ${error.message}`,
+        start: error.offset,
+        end: lineEnd === -1 ? text.length : Math.max(lineEnd, error.offset + 1)
+      });
+    } else {
+      const report = validateStyle(value, { tileSchema: this.appState.tileSchema });
+      for (const issue of report.issues) {
+        const location = this._locate(locations, issue.path);
+        this.issues.push({ ...issue, start: location.start, end: location.end });
+      }
+      if (report.valid) {
+        this.lastValidStyle = value;
+      }
+    }
+
+    this._renderHighlight(text);
+    this._renderIssues(text);
+
+    const errors = this.issues.filter(issue => issue.severity === 'error').length;
+    const warnings = this.issues.length - errors;
+    this.status.textContent = errors
+      ? `${errors} error${errors === 1 ? '' : 's'} — map not updated`
+      : warnings ? `Valid, ${warnings} warning${warnings === 1 ? '' : 's'}` : 'Valid';
+    this.status.classList.toggle('invalid', errors > 0);
+
+    return { style: error ? undefined : value, valid: !error && errors === 0 };
+  }
+
+  /**
+   * Find the text range of a JSON pointer (or its closest existing ancestor)
+   * @private
+   * @param {Map} locations - Locations from parseJSONWithLocations
+   * @param {string} pointer - JSON pointer
+   * @returns {Object} { start, end }
+   */
+  _locate(locations, pointer) {
+    const segments = fromPointer(pointer);
+    while (segments.length) {
+      const location = locations.get(toPointer(segments));
+      if (location) {
+        return { start: location.keyStart ?? location.start, end: location.end };
+      }
+      segments.pop();
+    }
+    return { start: 0, end: 1 };
+  }
+
+  /**
+   * Apply valid text to the style and the map
+   * @private
+   */
+  _applyText() {
+    const text = this.textarea.value;
+    const { style, valid } = this._validate(text);
+    if (!valid) {
+      return;
+    }
+
+    if (JSON.stringify(style) !== JSON.stringify(this.appState.currentStyle)) {
+      this.appState.replaceStyle(style, { source: 'code' });
+    }
+    this.appliedText = text;
+    this.reloadButton.hidden = true;
+  }
+
+  /**
+   * Re-indent the text
+   * @private
+   */
+  _format() {
+    const { value, error } = parseJSONWithLocations(this.textarea.value);
+    if (error) {
+      this.textarea.focus();
+      this.textarea.setSelectionRange(error.offset, error.offset);
+      return;
+    }
+    const applied = this.appliedText;
+    this._setText(this._formatStyle(value));
+    if (this.textarea.value !== applied) {
+      this.appliedText = applied;
+      this.debouncedApply();
+    }
+  }
+
+  /**
+   * Render syntax highlighting, underlining ranges with issues
+   * @private
+   * @param {string} text - Editor text
+   */
+  _renderHighlight(text) {
+    const ranges = this.issues.map(issue => [issue.start, issue.end, issue.severity]);
+    const html = [];
+
+    for (const token of tokenizeJSON(text)) {
+      const content = escapeHtml(text.slice(token.start, token.end));
+      if (token.type === 'whitespace') {
+        html.push(content);
+        continue;
+      }
+
+      const classes = [`json-${token.key ? 'key' : token.type}`];
+      const issue = ranges.find(([start, end]) => token.start < end && token.end > start);
+      if (issue) {
+        classes.push(issue[2] === 'error' ? 'json-error' : 'json-warning');
+      }
+      html.push(`<span class="${classes.join(' ')}">${content}</span>`);
+    }
+
+    // A trailing newline needs content after it to take up a line
+    this.highlightCode.innerHTML = `${html.join('')}\n`;
+    this._syncScroll();
+  }
+
+  /**
+   * Render the list of validation issues
+   * @private
+   * @param {string} text - Editor text
+   */
+  _renderIssues(text) {
+    this.issueList.innerHTML = '';
+
+    for (const issue of this.issues) {
+      const item = document.createElement('li');
+      item.className = `code-editor-issue ${issue.severity}`;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'secondary outline';
+      const { line, column } = getLineColumn(text, issue.start);
+      button.textContent = `${line}:${column}`;
+      button.title = 'Go to issue';
+      button.addEventListener('click', () => {
+        this.textarea.focus();
+        this.textarea.setSelectionRange(issue.start, issue.end);
+      });
+      item.appendChild(button);
+
+      if (issue.path) {
+        const path = document.createElement('code');
+        path.textContent = issue.path;
+        item.appendChild(path);
+      }
+      item.appendChild(document.createTextNode(` ${issue.message}`));
+      this.issueList.appendChild(item);
+    }
+  }
+
+  /**
+   * Keep highlighting aligned with the textarea scroll position
+   * @private
+   */
+  _syncScroll() {
+    this.highlight.scrollTop = this.textarea.scrollTop;
+    this.highlight.scrollLeft = this.textarea.scrollLeft;
+  }
+
+  /**
+   * Handle editing keys (suggestion navigation, indentation)
+   * @private
+   * @param {KeyboardEvent} e - Key event
+   */
+  _handleKeydown(e) {
+    if (!this.suggestionList.hidden) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.selectedSuggestion = (this.selectedSuggestion + step + this.suggestions.length) % this.suggestions.length;
+        this._renderSuggestions();
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        this._acceptSuggestion(this.suggestions[this.selectedSuggestion]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this._hideSuggestions();
+        return;
+      }
+    }
+
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      this._insertText(INDENT);
+    }
+  }
+
+  /**
+   * Insert text at the cursor
+   * @private
+   * @param {string} text - Text to insert
+   * @param {number} start - Start of the replaced range (defaults to the selection)
+   * @param {number} end - End of the replaced range
+   */
+  _insertText(text, start = this.textarea.selectionStart, end = this.textarea.selectionEnd) {
+    this.textarea.setRangeText(text, start, end, 'end');
+    this._handleInput();
+  }
+
+  /**
+   * Show suggestions for the string under the cursor
+   * @private
+   */
+  _updateSuggestions() {
+    const offset = this.textarea.selectionStart;
+    const context = offset === this.textarea.selectionEnd
+      ? getJSONContext(this.textarea.value, offset)
+      : null;
+
+    const candidates = context ? this._getCandidates(context) : [];
+    const prefix = context?.prefix.toLowerCase() || '';
+    this.suggestions = candidates
+      .filter(candidate => candidate.toLowerCase().startsWith(prefix) && candidate !== context.prefix)
+      .slice(0, MAX_SUGGESTIONS);
+    this.suggestionContext = context;
+    this.selectedSuggestion = 0;
+
+    if (this.suggestions.length) {
+      this._renderSuggestions();
+    } else {
+      this._hideSuggestions();
+    }
+  }
+
+  /**
+   * Get completions for a cursor context
+   * @private
+   * @param {Object} context - Context from getJSONContext
+   * @returns {string[]} Candidate strings
+   */
+  _getCandidates(context) {
+    const [root, layerIndex, kind, property] = context.path;
+    if (root !== 'layers' || typeof layerIndex !== 'number') {
+      return [];
+    }
+
+    const layer = this.lastValidStyle?.layers?.[layerIndex];
+    const layerTypes = layer && LAYER_PROPERTIES[layer.type] ? [layer.type] : Object.keys(LAYER_PROPERTIES);
+
+    // Expression operators at the start of an array value
+    if (context.kind === 'value' && context.index === 0 && context.path.length >= 4) {
+      return [...EXPRESSION_OPERATORS];
+    }
+
+    if (context.path.length === 2) {
+      if (context.kind === 'key') {
+        return LAYER_KEYS;
+      }
+      if (context.key === 'type') {
+        return Object.keys(LAYER_PROPERTIES);
+      }
+      if (context.key === 'source') {
+        return Object.keys(this.lastValidStyle?.sources || {});
+      }
+      if (context.key === 'source-layer') {
+        const source = layer?.source;
+        return (this.appState.tileSchema[source]?.vectorLayers || []).map(vectorLayer => vectorLayer.id);
+      }
+      return [];
+    }
+
+    if (context.path.length === 3 && (kind === 'paint' || kind === 'layout')) {
+      if (context.kind === 'key') {
+        return [...new Set(layerTypes.flatMap(type => Object.keys(LAYER_PROPERTIES[type][kind])))];
+      }
+      const spec = layerTypes.map(type => LAYER_PROPERTIES[type][kind][context.key]).find(Boolean);
+      return spec?.type === 'enum' ? spec.values : [];
+    }
+
+    if (property === undefined && kind === 'filter' && context.index === 0) {
+      return [...EXPRESSION_OPERATORS];
+    }
+
+    return [];
+  }
+
+  /**
+   * Render the suggestion list
+   * @private
+   */
+  _renderSuggestions() {
+    this.suggestionList.innerHTML = '';
+
+    this.suggestions.forEach((suggestion, index) => {
+      const item = document.createElement('li');
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', index === this.selectedSuggestion ? 'true' : 'false');
+      item.textContent = suggestion;
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this._acceptSuggestion(suggestion);
+      });
+      this.suggestionList.appendChild(item);
+    });
+
+    this.suggestionList.hidden = false;
+  }
+
+  /**
+   * Hide the suggestion list
+   * @private
+   */
+  _hideSuggestions() {
+    this.suggestionList.hidden = true;
+    this.suggestions = [];
+  }
+
+  /**
+   * Replace the string under the cursor with a suggestion
+   * @private
+   * @param {string} suggestion - Accepted suggestion
+   */
+  _acceptSuggestion(suggestion) {
+    const context = this.suggestionContext;
+    if (!context || suggestion === undefined) {
+      return;
+    }
+
+    const text = JSON.stringify(suggestion).slice(1, -1);
+    const suffix = context.closed ? '' : '"';
+    this._hideSuggestions();
+    this._insertText(text + suffix, context.start, context.end);
+    if (context.closed) {
+      // Step over the closing quote
+      const cursor = this.textarea.selectionStart + 1;
+      this.textarea.setSelectionRange(cursor, cursor);
+    }
+    this._hideSuggestions();
+  }
+
+  /**
+   * Format a style as editor text
+   * @private
+   * @param {Object} style - Style
+   * @returns {string} Indented JSON
+   */
+  _formatStyle(style) {
+    return JSON.stringify(style, null, 2);
+  }
+
+  /**
+   * Create a toolbar button
+   * @private
+   * @param {string} text - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary outline code-editor-button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Cleanup and destroy the editor
+   */
+  destroy() {
+    // Remove event listeners
+    this.appState.off('styleChanged', this._handleStyleChanged);
+    for (const event of SYNC_EVENTS) {
+      this.appState.off(event, this.debouncedSync);
+    }
+    this.pendingApply.clear();
+    this.pendingSync.clear();
+
+    // Clear DOM
+    this.container.innerHTML = '';
+  }
+}
+
+/**
+ * Escape text for HTML
+ * @private
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
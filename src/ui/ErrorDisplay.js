@@ -30,25 +30,99 @@ export class ErrorDisplay {
 
     // Listen for export/import events
     this.appState.on('exportStarted', (data) => {
-      this.showInfo(`Exporting ${data.type.toUpperCase()}...`, { persistent: true });
+      this.showInfo(`Exporting ${data.formatName || data.type.toUpperCase()}...`, { persistent: true });
+    });
+
+    // Large image exports render in several passes
+    this.appState.on('exportProgress', (data) => {
+      if (data.total > 1) {
+        this.showProgress(`Exporting ${data.type.toUpperCase()}: part ${data.completed} of ${data.total}`, data.completed, data.total);
+      }
     });
 
     this.appState.on('exportCompleted', (data) => {
       this.hideInfo();
       if (data.fallback) {
         this.showWarning(data.message);
+      } else if (data.type === 'themes') {
+        this.showSuccess(`Themes exported to ${data.filename}`);
+      } else if (data.skipped?.length) {
+        this.showWarning(`${data.type.toUpperCase()} exported without ${data.skipped.join(', ')} (only line, fill and circle layers become vectors)`);
+      } else if (data.untranslated?.length) {
+        const count = data.untranslated.length;
+        this.showWarning(`${data.formatName} exported; ${count} ${count === 1 ? 'property' : 'properties'} could not be translated`);
       } else {
-        this.showSuccess(`${data.type.toUpperCase()} exported successfully`);
+        this.showSuccess(`${data.formatName || data.type.toUpperCase()} exported successfully`);
       }
     });
 
     this.appState.on('importStarted', (data) => {
-      this.showInfo(`Importing ${data.type.toUpperCase()}...`, { persistent: true });
+      this.showInfo(`Importing ${data.formatName || data.type.toUpperCase()}...`, { persistent: true });
     });
 
     this.appState.on('importCompleted', (data) => {
       this.hideInfo();
-      this.showSuccess(`Style imported from ${data.filename}`);
+      if (data.type === 'data') {
+        this.showSuccess(`Added data from ${data.filename}`);
+      } else if (data.type === 'themes') {
+        const skipped = data.skipped ? ` (${data.skipped} invalid skipped)` : '';
+        this.showSuccess(`Imported ${data.count} theme${data.count === 1 ? '' : 's'} from ${data.filename}${skipped}`);
+      } else if (data.untranslated?.length) {
+        const count = data.untranslated.length;
+        this.showWarning(`${data.formatName} style imported from ${data.filename}; ${count} ${count === 1 ? 'property' : 'properties'} could not be translated`);
+      } else if (data.warnings) {
+        this.showWarning(`Style imported from ${data.filename} with ${data.warnings} warning${data.warnings === 1 ? '' : 's'}`);
+      } else {
+        this.showSuccess(`Style imported from ${data.filename}`);
+      }
+    });
+
+    this.appState.on('importCancelled', () => {
+      this.hideInfo();
+    });
+
+    this.appState.on('styleMerged', (data) => {
+      const changes = `${data.changes} change${data.changes === 1 ? '' : 's'}`;
+      if (data.warnings) {
+        this.showWarning(`Merged ${changes} from ${data.name} with ${data.warnings} warning${data.warnings === 1 ? '' : 's'}`);
+      } else {
+        this.showSuccess(`Merged ${changes} from ${data.name}`);
+      }
+    });
+
+    this.appState.on('themeChanged', (data) => {
+      const notApplied = [...(data.unmatched || []), ...(data.skipped || [])];
+      if (notApplied.length) {
+        const listed = notApplied.slice(0, 5).join(', ') + (notApplied.length > 5 ? ', …' : '');
+        this.showWarning(`Theme applied; ${notApplied.length} entr${notApplied.length === 1 ? 'y' : 'ies'} did not match the current layers (${listed})`);
+      }
+      if (data.clearedFilters?.length) {
+        this.showWarning(`Theme replaced the filters of ${data.clearedFilters.join(', ')}; undo to get them back`);
+      }
+      if (data.notReset?.length) {
+        this.showInfo(`Added layers keep their current style: ${data.notReset.join(', ')}`);
+      }
+    });
+
+    this.appState.on('themeSaved', (data) => {
+      this.showSuccess(`Saved theme "${data.themeName}"`);
+    });
+
+    this.appState.on('urlStateTooLarge', () => {
+      this.showWarning('This style is too large to fit in a link; the link only keeps the view, theme and visible layers. Export JSON to share the full style.');
+    });
+
+    this.appState.on('urlStateApplied', (data) => {
+      if (data.styleApplied) {
+        this.showSuccess('Opened shared map');
+      }
+    });
+
+    this.appState.on('projectOpened', (data) => {
+      this.showSuccess(`Opened project "${data.name}"`);
+      if (data.missingSources.length) {
+        this.showWarning(`Add these local files again to see their data: ${data.missingSources.join(', ')}`, { persistent: true });
+      }
     });
 
     // Listen for loading state changes
@@ -110,6 +184,28 @@ export class ErrorDisplay {
     });
   }
 
+  /**
+   * Show a progress bar, updating the one already shown
+   * @param {string} message - Progress message
+   * @param {number} value - Work done
+   * @param {number} max - Total work
+   */
+  showProgress(message, value, max) {
+    let toast = this.activeToasts.get(this.progressToastId);
+    if (!toast) {
+      this.hideInfo();
+      this.progressToastId = this._showToast(message, 'info', { autoHide: false });
+      toast = this.activeToasts.get(this.progressToastId);
+      const progress = document.createElement('progress');
+      toast.element.querySelector('span').after(progress);
+    }
+
+    toast.element.querySelector('span').textContent = message;
+    const progress = toast.element.querySelector('progress');
+    progress.max = max;
+    progress.value = value;
+  }
+
   /**
    * Hide info messages (for loading states)
    */
@@ -197,6 +293,9 @@ export class ErrorDisplay {
   _removeToast(id) {
     const toast = this.activeToasts.get(id);
     if (toast) {
+      // Pending prompts (e.g. validation reports) count as cancelled
+      toast.onDismiss?.();
+
       // Add fade-out animation
       toast.element.style.opacity = '0';
       toast.element.style.transform = 'translateX(100%)';
@@ -303,6 +402,85 @@ export class ErrorDisplay {
     return id;
   }
 
+  /**
+   * Show style validation issues and ask how to continue
+   * Lists each issue with its JSON pointer; "Repair" is offered when some
+   * issues can be fixed automatically.
+   * @param {Object} report - Report from validateStyle
+   * @param {string} filename - Name of the checked file
+   * @returns {Promise<string>} 'repair', 'import' or 'cancel'
+   */
+  showValidationReport(report, filename) {
+    this.hideInfo();
+
+    return new Promise((resolve) => {
+      const id = this._generateToastId();
+
+      const toast = document.createElement('div');
+      toast.className = `error-toast validation-report toast-${report.valid ? 'warning' : 'error'}`;
+      toast.setAttribute('role', 'alertdialog');
+      toast.setAttribute('aria-label', 'Style validation');
+
+      const title = document.createElement('strong');
+      title.textContent = `${filename}: ${report.errors.length} error${report.errors.length === 1 ? '' : 's'}, ${report.warnings.length} warning${report.warnings.length === 1 ? '' : 's'}`;
+      toast.appendChild(title);
+
+      const list = document.createElement('ul');
+      for (const issue of report.issues) {
+        const item = document.createElement('li');
+        const path = document.createElement('code');
+        path.textContent = issue.path || '/';
+        item.appendChild(path);
+        item.appendChild(document.createTextNode(` ${issue.message}${issue.fix ? ' (repairable)' : ''}`));
+        list.appendChild(item);
+      }
+      toast.appendChild(list);
+
+      const buttonContainer = document.createElement('div');
+      buttonContainer.className = 'validation-actions';
+
+      const choose = (choice) => {
+        resolve(choice);
+        this._removeToast(id);
+      };
+
+      const addButton = (text, choice, className = '') => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', () => choose(choice));
+        buttonContainer.appendChild(button);
+        return button;
+      };
+
+      const firstButton = report.fixable.length
+        ? addButton(`Repair ${report.fixable.length} issue${report.fixable.length === 1 ? '' : 's'}`, 'repair')
+        : null;
+      addButton('Import anyway', 'import', 'secondary');
+      addButton('Cancel', 'cancel', 'secondary outline');
+      toast.appendChild(buttonContainer);
+
+      toast.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          choose('cancel');
+        }
+      });
+
+      this.container.style.display = 'block';
+      this.container.appendChild(toast);
+      this.activeToasts.set(id, {
+        element: toast,
+        type: 'validation',
+        timestamp: Date.now(),
+        onDismiss: () => resolve('cancel')
+      });
+
+      (firstButton || buttonContainer.firstChild).focus();
+    });
+  }
+
   /**
    * Show network status
    * @param {boolean} isOnline - Network status
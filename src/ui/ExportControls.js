@@ -1,9 +1,38 @@
 /**
  * ExportControls - Style and image export functionality
- * Handles JSON style export and PNG map export with error handling
+ * Handles JSON style export and import, conversion to and from other
+ * cartographic formats, merging changes from a compared style, PNG, SVG and
+ * PDF map export and print layouts with error handling
  */
 
 import { downloadBlob } from '../utils/helpers.js';
+import { SCREEN_DPI, getPaperPixels, checkImageSize, canvasToBlob, setPngDpi } from '../utils/print.js';
+import { sceneToSVG } from '../export/svg.js';
+import { sceneToPDF, imageToPDF } from '../export/pdf.js';
+import { computeLayout, drawLayout, getMetersPerPixel, getStyleAttribution } from '../export/layout.js';
+import { buildLegend, getLegendRows, drawLegendPanel } from '../styles/legend.js';
+import { validateStyle, repairStyle } from '../utils/validation.js';
+import { styleToMapbox } from '../formats/mapbox.js';
+import { styleToSLD } from '../formats/sld.js';
+import { styleToQML } from '../formats/qml.js';
+import { styleToCartoCSS } from '../formats/cartocss.js';
+import { detectStyleFormat, readStyleFile, applyLayerMapping } from '../formats/importStyle.js';
+import { mergeStyleChanges } from '../utils/styleDiff.js';
+
+/**
+ * Issues listed in an error message before the rest are summarised
+ */
+const MAX_LISTED_ISSUES = 3;
+
+/**
+ * Formats the style converts to besides MapLibre JSON
+ */
+export const STYLE_FORMATS = {
+  mapbox: { name: 'Mapbox GL JSON', extension: 'json', mimeType: 'application/json' },
+  sld: { name: 'SLD', extension: 'sld', mimeType: 'application/vnd.ogc.sld+xml' },
+  qml: { name: 'QGIS QML', extension: 'qml', mimeType: 'application/xml' },
+  cartocss: { name: 'CartoCSS', extension: 'mss', mimeType: 'text/plain' }
+};
 
 export class ExportControls {
   /**
@@ -37,10 +66,10 @@ export class ExportControls {
       // Get current style
       const style = this.appState.getCurrentStyle();
       
-      // Validate style object
-      const validationResult = this._validateStyleObject(style);
-      if (!validationResult.isValid) {
-        throw new Error(`Invalid style: ${validationResult.errors.join(', ')}`);
+      // Validate against the style specification
+      const report = validateStyle(style, { tileSchema: this.appState.tileSchema });
+      if (!report.valid) {
+        throw new Error(`Invalid style: ${this._formatIssues(report.errors)}`);
       }
 
       // Add metadata
@@ -112,9 +141,127 @@ export class ExportControls {
     }
   }
 
+  /**
+   * Convert the current style to another cartographic format
+   * Zoom-dependent values are fixed at the map's current zoom.
+   * @param {string} format - Key of STYLE_FORMATS
+   * @param {Object} options - Conversion options
+   * @param {Array<string>} options.layerIds - Layers to write QML files for (defaults to all)
+   * @returns {Object} { files: [{ filename, content, mimeType, layerId }], untranslated } where
+   *   layerId is set on QML files and untranslated lists { layerId, property, reason } the format can't express
+   */
+  convertStyle(format, options = {}) {
+    const { extension, mimeType } = STYLE_FORMATS[format] || {};
+    if (!extension) {
+      throw new Error(`Unknown style format: ${format}`);
+    }
+
+    const style = this.appState.getCurrentStyle();
+    const layerConfig = this.appState.getLayerConfig();
+    const describeOptions = {
+      zoom: this.mapController.getViewState()?.zoom ?? 10,
+      getLayerName: layerId => layerConfig[layerId]?.name || layerId
+    };
+
+    if (format === 'qml') {
+      const { files, untranslated } = styleToQML(style, { ...describeOptions, layerIds: options.layerIds });
+      return {
+        files: files.map(file => ({
+          layerId: file.layerId,
+          filename: this._generateFilename(`style-${file.layerId}`, extension),
+          content: file.content,
+          mimeType
+        })),
+        untranslated
+      };
+    }
+
+    const converters = { mapbox: styleToMapbox, sld: styleToSLD, cartocss: styleToCartoCSS };
+    const { content, untranslated } = converters[format](style, describeOptions);
+    return {
+      files: [{ filename: options.filename || this._generateFilename('style', extension), content, mimeType }],
+      untranslated
+    };
+  }
+
+  /**
+   * Export the current style in another cartographic format
+   * @param {string} format - Key of STYLE_FORMATS
+   * @param {Object} options - Conversion options (see convertStyle) plus filename
+   * @returns {Promise<Object>} Export result
+   */
+  async exportStyleAs(format, options = {}) {
+    if (this.isExporting) {
+      return { 
+        success: false, 
+        error: 'Export already in progress' 
+      };
+    }
+
+    const formatName = STYLE_FORMATS[format]?.name || format;
+    try {
+      this.isExporting = true;
+      this.appState.emit('exportStarted', { type: format, formatName });
+
+      const { files, untranslated } = this.convertStyle(format, options);
+      if (!files.length) {
+        throw new Error('No layers to export');
+      }
+
+      let size = 0;
+      for (const file of files) {
+        const blob = new Blob([file.content], { type: file.mimeType });
+        downloadBlob(blob, file.filename);
+        size += blob.size;
+      }
+
+      const filenames = files.map(file => file.filename);
+      this.appState.emit('exportCompleted', { 
+        type: format, 
+        formatName,
+        filename: filenames[0],
+        filenames,
+        size,
+        untranslated
+      });
+
+      return { 
+        success: true, 
+        filenames, 
+        size,
+        untranslated
+      };
+
+    } catch (error) {
+      console.error(`Failed to export ${formatName}:`, error);
+      
+      this.appState.addError({
+        type: 'export',
+        message: `Failed to export ${formatName}: ${error.message}`,
+        error
+      });
+
+      return { 
+        success: false, 
+        error: error.message 
+      };
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
   /**
    * Export current map view as PNG image
-   * @param {Object} options - Export options (width, height, quality)
+   * Give either a pixel size or a paper size; the DPI scales line widths and
+   * text for print and is recorded in the file.
+   * @param {Object} options - Export options
+   * @param {number} options.width - Image width in pixels (defaults to the map's size)
+   * @param {number} options.height - Image height in pixels (defaults to the map's size)
+   * @param {string} options.paper - Paper size key (see PAPER_SIZES), used instead of width/height
+   * @param {string} options.orientation - 'portrait' or 'landscape' for paper sizes
+   * @param {number} options.dpi - Print resolution (defaults to screen resolution)
+   * @param {boolean} options.legend - Draw a legend of the visible layers in the corner
+   * @param {string} options.filename - Download filename
    * @returns {Promise<Object>} Export result
    */
   async exportPNG(options = {}) {
@@ -129,20 +276,33 @@ export class ExportControls {
       this.isExporting = true;
       this.appState.emit('exportStarted', { type: 'png' });
 
-      const defaultOptions = { 
-        width: 1024, 
-        height: 768, 
-        quality: 0.92 
-      };
-      const exportOptions = { ...defaultOptions, ...options };
+      const dpi = options.dpi || SCREEN_DPI;
+      const size = options.paper
+        ? getPaperPixels(options.paper, { dpi, orientation: options.orientation })
+        : { width: options.width, height: options.height };
+      if (!size) {
+        throw new Error(`Unknown paper size: ${options.paper}`);
+      }
 
-      // Export from map controller
-      const blob = await this.mapController.exportPNG(exportOptions);
-      
-      if (!blob) {
-        throw new Error('Failed to generate PNG blob');
+      // Render from map controller
+      const pixelRatio = dpi / SCREEN_DPI;
+      const canvas = await this.mapController.renderImage({
+        ...size,
+        pixelRatio,
+        onProgress: ({ completed, total }) => {
+          this.appState.emit('exportProgress', { type: 'png', completed, total });
+        }
+      });
+      if (options.legend) {
+        this._drawLegendOverlay(canvas, pixelRatio);
+      }
+
+      let blob = await canvasToBlob(canvas, 'image/png');
+      if (dpi !== SCREEN_DPI) {
+        blob = await setPngDpi(blob, dpi);
       }
 
+      const dimensions = await this._getImageSize(blob);
       const filename = options.filename || this._generateFilename('map-export', 'png');
       downloadBlob(blob, filename);
 
@@ -150,20 +310,16 @@ export class ExportControls {
         type: 'png', 
         filename,
         size: blob.size,
-        dimensions: {
-          width: exportOptions.width,
-          height: exportOptions.height
-        }
+        dimensions,
+        dpi
       });
 
       return { 
         success: true, 
         filename, 
         size: blob.size,
-        dimensions: {
-          width: exportOptions.width,
-          height: exportOptions.height
-        }
+        dimensions,
+        dpi
       };
 
     } catch (error) {
@@ -171,7 +327,236 @@ export class ExportControls {
       
       this.appState.addError({
         type: 'export',
-        message: 'Failed to export map image',
+        message: `Failed to export map image: ${error.message}`,
+        error
+      });
+
+      return { 
+        success: false, 
+        error: error.message 
+      };
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Export the visible extent as SVG or PDF vectors
+   * Line, fill and circle layers become paths with their current paint
+   * properties, grouped by layer; other layer types are reported as skipped.
+   * @param {string} format - 'svg' or 'pdf'
+   * @param {Object} options - Export options (title, filename)
+   * @returns {Promise<Object>} Export result
+   */
+  async exportVector(format, options = {}) {
+    if (this.isExporting) {
+      return { 
+        success: false, 
+        error: 'Export already in progress' 
+      };
+    }
+
+    try {
+      this.isExporting = true;
+      this.appState.emit('exportStarted', { type: format });
+
+      const layerConfig = this.appState.getLayerConfig();
+      const scene = await this.mapController.captureVectorScene({
+        getLayerName: layerId => layerConfig[layerId]?.name || layerId
+      });
+      if (!scene.layers.length) {
+        throw new Error('No line, fill or circle layers are visible');
+      }
+
+      const title = options.title || 'Map Remix map';
+      const blob = format === 'svg'
+        ? new Blob([sceneToSVG(scene, { title })], { type: 'image/svg+xml' })
+        : await sceneToPDF(scene, { title });
+
+      const filename = options.filename || this._generateFilename('map-export', format);
+      downloadBlob(blob, filename);
+
+      const skipped = scene.skipped.map(layer => layer.name);
+      this.appState.emit('exportCompleted', { 
+        type: format, 
+        filename,
+        size: blob.size,
+        skipped
+      });
+
+      return { 
+        success: true, 
+        filename, 
+        size: blob.size,
+        skipped
+      };
+
+    } catch (error) {
+      console.error(`Failed to export ${format.toUpperCase()}:`, error);
+      
+      this.appState.addError({
+        type: 'export',
+        message: `Failed to export ${format.toUpperCase()}: ${error.message}`,
+        error
+      });
+
+      return { 
+        success: false, 
+        error: error.message 
+      };
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Render a print layout: the current view framed by a title, legend,
+   * scale bar, north arrow and credits
+   * @param {Object} options - Layout options
+   * @param {string} options.template - Key of LAYOUT_TEMPLATES
+   * @param {number} options.dpi - Print resolution
+   * @param {string} options.title - Title (no header when empty along with the subtitle)
+   * @param {string} options.subtitle - Subtitle
+   * @param {boolean} options.showLegend - Include a legend of the visible layers
+   * @param {boolean} options.showScaleBar - Include a scale bar
+   * @param {string} options.units - Scale bar units, 'metric' or 'imperial'
+   * @param {boolean} options.showNorthArrow - Include a north arrow
+   * @param {string} options.attribution - Credits (defaults to the sources' attribution)
+   * @param {boolean} options.showDate - Include today's date
+   * @param {Function} options.onProgress - Called with { completed, total } map tiles
+   * @returns {Promise<Object>} { canvas, layout, dpi }
+   */
+  async renderLayout(options = {}) {
+    const {
+      template = 'letter-landscape',
+      dpi = SCREEN_DPI,
+      title = '',
+      subtitle = '',
+      showLegend = true,
+      showScaleBar = true,
+      units = 'metric',
+      showNorthArrow = true,
+      showDate = true,
+      onProgress
+    } = options;
+
+    const style = this.appState.getCurrentStyle();
+    const layerConfig = this.appState.getLayerConfig();
+    const getLayerName = layerId => layerConfig[layerId]?.name || layerId;
+    const attribution = options.attribution ?? getStyleAttribution(style);
+    const pixelRatio = dpi / SCREEN_DPI;
+
+    // The legend's size shapes the layout, so it is first built at the
+    // on-screen zoom and then again at the zoom the map frame renders at
+    const view = this.mapController.getViewState();
+    const legendRows = showLegend ? getLegendRows(buildLegend(style, { zoom: view.zoom, getLayerName })).length : 0;
+    const layout = computeLayout(template, {
+      hasHeader: Boolean(title || subtitle),
+      hasSubtitle: Boolean(subtitle),
+      legendRows,
+      hasFooter: showScaleBar || Boolean(attribution) || showDate
+    });
+
+    const width = Math.round(layout.page.width * pixelRatio);
+    const height = Math.round(layout.page.height * pixelRatio);
+    const sizeError = checkImageSize(width, height);
+    if (sizeError) {
+      throw new Error(sizeError);
+    }
+
+    const mapWidth = Math.round(layout.map.width * pixelRatio);
+    const mapHeight = Math.round(layout.map.height * pixelRatio);
+    const camera = this.mapController.getExportCamera(mapWidth, mapHeight, pixelRatio);
+    const mapImage = await this.mapController.renderImage({ width: mapWidth, height: mapHeight, pixelRatio, onProgress });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.scale(pixelRatio, pixelRatio);
+    drawLayout(context, layout, {
+      mapImage,
+      title,
+      subtitle,
+      legend: showLegend ? buildLegend(style, { zoom: camera.zoom, getLayerName }) : [],
+      // Distances vary across a tilted view, so it gets no scale bar
+      scaleBar: showScaleBar && !camera.pitch
+        ? { metersPerPixel: getMetersPerPixel(camera.center.lat, camera.zoom), units }
+        : null,
+      bearing: showNorthArrow ? camera.bearing : null,
+      attribution,
+      date: showDate ? new Date().toLocaleDateString() : ''
+    });
+
+    return { canvas, layout, dpi };
+  }
+
+  /**
+   * Export a print layout as a PNG image or a single-page PDF
+   * @param {Object} options - Layout options (see renderLayout) plus format ('png' or 'pdf') and filename
+   * @returns {Promise<Object>} Export result
+   */
+  async exportLayout(options = {}) {
+    if (this.isExporting) {
+      return { 
+        success: false, 
+        error: 'Export already in progress' 
+      };
+    }
+
+    const format = options.format || 'png';
+    try {
+      this.isExporting = true;
+      this.appState.emit('exportStarted', { type: format, layout: true });
+
+      const { canvas, layout, dpi } = await this.renderLayout({
+        ...options,
+        onProgress: ({ completed, total }) => {
+          this.appState.emit('exportProgress', { type: format, completed, total });
+        }
+      });
+
+      let blob;
+      if (format === 'pdf') {
+        // The page is white, so JPEG keeps the file small without losing anything visible
+        const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+        blob = await imageToPDF(jpeg, {
+          ...layout.page,
+          pixelWidth: canvas.width,
+          pixelHeight: canvas.height,
+          title: options.title || 'Map Remix map'
+        });
+      } else {
+        blob = await setPngDpi(await canvasToBlob(canvas, 'image/png'), dpi);
+      }
+
+      const filename = options.filename || this._generateFilename('map-layout', format);
+      downloadBlob(blob, filename);
+
+      const dimensions = { width: canvas.width, height: canvas.height };
+      this.appState.emit('exportCompleted', { 
+        type: format, 
+        layout: true,
+        filename,
+        size: blob.size,
+        dimensions,
+        dpi
+      });
+
+      return { 
+        success: true, 
+        filename, 
+        size: blob.size,
+        dimensions,
+        dpi
+      };
+
+    } catch (error) {
+      console.error('Failed to export layout:', error);
+      
+      this.appState.addError({
+        type: 'export',
+        message: `Failed to export print layout: ${error.message}`,
         error
       });
 
@@ -187,9 +572,13 @@ export class ExportControls {
   /**
    * Import style from JSON file
    * @param {File} file - JSON file to import
+   * @param {Object} options - Import options
+   * @param {Function} options.onValidationIssues - Called with (report) when the style has
+   *   errors or repairable issues; resolves to 'import', 'repair' or 'cancel'. Without it,
+   *   styles with errors are rejected.
    * @returns {Promise<Object>} Import result
    */
-  async importStyleJSON(file) {
+  async importStyleJSON(file, options = {}) {
     try {
       this.appState.emit('importStarted', { type: 'json' });
 
@@ -204,36 +593,39 @@ export class ExportControls {
       }
 
       // Validate imported style
-      const validationResult = this._validateStyleObject(styleData);
-      if (!validationResult.isValid) {
-        throw new Error(`Invalid style format: ${validationResult.errors.join(', ')}`);
-      }
-
-      // Apply imported style
-      this.appState.currentStyle = styleData;
-      
-      // Restore layer visibility if available
-      if (styleData.metadata?.['map-remix']?.layerVisibility) {
-        this.appState.layerVisibility = { 
-          ...this.appState.layerVisibility, 
-          ...styleData.metadata['map-remix'].layerVisibility 
-        };
+      const report = validateStyle(styleData, { tileSchema: this.appState.tileSchema });
+      if (!Array.isArray(styleData?.layers)) {
+        // Nothing to repair without a layer list
+        throw new Error(`Invalid style format: ${this._formatIssues(report.errors)}`);
       }
 
-      // Update theme if available
-      if (styleData.metadata?.['map-remix']?.activeTheme) {
-        this.appState.activeTheme = styleData.metadata['map-remix'].activeTheme;
+      if (!report.valid || report.fixable.length) {
+        const choice = options.onValidationIssues
+          ? await options.onValidationIssues(report, file.name)
+          : 'cancel';
+
+        if (choice === 'repair') {
+          styleData = repairStyle(styleData, report.fixable);
+        } else if (choice !== 'import') {
+          if (options.onValidationIssues) {
+            this.appState.emit('importCancelled', { type: 'json', filename: file.name });
+            return { success: false, cancelled: true, error: 'Import cancelled' };
+          }
+          throw new Error(`Invalid style format: ${this._formatIssues(report.errors)}`);
+        }
       }
 
-      // Push to history
-      this.appState._pushToHistory();
-
-      // Update map
-      this.mapController.updateStyle(styleData);
+      // Apply imported style, restoring visibility and theme if available
+      const metadata = styleData.metadata?.['map-remix'] || {};
+      this.appState.replaceStyle(styleData, {
+        layerVisibility: metadata.layerVisibility || null,
+        activeTheme: metadata.activeTheme || null
+      });
 
       this.appState.emit('importCompleted', { 
         type: 'json',
-        filename: file.name
+        filename: file.name,
+        warnings: report.warnings.length
       });
 
       return { 
@@ -258,54 +650,211 @@ export class ExportControls {
   }
 
   /**
-   * Validate MapLibre style object
-   * @private
-   * @param {Object} style - Style object to validate
-   * @returns {Object} Validation result
+   * Read a style file of any supported format
+   * MapLibre styles are imported with importStyleJSON; the others come back
+   * unbound, to be mapped onto sources with importMappedStyle.
+   * @param {File} file - Style file (.json, .sld, .qml)
+   * @returns {Promise<Object>} { success, format, imported } where imported is null for MapLibre styles
    */
-  _validateStyleObject(style) {
-    const errors = [];
+  async readStyleFile(file) {
+    try {
+      const text = await this._readFileAsText(file);
+      const format = detectStyleFormat(text, file.name);
+      if (!format) {
+        throw new Error('Not a MapLibre, Mapbox, SLD or QGIS style');
+      }
+      if (format === 'maplibre') {
+        return { success: true, format, imported: null };
+      }
+      return { success: true, format, imported: readStyleFile(text, format, file.name) };
 
-    // Check required properties
-    if (!style.version) {
-      errors.push('Missing version property');
-    }
+    } catch (error) {
+      console.error('Failed to read style file:', error);
+
+      this.appState.addError({
+        type: 'import',
+        message: `Failed to read ${file.name}: ${error.message}`,
+        error
+      });
 
-    if (!style.sources) {
-      errors.push('Missing sources property');
+      return { 
+        success: false, 
+        error: error.message 
+      };
     }
+  }
+
+  /**
+   * Import layers read by readStyleFile, bound to the chosen sources, as one
+   * undoable step
+   * @param {Object} imported - Imported style from readStyleFile
+   * @param {Object} options - Import options
+   * @param {Object} options.mapping - Target (see listLayerTargets) keyed by group ID
+   * @param {string} options.mode - 'replace' or 'append' (see applyLayerMapping)
+   * @param {string} options.filename - Imported file name
+   * @returns {Object} Import result
+   */
+  importMappedStyle(imported, { mapping, mode = 'append', filename = '' } = {}) {
+    try {
+      this.appState.emit('importStarted', { type: imported.format, formatName: imported.formatName });
+
+      let { style, added } = applyLayerMapping(this.appState.getCurrentStyle(), imported, mapping, { mode });
+      if (!added.length) {
+        throw new Error('No layers were bound to data');
+      }
+
+      // Repair what can be repaired (e.g. values out of range); reject the rest
+      let report = validateStyle(style, { tileSchema: this.appState.tileSchema });
+      if (report.fixable.length) {
+        style = repairStyle(style, report.fixable);
+        report = validateStyle(style, { tileSchema: this.appState.tileSchema });
+      }
+      if (!report.valid) {
+        throw new Error(`Invalid style: ${this._formatIssues(report.errors)}`);
+      }
+
+      this.appState.replaceStyle(style, { label: `Imported ${imported.formatName} style` });
+
+      this.appState.emit('importCompleted', { 
+        type: imported.format,
+        formatName: imported.formatName,
+        filename,
+        added: added.length,
+        untranslated: imported.untranslated,
+        warnings: report.warnings.length
+      });
 
-    if (!style.layers || !Array.isArray(style.layers)) {
-      errors.push('Missing or invalid layers property');
+      return { 
+        success: true, 
+        filename,
+        added
+      };
+
+    } catch (error) {
+      console.error(`Failed to import ${imported.formatName}:`, error);
+      
+      this.appState.addError({
+        type: 'import',
+        message: `Failed to import ${imported.formatName} style: ${error.message}`,
+        error
+      });
+
+      return { 
+        success: false, 
+        error: error.message 
+      };
     }
+  }
 
-    // Check layer structure
-    if (style.layers) {
-      style.layers.forEach((layer, index) => {
-        if (!layer.id) {
-          errors.push(`Layer ${index} missing id`);
-        }
-        if (!layer.type) {
-          errors.push(`Layer ${layer.id || index} missing type`);
+  /**
+   * Read a MapLibre style JSON file to compare with the current style
+   * @param {File} file - Style JSON file
+   * @returns {Promise<Object>} { success, style } with the visibility saved in the file applied
+   */
+  async readComparisonStyle(file) {
+    try {
+      const text = await this._readFileAsText(file);
+
+      let style;
+      try {
+        style = JSON.parse(text);
+      } catch (parseError) {
+        throw new Error('Invalid JSON file');
+      }
+      if (!Array.isArray(style?.layers)) {
+        throw new Error('Not a MapLibre style');
+      }
+
+      // Exports keep visibility in metadata, as the current style keeps it in layouts
+      const layerVisibility = style.metadata?.['map-remix']?.layerVisibility || {};
+      for (const layer of style.layers) {
+        if (layer.id in layerVisibility) {
+          layer.layout = { ...layer.layout, visibility: layerVisibility[layer.id] ? 'visible' : 'none' };
         }
+      }
+
+      return { success: true, style };
+
+    } catch (error) {
+      console.error('Failed to read style for comparison:', error);
+
+      this.appState.addError({
+        type: 'import',
+        message: `Failed to read ${file.name}: ${error.message}`,
+        error
       });
+
+      return {
+        success: false,
+        error: error.message
+      };
     }
+  }
 
-    // Check for PMTiles sources
-    if (style.sources) {
-      const pmtilesCount = Object.values(style.sources)
-        .filter(source => source.url && source.url.startsWith('pmtiles://'))
-        .length;
-      
-      if (pmtilesCount === 0) {
-        errors.push('No PMTiles sources found - style may not work correctly');
+  /**
+   * Merge changes picked from a compared style as one undoable step
+   * @param {Object} other - Compared style
+   * @param {Array<Object>} changes - Changes from compareStyles to apply
+   * @param {Object} options - Merge options
+   * @param {string} options.name - Name of the compared style
+   * @returns {Object} Merge result
+   */
+  mergeChanges(other, changes, { name = 'style' } = {}) {
+    try {
+      if (!changes.length) {
+        throw new Error('No changes picked');
+      }
+
+      const style = mergeStyleChanges(this.appState.getCurrentStyle(), changes, other);
+      const report = validateStyle(style, { tileSchema: this.appState.tileSchema });
+      if (!report.valid) {
+        throw new Error(`Invalid style: ${this._formatIssues(report.errors)}`);
       }
+
+      const count = `${changes.length} ${changes.length === 1 ? 'change' : 'changes'}`;
+      this.appState.replaceStyle(style, { source: 'merge', label: `Merged ${count} from ${name}` });
+
+      this.appState.emit('styleMerged', {
+        name,
+        changes: changes.length,
+        warnings: report.warnings.length
+      });
+
+      return {
+        success: true,
+        changes: changes.length
+      };
+
+    } catch (error) {
+      console.error('Failed to merge style changes:', error);
+
+      this.appState.addError({
+        type: 'merge',
+        message: `Failed to merge changes from ${name}: ${error.message}`,
+        error
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
     }
+  }
 
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
+  /**
+   * Summarise validation issues for an error message
+   * @private
+   * @param {Array<Object>} issues - Validation issues
+   * @returns {string} Issues as "path: message" list
+   */
+  _formatIssues(issues) {
+    const listed = issues
+      .slice(0, MAX_LISTED_ISSUES)
+      .map(issue => `${issue.path || '/'}: ${issue.message}`);
+    if (issues.length > MAX_LISTED_ISSUES) {
+      listed.push(`${issues.length - MAX_LISTED_ISSUES} more`);
+    }
+    return listed.join('; ');
   }
 
   /**
@@ -324,6 +873,32 @@ export class ExportControls {
     return `map-remix-${basename}-${timestamp}.${extension}`;
   }
 
+  /**
+   * Draw a legend of the layers visible in an exported image in its
+   * bottom-left corner
+   * @private
+   * @param {HTMLCanvasElement} canvas - Rendered map
+   * @param {number} pixelRatio - Image pixels per CSS pixel
+   */
+  _drawLegendOverlay(canvas, pixelRatio) {
+    const layerConfig = this.appState.getLayerConfig();
+    const camera = this.mapController.getExportCamera(canvas.width, canvas.height, pixelRatio);
+    const entries = buildLegend(this.appState.getCurrentStyle(), {
+      zoom: camera.zoom,
+      getLayerName: layerId => layerConfig[layerId]?.name || layerId
+    });
+    if (!entries.length) {
+      return;
+    }
+
+    const context = canvas.getContext('2d');
+    const height = canvas.height / pixelRatio;
+    context.save();
+    context.scale(pixelRatio, pixelRatio);
+    drawLegendPanel(context, entries, { x: 10, bottom: height - 10, maxHeight: height - 20 });
+    context.restore();
+  }
+
   /**
    * Show JSON in fallback window
    * @private
@@ -386,6 +961,18 @@ export class ExportControls {
     });
   }
 
+  /**
+   * Read the pixel size of a PNG
+   * @private
+   * @param {Blob} blob - PNG image
+   * @returns {Promise<Object>} { width, height }
+   */
+  async _getImageSize(blob) {
+    // Width and height are the first fields of the IHDR chunk
+    const view = new DataView(await blob.slice(16, 24).arrayBuffer());
+    return { width: view.getUint32(0), height: view.getUint32(4) };
+  }
+
   /**
    * Check if export is in progress
    * @returns {boolean} Export status
@@ -0,0 +1,360 @@
+/**
+ * FilterBuilder - "Filter" panel for a single layer
+ * Edits nested all/any condition groups and previews how many features match
+ */
+
+import { generateId, deepClone } from '../utils/helpers.js';
+import { debounce } from '../utils/debounce.js';
+import { describeExpression } from '../utils/expressions.js';
+import {
+  FILTER_OPERATORS,
+  GEOMETRY_FIELD,
+  buildFilterExpression,
+  parseFilterExpression,
+  createFilterGroup,
+  createFilterCondition,
+  countFilterConditions,
+  operatorTakesValue,
+  operatorTakesList,
+  parseFilterValue,
+  parseFilterList,
+  formatFilterList
+} from '../utils/filters.js';
+
+/**
+ * Deepest group nesting offered by "+ Group"
+ */
+const MAX_GROUP_DEPTH = 2;
+
+export class FilterBuilder {
+  /**
+   * Initialize FilterBuilder
+   * @param {Object} options - Builder options
+   * @param {string} options.layerId - Layer ID
+   * @param {Array|null} options.filter - Current layer filter
+   * @param {Object} options.attributes - Attribute catalog from the tile schema (name → type)
+   * @param {MapController} options.mapController - Map controller used to count features
+   * @param {Function} options.onApply - Called with (filter) to commit; null removes the filter
+   */
+  constructor(options) {
+    this.options = options;
+    this.appliedFilter = options.filter ? deepClone(options.filter) : null;
+    this.model = parseFilterExpression(this.appliedFilter);
+    this.fields = Object.keys(options.attributes || {});
+    this.listId = generateId(`filter-fields-${options.layerId}`);
+
+    this.debouncedPreview = debounce(this._updatePreview.bind(this), 200);
+    this.element = this._createElement();
+  }
+
+  /**
+   * Create the collapsible panel
+   * @private
+   * @returns {HTMLElement} Panel element
+   */
+  _createElement() {
+    const details = document.createElement('details');
+    details.className = 'filter-builder';
+    this.details = details;
+
+    this.summary = document.createElement('summary');
+    this._updateSummary();
+    details.appendChild(this.summary);
+
+    this.body = document.createElement('div');
+    details.appendChild(this.body);
+
+    details.addEventListener('toggle', () => {
+      if (details.open) {
+        if (!this.fields.length) {
+          this.fields = Object.keys(this.options.mapController.sampleLayerAttributes(this.options.layerId).fields);
+        }
+        this._render();
+      }
+    });
+
+    return details;
+  }
+
+  /**
+   * Sync the builder with the layer's filter (e.g. after undo or import)
+   * @param {Array|null} filter - Layer filter
+   */
+  update(filter) {
+    if (JSON.stringify(filter ?? null) === JSON.stringify(this.appliedFilter)) {
+      return;
+    }
+
+    this.appliedFilter = filter ? deepClone(filter) : null;
+    this.model = parseFilterExpression(this.appliedFilter);
+    this._updateSummary();
+    if (this.details.open) {
+      this._render();
+    }
+  }
+
+  /**
+   * Show the number of applied conditions in the panel title
+   * @private
+   */
+  _updateSummary() {
+    if (!this.appliedFilter) {
+      this.summary.textContent = 'Filter';
+      return;
+    }
+    const count = countFilterConditions(parseFilterExpression(this.appliedFilter));
+    this.summary.textContent = count
+      ? `Filter (${count} condition${count === 1 ? '' : 's'})`
+      : 'Filter (custom)';
+  }
+
+  /**
+   * Render panel contents
+   * @private
+   */
+  _render() {
+    this.body.innerHTML = '';
+
+    // Field suggestions shared by all condition rows
+    const datalist = document.createElement('datalist');
+    datalist.id = this.listId;
+    for (const field of [...this.fields, GEOMETRY_FIELD]) {
+      const option = document.createElement('option');
+      option.value = field;
+      datalist.appendChild(option);
+    }
+    this.body.appendChild(datalist);
+
+    if (!this.model) {
+      // Filters the builder cannot represent stay untouched unless replaced
+      const summary = document.createElement('code');
+      summary.className = 'expression-summary';
+      summary.textContent = describeExpression(this.appliedFilter);
+      summary.title = JSON.stringify(this.appliedFilter);
+
+      this.body.appendChild(this._createInfo('This filter uses expressions the builder cannot edit.'));
+      this.body.appendChild(summary);
+      this.body.appendChild(this._createButton('Start a new filter', () => {
+        this.model = createFilterGroup('all');
+        this._render();
+      }));
+      return;
+    }
+
+    this.body.appendChild(this._renderGroup(this.model, null, 0));
+
+    this.preview = this._createInfo('');
+    this.preview.setAttribute('aria-live', 'polite');
+    this.body.appendChild(this.preview);
+
+    this.body.appendChild(this._createButton('Apply filter', () => this._apply(), 'primary'));
+    this.body.appendChild(this._createButton('Clear', () => {
+      this.model = createFilterGroup('all');
+      this._apply();
+    }));
+
+    this._updatePreview();
+  }
+
+  /**
+   * Render a condition group
+   * @private
+   * @param {Object} group - Group node
+   * @param {Object|null} parent - Parent group (null for the root)
+   * @param {number} depth - Nesting depth
+   * @returns {HTMLElement} Group element
+   */
+  _renderGroup(group, parent, depth) {
+    const container = document.createElement('div');
+    container.className = 'filter-group';
+
+    const header = document.createElement('div');
+    header.className = 'filter-row';
+    header.appendChild(this._createSelect('Match', [
+      { value: 'all', label: 'Match all' },
+      { value: 'any', label: 'Match any' }
+    ], group.combinator, (value) => {
+      group.combinator = value;
+      this.debouncedPreview();
+    }));
+
+    if (parent) {
+      header.appendChild(this._createButton('✕', () => {
+        parent.conditions.splice(parent.conditions.indexOf(group), 1);
+        this._render();
+      }, 'secondary', 'Remove group'));
+    }
+    container.appendChild(header);
+
+    for (const child of group.conditions) {
+      container.appendChild(child.type === 'group'
+        ? this._renderGroup(child, group, depth + 1)
+        : this._renderCondition(child, group));
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'filter-row';
+    actions.appendChild(this._createButton('+ Condition', () => {
+      group.conditions.push(createFilterCondition(this.fields[0] || ''));
+      this._render();
+    }));
+    if (depth < MAX_GROUP_DEPTH) {
+      actions.appendChild(this._createButton('+ Group', () => {
+        const child = createFilterGroup(group.combinator === 'all' ? 'any' : 'all');
+        child.conditions.push(createFilterCondition(this.fields[0] || ''));
+        group.conditions.push(child);
+        this._render();
+      }));
+    }
+    container.appendChild(actions);
+
+    return container;
+  }
+
+  /**
+   * Render a condition row (field, operator, value)
+   * @private
+   * @param {Object} condition - Condition node
+   * @param {Object} group - Parent group
+   * @returns {HTMLElement} Row element
+   */
+  _renderCondition(condition, group) {
+    const row = document.createElement('div');
+    row.className = 'filter-row filter-condition';
+
+    const field = document.createElement('input');
+    field.type = 'text';
+    field.value = condition.field;
+    field.placeholder = 'field';
+    field.setAttribute('list', this.listId);
+    field.setAttribute('aria-label', 'Field');
+    field.addEventListener('input', (e) => {
+      condition.field = e.target.value.trim();
+      this.debouncedPreview();
+    });
+    row.appendChild(field);
+
+    const operator = this._createSelect('Operator', FILTER_OPERATORS, condition.operator, (value) => {
+      const wasList = operatorTakesList(condition.operator);
+      condition.operator = value;
+      if (operatorTakesList(value) !== wasList) {
+        condition.value = wasList
+          ? (condition.value[0] ?? '')
+          : (condition.value === '' ? [] : [condition.value]);
+      }
+      this._render();
+    });
+    row.appendChild(operator);
+
+    if (operatorTakesValue(condition.operator)) {
+      const isList = operatorTakesList(condition.operator);
+      const value = document.createElement('input');
+      value.type = 'text';
+      value.value = isList ? formatFilterList(condition.value) : condition.value;
+      value.placeholder = isList ? 'a, b, c' : 'value';
+      value.setAttribute('aria-label', 'Value');
+      value.addEventListener('input', (e) => {
+        condition.value = isList ? parseFilterList(e.target.value) : parseFilterValue(e.target.value);
+        this.debouncedPreview();
+      });
+      row.appendChild(value);
+    }
+
+    row.appendChild(this._createButton('✕', () => {
+      group.conditions.splice(group.conditions.indexOf(condition), 1);
+      this._render();
+    }, 'secondary', 'Remove condition'));
+
+    return row;
+  }
+
+  /**
+   * Show how many features the edited filter matches
+   * @private
+   */
+  _updatePreview() {
+    if (!this.preview || !this.model) {
+      return;
+    }
+
+    const filter = buildFilterExpression(this.model);
+    try {
+      const counts = this.options.mapController.countFeatures(this.options.layerId, filter);
+      this.preview.textContent = counts
+        ? `Matches ${counts.matched} of ${counts.total} features in loaded tiles`
+        : 'Layer is not on the map';
+    } catch (error) {
+      this.preview.textContent = `Invalid filter: ${error.message}`;
+    }
+  }
+
+  /**
+   * Apply the edited filter to the layer
+   * @private
+   */
+  _apply() {
+    const filter = buildFilterExpression(this.model);
+    this.appliedFilter = filter ? deepClone(filter) : null;
+    this.options.onApply(filter);
+    this._updateSummary();
+    this._render();
+  }
+
+  /**
+   * Create an informational note
+   * @private
+   * @param {string} text - Note text
+   * @returns {HTMLElement} Paragraph
+   */
+  _createInfo(text) {
+    const info = document.createElement('p');
+    info.className = 'filter-builder-info';
+    info.textContent = text;
+    return info;
+  }
+
+  /**
+   * Create an unlabelled select (its purpose is given by aria-label)
+   * @private
+   * @param {string} labelText - Accessible label
+   * @param {Array<{value: string, label: string}>} options - Options
+   * @param {string} selected - Selected value
+   * @param {Function} onChange - Change handler
+   * @returns {HTMLSelectElement} Select
+   */
+  _createSelect(labelText, options, selected, onChange) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', labelText);
+    for (const option of options) {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      element.selected = option.value === selected;
+      select.appendChild(element);
+    }
+    select.addEventListener('change', (e) => onChange(e.target.value));
+    return select;
+  }
+
+  /**
+   * Create a button
+   * @private
+   * @param {string} text - Button text
+   * @param {Function} onClick - Click handler
+   * @param {string} variant - 'primary' or 'secondary'
+   * @param {string} label - Accessible label (for icon buttons)
+   * @returns {HTMLButtonElement} Button
+   */
+  _createButton(text, onClick, variant = 'secondary', label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = variant === 'primary' ? 'filter-builder-button' : 'secondary outline filter-builder-button';
+    button.textContent = text;
+    if (label) {
+      button.title = label;
+      button.setAttribute('aria-label', label);
+    }
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * HistoryPanel - UI component listing the labeled undo history
+ * Every step is a button that jumps the style to that point; steps replaced
+ * by an edit made after undoing can be brought back.
+ */
+
+/**
+ * AppState events that replace the history without adding a step
+ */
+const HISTORY_RESET_EVENTS = ['tileSchemaLoaded', 'fallbackModeEnabled'];
+
+export class HistoryPanel {
+  /**
+   * Initialize HistoryPanel
+   * @param {HTMLElement} container - Container element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   */
+  constructor(container, appState, mapController) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+
+    this._setupEventListeners();
+    this._render();
+  }
+
+  /**
+   * Setup event listeners for state changes
+   * @private
+   */
+  _setupEventListeners() {
+    this._handleHistoryChanged = () => {
+      this._render();
+    };
+
+    this.appState.on('historyChanged', this._handleHistoryChanged);
+
+    for (const event of HISTORY_RESET_EVENTS) {
+      this.appState.on(event, this._handleHistoryChanged);
+    }
+  }
+
+  /**
+   * Render the history list
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+    const { entries, branch } = this.appState.getHistory();
+
+    const list = document.createElement('ol');
+    list.className = 'history-list';
+    list.setAttribute('aria-label', 'Edit history');
+
+    // Newest first so recent steps stay at the top
+    for (const entry of [...entries].reverse()) {
+      list.appendChild(this._createEntry(entry));
+    }
+    this.container.appendChild(list);
+
+    if (branch) {
+      this.container.appendChild(this._createBranchNotice(branch));
+    }
+  }
+
+  /**
+   * Create a history step
+   * @private
+   * @param {Object} entry - Step from AppState.getHistory
+   * @returns {HTMLElement} List item
+   */
+  _createEntry(entry) {
+    const item = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'history-entry';
+    button.classList.toggle('current', entry.isCurrent);
+    button.classList.toggle('undone', entry.isUndone);
+    button.disabled = entry.isCurrent;
+    if (entry.isCurrent) {
+      button.setAttribute('aria-current', 'step');
+    }
+
+    const label = document.createElement('span');
+    label.className = 'history-label';
+    label.textContent = entry.label;
+
+    const time = document.createElement('time');
+    time.dateTime = new Date(entry.timestamp).toISOString();
+    time.textContent = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    button.append(label, time);
+    button.title = entry.isUndone ? `Redo to "${entry.label}"` : `Go back to "${entry.label}"`;
+    button.addEventListener('click', () => {
+      this.goTo(entry.index);
+    });
+
+    item.appendChild(button);
+    return item;
+  }
+
+  /**
+   * Create the notice offering to bring back replaced steps
+   * @private
+   * @param {Object} branch - Branch from AppState.getHistory
+   * @returns {HTMLElement} Notice
+   */
+  _createBranchNotice(branch) {
+    const notice = document.createElement('p');
+    notice.className = 'history-branch';
+    notice.textContent = `${branch.length} undone step${branch.length === 1 ? ' was' : 's were'} replaced (last: "${branch.label}"). `;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary outline history-action';
+    button.textContent = 'Bring back';
+    button.setAttribute('aria-label', `Bring back ${branch.length} replaced step${branch.length === 1 ? '' : 's'}`);
+    button.addEventListener('click', () => {
+      this.appState.switchHistoryBranch();
+    });
+
+    notice.appendChild(button);
+    return notice;
+  }
+
+  /**
+   * Jump to a history step
+   * @param {number} index - Step index
+   * @returns {boolean} Success status
+   */
+  goTo(index) {
+    return this.appState.goToHistory(index);
+  }
+
+  /**
+   * Cleanup and destroy the panel
+   */
+  destroy() {
+    // Remove event listeners
+    this.appState.off('historyChanged', this._handleHistoryChanged);
+    for (const event of HISTORY_RESET_EVENTS) {
+      this.appState.off(event, this._handleHistoryChanged);
+    }
+
+    // Clear DOM
+    this.container.innerHTML = '';
+  }
+}
@@ -0,0 +1,359 @@
+/**
+ * ImageExportDialog - UI component choosing the format and size of a map export
+ * PNGs are exported at a pixel size or a paper size at a print resolution
+ * (e.g. A3 at 300 DPI), rendered off-screen at that size; SVG and PDF
+ * export the visible extent as vectors.
+ */
+
+import { PAPER_SIZES, PRINT_DPIS, SCREEN_DPI, getPaperPixels, checkImageSize } from '../utils/print.js';
+import { generateId } from '../utils/helpers.js';
+
+/**
+ * Export formats offered in the dialog
+ */
+const FORMATS = [
+  ['png', 'PNG image'],
+  ['svg', 'SVG (vector)'],
+  ['pdf', 'PDF (vector)']
+];
+
+export class ImageExportDialog {
+  /**
+   * Initialize ImageExportDialog
+   * @param {HTMLDialogElement} container - Dialog element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   * @param {ExportControls} exportControls - Runs the export
+   */
+  constructor(container, appState, mapController, exportControls) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.exportControls = exportControls;
+    this.settings = {
+      format: 'png',
+      mode: 'pixels',
+      width: null,
+      height: null,
+      paper: 'a4',
+      orientation: 'landscape',
+      dpi: SCREEN_DPI,
+      legend: false
+    };
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    // Clicking the backdrop closes the dialog
+    this.container.addEventListener('click', (e) => {
+      if (e.target === this.container) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the dialog, starting from the map's current size
+   */
+  open() {
+    const viewSize = this._getViewSize();
+    this.settings.width ??= viewSize.width;
+    this.settings.height ??= viewSize.height;
+
+    this._render();
+    this.container.showModal();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.container.close();
+  }
+
+  /**
+   * Render the dialog
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+
+    const article = document.createElement('article');
+    article.className = 'image-export';
+
+    const header = document.createElement('header');
+    const title = document.createElement('h3');
+    title.textContent = 'Export image';
+    header.appendChild(title);
+    article.appendChild(header);
+
+    const form = document.createElement('form');
+    form.method = 'dialog';
+    form.appendChild(this._createFormatField());
+
+    const isRaster = this.settings.format === 'png';
+    if (isRaster) {
+      form.appendChild(this._createModeFieldset());
+      form.appendChild(this.settings.mode === 'paper' ? this._createPaperFields() : this._createPixelFields());
+      form.appendChild(this._createDpiField());
+      form.appendChild(this._createLegendField());
+    }
+
+    const summary = document.createElement('p');
+    summary.className = 'image-export-summary';
+    summary.setAttribute('aria-live', 'polite');
+    form.appendChild(summary);
+
+    const footer = document.createElement('footer');
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.close());
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'submit';
+    exportButton.textContent = `Export ${this.settings.format.toUpperCase()}`;
+    footer.append(cancelButton, exportButton);
+    form.appendChild(footer);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.export();
+    });
+
+    article.appendChild(form);
+    this.container.appendChild(article);
+
+    if (isRaster) {
+      // Fields update the settings first (their listeners run before the form's)
+      form.addEventListener('input', () => this._updateSummary(summary, exportButton));
+      this._updateSummary(summary, exportButton);
+    } else {
+      summary.textContent = 'The visible map is exported at its on-screen size. Line, fill and circle layers become editable paths grouped by layer; labels and other layer types are left out.';
+    }
+  }
+
+  /**
+   * Create the format select
+   * @private
+   * @returns {HTMLElement} Field
+   */
+  _createFormatField() {
+    const label = document.createElement('label');
+    label.textContent = 'Format';
+    const select = document.createElement('select');
+    for (const [format, text] of FORMATS) {
+      const option = document.createElement('option');
+      option.value = format;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    select.value = this.settings.format;
+    select.addEventListener('change', () => {
+      this.settings.format = select.value;
+      this._render();
+      this.container.querySelector('select')?.focus();
+    });
+    label.appendChild(select);
+    return label;
+  }
+
+  /**
+   * Create the pixel/paper size choice
+   * @private
+   * @returns {HTMLElement} Fieldset
+   */
+  _createModeFieldset() {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = 'Size';
+    fieldset.appendChild(legend);
+
+    const name = generateId('export-mode');
+    for (const [mode, text] of [['pixels', 'Pixels'], ['paper', 'Paper']]) {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = name;
+      input.value = mode;
+      input.checked = this.settings.mode === mode;
+      input.addEventListener('change', () => {
+        this.settings.mode = mode;
+        this._render();
+        this.container.querySelector(`input[name="${name}"]:checked`)?.focus();
+      });
+      label.append(input, ` ${text}`);
+      fieldset.appendChild(label);
+    }
+    return fieldset;
+  }
+
+  /**
+   * Create width and height inputs
+   * @private
+   * @returns {HTMLElement} Fields
+   */
+  _createPixelFields() {
+    const grid = document.createElement('div');
+    grid.className = 'grid';
+
+    for (const key of ['width', 'height']) {
+      const label = document.createElement('label');
+      label.textContent = key === 'width' ? 'Width (px)' : 'Height (px)';
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '1';
+      input.step = '1';
+      input.required = true;
+      input.value = this.settings[key];
+      input.addEventListener('input', () => {
+        this.settings[key] = Number(input.value);
+      });
+      label.appendChild(input);
+      grid.appendChild(label);
+    }
+    return grid;
+  }
+
+  /**
+   * Create paper size and orientation selects
+   * @private
+   * @returns {HTMLElement} Fields
+   */
+  _createPaperFields() {
+    const grid = document.createElement('div');
+    grid.className = 'grid';
+
+    const paperOptions = Object.entries(PAPER_SIZES).map(([key, size]) => [key, size.name]);
+    const orientationOptions = [['landscape', 'Landscape'], ['portrait', 'Portrait']];
+    for (const [key, text, options] of [['paper', 'Paper', paperOptions], ['orientation', 'Orientation', orientationOptions]]) {
+      const label = document.createElement('label');
+      label.textContent = text;
+      const select = document.createElement('select');
+      for (const [value, optionText] of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = optionText;
+        select.appendChild(option);
+      }
+      select.value = this.settings[key];
+      select.addEventListener('input', () => {
+        this.settings[key] = select.value;
+      });
+      label.appendChild(select);
+      grid.appendChild(label);
+    }
+    return grid;
+  }
+
+  /**
+   * Create the resolution select
+   * @private
+   * @returns {HTMLElement} Field
+   */
+  _createDpiField() {
+    const label = document.createElement('label');
+    label.textContent = 'Resolution';
+    const select = document.createElement('select');
+    for (const dpi of PRINT_DPIS) {
+      const option = document.createElement('option');
+      option.value = dpi;
+      option.textContent = dpi === SCREEN_DPI ? `${dpi} DPI (screen)` : `${dpi} DPI`;
+      select.appendChild(option);
+    }
+    select.value = this.settings.dpi;
+    select.addEventListener('input', () => {
+      this.settings.dpi = Number(select.value);
+    });
+    label.appendChild(select);
+    return label;
+  }
+
+  /**
+   * Create the legend checkbox
+   * @private
+   * @returns {HTMLElement} Field
+   */
+  _createLegendField() {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = this.settings.legend;
+    input.addEventListener('input', () => {
+      this.settings.legend = input.checked;
+    });
+    label.append(input, ' Include legend');
+    return label;
+  }
+
+  /**
+   * Show the resulting image size, or why it can't be exported
+   * @private
+   * @param {HTMLElement} summary - Summary element
+   * @param {HTMLButtonElement} exportButton - Export button
+   */
+  _updateSummary(summary, exportButton) {
+    const { width, height } = this._getImageSize();
+    const error = checkImageSize(width, height);
+
+    summary.classList.toggle('error', Boolean(error));
+    exportButton.disabled = Boolean(error);
+    if (error) {
+      summary.textContent = error;
+      return;
+    }
+
+    const megapixels = (width * height / 1e6).toFixed(1);
+    summary.textContent = `${width} × ${height} px (${megapixels} MP)`;
+    if (this.settings.mode === 'pixels' && this.settings.dpi !== SCREEN_DPI) {
+      const inches = (value) => (value / this.settings.dpi).toFixed(1);
+      summary.textContent += `, ${inches(width)} × ${inches(height)} in at ${this.settings.dpi} DPI`;
+    }
+  }
+
+  /**
+   * Get the image size for the current settings
+   * @private
+   * @returns {Object} { width, height } in pixels
+   */
+  _getImageSize() {
+    const { mode, width, height, paper, orientation, dpi } = this.settings;
+    return mode === 'paper' ? getPaperPixels(paper, { dpi, orientation }) : { width, height };
+  }
+
+  /**
+   * Get the map's on-screen size in pixels
+   * @private
+   * @returns {Object} { width, height }
+   */
+  _getViewSize() {
+    const mapContainer = this.mapController.map?.getContainer();
+    return {
+      width: mapContainer?.clientWidth || 1024,
+      height: mapContainer?.clientHeight || 768
+    };
+  }
+
+  /**
+   * Export with the current settings
+   * @returns {Promise<Object>} Export result
+   */
+  async export() {
+    const { format, mode, width, height, paper, orientation, dpi, legend } = this.settings;
+    this.close();
+
+    if (format !== 'png') {
+      return this.exportControls.exportVector(format);
+    }
+
+    return this.exportControls.exportPNG(mode === 'paper'
+      ? { paper, orientation, dpi, legend }
+      : { width, height, dpi, legend });
+  }
+}
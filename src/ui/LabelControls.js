@@ -0,0 +1,386 @@
+/**
+ * LabelControls - "Labels" panel for a single layer
+ * Creates and edits the symbol layer that labels a layer with one of its attributes
+ */
+
+import { generateId, isValidHexColor, deepClone } from '../utils/helpers.js';
+import { fontStacks, DEFAULT_FONT } from '../styles/fonts.js';
+import {
+  LABEL_LAYOUT_PROPERTIES,
+  LABEL_PAINT_PROPERTIES,
+  buildLabelField,
+  getLabelField
+} from '../styles/labels.js';
+
+/**
+ * symbol-placement options
+ */
+const PLACEMENTS = [
+  { value: 'point', label: 'Point' },
+  { value: 'line', label: 'Along line' },
+  { value: 'line-center', label: 'Line center' }
+];
+
+export class LabelControls {
+  /**
+   * Initialize LabelControls
+   * @param {Object} options - Panel options
+   * @param {string} options.layerId - Labelled layer ID
+   * @param {Object|null} options.labelLayer - Existing label layer
+   * @param {Object} options.attributes - Attribute catalog from the tile schema (name → type)
+   * @param {MapController} options.mapController - Map controller used to sample features
+   * @param {boolean} options.glyphsAvailable - Whether the style has a glyphs endpoint
+   * @param {boolean} options.supportsColorInput - Whether native color inputs are available
+   * @param {Function} options.onCreate - Called with ({field, font}) to add labels
+   * @param {Function} options.onRemove - Called with (labelLayerId) to remove labels
+   * @param {Function} options.onChange - Called with (labelLayerId, 'layout'|'paint', property, value)
+   */
+  constructor(options) {
+    this.options = options;
+    this.labelLayer = options.labelLayer ? deepClone(options.labelLayer) : null;
+    this.fields = Object.keys(options.attributes || {});
+    this.settings = {
+      field: this.fields.includes('name') ? 'name' : this.fields[0] || null,
+      font: DEFAULT_FONT
+    };
+
+    this.element = this._createElement();
+  }
+
+  /**
+   * Create the collapsible panel
+   * @private
+   * @returns {HTMLElement} Panel element
+   */
+  _createElement() {
+    const details = document.createElement('details');
+    details.className = 'label-controls';
+    this.details = details;
+
+    const summary = document.createElement('summary');
+    summary.textContent = this.labelLayer ? 'Labels (on)' : 'Labels';
+    this.summary = summary;
+    details.appendChild(summary);
+
+    this.body = document.createElement('div');
+    details.appendChild(this.body);
+
+    details.addEventListener('toggle', () => {
+      if (details.open) {
+        if (!this.fields.length) {
+          this.fields = Object.keys(this.options.mapController.sampleLayerAttributes(this.options.layerId).fields);
+          this.settings.field = this.fields.includes('name') ? 'name' : this.fields[0] || null;
+        }
+        this._render();
+      }
+    });
+
+    return details;
+  }
+
+  /**
+   * Sync the panel with the current label layer
+   * @param {Object|null} labelLayer - Label layer or null if the layer has no labels
+   */
+  update(labelLayer) {
+    if (JSON.stringify(labelLayer || null) === JSON.stringify(this.labelLayer)) {
+      return;
+    }
+
+    this.labelLayer = labelLayer ? deepClone(labelLayer) : null;
+    this.summary.textContent = this.labelLayer ? 'Labels (on)' : 'Labels';
+    if (this.details.open) {
+      this._render();
+    }
+  }
+
+  /**
+   * Render panel contents
+   * @private
+   */
+  _render() {
+    this.body.innerHTML = '';
+
+    if (!this.options.glyphsAvailable) {
+      this.body.appendChild(this._createInfo('Labels need a glyphs endpoint in the style. See assets/fonts/README.md.'));
+      return;
+    }
+
+    if (!this.labelLayer) {
+      this._renderCreate();
+    } else {
+      this._renderEdit();
+    }
+  }
+
+  /**
+   * Render the "add labels" form
+   * @private
+   */
+  _renderCreate() {
+    if (!this.fields.length) {
+      this.body.appendChild(this._createInfo('No attributes found. Pan to an area with features and reopen.'));
+      return;
+    }
+
+    this.body.appendChild(this._createSelect('Field', this._getFieldOptions(), this.settings.field, (value) => {
+      this.settings.field = value;
+    }));
+    this.body.appendChild(this._createSelect('Font', this._getFontOptions(), this.settings.font, (value) => {
+      this.settings.font = value;
+    }));
+    this.body.appendChild(this._createButton('Add labels', () => {
+      this.options.onCreate({ field: this.settings.field, font: this.settings.font });
+    }, 'primary'));
+  }
+
+  /**
+   * Render controls for an existing label layer
+   * @private
+   */
+  _renderEdit() {
+    const { layout = {}, paint = {} } = this.labelLayer;
+    const placement = layout['symbol-placement'] || 'point';
+
+    this.body.appendChild(this._createSelect('Field', this._getFieldOptions(), getLabelField(this.labelLayer), (value) => {
+      this._change('layout', 'text-field', buildLabelField(value));
+    }));
+    this.body.appendChild(this._createSelect('Font', this._getFontOptions(), layout['text-font']?.[0], (value) => {
+      this._change('layout', 'text-font', [value]);
+    }));
+    this.body.appendChild(this._createNumber('Size', layout['text-size'] ?? 16, LABEL_LAYOUT_PROPERTIES['text-size'], (value) => {
+      this._change('layout', 'text-size', value);
+    }));
+    this.body.appendChild(this._createColor('Color', paint['text-color'] ?? '#000000', (value) => {
+      this._change('paint', 'text-color', value);
+    }));
+    this.body.appendChild(this._createColor('Halo', paint['text-halo-color'] ?? '#ffffff', (value) => {
+      this._change('paint', 'text-halo-color', value);
+    }));
+    this.body.appendChild(this._createNumber('Halo width', paint['text-halo-width'] ?? 0, LABEL_PAINT_PROPERTIES['text-halo-width'], (value) => {
+      this._change('paint', 'text-halo-width', value);
+    }));
+    this.body.appendChild(this._createSelect('Placement', PLACEMENTS, placement, (value) => {
+      this._change('layout', 'symbol-placement', value);
+      this._render();
+    }));
+
+    if (placement !== 'point') {
+      this.body.appendChild(this._createNumber('Spacing', layout['symbol-spacing'] ?? 250, LABEL_LAYOUT_PROPERTIES['symbol-spacing'], (value) => {
+        this._change('layout', 'symbol-spacing', value);
+      }));
+    }
+
+    // Collision options
+    this.body.appendChild(this._createNumber('Padding', layout['text-padding'] ?? 2, LABEL_LAYOUT_PROPERTIES['text-padding'], (value) => {
+      this._change('layout', 'text-padding', value);
+    }));
+    this.body.appendChild(this._createCheckbox('Allow overlap', Boolean(layout['text-allow-overlap']), (checked) => {
+      this._change('layout', 'text-allow-overlap', checked);
+    }));
+    this.body.appendChild(this._createCheckbox('Ignore placement', Boolean(layout['text-ignore-placement']), (checked) => {
+      this._change('layout', 'text-ignore-placement', checked);
+    }));
+
+    this.body.appendChild(this._createButton('Remove labels', () => {
+      this.options.onRemove(this.labelLayer.id);
+    }));
+  }
+
+  /**
+   * Record a change locally and pass it on
+   * The local copy is updated first so the resulting state echo does not re-render the panel.
+   * @private
+   * @param {string} kind - 'layout' or 'paint'
+   * @param {string} property - Property name
+   * @param {*} value - New value
+   */
+  _change(kind, property, value) {
+    this.labelLayer[kind] = { ...(this.labelLayer[kind] || {}), [property]: value };
+    this.options.onChange(this.labelLayer.id, kind, property, value);
+  }
+
+  /**
+   * Get field select options (keeps the current field even if not catalogued)
+   * @private
+   * @returns {Array<{value: string, label: string}>} Options
+   */
+  _getFieldOptions() {
+    const current = getLabelField(this.labelLayer);
+    const fields = current && !this.fields.includes(current) ? [current, ...this.fields] : this.fields;
+    return fields.map(field => ({ value: field, label: field }));
+  }
+
+  /**
+   * Get font select options (keeps the current font even if not configured)
+   * @private
+   * @returns {Array<{value: string, label: string}>} Options
+   */
+  _getFontOptions() {
+    const options = fontStacks.map(font => ({ value: font.name, label: font.label }));
+    const current = this.labelLayer?.layout?.['text-font']?.[0];
+    if (current && !options.some(option => option.value === current)) {
+      options.unshift({ value: current, label: current });
+    }
+    return options;
+  }
+
+  /**
+   * Create an informational note
+   * @private
+   * @param {string} text - Note text
+   * @returns {HTMLElement} Paragraph
+   */
+  _createInfo(text) {
+    const info = document.createElement('p');
+    info.className = 'label-controls-info';
+    info.textContent = text;
+    return info;
+  }
+
+  /**
+   * Create labelled select
+   * @private
+   * @param {string} labelText - Label
+   * @param {Array<{value: string, label: string}>} options - Options
+   * @param {string} selected - Selected value
+   * @param {Function} onChange - Change handler
+   * @returns {HTMLElement} Control group
+   */
+  _createSelect(labelText, options, selected, onChange) {
+    const controlId = generateId(`label-${this.options.layerId}-${labelText.toLowerCase()}`);
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = labelText;
+
+    const select = document.createElement('select');
+    select.id = controlId;
+    for (const option of options) {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.label;
+      element.selected = option.value === selected;
+      select.appendChild(element);
+    }
+    select.addEventListener('change', (e) => onChange(e.target.value));
+
+    group.appendChild(label);
+    group.appendChild(select);
+    return group;
+  }
+
+  /**
+   * Create labelled number input
+   * @private
+   * @param {string} labelText - Label
+   * @param {number} value - Current value
+   * @param {Object} range - {min, max, step, unit}
+   * @param {Function} onChange - Change handler
+   * @returns {HTMLElement} Control group
+   */
+  _createNumber(labelText, value, range, onChange) {
+    const controlId = generateId(`label-${this.options.layerId}-${labelText.toLowerCase()}`);
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = range.unit ? `${labelText} (${range.unit})` : labelText;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = controlId;
+    input.value = typeof value === 'number' ? value : '';
+    input.min = range.min;
+    input.max = range.max;
+    input.step = range.step;
+    input.addEventListener('change', (e) => {
+      const numValue = parseFloat(e.target.value);
+      if (!Number.isNaN(numValue)) {
+        onChange(Math.min(Math.max(numValue, range.min), range.max));
+      }
+    });
+
+    group.appendChild(label);
+    group.appendChild(input);
+    return group;
+  }
+
+  /**
+   * Create labelled color input (text input when color inputs are unsupported)
+   * @private
+   * @param {string} labelText - Label
+   * @param {string} value - Current color
+   * @param {Function} onChange - Change handler
+   * @returns {HTMLElement} Control group
+   */
+  _createColor(labelText, value, onChange) {
+    const controlId = generateId(`label-${this.options.layerId}-${labelText.toLowerCase()}`);
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = labelText;
+
+    const input = document.createElement('input');
+    input.type = this.options.supportsColorInput ? 'color' : 'text';
+    input.id = controlId;
+    input.value = isValidHexColor(value) ? value : '#000000';
+    if (!this.options.supportsColorInput) {
+      input.placeholder = '#000000';
+      input.pattern = '^#[0-9A-Fa-f]{6}$';
+    }
+    input.addEventListener('change', (e) => {
+      if (isValidHexColor(e.target.value)) {
+        onChange(e.target.value);
+      }
+    });
+
+    group.appendChild(label);
+    group.appendChild(input);
+    return group;
+  }
+
+  /**
+   * Create labelled checkbox
+   * @private
+   * @param {string} labelText - Label
+   * @param {boolean} checked - Current state
+   * @param {Function} onChange - Change handler
+   * @returns {HTMLElement} Label wrapping the checkbox
+   */
+  _createCheckbox(labelText, checked, onChange) {
+    const label = document.createElement('label');
+    label.className = 'label-controls-checkbox';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', (e) => onChange(e.target.checked));
+
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(labelText));
+    return label;
+  }
+
+  /**
+   * Create a button
+   * @private
+   * @param {string} text - Button text
+   * @param {Function} onClick - Click handler
+   * @param {string} variant - 'primary' or 'secondary'
+   * @returns {HTMLButtonElement} Button
+   */
+  _createButton(text, onClick, variant = 'secondary') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = variant === 'primary' ? 'label-controls-button' : 'secondary outline label-controls-button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
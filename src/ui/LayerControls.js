@@ -1,6 +1,6 @@
 /**
- * LayerControls - UI component for layer visibility toggles
- * Creates and manages checkboxes for each layer
+ * LayerControls - UI component for layer visibility, draw order and layer actions
+ * Creates and manages checkboxes, drag handles and duplicate/delete buttons for each layer
  */
 
 import { generateId } from '../utils/helpers.js';
@@ -17,6 +17,8 @@ export class LayerControls {
     this.appState = appState;
     this.mapController = mapController;
     this.controls = new Map();
+    this.draggedLayerId = null;
+    this.pendingFocus = null;
     
     this._setupEventListeners();
     this._render();
@@ -36,6 +38,30 @@ export class LayerControls {
     this.appState.on('styleReset', () => {
       this._updateAllControls();
     });
+
+    // Re-render when layers are added or removed (new datasets, undo/redo)
+    this.appState.on('layersChanged', () => {
+      this._render();
+    });
+
+    this.appState.on('styleChanged', () => {
+      if (this._hasLayerSetChanged()) {
+        this._render();
+      } else {
+        this._updateAllControls();
+      }
+    });
+  }
+
+  /**
+   * Check if the configured layers differ from the rendered controls
+   * @private
+   * @returns {boolean} True if controls need re-rendering
+   */
+  _hasLayerSetChanged() {
+    const configIds = Object.keys(this.appState.getLayerConfig());
+    const controlIds = [...this.controls.keys()];
+    return configIds.join('\n') !== controlIds.join('\n');
   }
 
   /**
@@ -54,6 +80,12 @@ export class LayerControls {
       const controlElement = this._createLayerControl(layerId, config);
       this.container.appendChild(controlElement);
     }
+
+    // Keep keyboard focus on the layer that was just moved or duplicated
+    if (this.pendingFocus) {
+      this.controls.get(this.pendingFocus)?.handle.focus();
+      this.pendingFocus = null;
+    }
   }
 
   /**
@@ -72,6 +104,24 @@ export class LayerControls {
     container.className = 'layer-control';
     container.setAttribute('role', 'group');
     container.setAttribute('aria-labelledby', `${controlId}-label`);
+    container.setAttribute('data-layer', layerId);
+
+    // Drag handle (also moves the layer with arrow keys)
+    const handle = document.createElement('button');
+    handle.type = 'button';
+    handle.className = 'layer-handle';
+    handle.textContent = '⠿';
+    handle.title = 'Drag to reorder, or use the arrow keys';
+    handle.setAttribute('aria-label', `Move ${config.name} (use arrow keys)`);
+    handle.addEventListener('keydown', (e) => this._handleHandleKeydown(e, layerId));
+
+    // Layer actions
+    const duplicateButton = this._createActionButton('⧉', `Duplicate ${config.name}`, () => {
+      this._handleDuplicate(layerId);
+    });
+    const deleteButton = this._createActionButton('✕', `Delete ${config.name}`, () => {
+      this._handleDelete(layerId);
+    });
 
     // Create label
     const label = document.createElement('label');
@@ -92,26 +142,220 @@ export class LayerControls {
     description.className = 'sr-only'; // Screen reader only
     description.textContent = `Toggle visibility of ${config.name} layer`;
 
+    // Show where the data comes from when the tile schema is known
+    if (config.sourceLayer) {
+      const zoomRange = config.minzoom !== null && config.maxzoom !== null
+        ? `, zoom ${config.minzoom}–${config.maxzoom}`
+        : '';
+      label.title = `${config.source} / ${config.sourceLayer}${zoomRange}${config.description ? ` — ${config.description}` : ''}`;
+    }
+
     // Add event listener
     checkbox.addEventListener('change', (e) => {
       this._handleVisibilityChange(layerId, e.target.checked);
     });
 
+    this._setupDragAndDrop(container, layerId);
+
     // Store reference
     this.controls.set(layerId, {
       container,
       checkbox,
-      label
+      label,
+      handle,
+      buttons: [duplicateButton, deleteButton]
     });
 
     // Assemble control
+    container.appendChild(handle);
     container.appendChild(label);
     container.appendChild(checkbox);
+    container.appendChild(duplicateButton);
+    container.appendChild(deleteButton);
     container.appendChild(description);
 
     return container;
   }
 
+  /**
+   * Create a small icon button for a layer action
+   * @private
+   * @param {string} icon - Button text
+   * @param {string} label - Accessible label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button
+   */
+  _createActionButton(icon, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary outline layer-action';
+    button.textContent = icon;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Make a layer row draggable and a drop target for other rows
+   * @private
+   * @param {HTMLElement} container - Row element
+   * @param {string} layerId - Layer ID
+   */
+  _setupDragAndDrop(container, layerId) {
+    container.draggable = true;
+
+    container.addEventListener('dragstart', (e) => {
+      this.draggedLayerId = layerId;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', layerId);
+      container.classList.add('dragging');
+    });
+
+    container.addEventListener('dragend', () => {
+      this.draggedLayerId = null;
+      container.classList.remove('dragging');
+      this._clearDropIndicators();
+    });
+
+    container.addEventListener('dragover', (e) => {
+      if (!this.draggedLayerId || this.draggedLayerId === layerId) {
+        return;
+      }
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+
+      const after = this._isLowerHalf(e, container);
+      this._clearDropIndicators();
+      container.classList.add(after ? 'drop-after' : 'drop-before');
+    });
+
+    container.addEventListener('dragleave', () => {
+      container.classList.remove('drop-before', 'drop-after');
+    });
+
+    container.addEventListener('drop', (e) => {
+      if (!this.draggedLayerId || this.draggedLayerId === layerId) {
+        return;
+      }
+      e.preventDefault();
+
+      const ids = this._getListOrder().filter(id => id !== this.draggedLayerId);
+      const targetIndex = ids.indexOf(layerId) + (this._isLowerHalf(e, container) ? 1 : 0);
+      this._moveToListIndex(this.draggedLayerId, targetIndex);
+      this._clearDropIndicators();
+    });
+  }
+
+  /**
+   * Check if a drag event is over the lower half of a row
+   * @private
+   * @param {DragEvent} e - Drag event
+   * @param {HTMLElement} container - Row element
+   * @returns {boolean} True for the lower half
+   */
+  _isLowerHalf(e, container) {
+    const rect = container.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2;
+  }
+
+  /**
+   * Remove drop position indicators from all rows
+   * @private
+   */
+  _clearDropIndicators() {
+    for (const control of this.controls.values()) {
+      control.container.classList.remove('drop-before', 'drop-after');
+    }
+  }
+
+  /**
+   * Move a layer with the arrow keys on its handle
+   * @private
+   * @param {KeyboardEvent} e - Keyboard event
+   * @param {string} layerId - Layer ID
+   */
+  _handleHandleKeydown(e, layerId) {
+    const ids = this._getListOrder();
+    const index = ids.indexOf(layerId);
+    const targets = {
+      ArrowUp: index - 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: ids.length - 1
+    };
+
+    if (!(e.key in targets)) {
+      return;
+    }
+    e.preventDefault();
+
+    const targetIndex = targets[e.key];
+    if (targetIndex < 0 || targetIndex >= ids.length || targetIndex === index) {
+      return;
+    }
+    this.pendingFocus = layerId;
+    this._moveToListIndex(layerId, targetIndex);
+  }
+
+  /**
+   * Get layer IDs in list order (top-most layer first)
+   * @private
+   * @returns {string[]} Layer IDs
+   */
+  _getListOrder() {
+    return [...this.controls.keys()];
+  }
+
+  /**
+   * Move a layer to a position in the list
+   * The list is top-most first, so the layer is drawn below the entry above it.
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {number} listIndex - Target index in the list without the moved layer
+   */
+  _moveToListIndex(layerId, listIndex) {
+    const ids = this._getListOrder().filter(id => id !== layerId);
+    const beforeId = listIndex > 0 ? ids[listIndex - 1] : null;
+
+    try {
+      if (this.appState.moveLayer(layerId, beforeId)) {
+        this.mapController.moveLayer(layerId, beforeId);
+      }
+    } catch (error) {
+      console.error(`Failed to move layer ${layerId}:`, error);
+      this.appState.addError({
+        type: 'layerOrder',
+        message: `Failed to move ${layerId} layer`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Duplicate a layer below the original
+   * @private
+   * @param {string} layerId - Layer ID
+   */
+  _handleDuplicate(layerId) {
+    const result = this.appState.duplicateLayer(layerId);
+    if (result) {
+      this.mapController.addLayer(result.layer, result.beforeId);
+    }
+  }
+
+  /**
+   * Delete a layer (undo restores it)
+   * @private
+   * @param {string} layerId - Layer ID
+   */
+  _handleDelete(layerId) {
+    const removed = this.appState.removeLayer(layerId);
+    if (removed) {
+      this.mapController.removeLayers(removed);
+    }
+  }
+
   /**
    * Handle visibility change event
    * @private
@@ -223,6 +467,11 @@ export class LayerControls {
   setEnabled(enabled) {
     for (const [layerId, control] of this.controls) {
       control.checkbox.disabled = !enabled;
+      control.handle.disabled = !enabled;
+      control.buttons.forEach(button => {
+        button.disabled = !enabled;
+      });
+      control.container.draggable = enabled;
       control.container.classList.toggle('disabled', !enabled);
     }
   }
@@ -0,0 +1,297 @@
+/**
+ * LayoutComposer - UI component composing a print layout around the map
+ * Frames the current view with a title, legend, scale bar, north arrow and
+ * credits on a letter or A4 page, with a live preview, and exports it as a
+ * PNG or PDF.
+ */
+
+import { LAYOUT_TEMPLATES, getStyleAttribution } from '../export/layout.js';
+import { PRINT_DPIS, SCREEN_DPI, getPaperPixels } from '../utils/print.js';
+import { debounce } from '../utils/debounce.js';
+
+/**
+ * Width of the preview in CSS pixels
+ */
+const PREVIEW_WIDTH = 420;
+
+export class LayoutComposer {
+  /**
+   * Initialize LayoutComposer
+   * @param {HTMLDialogElement} container - Dialog element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   * @param {ExportControls} exportControls - Renders and exports the layout
+   */
+  constructor(container, appState, mapController, exportControls) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.exportControls = exportControls;
+    this.settings = {
+      template: 'letter-landscape',
+      title: '',
+      subtitle: '',
+      showLegend: true,
+      showScaleBar: true,
+      units: 'metric',
+      showNorthArrow: true,
+      attribution: null,
+      showDate: true,
+      format: 'pdf',
+      dpi: 300
+    };
+    this.preview = null;
+    this.previewRequest = 0;
+    this.debouncedPreview = debounce(this._renderPreview.bind(this), 400);
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    // Clicking the backdrop closes the dialog
+    this.container.addEventListener('click', (e) => {
+      if (e.target === this.container) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the composer, crediting the style's sources unless credits were edited
+   */
+  open() {
+    this.settings.attribution ??= getStyleAttribution(this.appState.getCurrentStyle());
+
+    this._render();
+    this.container.showModal();
+    this._renderPreview();
+  }
+
+  /**
+   * Close the composer
+   */
+  close() {
+    this.previewRequest++;
+    this.container.close();
+  }
+
+  /**
+   * Render the composer
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+
+    const article = document.createElement('article');
+    article.className = 'layout-composer';
+
+    const header = document.createElement('header');
+    const title = document.createElement('h3');
+    title.textContent = 'Print layout';
+    header.appendChild(title);
+    article.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'layout-composer-body';
+
+    const form = document.createElement('form');
+    form.method = 'dialog';
+    form.append(
+      this._createSelect('Page', 'template', Object.entries(LAYOUT_TEMPLATES).map(([key, template]) => [key, template.name])),
+      this._createTextInput('Title', 'title', 'Map title'),
+      this._createTextInput('Subtitle', 'subtitle', 'Optional'),
+      this._createCheckboxes(),
+      this._createSelect('Scale bar units', 'units', [['metric', 'Metric (m, km)'], ['imperial', 'Imperial (ft, mi)']]),
+      this._createTextInput('Credits', 'attribution', 'Data sources')
+    );
+
+    const grid = document.createElement('div');
+    grid.className = 'grid';
+    grid.append(
+      this._createSelect('Format', 'format', [['pdf', 'PDF'], ['png', 'PNG image']]),
+      this._createSelect('Resolution', 'dpi', PRINT_DPIS.filter(dpi => dpi !== SCREEN_DPI).map(dpi => [dpi, `${dpi} DPI`]))
+    );
+    form.appendChild(grid);
+
+    const footer = document.createElement('footer');
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.close());
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'submit';
+    exportButton.textContent = 'Export';
+    footer.append(cancelButton, exportButton);
+    form.appendChild(footer);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.export();
+    });
+
+    // Fields update the settings first (their listeners run before the form's)
+    form.addEventListener('input', (e) => {
+      if (!['format', 'dpi'].includes(e.target.name)) {
+        this.debouncedPreview();
+      }
+    });
+
+    this.preview = document.createElement('figure');
+    this.preview.className = 'layout-composer-preview';
+    this.preview.setAttribute('aria-busy', 'true');
+    this._setPreviewAspect();
+
+    body.append(form, this.preview);
+    article.appendChild(body);
+    this.container.appendChild(article);
+  }
+
+  /**
+   * Create a select bound to a setting
+   * @private
+   * @param {string} text - Label
+   * @param {string} key - Setting name
+   * @param {Array<Array>} options - [value, text] pairs
+   * @returns {HTMLElement} Field
+   */
+  _createSelect(text, key, options) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    const select = document.createElement('select');
+    select.name = key;
+    for (const [value, optionText] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = optionText;
+      select.appendChild(option);
+    }
+    select.value = this.settings[key];
+    select.addEventListener('input', () => {
+      this.settings[key] = typeof this.settings[key] === 'number' ? Number(select.value) : select.value;
+      if (key === 'template') {
+        this._setPreviewAspect();
+      }
+    });
+    label.appendChild(select);
+    return label;
+  }
+
+  /**
+   * Create a text input bound to a setting
+   * @private
+   * @param {string} text - Label
+   * @param {string} key - Setting name
+   * @param {string} placeholder - Placeholder
+   * @returns {HTMLElement} Field
+   */
+  _createTextInput(text, key, placeholder) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = key;
+    input.placeholder = placeholder;
+    input.value = this.settings[key];
+    input.addEventListener('input', () => {
+      this.settings[key] = input.value;
+    });
+    label.appendChild(input);
+    return label;
+  }
+
+  /**
+   * Create the checkboxes choosing which parts to show
+   * @private
+   * @returns {HTMLElement} Fieldset
+   */
+  _createCheckboxes() {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = 'Show';
+    fieldset.appendChild(legend);
+
+    const parts = [['showLegend', 'Legend'], ['showScaleBar', 'Scale bar'], ['showNorthArrow', 'North arrow'], ['showDate', 'Date']];
+    for (const [key, text] of parts) {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = key;
+      input.checked = this.settings[key];
+      input.addEventListener('input', () => {
+        this.settings[key] = input.checked;
+      });
+      label.append(input, ` ${text}`);
+      fieldset.appendChild(label);
+    }
+    return fieldset;
+  }
+
+  /**
+   * Size the preview to the page's aspect ratio
+   * @private
+   */
+  _setPreviewAspect() {
+    const { width, height } = this._getPageSize();
+    this.preview.style.aspectRatio = `${width} / ${height}`;
+  }
+
+  /**
+   * Render the layout at preview resolution
+   * @private
+   */
+  async _renderPreview() {
+    const request = ++this.previewRequest;
+    const preview = this.preview;
+    preview.setAttribute('aria-busy', 'true');
+
+    try {
+      const dpi = SCREEN_DPI * PREVIEW_WIDTH * (window.devicePixelRatio || 1) / this._getPageSize().width;
+      const { canvas } = await this.exportControls.renderLayout({ ...this.settings, dpi });
+      if (request !== this.previewRequest) {
+        return;
+      }
+
+      canvas.setAttribute('role', 'img');
+      canvas.setAttribute('aria-label', 'Layout preview');
+      preview.replaceChildren(canvas);
+    } catch (error) {
+      if (request !== this.previewRequest) {
+        return;
+      }
+      console.error('Failed to render layout preview:', error);
+      const message = document.createElement('p');
+      message.className = 'error';
+      message.textContent = `Preview unavailable: ${error.message}`;
+      preview.replaceChildren(message);
+    } finally {
+      if (request === this.previewRequest) {
+        preview.removeAttribute('aria-busy');
+      }
+    }
+  }
+
+  /**
+   * Get the page size of the chosen template
+   * @private
+   * @returns {Object} { width, height } in CSS pixels
+   */
+  _getPageSize() {
+    const { paper, orientation } = LAYOUT_TEMPLATES[this.settings.template];
+    return getPaperPixels(paper, { orientation });
+  }
+
+  /**
+   * Export the layout with the current settings
+   * @returns {Promise<Object>} Export result
+   */
+  async export() {
+    this.close();
+    return this.exportControls.exportLayout({ ...this.settings });
+  }
+}
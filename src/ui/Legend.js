@@ -0,0 +1,250 @@
+/**
+ * Legend - UI component showing what each layer looks like
+ * Lists the line, fill and circle layers of the current style with swatches
+ * at the map's zoom, including the classes and ramps of data-driven
+ * properties. Clicking a layer shows or hides it.
+ */
+
+import { buildLegend, drawSwatch, drawRamp } from '../styles/legend.js';
+import { createDebouncedFunction } from '../utils/debounce.js';
+
+const SWATCH_WIDTH = 28;
+const SWATCH_HEIGHT = 14;
+
+/**
+ * AppState events that change what the legend shows
+ */
+const RENDER_EVENTS = ['styleChanged', 'themeChanged', 'layersChanged', 'layerVisibilityChanged', 'styleReset'];
+
+export class Legend {
+  /**
+   * Initialize Legend
+   * @param {HTMLElement} container - Container element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   */
+  constructor(container, appState, mapController) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.zoom = this._getZoom();
+    this.pendingRender = createDebouncedFunction(() => this._render(), 100);
+    this.debouncedRender = this.pendingRender.func;
+
+    this._setupEventListeners();
+    this._render();
+  }
+
+  /**
+   * Setup event listeners for state and map changes
+   * @private
+   */
+  _setupEventListeners() {
+    for (const event of RENDER_EVENTS) {
+      this.appState.on(event, this.debouncedRender);
+    }
+
+    // Zoom-dependent widths, colors and ranges change as the map zooms
+    this._handleViewChanged = () => {
+      const zoom = this._getZoom();
+      if (zoom !== this.zoom) {
+        this.zoom = zoom;
+        this.debouncedRender();
+      }
+    };
+    this.mapController.on('viewChanged', this._handleViewChanged);
+  }
+
+  /**
+   * Render the legend
+   * @private
+   */
+  _render() {
+    const layerConfig = this.appState.getLayerConfig();
+    const entries = buildLegend(this.appState.getCurrentStyle(), {
+      zoom: this.zoom,
+      getLayerName: layerId => layerConfig[layerId]?.name || layerId,
+      includeHidden: true
+    });
+
+    this.container.innerHTML = '';
+    if (!entries.length) {
+      const empty = document.createElement('p');
+      empty.className = 'legend-empty';
+      empty.textContent = 'No line, fill or circle layers to show.';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'legend-list';
+    list.setAttribute('aria-label', 'Legend');
+    for (const entry of entries) {
+      list.appendChild(this._createEntry(entry));
+    }
+    this.container.appendChild(list);
+  }
+
+  /**
+   * Create a legend entry
+   * @private
+   * @param {Object} entry - Entry from buildLegend
+   * @returns {HTMLElement} List item
+   */
+  _createEntry(entry) {
+    const item = document.createElement('li');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'legend-entry';
+    button.classList.toggle('hidden-layer', !entry.visible);
+    button.classList.toggle('out-of-range', !entry.inZoomRange);
+    button.setAttribute('aria-pressed', entry.visible ? 'true' : 'false');
+    button.title = `${entry.visible ? 'Hide' : 'Show'} ${entry.name}` +
+      (entry.inZoomRange ? '' : ' (not drawn at this zoom)');
+
+    if (!entry.classes) {
+      button.appendChild(this._createSwatch(entry.type, entry.swatch));
+    }
+    const name = document.createElement('span');
+    name.textContent = entry.classes ? `${entry.name} (${entry.classes.field})` : entry.name;
+    button.appendChild(name);
+
+    button.addEventListener('click', () => {
+      this._toggleLayer(entry.layerId, !entry.visible);
+    });
+    item.appendChild(button);
+
+    if (entry.classes) {
+      item.appendChild(entry.classes.ramp ? this._createRamp(entry) : this._createClasses(entry));
+    }
+    return item;
+  }
+
+  /**
+   * Create the class list of a data-driven layer
+   * @private
+   * @param {Object} entry - Entry with classes
+   * @returns {HTMLElement} List
+   */
+  _createClasses(entry) {
+    const list = document.createElement('ul');
+    list.className = 'legend-classes';
+    for (const { label, swatch } of entry.classes.items) {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = label;
+      item.append(this._createSwatch(entry.type, swatch), text);
+      list.appendChild(item);
+    }
+    return list;
+  }
+
+  /**
+   * Create the gradient of a color ramp with its end values
+   * @private
+   * @param {Object} entry - Entry with ramp classes
+   * @returns {HTMLElement} Ramp element
+   */
+  _createRamp(entry) {
+    const { items } = entry.classes;
+    const ramp = document.createElement('div');
+    ramp.className = 'legend-ramp';
+
+    const canvas = this._createCanvas(SWATCH_WIDTH * 4, SWATCH_HEIGHT, (context, box) => {
+      drawRamp(context, items.map(item => item.swatch.color), box);
+    });
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', `Color ramp from ${items[0].label} to ${items[items.length - 1].label}`);
+
+    const min = document.createElement('span');
+    min.textContent = items[0].label;
+    const max = document.createElement('span');
+    max.textContent = items[items.length - 1].label;
+    ramp.append(min, canvas, max);
+    return ramp;
+  }
+
+  /**
+   * Create a swatch canvas
+   * @private
+   * @param {string} type - Layer type
+   * @param {Object} swatch - Swatch from describeSwatch
+   * @returns {HTMLCanvasElement} Canvas
+   */
+  _createSwatch(type, swatch) {
+    const canvas = this._createCanvas(SWATCH_WIDTH, SWATCH_HEIGHT, (context, box) => {
+      drawSwatch(context, type, swatch, box);
+    });
+    canvas.setAttribute('aria-hidden', 'true');
+    return canvas;
+  }
+
+  /**
+   * Create a canvas sharp on high-density screens
+   * @private
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @param {Function} draw - Called with (context, box) in CSS pixels
+   * @returns {HTMLCanvasElement} Canvas
+   */
+  _createCanvas(width, height, draw) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'legend-swatch';
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+
+    const context = canvas.getContext('2d');
+    context.scale(pixelRatio, pixelRatio);
+    draw(context, { x: 0, y: 0, width, height });
+    return canvas;
+  }
+
+  /**
+   * Show or hide a layer
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {boolean} visible - New visibility
+   */
+  _toggleLayer(layerId, visible) {
+    try {
+      this.appState.toggleLayerVisibility(layerId, visible);
+      this.mapController.toggleLayerVisibility(layerId, visible);
+    } catch (error) {
+      console.error(`Failed to toggle layer visibility for ${layerId}:`, error);
+      this.appState.addError({
+        type: 'layerVisibility',
+        message: `Failed to toggle ${layerId} layer`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Get the map's zoom, rounded so small moves don't redraw the legend
+   * @private
+   * @returns {number} Zoom level
+   */
+  _getZoom() {
+    const zoom = this.mapController.getViewState()?.zoom ?? 10;
+    return Math.round(zoom * 10) / 10;
+  }
+
+  /**
+   * Cleanup and destroy the legend
+   */
+  destroy() {
+    // Remove event listeners
+    for (const event of RENDER_EVENTS) {
+      this.appState.off(event, this.debouncedRender);
+    }
+    this.mapController.off('viewChanged', this._handleViewChanged);
+    this.pendingRender.clear();
+
+    // Clear DOM
+    this.container.innerHTML = '';
+  }
+}
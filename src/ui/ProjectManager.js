@@ -0,0 +1,359 @@
+/**
+ * ProjectManager - UI component for named style documents
+ * Quick switcher plus create, duplicate, rename and delete actions; the open
+ * project is saved whenever the session autosaves and before switching.
+ */
+
+import { ProjectStore } from '../state/ProjectStore.js';
+import { generateId } from '../utils/helpers.js';
+
+/**
+ * Switcher value for work that is not saved in a project
+ * Only shown while that work is open: autosave keeps a single session, so
+ * once a project is opened there is no separate workspace to switch back to.
+ */
+const UNSAVED_VALUE = '';
+
+export class ProjectManager {
+  /**
+   * Initialize ProjectManager
+   * @param {HTMLElement} container - Container element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   * @param {SessionStore} sessionStore - Captures and restores sessions
+   */
+  constructor(container, appState, mapController, sessionStore) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.sessionStore = sessionStore;
+    this.projectStore = new ProjectStore();
+    this.isBusy = false;
+
+    this._setupEventListeners();
+    this._render();
+    this._loadProjects();
+  }
+
+  /**
+   * Load saved projects
+   * @private
+   */
+  async _loadProjects() {
+    try {
+      await this.projectStore.load();
+    } catch (error) {
+      console.error('Failed to load projects:', error);
+      this.appState.addError({
+        type: 'projectStorage',
+        message: 'Failed to load your projects',
+        error
+      });
+    }
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    this._handleProjectsChanged = () => {
+      this._render();
+    };
+    this.projectStore.on('projectsChanged', this._handleProjectsChanged);
+    this.appState.on('projectChanged', this._handleProjectsChanged);
+
+    // Keep the open project up to date with every autosave
+    this._handleSessionSaved = ({ session }) => {
+      const projectId = this.appState.activeProjectId;
+      if (projectId && session.projectId === projectId && !this.isBusy) {
+        this.projectStore.save(projectId, session).catch(error => {
+          console.error('Failed to save project:', error);
+        });
+      }
+    };
+    this.sessionStore.on('sessionSaved', this._handleSessionSaved);
+  }
+
+  /**
+   * Render switcher and actions
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+
+    const selectId = generateId('project-switcher');
+    const label = document.createElement('label');
+    label.htmlFor = selectId;
+    label.className = 'sr-only';
+    label.textContent = 'Open project';
+    this.container.appendChild(label);
+
+    const select = document.createElement('select');
+    select.id = selectId;
+    select.className = 'project-switcher';
+    select.title = 'Switch project (Alt+P)';
+
+    const projects = this.projectStore.getAll();
+    const activeId = this.appState.activeProjectId;
+    if (!activeId || !this.projectStore.get(activeId)) {
+      const option = document.createElement('option');
+      option.value = UNSAVED_VALUE;
+      option.textContent = 'Unsaved workspace';
+      option.disabled = true;
+      select.appendChild(option);
+    }
+    for (const project of projects) {
+      const option = document.createElement('option');
+      option.value = project.id;
+      option.textContent = project.name;
+      select.appendChild(option);
+    }
+    select.value = activeId && this.projectStore.get(activeId) ? activeId : UNSAVED_VALUE;
+    select.addEventListener('change', (e) => {
+      this.openProject(e.target.value);
+    });
+    this.switcher = select;
+    this.container.appendChild(select);
+
+    const actions = document.createElement('div');
+    actions.className = 'project-actions';
+    const hasProject = Boolean(activeId && this.projectStore.get(activeId));
+
+    actions.appendChild(this._createActionButton('New', 'New project', () => this.createProject()));
+    actions.appendChild(this._createActionButton(
+      hasProject ? 'Duplicate' : 'Save as project',
+      hasProject ? 'Duplicate this project' : 'Save the workspace as a project',
+      () => hasProject ? this.duplicateProject() : this.saveAsProject()
+    ));
+    if (hasProject) {
+      actions.appendChild(this._createActionButton('Rename', 'Rename this project', () => this.renameProject()));
+      actions.appendChild(this._createActionButton('Delete', 'Delete this project', () => this.deleteProject()));
+    }
+    this.container.appendChild(actions);
+  }
+
+  /**
+   * Focus the quick switcher
+   */
+  focusSwitcher() {
+    this.switcher?.focus();
+  }
+
+  /**
+   * Open a project, saving the current one first
+   * @param {string} projectId - Project ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async openProject(projectId) {
+    if (!projectId || projectId === this.appState.activeProjectId) {
+      this._render();
+      return false;
+    }
+
+    const project = this.projectStore.get(projectId);
+    if (!project) {
+      return false;
+    }
+
+    return this._runBusy(`Failed to open ${project.name}`, async () => {
+      if (!(await this._keepCurrentWork())) {
+        this._render();
+        return false;
+      }
+
+      const { missingSources } = this.sessionStore.restore(project.session);
+      this.appState.emit('projectOpened', { projectId, name: project.name, missingSources });
+      return true;
+    });
+  }
+
+  /**
+   * Create a project from the default style
+   * @returns {Promise<boolean>} Success status
+   */
+  async createProject() {
+    const name = prompt('Project name', 'Untitled project');
+    if (!name?.trim()) {
+      return false;
+    }
+
+    return this._runBusy('Failed to create project', async () => {
+      if (!(await this._keepCurrentWork())) {
+        return false;
+      }
+
+      this.appState.startNewDocument();
+
+      const projectId = await this.projectStore.create(name, this.sessionStore.capture());
+      this.appState.setActiveProject(projectId);
+      return true;
+    });
+  }
+
+  /**
+   * Save the unsaved workspace as a new project
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveAsProject() {
+    const name = prompt('Project name', 'Untitled project');
+    if (!name?.trim()) {
+      return false;
+    }
+
+    return this._runBusy('Failed to save project', async () => {
+      const projectId = await this.projectStore.create(name, this.sessionStore.capture());
+      this.appState.setActiveProject(projectId);
+      return true;
+    });
+  }
+
+  /**
+   * Duplicate the open project and switch to the copy
+   * @returns {Promise<boolean>} Success status
+   */
+  async duplicateProject() {
+    const project = this.projectStore.get(this.appState.activeProjectId);
+    if (!project) {
+      return false;
+    }
+
+    const name = prompt('Name of the copy', `${project.name} copy`);
+    if (!name?.trim()) {
+      return false;
+    }
+
+    return this._runBusy(`Failed to duplicate ${project.name}`, async () => {
+      await this.projectStore.save(project.id, this.sessionStore.capture());
+      const copyId = await this.projectStore.duplicate(project.id, name);
+      this.appState.setActiveProject(copyId);
+      return true;
+    });
+  }
+
+  /**
+   * Rename the open project
+   * @returns {Promise<boolean>} Success status
+   */
+  async renameProject() {
+    const project = this.projectStore.get(this.appState.activeProjectId);
+    const name = project && prompt('Rename project', project.name);
+    if (!name || name.trim() === project.name) {
+      return false;
+    }
+
+    return this._runBusy(`Failed to rename ${project.name}`, () => this.projectStore.rename(project.id, name));
+  }
+
+  /**
+   * Delete the open project (the style stays open as an unsaved workspace)
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteProject() {
+    const project = this.projectStore.get(this.appState.activeProjectId);
+    if (!project || !confirm(`Delete project "${project.name}"? This cannot be undone.`)) {
+      return false;
+    }
+
+    return this._runBusy(`Failed to delete ${project.name}`, async () => {
+      await this.projectStore.remove(project.id);
+      this.appState.setActiveProject(null);
+      return true;
+    });
+  }
+
+  /**
+   * Save the open project, or offer to keep the unsaved workspace as a project
+   * @private
+   * @returns {Promise<boolean>} False if the user cancelled
+   */
+  async _keepCurrentWork() {
+    const activeId = this.appState.activeProjectId;
+    if (activeId && this.projectStore.get(activeId)) {
+      await this.projectStore.save(activeId, this.sessionStore.capture());
+      return true;
+    }
+
+    if (this.appState.canUndo() && confirm('Your current work is not in a project. Save it as a project before switching?')) {
+      const name = prompt('Project name', 'Untitled project');
+      if (!name?.trim()) {
+        return false;
+      }
+      await this.projectStore.create(name, this.sessionStore.capture());
+    }
+    return true;
+  }
+
+  /**
+   * Run a project action, reporting failures
+   * @private
+   * @param {string} message - Error message
+   * @param {Function} action - Async action
+   * @returns {Promise<boolean>} Action result (false on failure)
+   */
+  async _runBusy(message, action) {
+    if (this.isBusy) {
+      return false;
+    }
+
+    this.isBusy = true;
+    this._setEnabled(false);
+    try {
+      return await action();
+    } catch (error) {
+      console.error(message, error);
+      this.appState.addError({
+        type: 'projectStorage',
+        message,
+        error
+      });
+      return false;
+    } finally {
+      this.isBusy = false;
+      this._render();
+    }
+  }
+
+  /**
+   * Enable or disable the controls
+   * @private
+   * @param {boolean} enabled - Enabled state
+   */
+  _setEnabled(enabled) {
+    for (const element of this.container.querySelectorAll('button, select')) {
+      element.disabled = !enabled;
+    }
+  }
+
+  /**
+   * Create an action button
+   * @private
+   * @param {string} text - Button text
+   * @param {string} label - Accessible label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button
+   */
+  _createActionButton(text, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary outline project-action';
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Cleanup and destroy the project manager
+   */
+  destroy() {
+    // Remove event listeners
+    this.projectStore.off('projectsChanged', this._handleProjectsChanged);
+    this.appState.off('projectChanged', this._handleProjectsChanged);
+    this.sessionStore.off('sessionSaved', this._handleSessionSaved);
+
+    // Clear DOM
+    this.container.innerHTML = '';
+  }
+}
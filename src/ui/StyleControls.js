@@ -5,6 +5,28 @@
 
 import { generateId, isValidHexColor, supportsFeature, formatNumber } from '../utils/helpers.js';
 import { debounce } from '../utils/debounce.js';
+import {
+  isExpression,
+  isLegacyFunction,
+  parseZoomExpression,
+  buildZoomExpression,
+  createZoomModel,
+  getStaticValue,
+  describeExpression
+} from '../utils/expressions.js';
+import { ZoomStopEditor } from './ZoomStopEditor.js';
+import { AttributeStyler } from './AttributeStyler.js';
+import { LabelControls } from './LabelControls.js';
+import { FilterBuilder } from './FilterBuilder.js';
+import {
+  getLayerType,
+  getPropertySpec,
+  getTypesForGeometry,
+  buildDensityRamp,
+  parseDensityRamp
+} from '../styles/layerTypes.js';
+import { colorRamps, getRampColors, getRampGradient } from '../styles/colorRamps.js';
+import { findLabelLayer } from '../styles/labels.js';
 
 export class StyleControls {
   /**
@@ -18,6 +40,9 @@ export class StyleControls {
     this.appState = appState;
     this.mapController = mapController;
     this.controls = new Map();
+    this.labelPanels = new Map();
+    this.filterBuilders = new Map();
+    this.renderedLayers = '';
     this.debounceTimeouts = new Map();
     this.supportsColorInput = supportsFeature('colorInput');
     
@@ -35,11 +60,18 @@ export class StyleControls {
   _setupEventListeners() {
     // Listen for style changes from other sources
     this.appState.on('styleChanged', (data) => {
-      if (data.type !== 'userInput') {
+      if (this._hasLayerSetChanged()) {
+        this._render();
+      } else if (data.type !== 'userInput') {
         this._updateControlValues();
       }
     });
 
+    // Re-render when layers are added or removed
+    this.appState.on('layersChanged', () => {
+      this._render();
+    });
+
     // Listen for style resets
     this.appState.on('styleReset', () => {
       this._updateControlValues();
@@ -51,26 +83,63 @@ export class StyleControls {
     });
   }
 
+  /**
+   * Check if the configured layers (or their types) differ from the rendered controls
+   * @private
+   * @returns {boolean} True if controls need re-rendering
+   */
+  _hasLayerSetChanged() {
+    return this._getLayerSignature() !== this.renderedLayers;
+  }
+
+  /**
+   * Describe the current layer set as ID/type pairs
+   * @private
+   * @returns {string} Layer signature
+   */
+  _getLayerSignature() {
+    const layerConfig = this.appState.getLayerConfig();
+    return this.appState.currentStyle.layers
+      .filter(layer => layerConfig[layer.id])
+      .map(layer => `${layer.id}:${layer.type}`)
+      .join('\n');
+  }
+
   /**
    * Render style controls for all layers
    * @private
    */
   _render() {
+    // Keep open label panels open across re-renders (e.g. after adding labels)
+    const openLabelPanels = [...this.labelPanels]
+      .filter(([, panel]) => panel.element.open)
+      .map(([layerId]) => layerId);
+
     // Clear existing controls
     this.container.innerHTML = '';
     this.controls.clear();
+    this.labelPanels.clear();
+    this.filterBuilders.clear();
+    this.renderedLayers = this._getLayerSignature();
 
     const layerConfig = this.appState.getLayerConfig();
     const currentStyle = this.appState.getCurrentStyle();
 
-    // Create controls for each layer
+    // Create controls for each layer; label layers are edited from their layer's panel
     for (const [layerId, config] of Object.entries(layerConfig)) {
       const layer = currentStyle.layers.find(l => l.id === layerId);
-      if (layer) {
+      if (layer && !config.labelFor) {
         const controlSection = this._createLayerControls(layerId, config, layer);
         this.container.appendChild(controlSection);
       }
     }
+
+    for (const layerId of openLabelPanels) {
+      const panel = this.labelPanels.get(layerId);
+      if (panel) {
+        panel.element.open = true;
+      }
+    }
   }
 
   /**
@@ -92,13 +161,17 @@ export class StyleControls {
     header.style.marginBottom = '0.5rem';
     section.appendChild(header);
 
+    if (config.type !== 'background') {
+      section.appendChild(this._createTypeSelector(layerId, config, layer));
+    }
+
     // Create controls for each style property
     const layerControls = new Map();
     
     for (const property of config.styleProperties) {
-      const currentValue = layer.paint?.[property];
-      if (currentValue !== undefined) {
-        const control = this._createPropertyControl(layerId, property, currentValue, config.type);
+      const currentValue = layer.paint?.[property] ?? getPropertySpec(layer.type, property)?.default;
+      if (currentValue !== undefined && currentValue !== null) {
+        const control = this._createPropertyControl(layerId, property, currentValue, layer.type);
         if (control) {
           section.appendChild(control.element);
           layerControls.set(property, control);
@@ -106,10 +179,166 @@ export class StyleControls {
       }
     }
 
+    // Data-driven styling needs feature attributes, so skip non-vector layers
+    if (config.type !== 'background') {
+      section.appendChild(this._createAttributeStyler(layerId, config, layer));
+    }
+
+    if (config.type !== 'background') {
+      section.appendChild(this._createFilterBuilder(layerId, layer));
+    }
+
+    if (config.type !== 'background' && config.type !== 'symbol') {
+      section.appendChild(this._createLabelControls(layerId));
+    }
+
     this.controls.set(layerId, layerControls);
     return section;
   }
 
+  /**
+   * Create "Render as" selector for switching the layer type
+   * Only types that can draw the layer's geometry are offered.
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {Object} config - Layer configuration
+   * @param {Object} layer - Layer style object
+   * @returns {HTMLElement} Control group element
+   */
+  _createTypeSelector(layerId, config, layer) {
+    const controlId = generateId(`layer-type-${layerId}`);
+    const hasGlyphs = Boolean(this.appState.currentStyle.glyphs);
+
+    const container = document.createElement('div');
+    container.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = 'Render as';
+
+    const select = document.createElement('select');
+    select.id = controlId;
+
+    const types = getTypesForGeometry(config.geometry)
+      .filter(type => type === layer.type || !getLayerType(type).requiresGlyphs || hasGlyphs);
+    if (!types.includes(layer.type)) {
+      types.unshift(layer.type);
+    }
+
+    for (const type of types) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = getLayerType(type)?.name || type;
+      option.selected = type === layer.type;
+      select.appendChild(option);
+    }
+
+    select.addEventListener('change', (e) => {
+      if (this.appState.changeLayerType(layerId, e.target.value)) {
+        this.mapController.updateStyle(this.appState.getCurrentStyle());
+      }
+    });
+
+    container.appendChild(label);
+    container.appendChild(select);
+    return container;
+  }
+
+  /**
+   * Create "style by attribute" panel for a layer
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {Object} config - Layer configuration
+   * @param {Object} layer - Layer style object
+   * @returns {HTMLElement} Panel element
+   */
+  _createAttributeStyler(layerId, config, layer) {
+    const properties = config.styleProperties
+      .filter(property => {
+        const spec = this._getPropertySpec(property, layer.type);
+        return layer.paint?.[property] !== undefined && ['color', 'number'].includes(spec?.valueType);
+      })
+      .map(property => ({
+        property,
+        label: this._formatPropertyName(property),
+        spec: this._getPropertySpec(property, layer.type)
+      }));
+
+    const styler = new AttributeStyler({
+      layerId,
+      properties,
+      attributes: this.appState.getLayerAttributes(layerId),
+      mapController: this.mapController,
+      getValue: (property) => this._getPaintValue(layerId, property),
+      onApply: (property, value) => this._handleStyleChange(layerId, property, value)
+    });
+
+    return styler.element;
+  }
+
+  /**
+   * Create "Filter" panel for a layer
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {Object} layer - Layer style object
+   * @returns {HTMLElement} Panel element
+   */
+  _createFilterBuilder(layerId, layer) {
+    const builder = new FilterBuilder({
+      layerId,
+      filter: layer.filter,
+      attributes: this.appState.getLayerAttributes(layerId),
+      mapController: this.mapController,
+      onApply: (filter) => {
+        const updated = this.appState.updateFilter(layerId, filter);
+        for (const id of updated || []) {
+          this.mapController.setFilter(id, filter);
+        }
+      }
+    });
+
+    this.filterBuilders.set(layerId, builder);
+    return builder.element;
+  }
+
+  /**
+   * Create "Labels" panel for a layer
+   * @private
+   * @param {string} layerId - Layer ID
+   * @returns {HTMLElement} Panel element
+   */
+  _createLabelControls(layerId) {
+    const panel = new LabelControls({
+      layerId,
+      labelLayer: findLabelLayer(this.appState.currentStyle, layerId),
+      attributes: this.appState.getLayerAttributes(layerId),
+      mapController: this.mapController,
+      glyphsAvailable: Boolean(this.appState.currentStyle.glyphs),
+      supportsColorInput: this.supportsColorInput,
+      onCreate: (options) => {
+        if (this.appState.addLabelLayer(layerId, options)) {
+          this.mapController.updateStyle(this.appState.getCurrentStyle());
+        }
+      },
+      onRemove: (labelLayerId) => {
+        const removed = this.appState.removeLayer(labelLayerId);
+        if (removed) {
+          this.mapController.removeLayers(removed);
+        }
+      },
+      onChange: (labelLayerId, kind, property, value) => {
+        if (kind === 'paint') {
+          this._handleStyleChange(labelLayerId, property, value);
+        } else if (this.appState.updateLayoutProperty(labelLayerId, property, value)) {
+          this.mapController.updateLayoutProperty(labelLayerId, property, value);
+        }
+      }
+    });
+
+    this.labelPanels.set(layerId, panel);
+    return panel.element;
+  }
+
   /**
    * Create control for a single property
    * @private
@@ -120,17 +349,474 @@ export class StyleControls {
    * @returns {Object} Control object with element and update method
    */
   _createPropertyControl(layerId, property, currentValue, layerType) {
+    const spec = this._getPropertySpec(property, layerType);
+    if (!spec) {
+      return null;
+    }
+
+    if (spec.valueType === 'density-ramp') {
+      return this._createDensityRampControl(layerId, property, currentValue);
+    }
+    if (spec.valueType === 'attribute-number') {
+      return this._createAttributeNumberControl(layerId, property, currentValue, spec);
+    }
+
+    return this._createZoomableControl(layerId, property, currentValue, spec);
+  }
+
+  /**
+   * Get value type and range for a style property
+   * Uses the layer type definitions, falling back to the property name for unknown types.
+   * @private
+   * @param {string} property - Property name
+   * @param {string} layerType - Layer type
+   * @returns {Object|null} Property spec ({valueType, min, max, step, unit})
+   */
+  _getPropertySpec(property, layerType) {
+    const spec = getPropertySpec(layerType, property);
+    if (spec) {
+      return spec;
+    }
+
     if (property.includes('color')) {
-      return this._createColorControl(layerId, property, currentValue);
+      return { valueType: 'color' };
     } else if (property.includes('width') || property.includes('radius')) {
-      return this._createSliderControl(layerId, property, currentValue, 1, 10, 'px');
+      return { valueType: 'number', min: 1, max: 10, step: 1, unit: 'px' };
     } else if (property.includes('opacity')) {
-      return this._createSliderControl(layerId, property, currentValue, 0, 1, '');
+      return { valueType: 'number', min: 0, max: 1, step: 0.1, unit: '' };
     }
-    
+
     return null;
   }
 
+  /**
+   * Create a property control that switches between a single value and zoom stops
+   * Imported styles may already hold expressions, so the mode follows the value.
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @param {*} currentValue - Current property value
+   * @param {Object} spec - Property spec
+   * @returns {Object} Control object with element and update method
+   */
+  _createZoomableControl(layerId, property, currentValue, spec) {
+    const container = document.createElement('div');
+    container.className = 'property-control';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'secondary outline zoom-toggle';
+    toggle.title = `Vary ${this._formatPropertyName(property)} by zoom level`;
+
+    let mode = null;
+    let inner = null;
+
+    const render = (value) => {
+      container.innerHTML = '';
+      mode = this._getValueMode(value);
+
+      if (mode === 'stops') {
+        inner = this._createStopControl(layerId, property, value, spec);
+      } else if (mode === 'expression') {
+        inner = this._createExpressionSummary(property, value);
+      } else {
+        inner = spec.valueType === 'color'
+          ? this._createColorControl(layerId, property, value)
+          : this._createSliderControl(layerId, property, value, spec.min, spec.max, spec.unit, spec.step);
+      }
+
+      toggle.textContent = mode === 'static' ? 'By zoom' : 'Single value';
+      toggle.setAttribute('aria-pressed', mode === 'static' ? 'false' : 'true');
+      container.appendChild(inner.element);
+      container.appendChild(toggle);
+    };
+
+    toggle.addEventListener('click', () => {
+      const value = this._getPaintValue(layerId, property);
+      const fallback = spec.valueType === 'color' ? '#000000' : spec.min;
+      const newValue = mode === 'static'
+        ? buildZoomExpression(createZoomModel(value ?? fallback))
+        : getStaticValue(value, fallback);
+
+      this._handleStyleChange(layerId, property, newValue);
+
+      // The styleChanged listener normally re-renders; cover a rejected update
+      if (this._getValueMode(newValue) !== mode) {
+        render(newValue);
+      }
+    });
+
+    render(currentValue);
+
+    return {
+      element: container,
+      update: (value) => {
+        if (this._getValueMode(value) === mode) {
+          inner.update(value);
+        } else {
+          render(value);
+        }
+      }
+    };
+  }
+
+  /**
+   * Determine how a property value should be edited
+   * @private
+   * @param {*} value - Property value
+   * @returns {string} 'stops', 'expression' or 'static'
+   */
+  _getValueMode(value) {
+    if (parseZoomExpression(value)) {
+      return 'stops';
+    }
+    if (isExpression(value) || isLegacyFunction(value)) {
+      return 'expression';
+    }
+    return 'static';
+  }
+
+  /**
+   * Create zoom stop editor control
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @param {*} currentValue - Current zoom expression
+   * @param {Object} spec - Property spec
+   * @returns {Object} Control object
+   */
+  _createStopControl(layerId, property, currentValue, spec) {
+    const container = document.createElement('div');
+    container.className = 'control-group zoom-control';
+
+    const label = document.createElement('span');
+    label.className = 'control-label';
+    label.textContent = `${this._formatPropertyName(property)} by zoom`;
+
+    const editor = new ZoomStopEditor({
+      label: this._formatPropertyName(property),
+      valueType: spec.valueType,
+      min: spec.min,
+      max: spec.max,
+      step: spec.step,
+      supportsColorInput: this.supportsColorInput,
+      model: parseZoomExpression(currentValue),
+      onChange: (expression) => this._handleStyleChange(layerId, property, expression)
+    });
+
+    container.appendChild(label);
+    container.appendChild(editor.element);
+
+    return {
+      element: container,
+      update: (value) => editor.update(value)
+    };
+  }
+
+  /**
+   * Create read-only summary for expressions the editor cannot author
+   * @private
+   * @param {string} property - Property name
+   * @param {*} currentValue - Current expression
+   * @returns {Object} Control object
+   */
+  _createExpressionSummary(property, currentValue) {
+    const container = document.createElement('div');
+    container.className = 'control-group';
+
+    const label = document.createElement('span');
+    label.className = 'control-label';
+    label.textContent = this._formatPropertyName(property);
+
+    const summary = document.createElement('code');
+    summary.className = 'expression-summary';
+    summary.textContent = describeExpression(currentValue);
+    summary.title = JSON.stringify(currentValue);
+
+    container.appendChild(label);
+    container.appendChild(summary);
+
+    return {
+      element: container,
+      update: (value) => {
+        summary.textContent = describeExpression(value);
+        summary.title = JSON.stringify(value);
+      }
+    };
+  }
+
+  /**
+   * Create heatmap color ramp picker
+   * Ramps run from transparent at zero density to the ramp's darkest color.
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @param {*} currentValue - Current heatmap-color expression
+   * @returns {Object} Control object
+   */
+  _createDensityRampControl(layerId, property, currentValue) {
+    const controlId = generateId(`ramp-control-${layerId}-${property}`);
+
+    const container = document.createElement('div');
+    container.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = this._formatPropertyName(property);
+
+    const select = document.createElement('select');
+    select.id = controlId;
+
+    const customOption = document.createElement('option');
+    customOption.value = '';
+    customOption.textContent = 'Custom';
+    select.appendChild(customOption);
+
+    const rampKeys = Object.keys(colorRamps).filter(key => colorRamps[key].type === 'sequential');
+    for (const key of rampKeys) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = colorRamps[key].name;
+      select.appendChild(option);
+    }
+
+    const preview = document.createElement('div');
+    preview.className = 'ramp-preview';
+    preview.setAttribute('aria-hidden', 'true');
+
+    const sync = (value) => {
+      const colors = parseDensityRamp(value) || [];
+      const match = colors.length > 0 && rampKeys.find(key => getRampColors(key, colors.length).join() === colors.join());
+      select.value = match || '';
+      customOption.hidden = Boolean(match);
+      preview.style.background = match
+        ? getRampGradient(match)
+        : `linear-gradient(to right, ${colors.join(', ') || 'transparent, transparent'})`;
+    };
+
+    select.addEventListener('change', (e) => {
+      if (e.target.value) {
+        this._handleStyleChange(layerId, property, buildDensityRamp(getRampColors(e.target.value, 5)));
+        sync(this._getPaintValue(layerId, property));
+      }
+    });
+
+    sync(currentValue);
+
+    container.appendChild(label);
+    container.appendChild(select);
+    container.appendChild(preview);
+
+    return {
+      element: container,
+      update: sync
+    };
+  }
+
+  /**
+   * Create a number control that can read its value from a feature attribute
+   * Used for extrusion height, e.g. ['*', ['to-number', ['get', 'height'], 0], 1].
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @param {*} currentValue - Current value (number, attribute expression or zoom stops)
+   * @param {Object} spec - Property spec
+   * @returns {Object} Control object
+   */
+  _createAttributeNumberControl(layerId, property, currentValue, spec) {
+    const controlId = generateId(`attribute-control-${layerId}-${property}`);
+    const numberSpec = { ...spec, valueType: 'number' };
+
+    const container = document.createElement('div');
+    container.className = 'property-control';
+
+    const sourceGroup = document.createElement('div');
+    sourceGroup.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = `${this._formatPropertyName(property)} from`;
+
+    const select = document.createElement('select');
+    select.id = controlId;
+
+    const constantOption = document.createElement('option');
+    constantOption.value = '';
+    constantOption.textContent = 'Fixed value';
+    select.appendChild(constantOption);
+
+    const numericFields = Object.entries(this.appState.getLayerAttributes(layerId))
+      .filter(([, type]) => type === 'Number')
+      .map(([field]) => field);
+    for (const field of numericFields) {
+      const option = document.createElement('option');
+      option.value = field;
+      option.textContent = field;
+      select.appendChild(option);
+    }
+
+    sourceGroup.appendChild(label);
+    sourceGroup.appendChild(select);
+
+    const body = document.createElement('div');
+    let inner = null;
+    let currentField = null;
+
+    const render = (value) => {
+      const attribute = this._parseAttributeNumber(value);
+      currentField = attribute?.field || null;
+      body.innerHTML = '';
+
+      if (currentField && !numericFields.includes(currentField)) {
+        const option = document.createElement('option');
+        option.value = currentField;
+        option.textContent = currentField;
+        select.appendChild(option);
+        numericFields.push(currentField);
+      }
+      select.value = currentField || '';
+
+      if (attribute) {
+        inner = this._createMultiplierControl(layerId, property, attribute);
+      } else {
+        inner = this._createZoomableControl(layerId, property, value, numberSpec);
+      }
+      body.appendChild(inner.element);
+    };
+
+    select.addEventListener('change', (e) => {
+      const field = e.target.value;
+      const multiplier = this._parseAttributeNumber(this._getPaintValue(layerId, property))?.multiplier ?? 1;
+      const value = field
+        ? this._buildAttributeNumber(field, multiplier)
+        : spec.default;
+
+      this._handleStyleChange(layerId, property, value);
+      render(value);
+    });
+
+    render(currentValue);
+
+    container.appendChild(sourceGroup);
+    container.appendChild(body);
+
+    return {
+      element: container,
+      update: (value) => {
+        const attribute = this._parseAttributeNumber(value);
+        if ((attribute?.field || null) === currentField) {
+          inner.update(attribute || value);
+        } else {
+          render(value);
+        }
+      }
+    };
+  }
+
+  /**
+   * Create multiplier input for an attribute-driven number
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @param {Object} attribute - Parsed attribute value ({field, multiplier})
+   * @returns {Object} Control object
+   */
+  _createMultiplierControl(layerId, property, attribute) {
+    const controlId = generateId(`multiplier-control-${layerId}-${property}`);
+
+    const container = document.createElement('div');
+    container.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = 'Multiplier';
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = controlId;
+    input.min = 0;
+    input.step = 0.1;
+    input.value = attribute.multiplier;
+
+    input.addEventListener('change', (e) => {
+      const multiplier = parseFloat(e.target.value);
+      if (!isNaN(multiplier) && multiplier >= 0) {
+        this._handleStyleChange(layerId, property, this._buildAttributeNumber(attribute.field, multiplier));
+      }
+    });
+
+    container.appendChild(label);
+    container.appendChild(input);
+
+    return {
+      element: container,
+      update: (value) => {
+        input.value = value.multiplier;
+      }
+    };
+  }
+
+  /**
+   * Build an attribute-driven number expression
+   * @private
+   * @param {string} field - Attribute name
+   * @param {number} multiplier - Scale applied to the attribute
+   * @returns {Array} Expression
+   */
+  _buildAttributeNumber(field, multiplier) {
+    return ['*', ['to-number', ['get', field], 0], multiplier];
+  }
+
+  /**
+   * Read an attribute-driven number expression
+   * @private
+   * @param {*} value - Property value
+   * @returns {Object|null} { field, multiplier } or null
+   */
+  _parseAttributeNumber(value) {
+    if (!Array.isArray(value)) {
+      return null;
+    }
+    if (value[0] === 'get' && typeof value[1] === 'string') {
+      return { field: value[1], multiplier: 1 };
+    }
+    if (value[0] === '*' && typeof value[2] === 'number') {
+      const accessor = value[1]?.[0] === 'to-number' ? value[1][1] : value[1];
+      if (accessor?.[0] === 'get' && typeof accessor[1] === 'string') {
+        return { field: accessor[1], multiplier: value[2] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the current paint value for a layer property
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @returns {*} Property value
+   */
+  _getPaintValue(layerId, property) {
+    const layer = this.appState.currentStyle.layers.find(l => l.id === layerId);
+    return layer?.paint?.[property];
+  }
+
+  /**
+   * Get the single value a control shows for a layer property
+   * Falls back to the spec default when the property is unset, and to the
+   * first stop when it holds an expression.
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @param {*} fallback - Value to use if none can be derived
+   * @returns {*} Static value
+   */
+  _getStaticPaintValue(layerId, property, fallback) {
+    const layer = this.appState.currentStyle.layers.find(l => l.id === layerId);
+    const value = layer?.paint?.[property] ?? getPropertySpec(layer?.type, property)?.default;
+    return getStaticValue(value, fallback);
+  }
+
   /**
    * Create color picker control
    * @private
@@ -191,20 +877,42 @@ export class StyleControls {
     }
 
     // Add event listeners
+    const syncInputs = (value) => {
+      if (primaryInput && primaryInput.value !== value) {
+        primaryInput.value = value;
+      }
+      if (fallbackInput && fallbackInput.value !== value) {
+        fallbackInput.value = value;
+      }
+    };
+
     const handleChange = (value) => {
       if (isValidHexColor(value)) {
-        this._handleStyleChange(layerId, property, value);
-        
-        // Sync inputs
-        if (primaryInput && primaryInput.value !== value) {
-          primaryInput.value = value;
-        }
-        if (fallbackInput && fallbackInput.value !== value) {
-          fallbackInput.value = value;
-        }
+        this._previewStyleChange(layerId, property, value);
+        this._commitStyleChange();
+        syncInputs(value);
       }
     };
 
+    // The native picker previews while it is open and commits when it closes;
+    // closing it without a change (blur, cancel) still ends the preview
+    if (primaryInput.type === 'color') {
+      primaryInput.addEventListener('input', (e) => {
+        this._previewStyleChange(layerId, property, e.target.value);
+        syncInputs(e.target.value);
+      });
+      primaryInput.addEventListener('blur', () => this._commitStyleChange());
+      primaryInput.addEventListener('cancel', () => {
+        if (this._cancelStyleChange(layerId, property)) {
+          syncInputs(this._getStaticPaintValue(layerId, property, currentValue));
+        }
+      });
+      primaryInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && this._cancelStyleChange(layerId, property)) {
+          e.stopPropagation();
+        }
+      });
+    }
     primaryInput.addEventListener('change', (e) => handleChange(e.target.value));
     
     if (fallbackInput) {
@@ -240,9 +948,10 @@ export class StyleControls {
    * @param {number} min - Minimum value
    * @param {number} max - Maximum value
    * @param {string} unit - Unit suffix
+   * @param {number} step - Slider step (defaults to 0.1 for opacity, 1 otherwise)
    * @returns {Object} Control object
    */
-  _createSliderControl(layerId, property, currentValue, min, max, unit) {
+  _createSliderControl(layerId, property, currentValue, min, max, unit, step) {
     const controlId = generateId(`slider-control-${layerId}-${property}`);
     
     // Create container
@@ -260,7 +969,7 @@ export class StyleControls {
     slider.id = controlId;
     slider.min = min;
     slider.max = max;
-    slider.step = property.includes('opacity') ? 0.1 : 1;
+    slider.step = step ?? (property.includes('opacity') ? 0.1 : 1);
     slider.value = currentValue;
     slider.setAttribute('aria-label', `${this._formatPropertyName(property)} slider`);
 
@@ -271,13 +980,35 @@ export class StyleControls {
     valueDisplay.setAttribute('aria-live', 'polite');
 
     // Add event listeners
+    // A drag previews every value but adds one history step on release;
+    // Escape reverts it and ignores the rest of the drag
+    let isCancelled = false;
+
     const handleInput = (value) => {
+      if (isCancelled) {
+        slider.value = this._getStaticPaintValue(layerId, property, currentValue);
+        return;
+      }
       const numValue = parseFloat(value);
       valueDisplay.textContent = formatNumber(numValue) + unit;
-      this._handleStyleChange(layerId, property, numValue);
+      this._previewStyleChange(layerId, property, numValue);
+    };
+
+    const handleEnd = () => {
+      isCancelled = false;
+      this._commitStyleChange();
     };
 
     slider.addEventListener('input', (e) => handleInput(e.target.value));
+    slider.addEventListener('change', handleEnd);
+    slider.addEventListener('pointerup', handleEnd);
+    slider.addEventListener('blur', handleEnd);
+    slider.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this._cancelStyleChange(layerId, property)) {
+        isCancelled = true;
+        e.stopPropagation();
+      }
+    });
 
     // Assemble control
     container.appendChild(label);
@@ -318,6 +1049,46 @@ export class StyleControls {
     }
   }
 
+  /**
+   * Preview a property change, opening a transaction so only the final value
+   * lands in history
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @param {*} value - New value
+   */
+  _previewStyleChange(layerId, property, value) {
+    if (!this.appState.isInTransaction()) {
+      this.appState.beginTransaction();
+    }
+    this._handleStyleChange(layerId, property, value);
+  }
+
+  /**
+   * Add the previewed change to history
+   * @private
+   */
+  _commitStyleChange() {
+    this.appState.commitTransaction();
+  }
+
+  /**
+   * Revert the previewed change (the map follows through styleChanged)
+   * @private
+   * @param {string} layerId - Layer ID
+   * @param {string} property - Property name
+   * @returns {boolean} True if there was a change to revert
+   */
+  _cancelStyleChange(layerId, property) {
+    if (!this.appState.cancelTransaction()) {
+      return false;
+    }
+
+    // Replace a pending debounced preview so it can't redraw the cancelled value
+    this.debouncedUpdate(layerId, property, this._getPaintValue(layerId, property));
+    return true;
+  }
+
   /**
    * Update map style (debounced)
    * @private
@@ -335,13 +1106,22 @@ export class StyleControls {
    */
   _updateControlValues() {
     const currentStyle = this.appState.getCurrentStyle();
+
+    for (const [layerId, panel] of this.labelPanels) {
+      panel.update(findLabelLayer(currentStyle, layerId));
+    }
+
+    for (const [layerId, builder] of this.filterBuilders) {
+      builder.update(currentStyle.layers.find(l => l.id === layerId)?.filter);
+    }
     
     for (const [layerId, layerControls] of this.controls) {
       const layer = currentStyle.layers.find(l => l.id === layerId);
       if (layer && layer.paint) {
         for (const [property, control] of layerControls) {
-          const value = layer.paint[property];
-          if (value !== undefined) {
+          // Properties undone back to unset show their default
+          const value = layer.paint[property] ?? getPropertySpec(layer.type, property)?.default;
+          if (value !== undefined && value !== null) {
             control.update(value);
           }
         }
@@ -357,7 +1137,7 @@ export class StyleControls {
    */
   _formatPropertyName(property) {
     return property
-      .replace(/^(line-|circle-)/, '')
+      .replace(/^(line-|circle-|fill-extrusion-|fill-|heatmap-|text-)/, '')
       .replace(/-/g, ' ')
       .replace(/\b\w/g, l => l.toUpperCase());
   }
@@ -367,7 +1147,7 @@ export class StyleControls {
    * @param {boolean} enabled - Enable state
    */
   setEnabled(enabled) {
-    const inputs = this.container.querySelectorAll('input');
+    const inputs = this.container.querySelectorAll('input, select, button');
     inputs.forEach(input => {
       input.disabled = !enabled;
     });
@@ -0,0 +1,582 @@
+/**
+ * StyleDiffDialog - UI component comparing the current style with another
+ * The other style is a saved project or a style JSON file. Added, removed and
+ * changed layers and properties are listed side by side, and the changes
+ * picked are merged into the current style as one undoable step.
+ */
+
+import { compareStyles } from '../utils/styleDiff.js';
+import { isValidColor } from '../utils/validation.js';
+import { generateId } from '../utils/helpers.js';
+
+/**
+ * Group names of the changes that don't belong to a layer
+ */
+const GROUP_NAMES = {
+  style: 'Style',
+  source: 'Sources',
+  order: 'Layer order'
+};
+
+/**
+ * Swatches shown per value before the rest are left to the JSON
+ */
+const MAX_SWATCHES = 8;
+
+export class StyleDiffDialog {
+  /**
+   * Initialize StyleDiffDialog
+   * @param {HTMLDialogElement} container - Dialog element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   * @param {ExportControls} exportControls - Reads style files and runs the merge
+   * @param {ProjectStore} projectStore - Saved projects to compare with
+   */
+  constructor(container, appState, mapController, exportControls, projectStore) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.exportControls = exportControls;
+    this.projectStore = projectStore;
+    this.other = null;
+    this.otherName = '';
+    this.changes = [];
+    this.selected = new Set();
+    this.checkboxes = new Map();
+    this.groupCheckboxes = [];
+    this.allCheckbox = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    // Clicking the backdrop closes the dialog
+    this.container.addEventListener('click', (e) => {
+      if (e.target === this.container) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the dialog to pick a style to compare with
+   */
+  open() {
+    this.other = null;
+    this._render();
+    this.container.showModal();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.container.close();
+  }
+
+  /**
+   * Compare the current style with another
+   * @param {Object} style - Style to compare with
+   * @param {string} name - Name of the style (project or file name)
+   */
+  compare(style, name) {
+    this.other = style;
+    this.otherName = name;
+    this.changes = compareStyles(this.appState.getCurrentStyle(), style);
+    this.selected = new Set();
+
+    this._render();
+    if (!this.container.open) {
+      this.container.showModal();
+    }
+  }
+
+  /**
+   * Compare with a saved project
+   * @param {string} projectId - Project ID
+   */
+  compareProject(projectId) {
+    const project = this.projectStore.get(projectId);
+    if (project) {
+      this.compare(project.session.style, project.name);
+    }
+  }
+
+  /**
+   * Compare with a style JSON file
+   * @param {File} file - Style file
+   * @returns {Promise<boolean>} Success status
+   */
+  async compareFile(file) {
+    const result = await this.exportControls.readComparisonStyle(file);
+    if (result.success) {
+      this.compare(result.style, file.name);
+    }
+    return result.success;
+  }
+
+  /**
+   * Render the dialog
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+    this.checkboxes.clear();
+    this.groupCheckboxes = [];
+    this.allCheckbox = null;
+
+    const article = document.createElement('article');
+    article.className = 'style-diff';
+
+    const header = document.createElement('header');
+    const title = document.createElement('h3');
+    title.textContent = this.other ? `Compare with ${this.otherName}` : 'Compare styles';
+    header.appendChild(title);
+    article.appendChild(header);
+
+    const form = document.createElement('form');
+    form.method = 'dialog';
+    form.appendChild(this.other ? this._createDiff() : this._createSourcePicker());
+
+    const footer = document.createElement('footer');
+    if (this.other) {
+      const backButton = document.createElement('button');
+      backButton.type = 'button';
+      backButton.className = 'secondary outline';
+      backButton.textContent = 'Compare another';
+      backButton.addEventListener('click', () => {
+        this.other = null;
+        this._render();
+      });
+      footer.appendChild(backButton);
+    }
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.close());
+    footer.appendChild(cancelButton);
+
+    if (this.other) {
+      const mergeButton = document.createElement('button');
+      mergeButton.type = 'submit';
+      this.mergeButton = mergeButton;
+      this._updateSelection();
+      footer.appendChild(mergeButton);
+    }
+    form.appendChild(footer);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.merge();
+    });
+
+    article.appendChild(form);
+    this.container.appendChild(article);
+  }
+
+  /**
+   * Create the choice of style to compare with
+   * @private
+   * @returns {HTMLElement} Picker
+   */
+  _createSourcePicker() {
+    const picker = document.createElement('div');
+    picker.className = 'style-diff-picker';
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Compare the current style with a saved project or a style file, then pick the changes to bring in.';
+    picker.appendChild(intro);
+
+    const projects = this.projectStore.getAll().filter(project => project.id !== this.appState.activeProjectId);
+    const selectId = generateId('diff-project');
+    const label = document.createElement('label');
+    label.htmlFor = selectId;
+    label.textContent = 'Saved project';
+
+    const group = document.createElement('div');
+    group.setAttribute('role', 'group');
+    const select = document.createElement('select');
+    select.id = selectId;
+    for (const project of projects) {
+      select.appendChild(new Option(project.name, project.id));
+    }
+    if (!projects.length) {
+      select.appendChild(new Option('No other saved projects', ''));
+      select.disabled = true;
+    }
+
+    const compareButton = document.createElement('button');
+    compareButton.type = 'button';
+    compareButton.textContent = 'Compare';
+    compareButton.disabled = !projects.length;
+    compareButton.addEventListener('click', () => this.compareProject(select.value));
+    group.append(select, compareButton);
+    picker.append(label, group);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async (e) => {
+      const [file] = e.target.files;
+      if (file) {
+        await this.compareFile(file);
+        e.target.value = '';
+      }
+    });
+
+    const fileButton = document.createElement('button');
+    fileButton.type = 'button';
+    fileButton.className = 'secondary outline';
+    fileButton.textContent = 'Compare with a style file…';
+    fileButton.addEventListener('click', () => {
+      fileInput.click();
+    });
+    picker.append(fileInput, fileButton);
+
+    return picker;
+  }
+
+  /**
+   * Create the list of changes
+   * @private
+   * @returns {HTMLElement} Diff
+   */
+  _createDiff() {
+    const diff = document.createElement('div');
+    diff.className = 'style-diff-changes';
+
+    const summary = document.createElement('p');
+    summary.className = 'style-diff-summary';
+    summary.textContent = this._getSummary();
+    diff.appendChild(summary);
+    if (!this.changes.length) {
+      return diff;
+    }
+
+    const all = document.createElement('label');
+    const allInput = document.createElement('input');
+    allInput.type = 'checkbox';
+    allInput.addEventListener('change', () => {
+      this._setSelected(this.changes, allInput.checked);
+    });
+    this.allCheckbox = allInput;
+    all.append(allInput, ' Pick all changes');
+    diff.appendChild(all);
+
+    const table = document.createElement('table');
+    table.className = 'style-diff-table';
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const text of ['Change', 'Current style', this.otherName]) {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = text;
+      headRow.appendChild(cell);
+    }
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    for (const { name, changes } of this._groupChanges()) {
+      const body = document.createElement('tbody');
+      body.appendChild(this._createGroupRow(name, changes));
+      for (const change of changes) {
+        body.appendChild(this._createChangeRow(change));
+      }
+      table.appendChild(body);
+    }
+
+    const scroller = document.createElement('div');
+    scroller.className = 'style-diff-scroller';
+    scroller.appendChild(table);
+    diff.appendChild(scroller);
+    return diff;
+  }
+
+  /**
+   * Group the changes by layer
+   * @private
+   * @returns {Array<Object>} Groups { name, changes } in style order
+   */
+  _groupChanges() {
+    const groups = new Map();
+    for (const change of this.changes) {
+      const key = change.layerId ? `layer:${change.layerId}` : change.scope;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          name: change.layerId ? this._getLayerName(change.layerId) : GROUP_NAMES[change.scope],
+          changes: []
+        });
+      }
+      groups.get(key).changes.push(change);
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * Create the heading row of a group, which picks all its changes
+   * @private
+   * @param {string} name - Group name
+   * @param {Array<Object>} changes - Changes of the group
+   * @returns {HTMLElement} Row
+   */
+  _createGroupRow(name, changes) {
+    const row = document.createElement('tr');
+    row.className = 'style-diff-group';
+    const cell = document.createElement('th');
+    cell.scope = 'rowgroup';
+    cell.colSpan = 3;
+
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.addEventListener('change', () => {
+      this._setSelected(changes, input.checked);
+    });
+    this.groupCheckboxes.push({ input, changes });
+    label.append(input, ` ${name}`);
+
+    const layerChange = changes.find(change => change.scope === 'layer');
+    if (layerChange) {
+      label.appendChild(this._createStatus(layerChange.status === 'changed' ? 'replaced' : layerChange.status));
+    }
+    cell.appendChild(label);
+    row.appendChild(cell);
+    return row;
+  }
+
+  /**
+   * Create the row of a change
+   * @private
+   * @param {Object} change - Change from compareStyles
+   * @returns {HTMLElement} Row
+   */
+  _createChangeRow(change) {
+    const row = document.createElement('tr');
+    row.className = `style-diff-${change.status}`;
+
+    const name = document.createElement('td');
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = this.selected.has(change.id);
+    input.addEventListener('change', () => {
+      this._setSelected([change], input.checked);
+    });
+    this.checkboxes.set(change.id, input);
+
+    const code = document.createElement('code');
+    code.textContent = this._getChangeName(change);
+    label.append(input, ' ', code);
+    if (change.scope !== 'layer') {
+      label.appendChild(this._createStatus(change.status));
+    }
+    name.appendChild(label);
+
+    row.append(name, this._createValueCell(change, change.current), this._createValueCell(change, change.other));
+    return row;
+  }
+
+  /**
+   * Create a status badge
+   * @private
+   * @param {string} status - 'added', 'removed', 'changed' or 'replaced'
+   * @returns {HTMLElement} Badge
+   */
+  _createStatus(status) {
+    const badge = document.createElement('small');
+    badge.className = `style-diff-status ${status}`;
+    badge.textContent = status;
+    return badge;
+  }
+
+  /**
+   * Create the cell showing one side of a change
+   * @private
+   * @param {Object} change - Change
+   * @param {*} value - Value on that side
+   * @returns {HTMLElement} Cell
+   */
+  _createValueCell(change, value) {
+    const cell = document.createElement('td');
+    if (value === undefined) {
+      const unset = document.createElement('span');
+      unset.className = 'style-diff-unset';
+      unset.textContent = change.scope === 'layer' ? 'No layer' : 'Not set';
+      cell.appendChild(unset);
+      return cell;
+    }
+
+    const colors = change.scope === 'layer'
+      ? this._collectColors({ ...value.paint })
+      : /color/.test(change.property || '') ? this._collectColors(value) : [];
+    for (const color of colors.slice(0, MAX_SWATCHES)) {
+      const swatch = document.createElement('span');
+      swatch.className = 'style-diff-swatch';
+      swatch.style.background = color;
+      swatch.title = color;
+      swatch.setAttribute('aria-hidden', 'true');
+      cell.appendChild(swatch);
+    }
+
+    const code = document.createElement('code');
+    code.textContent = this._formatValue(change, value);
+    cell.appendChild(code);
+    return cell;
+  }
+
+  /**
+   * Collect the colors in a value, expressions included
+   * @private
+   * @param {*} value - Property value
+   * @returns {Array<string>} Unique colors
+   */
+  _collectColors(value) {
+    const colors = new Set();
+    const visit = (item) => {
+      if (Array.isArray(item)) {
+        item.forEach(visit);
+      } else if (item && typeof item === 'object') {
+        Object.values(item).forEach(visit);
+      } else if (isValidColor(item)) {
+        colors.add(item);
+      }
+    };
+    visit(value);
+    return [...colors];
+  }
+
+  /**
+   * Format one side of a change for display
+   * @private
+   * @param {Object} change - Change
+   * @param {*} value - Value on that side
+   * @returns {string} Text
+   */
+  _formatValue(change, value) {
+    if (change.scope === 'layer') {
+      return [value.type, value['source-layer'] || value.source].filter(Boolean).join(' · ');
+    }
+    if (change.scope === 'order') {
+      return value.map(layerId => this._getLayerName(layerId)).join(' › ');
+    }
+    if (change.scope === 'source') {
+      if (value.url) {
+        return value.url;
+      }
+      return typeof value.data === 'string' ? value.data : `${value.type} source`;
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Get the name of what a change affects
+   * @private
+   * @param {Object} change - Change
+   * @returns {string} Name
+   */
+  _getChangeName(change) {
+    switch (change.scope) {
+      case 'layer':
+        return 'layer';
+      case 'source':
+        return change.sourceId;
+      case 'order':
+        return 'order (bottom to top)';
+      default:
+        return change.property;
+    }
+  }
+
+  /**
+   * Summarise the changes
+   * @private
+   * @returns {string} Summary
+   */
+  _getSummary() {
+    if (!this.changes.length) {
+      return `The current style and ${this.otherName} are the same.`;
+    }
+
+    const layers = this.changes.filter(change => change.scope === 'layer');
+    const changedLayers = new Set(this.changes.filter(change => change.scope === 'property').map(change => change.layerId));
+    const count = (n, text) => `${n} ${n === 1 ? 'layer' : 'layers'} ${text}`;
+    const parts = [
+      count(layers.filter(change => change.status === 'added').length, `only in ${this.otherName}`),
+      count(layers.filter(change => change.status === 'removed').length, 'only in the current style'),
+      count(changedLayers.size + layers.filter(change => change.status === 'changed').length, 'changed')
+    ];
+    return `${parts.join(', ')}. Pick the changes to apply to the current style.`;
+  }
+
+  /**
+   * Pick or unpick changes
+   * @private
+   * @param {Array<Object>} changes - Changes
+   * @param {boolean} selected - Picked state
+   */
+  _setSelected(changes, selected) {
+    for (const change of changes) {
+      if (selected) {
+        this.selected.add(change.id);
+      } else {
+        this.selected.delete(change.id);
+      }
+      const input = this.checkboxes.get(change.id);
+      if (input) {
+        input.checked = selected;
+      }
+    }
+    this._updateSelection();
+  }
+
+  /**
+   * Sync the group checkboxes and merge button with the picked changes
+   * @private
+   */
+  _updateSelection() {
+    const setState = (input, changes) => {
+      const picked = changes.filter(change => this.selected.has(change.id)).length;
+      input.checked = picked > 0 && picked === changes.length;
+      input.indeterminate = picked > 0 && picked < changes.length;
+    };
+    for (const { input, changes } of this.groupCheckboxes) {
+      setState(input, changes);
+    }
+    if (this.allCheckbox) {
+      setState(this.allCheckbox, this.changes);
+    }
+
+    const count = this.selected.size;
+    this.mergeButton.textContent = count ? `Merge ${count} ${count === 1 ? 'change' : 'changes'}` : 'Merge';
+    this.mergeButton.disabled = !count;
+  }
+
+  /**
+   * Get a layer's display name
+   * @private
+   * @param {string} layerId - Layer ID
+   * @returns {string} Name
+   */
+  _getLayerName(layerId) {
+    const layer = this.other?.layers.find(item => item.id === layerId);
+    return this.appState.getLayerConfig()[layerId]?.name || layer?.metadata?.['map-remix:name'] || layerId;
+  }
+
+  /**
+   * Merge the picked changes into the current style
+   * @returns {Object} Merge result
+   */
+  merge() {
+    const changes = this.changes.filter(change => this.selected.has(change.id));
+    this.close();
+
+    return this.exportControls.mergeChanges(this.other, changes, { name: this.otherName });
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * StyleExportDialog - UI component choosing the format of a style export
+ * Besides MapLibre JSON, the style converts to Mapbox GL JSON, SLD, QGIS QML
+ * (one file per layer) and CartoCSS. Properties a format can't express are
+ * listed before downloading.
+ */
+
+import { STYLE_FORMATS } from './ExportControls.js';
+
+/**
+ * Export formats offered in the dialog
+ */
+const FORMATS = [
+  ['maplibre', 'MapLibre GL JSON'],
+  ['mapbox', STYLE_FORMATS.mapbox.name],
+  ['sld', 'SLD / Symbology Encoding (GeoServer)'],
+  ['qml', 'QGIS layer style (QML)'],
+  ['cartocss', STYLE_FORMATS.cartocss.name]
+];
+
+export class StyleExportDialog {
+  /**
+   * Initialize StyleExportDialog
+   * @param {HTMLDialogElement} container - Dialog element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   * @param {ExportControls} exportControls - Runs the export
+   */
+  constructor(container, appState, mapController, exportControls) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.exportControls = exportControls;
+    this.settings = {
+      format: 'maplibre',
+      layerId: ''
+    };
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    // Clicking the backdrop closes the dialog
+    this.container.addEventListener('click', (e) => {
+      if (e.target === this.container) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the dialog
+   */
+  open() {
+    this._render();
+    this.container.showModal();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.container.close();
+  }
+
+  /**
+   * Render the dialog
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+
+    const article = document.createElement('article');
+    article.className = 'style-export';
+
+    const header = document.createElement('header');
+    const title = document.createElement('h3');
+    title.textContent = 'Export style';
+    header.appendChild(title);
+    article.appendChild(header);
+
+    const form = document.createElement('form');
+    form.method = 'dialog';
+    form.appendChild(this._createFormatField());
+
+    const footer = document.createElement('footer');
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.close());
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'submit';
+    exportButton.textContent = 'Export';
+    footer.append(cancelButton, exportButton);
+
+    if (this.settings.format === 'maplibre') {
+      form.appendChild(this._createSummary('The style as this app uses it, including layer visibility and the active theme.'));
+    } else {
+      try {
+        const conversion = this.exportControls.convertStyle(this.settings.format);
+        if (this.settings.format === 'qml') {
+          form.appendChild(this._createLayerField(conversion.files));
+        }
+        form.appendChild(this._createReport(this._getUntranslated(conversion.untranslated)));
+        exportButton.disabled = !conversion.files.length;
+      } catch (error) {
+        console.error('Failed to convert style:', error);
+        const summary = this._createSummary(`The style can't be converted: ${error.message}`);
+        summary.classList.add('error');
+        form.appendChild(summary);
+        exportButton.disabled = true;
+      }
+    }
+
+    form.appendChild(footer);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.export();
+    });
+
+    article.appendChild(form);
+    this.container.appendChild(article);
+  }
+
+  /**
+   * Create the format select
+   * @private
+   * @returns {HTMLElement} Field
+   */
+  _createFormatField() {
+    const label = document.createElement('label');
+    label.textContent = 'Format';
+    const select = document.createElement('select');
+    for (const [format, text] of FORMATS) {
+      const option = document.createElement('option');
+      option.value = format;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    select.value = this.settings.format;
+    select.addEventListener('change', () => {
+      this.settings.format = select.value;
+      this._render();
+      this.container.querySelector('select')?.focus();
+    });
+    label.appendChild(select);
+    return label;
+  }
+
+  /**
+   * Create the layer select for QML, which styles one layer per file
+   * @private
+   * @param {Array<Object>} files - QML files of all layers
+   * @returns {HTMLElement} Field
+   */
+  _createLayerField(files) {
+    const label = document.createElement('label');
+    label.textContent = 'Layer';
+    const select = document.createElement('select');
+
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = `All layers (${files.length} files)`;
+    select.appendChild(all);
+    for (const { layerId } of files) {
+      const option = document.createElement('option');
+      option.value = layerId;
+      option.textContent = this._getLayerName(layerId);
+      select.appendChild(option);
+    }
+
+    if (!files.some(file => file.layerId === this.settings.layerId)) {
+      this.settings.layerId = '';
+    }
+    select.value = this.settings.layerId;
+    select.addEventListener('change', () => {
+      this.settings.layerId = select.value;
+      this._render();
+      this.container.querySelectorAll('select')[1]?.focus();
+    });
+    label.appendChild(select);
+    return label;
+  }
+
+  /**
+   * Create the list of properties the format can't express
+   * @private
+   * @param {Array<Object>} untranslated - { layerId, property, reason }
+   * @returns {HTMLElement} Report
+   */
+  _createReport(untranslated) {
+    if (!untranslated.length) {
+      return this._createSummary('Every property translates to this format.');
+    }
+
+    const details = document.createElement('details');
+    details.className = 'style-export-report';
+    details.open = untranslated.length <= 8;
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${untranslated.length} ${untranslated.length === 1 ? 'property' : 'properties'} can't be translated`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    for (const { layerId, property, reason } of untranslated) {
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = layerId ? this._getLayerName(layerId) : 'Style';
+      const code = document.createElement('code');
+      code.textContent = property;
+      item.append(name, ' ', code, `: ${reason}`);
+      list.appendChild(item);
+    }
+    details.appendChild(list);
+    return details;
+  }
+
+  /**
+   * Create a summary paragraph
+   * @private
+   * @param {string} text - Summary text
+   * @returns {HTMLElement} Paragraph
+   */
+  _createSummary(text) {
+    const summary = document.createElement('p');
+    summary.className = 'style-export-summary';
+    summary.textContent = text;
+    return summary;
+  }
+
+  /**
+   * Limit the report to the selected QML layer
+   * @private
+   * @param {Array<Object>} untranslated - Report of all layers
+   * @returns {Array<Object>} Report
+   */
+  _getUntranslated(untranslated) {
+    if (this.settings.format !== 'qml' || !this.settings.layerId) {
+      return untranslated;
+    }
+    const { untranslated: layerReport } = this.exportControls.convertStyle('qml', { layerIds: [this.settings.layerId] });
+    return layerReport;
+  }
+
+  /**
+   * Get a layer's display name
+   * @private
+   * @param {string} layerId - Layer ID
+   * @returns {string} Name
+   */
+  _getLayerName(layerId) {
+    return this.appState.getLayerConfig()[layerId]?.name || layerId;
+  }
+
+  /**
+   * Export with the current settings
+   * @returns {Promise<Object>} Export result
+   */
+  async export() {
+    const { format, layerId } = this.settings;
+    this.close();
+
+    if (format === 'maplibre') {
+      return this.exportControls.exportStyleJSON();
+    }
+    return this.exportControls.exportStyleAs(format, layerId ? { layerIds: [layerId] } : {});
+  }
+}
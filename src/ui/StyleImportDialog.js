@@ -0,0 +1,268 @@
+/**
+ * StyleImportDialog - UI component binding an imported style's layers to data
+ * Mapbox, SLD and QML styles describe data this map doesn't have: each of
+ * their layers (a source layer, an SLD NamedLayer or a QML file) is bound to
+ * one of the loaded sources, or skipped, before the style is imported.
+ */
+
+import { listLayerTargets, suggestLayerTarget } from '../formats/importStyle.js';
+import { generateId } from '../utils/helpers.js';
+
+/**
+ * How the imported layers are added
+ */
+const MODES = [
+  ['append', 'Add above the current layers'],
+  ['replace', 'Replace the current layers']
+];
+
+const TYPE_NAMES = { line: 'lines', fill: 'polygons', circle: 'points' };
+
+export class StyleImportDialog {
+  /**
+   * Initialize StyleImportDialog
+   * @param {HTMLDialogElement} container - Dialog element
+   * @param {AppState} appState - Application state instance
+   * @param {MapController} mapController - Map controller instance
+   * @param {ExportControls} exportControls - Runs the import
+   */
+  constructor(container, appState, mapController, exportControls) {
+    this.container = container;
+    this.appState = appState;
+    this.mapController = mapController;
+    this.exportControls = exportControls;
+    this.imported = null;
+    this.filename = '';
+    this.targets = [];
+    this.mapping = {};
+    this.mode = 'append';
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   * @private
+   */
+  _setupEventListeners() {
+    // Clicking the backdrop closes the dialog
+    this.container.addEventListener('click', (e) => {
+      if (e.target === this.container) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * Open the dialog for an imported style
+   * @param {Object} imported - Imported style from ExportControls.readStyleFile
+   * @param {string} filename - Imported file name
+   */
+  open(imported, filename) {
+    this.imported = imported;
+    this.filename = filename;
+    this.targets = listLayerTargets(this.appState.getCurrentStyle(), this.appState.tileSchema);
+    this.mapping = {};
+    for (const group of imported.groups) {
+      this.mapping[group.id] = suggestLayerTarget(group, this.targets) || '';
+    }
+
+    this._render();
+    this.container.showModal();
+  }
+
+  /**
+   * Close the dialog
+   */
+  close() {
+    this.container.close();
+  }
+
+  /**
+   * Render the dialog
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = '';
+
+    const article = document.createElement('article');
+    article.className = 'style-import';
+
+    const header = document.createElement('header');
+    const title = document.createElement('h3');
+    title.textContent = `Import ${this.imported.formatName} style`;
+    const filename = document.createElement('p');
+    filename.className = 'style-import-file';
+    filename.textContent = this.filename;
+    header.append(title, filename);
+    article.appendChild(header);
+
+    const form = document.createElement('form');
+    form.method = 'dialog';
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Choose the data each imported layer styles. Layers left on "Don\'t import" are skipped.';
+    form.appendChild(intro);
+    form.appendChild(this._createMappingTable());
+    form.appendChild(this._createModeFieldset());
+    if (this.imported.untranslated.length) {
+      form.appendChild(this._createReport());
+    }
+
+    const footer = document.createElement('footer');
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.close());
+
+    const importButton = document.createElement('button');
+    importButton.type = 'submit';
+    importButton.textContent = 'Import';
+    this.importButton = importButton;
+    this._updateImportButton();
+    footer.append(cancelButton, importButton);
+    form.appendChild(footer);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.import();
+    });
+
+    article.appendChild(form);
+    this.container.appendChild(article);
+  }
+
+  /**
+   * Create the table binding imported layers to data
+   * @private
+   * @returns {HTMLElement} Table
+   */
+  _createMappingTable() {
+    const table = document.createElement('table');
+    table.className = 'style-import-mapping';
+
+    const head = document.createElement('thead');
+    head.innerHTML = '<tr><th scope="col">Imported layer</th><th scope="col">Data</th></tr>';
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    for (const group of this.imported.groups) {
+      const row = document.createElement('tr');
+
+      const name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = group.name;
+      const details = document.createElement('small');
+      const count = group.layerIds.length;
+      details.textContent = `${count} ${count === 1 ? 'layer' : 'layers'}${group.type ? `, ${TYPE_NAMES[group.type]}` : ''}`;
+      name.append(document.createElement('br'), details);
+
+      const cell = document.createElement('td');
+      const select = document.createElement('select');
+      select.id = generateId('import-target');
+      select.setAttribute('aria-label', `Data for ${group.name}`);
+      select.appendChild(new Option('Don\'t import', ''));
+      for (const target of this.targets) {
+        const suffix = target.type && group.type && target.type !== group.type ? ` (${TYPE_NAMES[target.type]})` : '';
+        select.appendChild(new Option(`${target.name}${suffix}`, target.id));
+      }
+      select.value = this.mapping[group.id];
+      select.addEventListener('change', () => {
+        this.mapping[group.id] = select.value;
+        this._updateImportButton();
+      });
+      cell.appendChild(select);
+
+      row.append(name, cell);
+      body.appendChild(row);
+    }
+    table.appendChild(body);
+    return table;
+  }
+
+  /**
+   * Create the append/replace choice
+   * @private
+   * @returns {HTMLElement} Fieldset
+   */
+  _createModeFieldset() {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = 'Imported layers';
+    fieldset.appendChild(legend);
+
+    const name = generateId('import-mode');
+    for (const [mode, text] of MODES) {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = name;
+      input.value = mode;
+      input.checked = this.mode === mode;
+      input.addEventListener('change', () => {
+        this.mode = mode;
+      });
+      label.append(input, ` ${text}`);
+      fieldset.appendChild(label);
+    }
+    return fieldset;
+  }
+
+  /**
+   * Create the list of properties that couldn't be translated
+   * @private
+   * @returns {HTMLElement} Report
+   */
+  _createReport() {
+    const { untranslated } = this.imported;
+    const details = document.createElement('details');
+    details.className = 'style-import-report';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${untranslated.length} ${untranslated.length === 1 ? 'property' : 'properties'} can't be translated`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    for (const { layerId, property, reason } of untranslated) {
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = layerId || 'Style';
+      const code = document.createElement('code');
+      code.textContent = property;
+      item.append(name, ' ', code, `: ${reason}`);
+      list.appendChild(item);
+    }
+    details.appendChild(list);
+    return details;
+  }
+
+  /**
+   * Enable the import button once a layer is bound to data
+   * @private
+   */
+  _updateImportButton() {
+    this.importButton.disabled = !Object.values(this.mapping).some(Boolean);
+  }
+
+  /**
+   * Import with the current mapping
+   * @returns {Object} Import result
+   */
+  import() {
+    const mapping = {};
+    for (const [groupId, targetId] of Object.entries(this.mapping)) {
+      const target = this.targets.find(item => item.id === targetId);
+      if (target) {
+        mapping[groupId] = target;
+      }
+    }
+    this.close();
+
+    return this.exportControls.importMappedStyle(this.imported, {
+      mapping,
+      mode: this.mode,
+      filename: this.filename
+    });
+  }
+}
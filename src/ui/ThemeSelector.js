@@ -1,9 +1,11 @@
 /**
- * ThemeSelector - UI component for selecting and applying themes
- * Creates buttons for each available theme
+ * ThemeSelector - UI component for selecting, authoring and sharing themes
+ * Creates buttons for built-in and user themes plus save/import/export controls
  */
 
-import { themes, getTheme } from '../styles/themes.js';
+import { themes, getTheme, createThemeFromStyle, validateTheme, matchThemeToStyle } from '../styles/themes.js';
+import { ThemeStore } from '../state/ThemeStore.js';
+import { generateId, downloadBlob } from '../utils/helpers.js';
 
 export class ThemeSelector {
   /**
@@ -17,9 +19,28 @@ export class ThemeSelector {
     this.appState = appState;
     this.mapController = mapController;
     this.themeButtons = new Map();
+    this.themeStore = new ThemeStore();
     
     this._setupEventListeners();
     this._render();
+    this._loadUserThemes();
+  }
+
+  /**
+   * Load saved user themes
+   * @private
+   */
+  async _loadUserThemes() {
+    try {
+      await this.themeStore.load();
+    } catch (error) {
+      console.error('Failed to load saved themes:', error);
+      this.appState.addError({
+        type: 'themeStorage',
+        message: 'Failed to load your saved themes',
+        error
+      });
+    }
   }
 
   /**
@@ -36,6 +57,11 @@ export class ThemeSelector {
     this.appState.on('styleReset', () => {
       this._updateActiveTheme('default');
     });
+
+    // Re-render when user themes are saved, renamed, deleted or imported
+    this.themeStore.on('themesChanged', () => {
+      this._render();
+    });
   }
 
   /**
@@ -54,10 +80,291 @@ export class ThemeSelector {
       this.themeButtons.set(themeName, button);
     }
 
+    this.container.appendChild(this._createUserThemes());
+    this.container.appendChild(this._createSaveForm());
+    this.container.appendChild(this._createPackControls());
+
     // Set initial active theme
     this._updateActiveTheme(this.appState.activeTheme);
   }
 
+  /**
+   * Create the list of user themes with rename/delete actions
+   * @private
+   * @returns {HTMLElement} User theme section
+   */
+  _createUserThemes() {
+    const section = document.createElement('div');
+    section.className = 'user-themes';
+
+    const userThemes = Object.entries(this.themeStore.getAll());
+    if (userThemes.length === 0) {
+      return section;
+    }
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'My themes';
+    section.appendChild(heading);
+
+    for (const [themeId, themeData] of userThemes) {
+      const row = document.createElement('div');
+      row.className = 'user-theme';
+
+      const button = this._createThemeButton(themeId, themeData);
+      this.themeButtons.set(themeId, button);
+
+      const renameButton = this._createActionButton('✎', `Rename ${themeData.name}`, () => {
+        this._renameTheme(themeId);
+      });
+      const deleteButton = this._createActionButton('✕', `Delete ${themeData.name}`, () => {
+        this._deleteTheme(themeId);
+      });
+
+      row.appendChild(button);
+      row.appendChild(renameButton);
+      row.appendChild(deleteButton);
+      section.appendChild(row);
+    }
+
+    return section;
+  }
+
+  /**
+   * Create "Save current style as theme" form
+   * @private
+   * @returns {HTMLFormElement} Form
+   */
+  _createSaveForm() {
+    const inputId = generateId('theme-name');
+
+    const form = document.createElement('form');
+    form.className = 'theme-save';
+
+    const label = document.createElement('label');
+    label.htmlFor = inputId;
+    label.className = 'sr-only';
+    label.textContent = 'Theme name';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = inputId;
+    input.placeholder = 'Theme name';
+    input.required = true;
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.className = 'secondary';
+    button.textContent = 'Save current style';
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = input.value.trim();
+      if (name) {
+        await this._saveCurrentStyle(name);
+      }
+    });
+
+    form.appendChild(label);
+    form.appendChild(input);
+    form.appendChild(button);
+    return form;
+  }
+
+  /**
+   * Create theme pack import/export controls
+   * @private
+   * @returns {HTMLElement} Controls
+   */
+  _createPackControls() {
+    const container = document.createElement('div');
+    container.className = 'theme-pack';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async (e) => {
+      const [file] = e.target.files;
+      if (file) {
+        await this.importThemePack(file);
+        e.target.value = '';
+      }
+    });
+
+    const importButton = this._createActionButton('Import themes', 'Import a theme pack (.json)', () => {
+      fileInput.click();
+    });
+
+    const exportButton = this._createActionButton('Export my themes', 'Download your themes as a theme pack', () => {
+      this.exportThemePack();
+    });
+    exportButton.disabled = Object.keys(this.themeStore.getAll()).length === 0;
+
+    container.appendChild(fileInput);
+    container.appendChild(importButton);
+    container.appendChild(exportButton);
+    return container;
+  }
+
+  /**
+   * Create a small secondary button
+   * @private
+   * @param {string} text - Button text
+   * @param {string} label - Accessible label / tooltip
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button
+   */
+  _createActionButton(text, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary outline theme-action';
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Save the current style as a user theme
+   * @private
+   * @param {string} name - Theme name
+   */
+  async _saveCurrentStyle(name) {
+    try {
+      const theme = createThemeFromStyle(this.appState.currentStyle, {
+        name,
+        description: `Saved ${new Date().toLocaleDateString()}`
+      });
+      const themeId = await this.themeStore.save(theme);
+
+      this.appState.activeTheme = themeId;
+      this._updateActiveTheme(themeId);
+      this.appState.emit('themeSaved', { themeId, themeName: name });
+    } catch (error) {
+      console.error('Failed to save theme:', error);
+      this.appState.addError({
+        type: 'themeStorage',
+        message: `Failed to save theme: ${error.message}`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Rename a user theme
+   * @private
+   * @param {string} themeId - Theme ID
+   */
+  async _renameTheme(themeId) {
+    const theme = this.themeStore.get(themeId);
+    const name = theme && prompt('Rename theme', theme.name);
+    if (!name || name.trim() === theme.name) {
+      return;
+    }
+
+    try {
+      await this.themeStore.rename(themeId, name);
+    } catch (error) {
+      console.error('Failed to rename theme:', error);
+      this.appState.addError({
+        type: 'themeStorage',
+        message: `Failed to rename ${theme.name}`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Delete a user theme
+   * @private
+   * @param {string} themeId - Theme ID
+   */
+  async _deleteTheme(themeId) {
+    const theme = this.themeStore.get(themeId);
+    if (!theme || !confirm(`Delete theme "${theme.name}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await this.themeStore.remove(themeId);
+      if (this.appState.activeTheme === themeId) {
+        this.appState.activeTheme = null;
+      }
+    } catch (error) {
+      console.error('Failed to delete theme:', error);
+      this.appState.addError({
+        type: 'themeStorage',
+        message: `Failed to delete ${theme.name}`,
+        error
+      });
+    }
+  }
+
+  /**
+   * Import user themes from a theme pack file
+   * @param {File} file - Theme pack JSON file
+   * @returns {Promise<Object>} Result
+   */
+  async importThemePack(file) {
+    try {
+      this.appState.emit('importStarted', { type: 'themes' });
+
+      const data = JSON.parse(await file.text());
+      const { added, errors } = await this.themeStore.importPack(data);
+
+      if (added.length === 0) {
+        throw new Error(errors.length ? errors.join('; ') : 'No themes found in file');
+      }
+      if (errors.length) {
+        console.warn('Skipped invalid themes:', errors);
+      }
+
+      this.appState.emit('importCompleted', {
+        type: 'themes',
+        filename: file.name,
+        count: added.length,
+        skipped: errors.length
+      });
+
+      return { success: true, added };
+
+    } catch (error) {
+      console.error('Failed to import themes:', error);
+      this.appState.addError({
+        type: 'import',
+        message: `Failed to import themes: ${error.message}`,
+        error
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Download user themes as a theme pack
+   * @returns {Object} Result
+   */
+  exportThemePack() {
+    try {
+      const pack = this.themeStore.exportPack();
+      const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+      const filename = `map-remix-themes-${new Date().toISOString().slice(0, 10)}.json`;
+      downloadBlob(blob, filename);
+
+      this.appState.emit('exportCompleted', { type: 'themes', filename });
+      return { success: true, filename };
+
+    } catch (error) {
+      console.error('Failed to export themes:', error);
+      this.appState.addError({
+        type: 'export',
+        message: 'Failed to export themes',
+        error
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Create a theme button
    * @private
@@ -95,11 +402,15 @@ export class ThemeSelector {
    */
   async _applyTheme(themeName) {
     try {
-      const themeData = getTheme(themeName);
+      const themeData = getTheme(themeName) || this.themeStore.get(themeName);
       if (!themeData) {
         throw new Error(`Theme ${themeName} not found`);
       }
 
+      if (!this._confirmThemeMatches(themeData)) {
+        return;
+      }
+
       // Disable all buttons during application
       this._setButtonsEnabled(false);
 
@@ -107,9 +418,6 @@ export class ThemeSelector {
       const success = await this.appState.applyTheme(themeName, themeData);
       
       if (success) {
-        // Update map with new style
-        this.mapController.updateStyle(this.appState.getCurrentStyle());
-        
         // Show success message
         this.appState.emit('themeApplied', {
           themeName,
@@ -132,6 +440,31 @@ export class ThemeSelector {
     }
   }
 
+  /**
+   * Validate a theme against the current layer set
+   * Asks before applying a theme whose layers are partly or entirely missing.
+   * @private
+   * @param {Object} themeData - Theme
+   * @returns {boolean} True to continue
+   */
+  _confirmThemeMatches(themeData) {
+    const { valid, errors } = validateTheme(themeData);
+    if (!valid) {
+      throw new Error(errors.join(', '));
+    }
+
+    const { matched, unmatched } = matchThemeToStyle(themeData, this.appState.currentStyle);
+    if (unmatched.length === 0) {
+      return true;
+    }
+
+    const missing = unmatched.slice(0, 5).join(', ') + (unmatched.length > 5 ? ', …' : '');
+    const message = matched.length === 0
+      ? `None of the layers in "${themeData.name}" exist in the current style (${missing}). Apply it anyway?`
+      : `${unmatched.length} layer(s) in "${themeData.name}" are not in the current style (${missing}). Apply the rest?`;
+    return confirm(message);
+  }
+
   /**
    * Update active theme visual state
    * @private
@@ -151,9 +484,9 @@ export class ThemeSelector {
    * @param {boolean} enabled - Enable state
    */
   _setButtonsEnabled(enabled) {
-    for (const [themeName, button] of this.themeButtons) {
-      button.disabled = !enabled;
-    }
+    this.container.querySelectorAll('button, input').forEach(element => {
+      element.disabled = !enabled;
+    });
   }
 
   /**
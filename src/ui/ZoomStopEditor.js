@@ -0,0 +1,323 @@
+/**
+ * ZoomStopEditor - Stop-based editor for zoom-dependent style properties
+ * Authors MapLibre interpolate (linear/exponential/cubic-bezier) and step expressions
+ */
+
+import { generateId, isValidHexColor } from '../utils/helpers.js';
+import {
+  ZOOM_RANGE,
+  ZOOM_CURVES,
+  parseZoomExpression,
+  buildZoomExpression,
+  convertZoomModel,
+  hasValidStops
+} from '../utils/expressions.js';
+
+export class ZoomStopEditor {
+  /**
+   * Initialize ZoomStopEditor
+   * @param {Object} options - Editor options
+   * @param {string} options.label - Accessible property label
+   * @param {string} options.valueType - 'color' or 'number'
+   * @param {number} options.min - Minimum output value (numbers only)
+   * @param {number} options.max - Maximum output value (numbers only)
+   * @param {number} options.step - Output input step (numbers only)
+   * @param {boolean} options.supportsColorInput - Use native color pickers
+   * @param {Object} options.model - Initial stop model
+   * @param {Function} options.onChange - Called with the built expression
+   */
+  constructor(options) {
+    this.options = options;
+    this.model = options.model;
+    this.element = document.createElement('div');
+    this.element.className = 'zoom-stop-editor';
+
+    this._render();
+  }
+
+  /**
+   * Render the editor
+   * @private
+   */
+  _render() {
+    this.element.innerHTML = '';
+    this.element.appendChild(this._createCurveControls());
+
+    const table = document.createElement('div');
+    table.className = 'zoom-stop-list';
+    table.setAttribute('role', 'list');
+    table.setAttribute('aria-label', `${this.options.label} zoom stops`);
+
+    this.model.stops.forEach((stop, index) => {
+      table.appendChild(this._createStopRow(stop, index));
+    });
+    this.element.appendChild(table);
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'secondary outline zoom-stop-add';
+    addButton.textContent = 'Add stop';
+    addButton.disabled = !this._canAddStop();
+    addButton.addEventListener('click', () => this._addStop());
+    this.element.appendChild(addButton);
+    this.addButton = addButton;
+  }
+
+  /**
+   * Create curve type selector with its parameters
+   * @private
+   * @returns {HTMLElement} Curve controls element
+   */
+  _createCurveControls() {
+    const controlId = generateId('zoom-curve');
+    const container = document.createElement('div');
+    container.className = 'zoom-curve-controls';
+
+    const label = document.createElement('label');
+    label.htmlFor = controlId;
+    label.textContent = 'Curve';
+
+    const select = document.createElement('select');
+    select.id = controlId;
+    for (const curve of ZOOM_CURVES) {
+      const option = document.createElement('option');
+      option.value = curve;
+      option.textContent = curve;
+      option.selected = curve === this.model.curve;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', (e) => {
+      this.model = convertZoomModel(this.model, e.target.value);
+      this._render();
+      this._emitChange();
+    });
+
+    container.appendChild(label);
+    container.appendChild(select);
+
+    if (this.model.curve === 'exponential') {
+      const baseInput = this._createNumberInput(this.model.base, { min: 0.1, max: 5, step: 0.1 });
+      baseInput.setAttribute('aria-label', 'Exponential base');
+      baseInput.title = 'Base (rate of increase)';
+      baseInput.addEventListener('change', (e) => {
+        const base = parseFloat(e.target.value);
+        if (base > 0) {
+          this.model.base = base;
+          this._emitChange();
+        }
+      });
+      container.appendChild(baseInput);
+    }
+
+    if (this.model.curve === 'cubic-bezier') {
+      this.model.controlPoints.forEach((point, index) => {
+        const pointInput = this._createNumberInput(point, { min: 0, max: 1, step: 0.01 });
+        pointInput.setAttribute('aria-label', `Bezier control point ${index + 1}`);
+        pointInput.addEventListener('change', (e) => {
+          const numValue = parseFloat(e.target.value);
+          if (!Number.isNaN(numValue)) {
+            this.model.controlPoints[index] = numValue;
+            this._emitChange();
+          }
+        });
+        container.appendChild(pointInput);
+      });
+    }
+
+    return container;
+  }
+
+  /**
+   * Create a row for a single stop
+   * @private
+   * @param {Object} stop - Stop ({zoom, value})
+   * @param {number} index - Stop index
+   * @returns {HTMLElement} Row element
+   */
+  _createStopRow(stop, index) {
+    const row = document.createElement('div');
+    row.className = 'zoom-stop';
+    row.setAttribute('role', 'listitem');
+
+    const isStepBase = this.model.curve === 'step' && index === 0;
+
+    // Zoom input (the step base applies below the first stop, so it has none)
+    if (isStepBase) {
+      const baseLabel = document.createElement('span');
+      baseLabel.className = 'zoom-stop-base';
+      baseLabel.textContent = 'Base';
+      baseLabel.title = 'Value below the first stop';
+      row.appendChild(baseLabel);
+    } else {
+      const zoomInput = this._createNumberInput(stop.zoom, {
+        min: 0,
+        max: 24,
+        step: 0.5
+      });
+      zoomInput.setAttribute('aria-label', `Stop ${index + 1} zoom`);
+      zoomInput.title = 'Zoom';
+      zoomInput.addEventListener('change', (e) => {
+        stop.zoom = parseFloat(e.target.value);
+        this._emitChange();
+      });
+      row.appendChild(zoomInput);
+    }
+
+    row.appendChild(this._createValueInput(stop, index));
+
+    // Interpolate needs at least two stops; step needs its base and one stop
+    const minimumStops = 2;
+    if (!isStepBase) {
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'secondary outline zoom-stop-remove';
+      removeButton.textContent = '×';
+      removeButton.setAttribute('aria-label', `Remove stop ${index + 1}`);
+      removeButton.disabled = this.model.stops.length <= minimumStops;
+      removeButton.addEventListener('click', () => {
+        this.model.stops.splice(index, 1);
+        this._render();
+        this._emitChange();
+      });
+      row.appendChild(removeButton);
+    }
+
+    return row;
+  }
+
+  /**
+   * Create the output value input for a stop
+   * @private
+   * @param {Object} stop - Stop ({zoom, value})
+   * @param {number} index - Stop index
+   * @returns {HTMLElement} Input element
+   */
+  _createValueInput(stop, index) {
+    let input;
+
+    if (this.options.valueType === 'color') {
+      input = document.createElement('input');
+      const useColorPicker = this.options.supportsColorInput && isValidHexColor(stop.value);
+      input.type = useColorPicker ? 'color' : 'text';
+      input.value = stop.value;
+      if (!useColorPicker) {
+        input.placeholder = '#000000';
+        input.style.fontFamily = 'monospace';
+      }
+      input.setAttribute('aria-label', `Stop ${index + 1} ${this.options.label}`);
+      input.addEventListener('change', (e) => {
+        if (isValidHexColor(e.target.value)) {
+          stop.value = e.target.value;
+          this._emitChange();
+        }
+      });
+    } else {
+      input = this._createNumberInput(stop.value, this.options);
+      input.setAttribute('aria-label', `Stop ${index + 1} ${this.options.label}`);
+      input.addEventListener('change', (e) => {
+        const numValue = parseFloat(e.target.value);
+        if (!Number.isNaN(numValue)) {
+          stop.value = numValue;
+          this._emitChange();
+        }
+      });
+    }
+
+    input.className = 'zoom-stop-value';
+    return input;
+  }
+
+  /**
+   * Create a number input
+   * @private
+   * @param {number} value - Initial value
+   * @param {Object} range - {min, max, step}
+   * @returns {HTMLInputElement} Number input
+   */
+  _createNumberInput(value, { min, max, step }) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = value;
+    if (min !== undefined) input.min = min;
+    if (max !== undefined) input.max = max;
+    if (step !== undefined) input.step = step;
+    return input;
+  }
+
+  /**
+   * Get the stop with the highest zoom (stops can be typed in out of order)
+   * @private
+   * @returns {Object} Stop ({zoom, value}); the step base if it is the only stop
+   */
+  _getHighestStop() {
+    return this.model.stops.reduce((highest, stop) =>
+      (typeof stop.zoom === 'number' && stop.zoom > (highest.zoom ?? -Infinity) ? stop : highest),
+    this.model.stops[0]);
+  }
+
+  /**
+   * Check whether there is room for a stop above the highest one
+   * @private
+   * @returns {boolean} True if the highest stop is below the maximum zoom
+   */
+  _canAddStop() {
+    return (this._getHighestStop().zoom ?? ZOOM_RANGE.min) < ZOOM_RANGE.max;
+  }
+
+  /**
+   * Add a stop above the highest one
+   * @private
+   */
+  _addStop() {
+    if (!this._canAddStop()) {
+      return;
+    }
+
+    const highest = this._getHighestStop();
+    const highestZoom = highest.zoom ?? ZOOM_RANGE.min;
+
+    this.model.stops.push({
+      zoom: Math.min(highestZoom + 2, ZOOM_RANGE.max),
+      value: highest.value
+    });
+
+    this._render();
+    this._emitChange();
+  }
+
+  /**
+   * Build the expression and notify listener if the stops are valid
+   * @private
+   */
+  _emitChange() {
+    const valid = hasValidStops(this.model);
+    this.element.classList.toggle('invalid', !valid);
+    this.element.setAttribute('aria-invalid', valid ? 'false' : 'true');
+    this.addButton.disabled = !this._canAddStop();
+
+    if (valid) {
+      this.options.onChange(buildZoomExpression(this.model));
+    }
+  }
+
+  /**
+   * Update the editor from a property value
+   * @param {*} value - Zoom expression
+   * @returns {boolean} False if the value is not a zoom expression
+   */
+  update(value) {
+    const model = parseZoomExpression(value);
+    if (!model) {
+      return false;
+    }
+
+    // Skip re-rendering for our own edits so focus stays in the active input
+    if (JSON.stringify(buildZoomExpression(model)) === JSON.stringify(buildZoomExpression(this.model))) {
+      return true;
+    }
+
+    this.model = model;
+    this._render();
+    return true;
+  }
+}
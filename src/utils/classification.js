@@ -0,0 +1,201 @@
+/**
+ * Class-break methods for graduated (numeric) data-driven styling
+ * Each method returns the ascending class boundaries, including min and max
+ */
+
+/**
+ * Maximum values fed to Jenks (O(k·n²)); larger samples are thinned evenly
+ */
+const JENKS_MAX_VALUES = 1000;
+
+/**
+ * Available classification methods
+ */
+export const CLASSIFICATION_METHODS = {
+  'equal-interval': { name: 'Equal interval', classify: equalInterval },
+  quantile: { name: 'Quantile', classify: quantile },
+  jenks: { name: 'Natural breaks (Jenks)', classify: jenks }
+};
+
+/**
+ * Compute class breaks for numeric values
+ * @param {number[]} values - Sampled numeric values
+ * @param {string} method - 'equal-interval', 'quantile' or 'jenks'
+ * @param {number} classCount - Requested number of classes
+ * @returns {number[]} Unique ascending boundaries (classCount + 1 at most)
+ */
+export function classify(values, method, classCount) {
+  const numbers = values
+    .filter(value => typeof value === 'number' && Number.isFinite(value))
+    .sort((a, b) => a - b);
+
+  if (numbers.length === 0) {
+    return [];
+  }
+
+  const classifier = CLASSIFICATION_METHODS[method]?.classify;
+  if (!classifier) {
+    throw new Error(`Unknown classification method: ${method}`);
+  }
+
+  // No more classes than distinct values (Jenks can't split equal values)
+  const distinct = uniqueBreaks(numbers).length;
+  const count = Math.max(1, Math.min(classCount, distinct));
+  return uniqueBreaks(classifier(numbers, count));
+}
+
+/**
+ * Equal interval breaks
+ * @param {number[]} sorted - Sorted numeric values
+ * @param {number} classCount - Number of classes
+ * @returns {number[]} Boundaries
+ */
+export function equalInterval(sorted, classCount) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const interval = (max - min) / classCount;
+
+  const breaks = [min];
+  for (let i = 1; i < classCount; i++) {
+    breaks.push(min + interval * i);
+  }
+  breaks.push(max);
+  return breaks;
+}
+
+/**
+ * Quantile breaks (equal feature count per class)
+ * @param {number[]} sorted - Sorted numeric values
+ * @param {number} classCount - Number of classes
+ * @returns {number[]} Boundaries
+ */
+export function quantile(sorted, classCount) {
+  const breaks = [sorted[0]];
+  for (let i = 1; i < classCount; i++) {
+    const position = (sorted.length - 1) * (i / classCount);
+    const lower = Math.floor(position);
+    const fraction = position - lower;
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    breaks.push(sorted[lower] + (sorted[upper] - sorted[lower]) * fraction);
+  }
+  breaks.push(sorted[sorted.length - 1]);
+  return breaks;
+}
+
+/**
+ * Jenks natural breaks (Fisher's exact optimisation of within-class variance)
+ * Like the other methods, inner breaks are the lowest value of each class
+ * (step expressions test >=): [1, 2, 3, 10, 11, 12] in two classes gives
+ * [1, 10, 12].
+ * @param {number[]} sorted - Sorted numeric values
+ * @param {number} classCount - Number of classes
+ * @returns {number[]} Boundaries
+ */
+export function jenks(sorted, classCount) {
+  const data = thin(sorted, JENKS_MAX_VALUES);
+  const n = data.length;
+
+  // lowerClassLimits[i][j]: index of the first value in the last class
+  // when the first i values are split into j classes
+  const lowerClassLimits = [];
+  const varianceCombinations = [];
+
+  for (let i = 0; i <= n; i++) {
+    lowerClassLimits.push(new Array(classCount + 1).fill(0));
+    varianceCombinations.push(new Array(classCount + 1).fill(i === 0 ? 0 : Infinity));
+  }
+  for (let j = 1; j <= classCount; j++) {
+    lowerClassLimits[1][j] = 1;
+    varianceCombinations[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let weight = 0;
+    let variance = 0;
+
+    for (let m = 1; m <= l; m++) {
+      const lowerIndex = l - m + 1;
+      const value = data[lowerIndex - 1];
+
+      weight++;
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / weight;
+
+      const i4 = lowerIndex - 1;
+      if (i4 !== 0) {
+        for (let j = 2; j <= classCount; j++) {
+          const candidate = variance + varianceCombinations[i4][j - 1];
+          if (varianceCombinations[l][j] >= candidate) {
+            lowerClassLimits[l][j] = lowerIndex;
+            varianceCombinations[l][j] = candidate;
+          }
+        }
+      }
+    }
+
+    lowerClassLimits[l][1] = 1;
+    varianceCombinations[l][1] = variance;
+  }
+
+  const breaks = new Array(classCount + 1);
+  breaks[classCount] = data[n - 1];
+  breaks[0] = data[0];
+
+  let k = n;
+  for (let j = classCount; j >= 2; j--) {
+    breaks[j - 1] = data[lowerClassLimits[k][j] - 1];
+    k = lowerClassLimits[k][j] - 1;
+  }
+
+  return breaks;
+}
+
+/**
+ * Evenly thin a sorted array to at most maxLength values, keeping min and max
+ * @private
+ * @param {number[]} sorted - Sorted values
+ * @param {number} maxLength - Maximum length
+ * @returns {number[]} Thinned values
+ */
+function thin(sorted, maxLength) {
+  if (sorted.length <= maxLength) {
+    return sorted;
+  }
+
+  const thinned = [];
+  const stride = (sorted.length - 1) / (maxLength - 1);
+  for (let i = 0; i < maxLength; i++) {
+    thinned.push(sorted[Math.round(i * stride)]);
+  }
+  return thinned;
+}
+
+/**
+ * Drop duplicate boundaries (skewed data can collapse classes)
+ * @private
+ * @param {number[]} breaks - Boundaries
+ * @returns {number[]} Unique boundaries
+ */
+function uniqueBreaks(breaks) {
+  return breaks.filter((value, index) => index === 0 || value !== breaks[index - 1]);
+}
+
+/**
+ * Count occurrences of each distinct value, most frequent first
+ * @param {Array} values - Sampled values
+ * @returns {Array<{value: *, count: number}>} Category counts
+ */
+export function countCategories(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,561 @@
+/**
+ * MapLibre expression helpers for Map Remix
+ * Parses and builds the zoom-dependent and data-driven expressions authored in the style editor
+ */
+
+/**
+ * Zoom range offered by the stop editor (matches the map's min/max zoom)
+ */
+export const ZOOM_RANGE = { min: 5, max: 15 };
+
+/**
+ * Curve types supported by the zoom stop editor
+ */
+export const ZOOM_CURVES = ['linear', 'exponential', 'cubic-bezier', 'step'];
+
+/**
+ * Check if a value is a MapLibre expression (e.g. ["interpolate", ...])
+ * Plain number arrays such as line-dasharray values are not expressions.
+ * @param {*} value - Property value
+ * @returns {boolean} True if value is an expression
+ */
+export function isExpression(value) {
+  return Array.isArray(value) && typeof value[0] === 'string';
+}
+
+/**
+ * Check if a value is a legacy (pre-expression) style function
+ * @param {*} value - Property value
+ * @returns {boolean} True if value is a legacy function object
+ */
+export function isLegacyFunction(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && Array.isArray(value.stops);
+}
+
+/**
+ * Check if an expression output is a literal the editor can show in an input
+ * @private
+ * @param {*} value - Stop output value
+ * @returns {boolean} True if value is a number or string literal
+ */
+function isLiteralOutput(value) {
+  return typeof value === 'number' || typeof value === 'string';
+}
+
+/**
+ * Parse a zoom-keyed interpolate/step expression (or legacy zoom function)
+ * into an editable stop model
+ * @param {*} value - Property value
+ * @returns {Object|null} Stop model ({curve, base, controlPoints, stops}) or null if
+ *   the value is not a zoom-dependent expression the editor understands
+ */
+export function parseZoomExpression(value) {
+  if (isLegacyFunction(value)) {
+    return parseLegacyZoomFunction(value);
+  }
+
+  if (!isExpression(value)) {
+    return null;
+  }
+
+  const [operator] = value;
+
+  if (operator === 'interpolate') {
+    const [, interpolation, input, ...pairs] = value;
+    if (!isZoomInput(input) || !Array.isArray(interpolation) || pairs.length < 2 || pairs.length % 2 !== 0) {
+      return null;
+    }
+
+    const model = {
+      curve: interpolation[0],
+      base: 1,
+      controlPoints: [0.42, 0, 0.58, 1],
+      stops: []
+    };
+
+    if (model.curve === 'exponential') {
+      model.base = interpolation[1];
+    } else if (model.curve === 'cubic-bezier') {
+      model.controlPoints = interpolation.slice(1, 5);
+    } else if (model.curve !== 'linear') {
+      return null;
+    }
+
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (typeof pairs[i] !== 'number' || !isLiteralOutput(pairs[i + 1])) {
+        return null;
+      }
+      model.stops.push({ zoom: pairs[i], value: pairs[i + 1] });
+    }
+
+    return model;
+  }
+
+  if (operator === 'step') {
+    const [, input, baseOutput, ...pairs] = value;
+    if (!isZoomInput(input) || !isLiteralOutput(baseOutput) || pairs.length % 2 !== 0) {
+      return null;
+    }
+
+    const model = {
+      curve: 'step',
+      base: 1,
+      controlPoints: [0.42, 0, 0.58, 1],
+      stops: [{ zoom: null, value: baseOutput }]
+    };
+
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (typeof pairs[i] !== 'number' || !isLiteralOutput(pairs[i + 1])) {
+        return null;
+      }
+      model.stops.push({ zoom: pairs[i], value: pairs[i + 1] });
+    }
+
+    return model;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a legacy `{ base, stops }` zoom function
+ * @private
+ * @param {Object} fn - Legacy function object
+ * @returns {Object|null} Stop model or null for property (data-driven) functions
+ */
+function parseLegacyZoomFunction(fn) {
+  if (fn.property || fn.stops.length === 0) {
+    return null;
+  }
+
+  const stops = [];
+  for (const stop of fn.stops) {
+    if (!Array.isArray(stop) || typeof stop[0] !== 'number' || !isLiteralOutput(stop[1])) {
+      return null;
+    }
+    stops.push({ zoom: stop[0], value: stop[1] });
+  }
+
+  if (fn.type === 'interval') {
+    return {
+      curve: 'step',
+      base: 1,
+      controlPoints: [0.42, 0, 0.58, 1],
+      stops: [{ zoom: null, value: stops[0].value }, ...stops]
+    };
+  }
+
+  // A single-stop function is just a constant, but keep it editable as stops
+  // (stops must stay distinct and ascending)
+  if (stops.length === 1 && stops[0].zoom < ZOOM_RANGE.max) {
+    stops.push({ zoom: ZOOM_RANGE.max, value: stops[0].value });
+  } else if (stops.length === 1) {
+    stops.unshift({ zoom: ZOOM_RANGE.max - 1, value: stops[0].value });
+  }
+
+  const base = fn.base ?? 1;
+  return {
+    curve: base === 1 ? 'linear' : 'exponential',
+    base,
+    controlPoints: [0.42, 0, 0.58, 1],
+    stops
+  };
+}
+
+/**
+ * Check if an expression input is ["zoom"]
+ * @private
+ * @param {*} input - Expression input
+ * @returns {boolean} True if input is the zoom expression
+ */
+function isZoomInput(input) {
+  return Array.isArray(input) && input.length === 1 && input[0] === 'zoom';
+}
+
+/**
+ * Build a MapLibre expression from a stop model
+ * @param {Object} model - Stop model ({curve, base, controlPoints, stops})
+ * @returns {Array} interpolate or step expression
+ */
+export function buildZoomExpression(model) {
+  if (model.curve === 'step') {
+    const [baseStop, ...stops] = model.stops;
+    const expression = ['step', ['zoom'], baseStop.value];
+    for (const stop of sortStops(stops)) {
+      expression.push(stop.zoom, stop.value);
+    }
+    return expression;
+  }
+
+  let interpolation;
+  if (model.curve === 'exponential') {
+    interpolation = ['exponential', model.base];
+  } else if (model.curve === 'cubic-bezier') {
+    interpolation = ['cubic-bezier', ...model.controlPoints];
+  } else {
+    interpolation = ['linear'];
+  }
+
+  const expression = ['interpolate', interpolation, ['zoom']];
+  for (const stop of sortStops(model.stops)) {
+    expression.push(stop.zoom, stop.value);
+  }
+  return expression;
+}
+
+/**
+ * Sort stops by ascending zoom (required by MapLibre)
+ * @private
+ * @param {Object[]} stops - Stops to sort
+ * @returns {Object[]} Sorted copy
+ */
+function sortStops(stops) {
+  return [...stops].sort((a, b) => a.zoom - b.zoom);
+}
+
+/**
+ * Check that a stop model has strictly ascending, unique zoom levels
+ * @param {Object} model - Stop model
+ * @returns {boolean} True if the model can be built into a valid expression
+ */
+export function hasValidStops(model) {
+  const zooms = model.stops
+    .filter((stop, index) => !(model.curve === 'step' && index === 0))
+    .map(stop => stop.zoom);
+
+  // Interpolate needs two stops; step needs one besides its base
+  if (zooms.length < (model.curve === 'step' ? 1 : 2)) {
+    return false;
+  }
+
+  if (zooms.some(zoom => typeof zoom !== 'number' || Number.isNaN(zoom))) {
+    return false;
+  }
+
+  return new Set(zooms).size === zooms.length;
+}
+
+/**
+ * Create a default stop model spanning the zoom range from a static value
+ * @param {*} value - Current static value
+ * @returns {Object} Stop model
+ */
+export function createZoomModel(value) {
+  return {
+    curve: 'linear',
+    base: 1,
+    controlPoints: [0.42, 0, 0.58, 1],
+    stops: [
+      { zoom: ZOOM_RANGE.min, value },
+      { zoom: ZOOM_RANGE.max - 1, value }
+    ]
+  };
+}
+
+/**
+ * Convert a stop model to a different curve type, keeping its stops
+ * @param {Object} model - Stop model
+ * @param {string} curve - Target curve type
+ * @returns {Object} New stop model
+ */
+export function convertZoomModel(model, curve) {
+  if (curve === model.curve) {
+    return model;
+  }
+
+  let stops = model.stops.map(stop => ({ ...stop }));
+
+  if (curve === 'step' && model.curve !== 'step') {
+    // The lowest stop's output becomes the step base
+    stops = [{ zoom: null, value: stops[0].value }, ...stops.slice(1)];
+  } else if (curve !== 'step' && model.curve === 'step') {
+    stops[0] = { zoom: ZOOM_RANGE.min, value: stops[0].value };
+    if (stops.length < 2) {
+      stops.push({ zoom: ZOOM_RANGE.max - 1, value: stops[0].value });
+    }
+  }
+
+  return { ...model, curve, stops };
+}
+
+/**
+ * Get a representative static value from a property value
+ * Used when switching a property from stop mode back to a single value.
+ * @param {*} value - Property value (static or expression)
+ * @param {*} fallback - Value to return if none can be derived
+ * @returns {*} Static value
+ */
+export function getStaticValue(value, fallback) {
+  if (!isExpression(value) && !isLegacyFunction(value)) {
+    return value ?? fallback;
+  }
+
+  const model = parseZoomExpression(value);
+  return model ? model.stops[0].value : fallback;
+}
+
+/**
+ * Evaluate a property value at a zoom level
+ * Zoom-dependent values are resolved; numbers interpolate along the curve,
+ * other outputs (colors, strings) take the value of the stop below.
+ * @param {*} value - Property value (static or expression)
+ * @param {number} zoom - Zoom level
+ * @param {*} fallback - Value to return for expressions that can't be evaluated
+ * @returns {*} Value at that zoom
+ */
+export function evaluateAtZoom(value, zoom, fallback) {
+  if (!isExpression(value) && !isLegacyFunction(value)) {
+    return value ?? fallback;
+  }
+
+  const model = parseZoomExpression(value);
+  if (!model) {
+    return fallback;
+  }
+
+  const { curve, stops } = model;
+  if (curve === 'step') {
+    return stops.reduce((result, stop, index) => (index === 0 || zoom >= stop.zoom ? stop.value : result), stops[0].value);
+  }
+
+  const upperIndex = stops.findIndex(stop => stop.zoom > zoom);
+  if (upperIndex === -1) {
+    return stops[stops.length - 1].value;
+  }
+  if (upperIndex === 0) {
+    return stops[0].value;
+  }
+
+  const lower = stops[upperIndex - 1];
+  const upper = stops[upperIndex];
+  if (typeof lower.value !== 'number' || typeof upper.value !== 'number') {
+    return lower.value;
+  }
+
+  const t = interpolationFactor(model, zoom, lower.zoom, upper.zoom);
+  return lower.value + (upper.value - lower.value) * t;
+}
+
+/**
+ * Position of a zoom between two stops along the model's curve
+ * @private
+ * @param {Object} model - Stop model
+ * @param {number} zoom - Zoom level
+ * @param {number} lowerZoom - Zoom of the stop below
+ * @param {number} upperZoom - Zoom of the stop above
+ * @returns {number} Factor 0–1
+ */
+function interpolationFactor({ curve, base, controlPoints }, zoom, lowerZoom, upperZoom) {
+  const range = upperZoom - lowerZoom;
+  const progress = zoom - lowerZoom;
+
+  if (curve === 'exponential' && base !== 1) {
+    return (Math.pow(base, progress) - 1) / (Math.pow(base, range) - 1);
+  }
+
+  const t = progress / range;
+  if (curve !== 'cubic-bezier') {
+    return t;
+  }
+
+  // Solve the curve's x(s) = t by bisection, then read y(s)
+  const [x1, y1, x2, y2] = controlPoints;
+  const bezier = (s, p1, p2) => 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    if (bezier(mid, x1, x2) < t) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return bezier((low + high) / 2, y1, y2);
+}
+
+/**
+ * Build the attribute accessor used by data-driven expressions
+ * @param {string} field - Feature attribute name
+ * @param {string} valueType - 'number' coerces numeric strings, 'string' stringifies,
+ *   anything else reads the raw value
+ * @returns {Array} Accessor expression
+ */
+export function buildFieldAccessor(field, valueType) {
+  if (valueType === 'number') {
+    return ['to-number', ['get', field], 0];
+  }
+  if (valueType === 'string') {
+    return ['to-string', ['get', field]];
+  }
+  return ['get', field];
+}
+
+/**
+ * Read the attribute name from an accessor built by buildFieldAccessor
+ * @private
+ * @param {*} input - Expression input
+ * @returns {string|null} Field name or null
+ */
+function getAccessorField(input) {
+  if (!isExpression(input)) {
+    return null;
+  }
+  if (input[0] === 'get' && typeof input[1] === 'string') {
+    return input[1];
+  }
+  if ((input[0] === 'to-number' || input[0] === 'to-string') && isExpression(input[1])) {
+    return getAccessorField(input[1]);
+  }
+  return null;
+}
+
+/**
+ * Build a categorical `match` expression
+ * Labels are compared as strings so numeric and text attributes behave the same.
+ * @param {string} field - Feature attribute name
+ * @param {Array<{value: *, output: *}>} categories - Category outputs
+ * @param {*} fallback - Output for unmatched features
+ * @returns {Array|*} match expression, or the fallback when there are no categories
+ */
+export function buildCategoricalExpression(field, categories, fallback) {
+  const seen = new Set();
+  const pairs = [];
+
+  for (const category of categories) {
+    const label = String(category.value);
+    if (seen.has(label)) continue;
+    seen.add(label);
+    pairs.push(label, category.output);
+  }
+
+  if (pairs.length === 0) {
+    return fallback;
+  }
+
+  return ['match', buildFieldAccessor(field, 'string'), ...pairs, fallback];
+}
+
+/**
+ * Build a graduated expression over a numeric attribute
+ * @param {string} field - Feature attribute name
+ * @param {number[]} breaks - Ascending class boundaries (including min and max)
+ * @param {Array} outputs - One output per class for 'step', one per boundary for 'interpolate'
+ * @param {string} curve - 'step' or 'interpolate'
+ * @returns {Array|*} step or interpolate expression (the output itself for a single step class)
+ */
+export function buildGraduatedExpression(field, breaks, outputs, curve = 'step') {
+  const input = buildFieldAccessor(field, 'number');
+
+  if (curve === 'interpolate') {
+    const expression = ['interpolate', ['linear'], input];
+    breaks.forEach((boundary, i) => expression.push(boundary, outputs[i]));
+    return expression;
+  }
+
+  // A step needs at least one stop, so a single class is just its output
+  if (outputs.length < 2) {
+    return outputs[0];
+  }
+
+  // Features below the second boundary take the first class output
+  const expression = ['step', input, outputs[0]];
+  for (let i = 1; i < outputs.length; i++) {
+    expression.push(breaks[i], outputs[i]);
+  }
+  return expression;
+}
+
+/**
+ * Parse a data-driven expression built by the attribute styler
+ * @param {*} value - Property value
+ * @returns {Object|null} {mode, field, curve, classes: [{label, output}], fallback} or null
+ */
+export function parseDataExpression(value) {
+  if (!isExpression(value)) {
+    return null;
+  }
+
+  const [operator] = value;
+
+  if (operator === 'match') {
+    const field = getAccessorField(value[1]);
+    const pairs = value.slice(2, -1);
+    if (!field || pairs.length % 2 !== 0) {
+      return null;
+    }
+
+    const classes = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      const labels = Array.isArray(pairs[i]) ? pairs[i] : [pairs[i]];
+      classes.push({ label: labels.join(', '), output: pairs[i + 1] });
+    }
+
+    return {
+      mode: 'categorical',
+      field,
+      curve: 'match',
+      classes,
+      fallback: value[value.length - 1]
+    };
+  }
+
+  if (operator === 'step') {
+    const field = getAccessorField(value[1]);
+    if (!field) {
+      return null;
+    }
+
+    const pairs = value.slice(3);
+    const classes = [{ label: pairs.length ? `< ${pairs[0]}` : 'All', output: value[2] }];
+    for (let i = 0; i < pairs.length; i += 2) {
+      const upper = pairs[i + 2];
+      const label = upper === undefined ? `≥ ${pairs[i]}` : `${pairs[i]} – ${upper}`;
+      classes.push({ label, output: pairs[i + 1] });
+    }
+
+    return { mode: 'graduated', field, curve: 'step', classes, fallback: null };
+  }
+
+  if (operator === 'interpolate') {
+    const field = getAccessorField(value[2]);
+    if (!field) {
+      return null;
+    }
+
+    const pairs = value.slice(3);
+    const classes = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      classes.push({ label: String(pairs[i]), output: pairs[i + 1] });
+    }
+
+    return { mode: 'graduated', field, curve: 'interpolate', classes, fallback: null };
+  }
+
+  return null;
+}
+
+/**
+ * Produce a short human-readable summary of an expression
+ * @param {*} value - Property value
+ * @returns {string} Summary (e.g. "interpolate · 3 stops")
+ */
+export function describeExpression(value) {
+  const model = parseZoomExpression(value);
+  if (model) {
+    const count = model.curve === 'step' ? model.stops.length - 1 : model.stops.length;
+    return `${model.curve} by zoom · ${count} stop${count === 1 ? '' : 's'}`;
+  }
+
+  const dataModel = parseDataExpression(value);
+  if (dataModel) {
+    const count = dataModel.classes.length;
+    return `${dataModel.curve} by ${dataModel.field} · ${count} class${count === 1 ? '' : 'es'}`;
+  }
+
+  if (isExpression(value)) {
+    return `${value[0]} expression`;
+  }
+
+  return String(value);
+}
@@ -0,0 +1,371 @@
+/**
+ * Layer filter helpers for Map Remix
+ * Converts between MapLibre filter expressions and the editable condition tree
+ * used by the filter builder.
+ *
+ * Model:
+ *   group     { type: 'group', combinator: 'all' | 'any', conditions: [group | condition] }
+ *   condition { type: 'condition', field, operator, value }
+ */
+
+/**
+ * Pseudo-field for the feature geometry type (as in legacy filters)
+ */
+export const GEOMETRY_FIELD = '$type';
+
+/**
+ * Operators offered by the filter builder
+ */
+export const FILTER_OPERATORS = [
+  { value: '==', label: 'equals' },
+  { value: '!=', label: 'not equal' },
+  { value: '<', label: '<' },
+  { value: '<=', label: '≤' },
+  { value: '>', label: '>' },
+  { value: '>=', label: '≥' },
+  { value: 'in', label: 'is one of' },
+  { value: '!in', label: 'is not one of' },
+  { value: 'has', label: 'exists' },
+  { value: '!has', label: 'is missing' }
+];
+
+const COMPARISON_OPERATORS = ['<', '<=', '>', '>='];
+const LIST_OPERATORS = ['in', '!in'];
+const PRESENCE_OPERATORS = ['has', '!has'];
+
+/**
+ * Check if an operator takes a value
+ * @param {string} operator - Operator
+ * @returns {boolean} False for has/!has
+ */
+export function operatorTakesValue(operator) {
+  return !PRESENCE_OPERATORS.includes(operator);
+}
+
+/**
+ * Check if an operator takes a list of values
+ * @param {string} operator - Operator
+ * @returns {boolean} True for in/!in
+ */
+export function operatorTakesList(operator) {
+  return LIST_OPERATORS.includes(operator);
+}
+
+/**
+ * Create an empty filter group
+ * @param {string} combinator - 'all' or 'any'
+ * @returns {Object} Group
+ */
+export function createFilterGroup(combinator = 'all') {
+  return { type: 'group', combinator, conditions: [] };
+}
+
+/**
+ * Create a condition
+ * @param {string} field - Attribute name
+ * @param {string} operator - Operator
+ * @param {*} value - Value (array for in/!in)
+ * @returns {Object} Condition
+ */
+export function createFilterCondition(field = '', operator = '==', value = '') {
+  return { type: 'condition', field, operator, value };
+}
+
+/**
+ * Convert typed input text to a filter value
+ * Numbers are kept as numbers so comparisons work on numeric attributes.
+ * @param {string} text - Input text
+ * @returns {string|number|boolean} Value
+ */
+export function parseFilterValue(text) {
+  const trimmed = String(text).trim();
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+  if (trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  return trimmed;
+}
+
+/**
+ * Convert a list value to input text ("a, b, c")
+ * @param {Array} values - Values
+ * @returns {string} Text
+ */
+export function formatFilterList(values) {
+  return (values || []).join(', ');
+}
+
+/**
+ * Convert input text to a list value
+ * @param {string} text - Comma-separated values
+ * @returns {Array} Values
+ */
+export function parseFilterList(text) {
+  return String(text)
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item !== '')
+    .map(parseFilterValue);
+}
+
+/**
+ * Build the accessor for a field
+ * @private
+ * @param {string} field - Attribute name or GEOMETRY_FIELD
+ * @returns {Array} Expression
+ */
+function buildAccessor(field) {
+  return field === GEOMETRY_FIELD ? ['geometry-type'] : ['get', field];
+}
+
+/**
+ * Build the expression for a single condition
+ * @private
+ * @param {Object} condition - Condition
+ * @returns {Array|null} Expression or null if incomplete
+ */
+function buildConditionExpression({ field, operator, value }) {
+  if (!field) {
+    return null;
+  }
+
+  if (operator === 'has') {
+    return ['has', field];
+  }
+  if (operator === '!has') {
+    return ['!', ['has', field]];
+  }
+
+  if (LIST_OPERATORS.includes(operator)) {
+    const values = (Array.isArray(value) ? value : [value]).filter(item => item !== '');
+    if (!values.length) {
+      return null;
+    }
+    const matches = operator === 'in';
+    // match labels must share one type: compare as strings when mixed
+    const allNumbers = values.every(item => typeof item === 'number');
+    const input = allNumbers ? buildAccessor(field) : ['to-string', buildAccessor(field)];
+    const labels = allNumbers ? values : values.map(String);
+    return ['match', input, [...new Set(labels)], matches, !matches];
+  }
+
+  if (value === '' || value === undefined) {
+    return null;
+  }
+
+  // Numeric strings (e.g. OSM voltage tags) compare as numbers
+  const input = typeof value === 'number' ? ['to-number', buildAccessor(field), 0] : buildAccessor(field);
+  return [operator, input, value];
+}
+
+/**
+ * Build a MapLibre filter expression from a filter model
+ * Incomplete conditions and empty groups are skipped.
+ * @param {Object} model - Filter group
+ * @returns {Array|null} Filter expression, or null when nothing filters
+ */
+export function buildFilterExpression(model) {
+  if (!model) {
+    return null;
+  }
+
+  if (model.type === 'condition') {
+    return buildConditionExpression(model);
+  }
+
+  const parts = model.conditions
+    .map(buildFilterExpression)
+    .filter(Boolean);
+
+  if (parts.length === 0) {
+    return null;
+  }
+  return [model.combinator, ...parts];
+}
+
+/**
+ * Read the field of an accessor expression
+ * @private
+ * @param {*} accessor - ['get', field], ['geometry-type'] (optionally wrapped in to-number/to-string)
+ * @returns {string|null} Field name
+ */
+function parseAccessor(accessor) {
+  if (!Array.isArray(accessor)) {
+    return null;
+  }
+  if (accessor[0] === 'to-number' || accessor[0] === 'to-string') {
+    return parseAccessor(accessor[1]);
+  }
+  if (accessor[0] === 'geometry-type') {
+    return GEOMETRY_FIELD;
+  }
+  if (accessor[0] === 'get' && typeof accessor[1] === 'string' && accessor.length === 2) {
+    return accessor[1];
+  }
+  return null;
+}
+
+/**
+ * Check if a value is a literal usable in the builder
+ * @private
+ * @param {*} value - Value
+ * @returns {boolean} True for strings, numbers and booleans
+ */
+function isLiteral(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Parse a legacy filter (["==", "class", "primary"], ["in", "class", "a", "b"], ...)
+ * @private
+ * @param {Array} filter - Legacy filter
+ * @returns {Object|null} Model node or null
+ */
+function parseLegacyFilter(filter) {
+  const [operator, field, ...values] = filter;
+
+  if (['all', 'any'].includes(operator)) {
+    return null;
+  }
+  if (typeof field !== 'string') {
+    return null;
+  }
+  if (PRESENCE_OPERATORS.includes(operator) && values.length === 0) {
+    return createFilterCondition(field, operator, '');
+  }
+  if (LIST_OPERATORS.includes(operator) && values.every(isLiteral)) {
+    return createFilterCondition(field, operator, values);
+  }
+  if (['==', '!=', ...COMPARISON_OPERATORS].includes(operator) && values.length === 1 && isLiteral(values[0])) {
+    return createFilterCondition(field, operator, values[0]);
+  }
+  return null;
+}
+
+/**
+ * Parse a filter expression into a builder model
+ * Understands the expressions buildFilterExpression produces plus the common
+ * legacy forms; anything else returns null so the UI can show it read-only.
+ * @param {*} filter - Layer filter
+ * @returns {Object|null} Filter group, or null if the filter cannot be edited
+ */
+export function parseFilterExpression(filter) {
+  if (filter === undefined || filter === null) {
+    return createFilterGroup('all');
+  }
+
+  const node = parseFilterNode(filter);
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'group') {
+    return node;
+  }
+
+  const group = createFilterGroup('all');
+  group.conditions.push(node);
+  return group;
+}
+
+/**
+ * Parse one node of a filter expression
+ * @private
+ * @param {*} filter - Filter expression
+ * @returns {Object|null} Model node or null
+ */
+function parseFilterNode(filter) {
+  if (!Array.isArray(filter) || typeof filter[0] !== 'string') {
+    return null;
+  }
+
+  const [operator, ...args] = filter;
+
+  if (operator === 'all' || operator === 'any') {
+    const group = createFilterGroup(operator);
+    for (const arg of args) {
+      const child = parseFilterNode(arg);
+      if (!child) {
+        return null;
+      }
+      group.conditions.push(child);
+    }
+    return group;
+  }
+
+  if (operator === 'has' && typeof args[0] === 'string' && args.length === 1) {
+    return createFilterCondition(args[0], 'has', '');
+  }
+
+  if (operator === '!' && args[0]?.[0] === 'has' && typeof args[0][1] === 'string') {
+    return createFilterCondition(args[0][1], '!has', '');
+  }
+
+  if (operator === 'match' && args.length === 4 && Array.isArray(args[1])
+      && typeof args[2] === 'boolean' && args[3] === !args[2]) {
+    const field = parseAccessor(args[0]);
+    if (field && args[1].every(isLiteral)) {
+      return createFilterCondition(field, args[2] ? 'in' : '!in', [...args[1]]);
+    }
+    return null;
+  }
+
+  if (['==', '!=', ...COMPARISON_OPERATORS].includes(operator) && args.length === 2) {
+    const field = parseAccessor(args[0]);
+    if (field && isLiteral(args[1])) {
+      return createFilterCondition(field, operator, args[1]);
+    }
+    // Expression-style operator with a legacy string field
+    if (typeof args[0] !== 'string') {
+      return null;
+    }
+  }
+
+  return parseLegacyFilter(filter);
+}
+
+/**
+ * Count the conditions in a model
+ * @param {Object} model - Filter group
+ * @returns {number} Number of conditions
+ */
+export function countFilterConditions(model) {
+  if (!model) {
+    return 0;
+  }
+  if (model.type === 'condition') {
+    return 1;
+  }
+  return model.conditions.reduce((sum, child) => sum + countFilterConditions(child), 0);
+}
+
+/**
+ * Operators that select the opposite features
+ */
+const NEGATED_OPERATORS = {
+  '==': '!=',
+  '!=': '==',
+  '<': '>=',
+  '<=': '>',
+  '>': '<=',
+  '>=': '<',
+  in: '!in',
+  '!in': 'in',
+  has: '!has',
+  '!has': 'has'
+};
+
+/**
+ * Negate a model node (De Morgan for groups)
+ * @param {Object} model - Filter group or condition
+ * @returns {Object} Node selecting the features the input rejects
+ */
+export function negateFilter(model) {
+  if (model.type === 'condition') {
+    return createFilterCondition(model.field, NEGATED_OPERATORS[model.operator], model.value);
+  }
+  const group = createFilterGroup(model.combinator === 'any' ? 'all' : 'any');
+  group.conditions = model.conditions.map(negateFilter);
+  return group;
+}
@@ -30,6 +30,28 @@ export function deepClone(obj) {
   return cloned;
 }
 
+/**
+ * Check two JSON values for equality
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+export function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => key in b && isEqual(a[key], b[key]));
+}
+
 /**
  * Check if a color string is valid hex format
  * @param {string} color - Color string to validate
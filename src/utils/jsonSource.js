@@ -0,0 +1,258 @@
+/**
+ * JSON source helpers for the code editor
+ * Tokenizes JSON text for highlighting, parses it while recording where each
+ * value sits (by JSON pointer), and works out the context at a cursor.
+ */
+
+import { toPointer } from './validation.js';
+
+const LITERALS = ['true', 'false', 'null'];
+
+/**
+ * Split JSON text into tokens
+ * Never throws: unterminated strings run to the end of the line and unknown
+ * characters become 'invalid' tokens.
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Tokens { type, start, end } where type is
+ *   'string', 'number', 'literal', 'punct', 'whitespace' or 'invalid'
+ */
+export function tokenizeJSON(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const start = i;
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      tokens.push({ type: 'whitespace', start, end: i });
+    } else if (char === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"' && text[i] !== '\n') {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      const closed = text[i] === '"';
+      if (closed) i++;
+      tokens.push({ type: 'string', start, end: Math.min(i, text.length), closed });
+    } else if ('{}[]:,'.includes(char)) {
+      i++;
+      tokens.push({ type: 'punct', start, end: i });
+    } else if (/[-\d]/.test(char)) {
+      const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+      i += match ? Math.max(match[0].length, 1) : 1;
+      tokens.push({ type: match ? 'number' : 'invalid', start, end: i });
+    } else {
+      const word = /^[a-zA-Z_]+/.exec(text.slice(i));
+      i += word ? word[0].length : 1;
+      tokens.push({ type: word && LITERALS.includes(word[0]) ? 'literal' : 'invalid', start, end: i });
+    }
+  }
+
+  // Strings followed by ':' are object keys
+  let next = null;
+  for (let index = tokens.length - 1; index >= 0; index--) {
+    const token = tokens[index];
+    if (token.type === 'whitespace') continue;
+    if (token.type === 'string' && next && text[next.start] === ':' && next.type === 'punct') {
+      token.key = true;
+    }
+    next = token;
+  }
+
+  return tokens;
+}
+
+/**
+ * Get the line and column (1-based) of an offset
+ * @param {string} text - Text
+ * @param {number} offset - Character offset
+ * @returns {Object} { line, column }
+ */
+export function getLineColumn(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Parse JSON text and record the location of every value
+ * @param {string} text - JSON text
+ * @returns {Object} { value, locations, error } — locations maps JSON pointers to
+ *   { start, end, keyStart }; error is { message, offset, line, column } or null
+ */
+export function parseJSONWithLocations(text) {
+  const tokens = tokenizeJSON(text).filter(token => token.type !== 'whitespace');
+  const locations = new Map();
+  let position = 0;
+
+  const fail = (message, token = tokens[position]) => {
+    const offset = token ? token.start : text.length;
+    const error = new SyntaxError(message);
+    error.offset = offset;
+    throw error;
+  };
+
+  const expectPunct = (char) => {
+    const token = tokens[position];
+    if (!token || token.type !== 'punct' || text[token.start] !== char) {
+      fail(token ? `Expected "${char}" but found ${text.slice(token.start, token.end)}` : `Expected "${char}" before end of input`);
+    }
+    position++;
+    return token;
+  };
+
+  const parseValue = (path) => {
+    const token = tokens[position];
+    if (!token) {
+      fail('Unexpected end of input');
+    }
+
+    let value;
+    if (token.type === 'punct' && text[token.start] === '{') {
+      position++;
+      value = {};
+      let first = true;
+      while (!(tokens[position]?.type === 'punct' && text[tokens[position].start] === '}')) {
+        if (!first) expectPunct(',');
+        const keyToken = tokens[position];
+        if (!keyToken || keyToken.type !== 'string' || !keyToken.closed) {
+          fail(keyToken ? 'Expected a quoted property name' : 'Unterminated object');
+        }
+        const key = JSON.parse(text.slice(keyToken.start, keyToken.end));
+        position++;
+        expectPunct(':');
+        value[key] = parseValue([...path, key]);
+        locations.get(toPointer([...path, key])).keyStart = keyToken.start;
+        first = false;
+      }
+      position++;
+    } else if (token.type === 'punct' && text[token.start] === '[') {
+      position++;
+      value = [];
+      while (!(tokens[position]?.type === 'punct' && text[tokens[position].start] === ']')) {
+        if (value.length) expectPunct(',');
+        if (!tokens[position]) fail('Unterminated array');
+        value.push(parseValue([...path, value.length]));
+      }
+      position++;
+    } else if (token.type === 'string' && token.closed) {
+      try {
+        value = JSON.parse(text.slice(token.start, token.end));
+      } catch (error) {
+        fail('Invalid escape sequence in string');
+      }
+      position++;
+    } else if (token.type === 'number' || token.type === 'literal') {
+      value = JSON.parse(text.slice(token.start, token.end));
+      position++;
+    } else if (token.type === 'string') {
+      fail('Unterminated string');
+    } else {
+      fail(`Unexpected ${text.slice(token.start, token.end)}`);
+    }
+
+    locations.set(toPointer(path), { start: token.start, end: tokens[position - 1].end });
+    return value;
+  };
+
+  try {
+    const value = parseValue([]);
+    if (position < tokens.length) {
+      fail('Unexpected content after the end of the JSON');
+    }
+    return { value, locations, error: null };
+  } catch (error) {
+    return {
+      value: undefined,
+      locations,
+      error: { message: error.message, offset: error.offset ?? 0, ...getLineColumn(text, error.offset ?? 0) }
+    };
+  }
+}
+
+/**
+ * Work out where the cursor sits in (possibly incomplete) JSON text
+ * @param {string} text - JSON text
+ * @param {number} offset - Cursor offset
+ * @returns {Object|null} { path, kind: 'key'|'value', key, index, prefix, start, end, closed }
+ *   when the cursor is inside a string, otherwise null. path is the container's
+ *   location; start/end delimit the string contents.
+ */
+export function getJSONContext(text, offset) {
+  const stack = [];
+  let pendingKey = null;
+
+  const top = () => stack[stack.length - 1];
+  const completeValue = () => {
+    const frame = top();
+    if (frame?.type === 'object') {
+      frame.expect = 'comma';
+    }
+  };
+
+  for (const token of tokenizeJSON(text)) {
+    if (token.type === 'whitespace') continue;
+
+    const frame = top();
+    if (token.type === 'string' && token.start < offset && (offset < token.end || !token.closed)) {
+      const isKey = frame?.type === 'object' && frame.expect === 'key';
+      return {
+        path: stack.map(f => f.segment).slice(1),
+        kind: isKey ? 'key' : 'value',
+        key: frame?.type === 'object' && !isKey ? frame.key : null,
+        index: frame?.type === 'array' ? frame.index : null,
+        prefix: text.slice(token.start + 1, offset),
+        start: token.start + 1,
+        end: token.closed ? token.end - 1 : token.end,
+        closed: token.closed
+      };
+    }
+    if (token.start >= offset) {
+      break;
+    }
+
+    const char = text[token.start];
+    if (token.type === 'punct' && (char === '{' || char === '[')) {
+      const segment = frame ? (frame.type === 'object' ? frame.key : frame.index) : null;
+      stack.push(char === '{'
+        ? { type: 'object', segment, expect: 'key', key: null }
+        : { type: 'array', segment, index: 0 });
+    } else if (token.type === 'punct' && (char === '}' || char === ']')) {
+      stack.pop();
+      completeValue();
+    } else if (token.type === 'punct' && char === ':') {
+      if (frame?.type === 'object') {
+        frame.key = pendingKey;
+        frame.expect = 'value';
+      }
+    } else if (token.type === 'punct' && char === ',') {
+      if (frame?.type === 'object') {
+        frame.expect = 'key';
+        frame.key = null;
+      } else if (frame?.type === 'array') {
+        frame.index++;
+      }
+    } else if (frame?.type === 'object' && frame.expect === 'key' && token.type === 'string') {
+      pendingKey = token.closed ? safeParseString(text.slice(token.start, token.end)) : null;
+    } else {
+      completeValue();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a JSON string token, tolerating bad escapes
+ * @private
+ * @param {string} raw - Quoted string
+ * @returns {string} String value
+ */
+function safeParseString(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw.slice(1, -1);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Style patch utilities for Map Remix
+ * Compact diffs of a style against a base style. Objects are diffed as JSON
+ * merge patches (RFC 7386: null removes a key, arrays are replaced whole) and
+ * layers are matched by ID so edits to one layer don't repeat the others.
+ */
+
+import { deepClone, isEqual } from './helpers.js';
+
+/**
+ * Create a JSON merge patch that turns one object into another
+ * @param {Object} base - Original object
+ * @param {Object} target - Changed object
+ * @returns {Object|undefined} Merge patch, or undefined if nothing changed
+ */
+export function createMergePatch(base, target) {
+  const patch = {};
+
+  for (const key of Object.keys(base)) {
+    if (!(key in target)) {
+      patch[key] = null;
+    }
+  }
+
+  for (const [key, value] of Object.entries(target)) {
+    const original = base[key];
+    if (isEqual(original, value)) {
+      continue;
+    }
+    patch[key] = isPlainObject(original) && isPlainObject(value)
+      ? createMergePatch(original, value)
+      : deepClone(value);
+  }
+
+  return Object.keys(patch).length ? patch : undefined;
+}
+
+/**
+ * Apply a JSON merge patch
+ * @param {*} base - Original value (not modified)
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched value
+ */
+export function applyMergePatch(base, patch) {
+  if (!isPlainObject(patch)) {
+    return deepClone(patch);
+  }
+
+  const result = isPlainObject(base) ? deepClone(base) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Diff a style against a base style
+ * @param {Object} base - Base style (e.g. the default style)
+ * @param {Object} style - Changed style
+ * @param {Object} options - Diff options
+ * @param {Array<string>} options.ignoreLayout - Layout properties to leave out (e.g. ['visibility'])
+ * @returns {Object|null} Patch { style?, layers?, order? }, or null if the styles match
+ */
+export function diffStyle(base, style, { ignoreLayout = [] } = {}) {
+  const patch = {};
+  const strip = (layer) => stripLayout(layer, ignoreLayout);
+
+  const { layers: baseLayers = [], ...baseRest } = base;
+  const { layers: styleLayers = [], ...styleRest } = style;
+
+  const stylePatch = createMergePatch(baseRest, styleRest);
+  if (stylePatch) {
+    patch.style = stylePatch;
+  }
+
+  const baseById = new Map(baseLayers.map(layer => [layer.id, strip(layer)]));
+  const styleIds = new Set(styleLayers.map(layer => layer.id));
+  const layers = {};
+
+  for (const id of baseById.keys()) {
+    if (!styleIds.has(id)) {
+      layers[id] = null;
+    }
+  }
+
+  for (const layer of styleLayers) {
+    const stripped = strip(layer);
+    const original = baseById.get(layer.id);
+    if (!original) {
+      const { id, ...added } = stripped;
+      layers[id] = added;
+      continue;
+    }
+
+    const layerPatch = createMergePatch(original, stripped);
+    if (layerPatch) {
+      layers[layer.id] = layerPatch;
+    }
+  }
+
+  if (Object.keys(layers).length) {
+    patch.layers = layers;
+  }
+
+  // Record the order only when it differs from the default placement
+  const order = styleLayers.map(layer => layer.id);
+  if (!isEqual(order, patchedOrder(baseLayers, patch.layers))) {
+    patch.order = order;
+  }
+
+  return Object.keys(patch).length ? patch : null;
+}
+
+/**
+ * Apply a style patch created by diffStyle
+ * @param {Object} base - Base style (not modified)
+ * @param {Object|null} patch - Style patch
+ * @returns {Object} Patched style
+ */
+export function applyStylePatch(base, patch) {
+  if (!patch) {
+    return deepClone(base);
+  }
+
+  const { layers: baseLayers = [], ...baseRest } = base;
+  const style = patch.style ? applyMergePatch(baseRest, patch.style) : deepClone(baseRest);
+  const layerPatches = patch.layers || {};
+
+  const layersById = new Map();
+  for (const layer of baseLayers) {
+    if (layerPatches[layer.id] === null) {
+      continue;
+    }
+    layersById.set(layer.id, layer.id in layerPatches
+      ? applyMergePatch(layer, layerPatches[layer.id])
+      : deepClone(layer));
+  }
+  for (const [id, layerPatch] of Object.entries(layerPatches)) {
+    if (layerPatch && !layersById.has(id)) {
+      layersById.set(id, { id, ...deepClone(layerPatch) });
+    }
+  }
+
+  const order = patch.order || patchedOrder(baseLayers, layerPatches);
+  style.layers = order.filter(id => layersById.has(id)).map(id => layersById.get(id));
+
+  // Layers missing from a stale order still belong in the style
+  for (const [id, layer] of layersById) {
+    if (!order.includes(id)) {
+      style.layers.push(layer);
+    }
+  }
+
+  return style;
+}
+
+/**
+ * Layer order after applying layer patches without an explicit order
+ * (base order minus removals, additions appended)
+ * @param {Array<Object>} baseLayers - Base layers
+ * @param {Object} layerPatches - Layer patches keyed by ID
+ * @returns {Array<string>} Layer IDs
+ */
+function patchedOrder(baseLayers, layerPatches = {}) {
+  const baseIds = baseLayers.map(layer => layer.id);
+  const kept = baseIds.filter(id => layerPatches[id] !== null);
+  const added = Object.keys(layerPatches).filter(id => layerPatches[id] && !baseIds.includes(id));
+  return [...kept, ...added];
+}
+
+/**
+ * Copy a layer without some layout properties
+ * @param {Object} layer - Layer
+ * @param {Array<string>} properties - Layout properties to remove
+ * @returns {Object} Layer
+ */
+function stripLayout(layer, properties) {
+  if (!properties.length || !layer.layout) {
+    return layer;
+  }
+
+  const layout = { ...layer.layout };
+  properties.forEach(property => delete layout[property]);
+  const { layout: _, ...rest } = layer;
+  return Object.keys(layout).length ? { ...rest, layout } : rest;
+}
+
+/**
+ * Check for a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
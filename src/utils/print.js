@@ -0,0 +1,187 @@
+/**
+ * Print utilities for Map Remix
+ * Paper sizes, DPI conversion and the tile plan used to render exports larger
+ * than the browser's WebGL limits.
+ */
+
+/**
+ * Resolution CSS pixels are defined at; map line widths and text sizes are
+ * in CSS pixels, so a 300 DPI print renders at a pixel ratio of 300 / 96
+ */
+export const SCREEN_DPI = 96;
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Paper sizes in millimetres (portrait)
+ */
+export const PAPER_SIZES = {
+  a5: { name: 'A5', width: 148, height: 210 },
+  a4: { name: 'A4', width: 210, height: 297 },
+  a3: { name: 'A3', width: 297, height: 420 },
+  a2: { name: 'A2', width: 420, height: 594 },
+  a1: { name: 'A1', width: 594, height: 841 },
+  a0: { name: 'A0', width: 841, height: 1189 },
+  letter: { name: 'Letter', width: 215.9, height: 279.4 },
+  legal: { name: 'Legal', width: 215.9, height: 355.6 },
+  tabloid: { name: 'Tabloid', width: 279.4, height: 431.8 }
+};
+
+/**
+ * Common print resolutions offered in the export dialog
+ */
+export const PRINT_DPIS = [96, 150, 300, 600];
+
+/**
+ * Largest image browsers reliably create (Chrome and Firefox limits)
+ */
+export const MAX_IMAGE_SIDE = 32767;
+export const MAX_IMAGE_AREA = 268435456;
+
+/**
+ * Get the pixel size of a sheet of paper at a resolution
+ * @param {string} paper - Key of PAPER_SIZES
+ * @param {Object} options - Size options
+ * @param {number} options.dpi - Dots per inch
+ * @param {string} options.orientation - 'portrait' or 'landscape'
+ * @returns {Object|null} { width, height } in pixels, or null for an unknown paper size
+ */
+export function getPaperPixels(paper, { dpi = SCREEN_DPI, orientation = 'portrait' } = {}) {
+  const size = PAPER_SIZES[paper];
+  if (!size) {
+    return null;
+  }
+
+  const width = mmToPixels(size.width, dpi);
+  const height = mmToPixels(size.height, dpi);
+  return orientation === 'landscape' ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Convert millimetres to pixels
+ * @param {number} mm - Length in millimetres
+ * @param {number} dpi - Dots per inch
+ * @returns {number} Whole pixels
+ */
+export function mmToPixels(mm, dpi) {
+  return Math.round(mm / MM_PER_INCH * dpi);
+}
+
+/**
+ * Check that an image size can be created by the browser
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string|null} Reason the size is not possible, or null if it is
+ */
+export function checkImageSize(width, height) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    return 'Width and height must be whole numbers of pixels';
+  }
+  if (width > MAX_IMAGE_SIDE || height > MAX_IMAGE_SIDE) {
+    return `Images can be at most ${MAX_IMAGE_SIDE} pixels wide or high`;
+  }
+  if (width * height > MAX_IMAGE_AREA) {
+    return `${width} × ${height} pixels is larger than browsers can create; lower the size or DPI`;
+  }
+  return null;
+}
+
+/**
+ * Split an image into tiles no larger than a maximum size
+ * Tiles are listed row by row from the top left.
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} maxSize - Largest tile side in pixels
+ * @returns {Array<Object>} Tiles as { x, y, width, height }
+ */
+export function planTiles(width, height, maxSize) {
+  const columns = Math.ceil(width / maxSize);
+  const rows = Math.ceil(height / maxSize);
+  const tileWidth = Math.ceil(width / columns);
+  const tileHeight = Math.ceil(height / rows);
+  const tiles = [];
+
+  for (let y = 0; y < height; y += tileHeight) {
+    for (let x = 0; x < width; x += tileWidth) {
+      tiles.push({
+        x,
+        y,
+        width: Math.min(tileWidth, width - x),
+        height: Math.min(tileHeight, height - y)
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Encode a canvas as an image blob
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @param {string} type - MIME type
+ * @param {number} quality - Quality for lossy formats
+ * @returns {Promise<Blob>} Image
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(`Failed to create ${type} image`));
+      }
+    }, type, quality);
+  });
+}
+
+/**
+ * Record a print resolution in a PNG so layout and print software size it
+ * correctly (adds or replaces the pHYs chunk)
+ * @param {Blob} blob - PNG image
+ * @param {number} dpi - Dots per inch
+ * @returns {Promise<Blob>} PNG image with the resolution set
+ */
+export async function setPngDpi(blob, dpi) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const signatureLength = 8;
+  const ihdrEnd = signatureLength + 8 + view.getUint32(signatureLength) + 4;
+
+  // Drop an existing pHYs chunk so the new one is the only one
+  const chunks = [];
+  for (let offset = ihdrEnd; offset < bytes.length;) {
+    const length = view.getUint32(offset) + 12;
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (type !== 'pHYs') {
+      chunks.push(bytes.subarray(offset, offset + length));
+    }
+    offset += length;
+  }
+
+  const pixelsPerMetre = Math.round(dpi / MM_PER_INCH * 1000);
+  const phys = new Uint8Array(21);
+  const physView = new DataView(phys.buffer);
+  physView.setUint32(0, 9);
+  phys.set([0x70, 0x48, 0x59, 0x73], 4);
+  physView.setUint32(8, pixelsPerMetre);
+  physView.setUint32(12, pixelsPerMetre);
+  phys[16] = 1;
+  physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+  return new Blob([bytes.subarray(0, ihdrEnd), phys, ...chunks], { type: 'image/png' });
+}
+
+/**
+ * CRC-32 as used by PNG chunks
+ * @param {Uint8Array} bytes - Chunk type and data
+ * @returns {number} Checksum
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,173 @@
+/**
+ * Persistent key-value storage for Map Remix
+ * Uses IndexedDB, falling back to localStorage (e.g. private browsing) or memory.
+ */
+
+const DB_NAME = 'map-remix';
+const DB_VERSION = 1;
+const STORE_NAME = 'kv';
+
+let dbPromise = null;
+
+/**
+ * Open (once) the shared IndexedDB database
+ * @private
+ * @returns {Promise<IDBDatabase|null>} Database or null if IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, using localStorage:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+        resolve(null);
+      }
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a request against the key-value object store
+ * @private
+ * @param {IDBDatabase} db - Database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+function runRequest(db, mode, createRequest) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get localStorage if it is usable
+ * @private
+ * @returns {Storage|null} localStorage or null
+ */
+function getLocalStorage() {
+  try {
+    const probe = '__map-remix__';
+    localStorage.setItem(probe, probe);
+    localStorage.removeItem(probe);
+    return localStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a namespaced store
+ * Values must be structured-cloneable (and JSON-serializable for the localStorage fallback).
+ * @param {string} namespace - Store name (e.g. 'themes')
+ * @returns {Object} Store with async get/set/delete/keys/entries
+ */
+export function createStore(namespace) {
+  const prefix = `${namespace}:`;
+  const memory = new Map();
+
+  const withBackend = async (indexedDbFn, localStorageFn, memoryFn) => {
+    const db = await openDatabase();
+    if (db) {
+      return indexedDbFn(db);
+    }
+    const storage = getLocalStorage();
+    return storage ? localStorageFn(storage) : memoryFn();
+  };
+
+  const store = {
+    /**
+     * Read a value
+     * @param {string} key - Key
+     * @returns {Promise<*>} Value or undefined
+     */
+    get(key) {
+      return withBackend(
+        db => runRequest(db, 'readonly', objectStore => objectStore.get(prefix + key)),
+        storage => {
+          const raw = storage.getItem(`${DB_NAME}:${prefix}${key}`);
+          return raw === null ? undefined : JSON.parse(raw);
+        },
+        () => memory.get(key)
+      );
+    },
+
+    /**
+     * Write a value
+     * @param {string} key - Key
+     * @param {*} value - Value
+     * @returns {Promise<void>}
+     */
+    set(key, value) {
+      return withBackend(
+        db => runRequest(db, 'readwrite', objectStore => objectStore.put(value, prefix + key)),
+        storage => storage.setItem(`${DB_NAME}:${prefix}${key}`, JSON.stringify(value)),
+        () => memory.set(key, value)
+      ).then(() => undefined);
+    },
+
+    /**
+     * Delete a value
+     * @param {string} key - Key
+     * @returns {Promise<void>}
+     */
+    delete(key) {
+      return withBackend(
+        db => runRequest(db, 'readwrite', objectStore => objectStore.delete(prefix + key)),
+        storage => storage.removeItem(`${DB_NAME}:${prefix}${key}`),
+        () => memory.delete(key)
+      ).then(() => undefined);
+    },
+
+    /**
+     * List keys in this store
+     * @returns {Promise<string[]>} Keys (without namespace)
+     */
+    keys() {
+      return withBackend(
+        async db => {
+          const range = IDBKeyRange.bound(prefix, `${prefix}￿`);
+          const keys = await runRequest(db, 'readonly', objectStore => objectStore.getAllKeys(range));
+          return keys.map(key => key.slice(prefix.length));
+        },
+        storage => {
+          const storagePrefix = `${DB_NAME}:${prefix}`;
+          return Object.keys(storage)
+            .filter(key => key.startsWith(storagePrefix))
+            .map(key => key.slice(storagePrefix.length));
+        },
+        () => [...memory.keys()]
+      );
+    },
+
+    /**
+     * Read all entries in this store
+     * @returns {Promise<Array<[string, *]>>} Key/value pairs
+     */
+    async entries() {
+      const keys = await store.keys();
+      return Promise.all(keys.map(async key => [key, await store.get(key)]));
+    }
+  };
+
+  return store;
+}
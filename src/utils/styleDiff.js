@@ -0,0 +1,272 @@
+/**
+ * Style comparison for Map Remix
+ * Lists what differs between two styles as separate changes (a style
+ * property, a source, a whole layer, a layer property or the layer order)
+ * so any of them can be picked and merged into the first style.
+ */
+
+import { deepClone, isEqual } from './helpers.js';
+
+/**
+ * Root properties left out of the comparison: the map view, app bookkeeping
+ * and the parts compared separately
+ */
+const IGNORED_ROOT_PROPERTIES = ['version', 'name', 'metadata', 'center', 'zoom', 'bearing', 'pitch', 'sources', 'layers'];
+
+/**
+ * Layer keys compared whole (paint and layout are compared per property)
+ */
+const LAYER_KEYS = ['source', 'source-layer', 'minzoom', 'maxzoom', 'filter', 'metadata'];
+
+/**
+ * Compare two styles
+ * Changes describe how to turn the current style into the other one. Each has
+ * an ID, a scope and a status:
+ * - style: a root property (property)
+ * - source: a source (sourceId)
+ * - layer: a layer added, removed or (when its type differs) replaced (layerId)
+ * - property: a layer key or paint/layout property such as "paint.line-color"
+ *   (layerId, property)
+ * - order: the order of the layers both styles have
+ * @param {Object} current - Current style
+ * @param {Object} other - Style to compare with
+ * @returns {Array<Object>} Changes { id, scope, status ('added', 'removed' or 'changed'),
+ *   current, other, property?, sourceId?, layerId? } in style order
+ */
+export function compareStyles(current, other) {
+  const changes = [];
+  const status = (a, b) => a === undefined ? 'added' : b === undefined ? 'removed' : 'changed';
+
+  const rootKeys = new Set([...Object.keys(current), ...Object.keys(other)]);
+  for (const property of rootKeys) {
+    if (IGNORED_ROOT_PROPERTIES.includes(property) || isEqual(current[property], other[property])) {
+      continue;
+    }
+    changes.push({
+      id: `style:${property}`,
+      scope: 'style',
+      status: status(current[property], other[property]),
+      property,
+      current: current[property],
+      other: other[property]
+    });
+  }
+
+  const currentSources = current.sources || {};
+  const otherSources = other.sources || {};
+  for (const sourceId of new Set([...Object.keys(currentSources), ...Object.keys(otherSources)])) {
+    if (!isEqual(currentSources[sourceId], otherSources[sourceId])) {
+      changes.push({
+        id: `source:${sourceId}`,
+        scope: 'source',
+        status: status(currentSources[sourceId], otherSources[sourceId]),
+        sourceId,
+        current: currentSources[sourceId],
+        other: otherSources[sourceId]
+      });
+    }
+  }
+
+  const currentLayers = new Map((current.layers || []).map(layer => [layer.id, layer]));
+  const otherLayers = new Map((other.layers || []).map(layer => [layer.id, layer]));
+  for (const layerId of mergedLayerOrder(current.layers || [], other.layers || [])) {
+    const currentLayer = currentLayers.get(layerId);
+    const otherLayer = otherLayers.get(layerId);
+    if (isEqual(currentLayer, otherLayer)) {
+      continue;
+    }
+    if (!currentLayer || !otherLayer || currentLayer.type !== otherLayer.type) {
+      changes.push({
+        id: `layer:${layerId}`,
+        scope: 'layer',
+        status: status(currentLayer, otherLayer),
+        layerId,
+        current: currentLayer,
+        other: otherLayer
+      });
+      continue;
+    }
+
+    for (const property of layerProperties(currentLayer, otherLayer)) {
+      const currentValue = getLayerProperty(currentLayer, property);
+      const otherValue = getLayerProperty(otherLayer, property);
+      if (!isEqual(currentValue, otherValue)) {
+        changes.push({
+          id: `layer:${layerId}:${property}`,
+          scope: 'property',
+          status: status(currentValue, otherValue),
+          layerId,
+          property,
+          current: currentValue,
+          other: otherValue
+        });
+      }
+    }
+  }
+
+  const currentOrder = (current.layers || []).map(layer => layer.id).filter(id => otherLayers.has(id));
+  const otherOrder = (other.layers || []).map(layer => layer.id).filter(id => currentLayers.has(id));
+  if (!isEqual(currentOrder, otherOrder)) {
+    changes.push({
+      id: 'order',
+      scope: 'order',
+      status: 'changed',
+      current: currentOrder,
+      other: otherOrder
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Apply picked changes from compareStyles to the current style
+ * Added layers are placed after the layer they follow in the other style,
+ * and bring the source they draw when the current style lacks it.
+ * @param {Object} current - Current style (not modified)
+ * @param {Array<Object>} changes - Changes to apply
+ * @param {Object} other - Style the changes come from
+ * @returns {Object} Merged style
+ */
+export function mergeStyleChanges(current, changes, other) {
+  const result = deepClone(current);
+  result.sources = result.sources || {};
+  result.layers = result.layers || [];
+
+  for (const change of changes) {
+    if (change.scope === 'style') {
+      setValue(result, change.property, change.other);
+    } else if (change.scope === 'source') {
+      setValue(result.sources, change.sourceId, change.other);
+    }
+  }
+
+  for (const change of changes) {
+    const index = result.layers.findIndex(layer => layer.id === change.layerId);
+    if (change.scope === 'layer' && change.status === 'removed') {
+      if (index >= 0) {
+        result.layers.splice(index, 1);
+      }
+    } else if (change.scope === 'layer' && change.status === 'changed' && index >= 0) {
+      result.layers[index] = deepClone(change.other);
+    } else if (change.scope === 'property' && index >= 0) {
+      setLayerProperty(result.layers[index], change.property, change.other);
+    }
+  }
+
+  const otherIds = (other.layers || []).map(layer => layer.id);
+  for (const change of changes) {
+    if (change.scope !== 'layer' || change.status !== 'added' || result.layers.some(layer => layer.id === change.layerId)) {
+      continue;
+    }
+
+    const layer = deepClone(change.other);
+    const sourceId = layer.source;
+    if (sourceId && !result.sources[sourceId] && other.sources?.[sourceId]) {
+      result.sources[sourceId] = deepClone(other.sources[sourceId]);
+    }
+
+    // After the nearest layer below it that the merged style has, else at the bottom
+    const below = otherIds.slice(0, otherIds.indexOf(layer.id)).reverse()
+      .find(id => result.layers.some(existing => existing.id === id));
+    const index = below ? result.layers.findIndex(existing => existing.id === below) + 1 : 0;
+    result.layers.splice(index, 0, layer);
+  }
+
+  if (changes.some(change => change.scope === 'order')) {
+    const rank = new Map(otherIds.map((id, index) => [id, index]));
+    const shared = result.layers.filter(layer => rank.has(layer.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+    result.layers = result.layers.map(layer => rank.has(layer.id) ? shared.shift() : layer);
+  }
+
+  return result;
+}
+
+/**
+ * Layer IDs of both styles in one order: the current style's, with layers
+ * only the other style has after the layer they follow there
+ * @param {Array<Object>} currentLayers - Current layers
+ * @param {Array<Object>} otherLayers - Other layers
+ * @returns {Array<string>} Layer IDs
+ */
+function mergedLayerOrder(currentLayers, otherLayers) {
+  const order = currentLayers.map(layer => layer.id);
+  let previous = null;
+  for (const { id } of otherLayers) {
+    if (!order.includes(id)) {
+      order.splice(previous === null ? 0 : order.indexOf(previous) + 1, 0, id);
+    }
+    previous = id;
+  }
+  return order;
+}
+
+/**
+ * List the comparable properties of two layers of the same type
+ * @param {Object} a - Layer
+ * @param {Object} b - Layer
+ * @returns {Array<string>} Layer keys and "paint."/"layout." properties
+ */
+function layerProperties(a, b) {
+  const properties = [...LAYER_KEYS];
+  for (const group of ['layout', 'paint']) {
+    const names = new Set([...Object.keys(a[group] || {}), ...Object.keys(b[group] || {})]);
+    properties.push(...[...names].map(name => `${group}.${name}`));
+  }
+  return properties;
+}
+
+/**
+ * Read a layer key or paint/layout property
+ * @param {Object} layer - Layer
+ * @param {string} property - Key or "paint."/"layout." property
+ * @returns {*} Value (undefined when not set)
+ */
+function getLayerProperty(layer, property) {
+  const [group, name] = splitProperty(property);
+  return name ? layer[group]?.[name] : layer[group];
+}
+
+/**
+ * Set or remove a layer key or paint/layout property
+ * @param {Object} layer - Layer (modified)
+ * @param {string} property - Key or "paint."/"layout." property
+ * @param {*} value - Value (undefined removes it)
+ */
+function setLayerProperty(layer, property, value) {
+  const [group, name] = splitProperty(property);
+  if (!name) {
+    setValue(layer, group, value);
+    return;
+  }
+
+  layer[group] = layer[group] || {};
+  setValue(layer[group], name, value);
+  if (!Object.keys(layer[group]).length) {
+    delete layer[group];
+  }
+}
+
+/**
+ * Split a paint/layout property into its group and name
+ * @param {string} property - Property
+ * @returns {Array<string>} [group, name] or [key] for other layer keys
+ */
+function splitProperty(property) {
+  const match = property.match(/^(paint|layout)\.(.+)$/);
+  return match ? [match[1], match[2]] : [property];
+}
+
+/**
+ * Set or remove a key
+ * @param {Object} target - Object (modified)
+ * @param {string} key - Key
+ * @param {*} value - Value (undefined removes the key)
+ */
+function setValue(target, key, value) {
+  if (value === undefined) {
+    delete target[key];
+  } else {
+    target[key] = deepClone(value);
+  }
+}
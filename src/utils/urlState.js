@@ -0,0 +1,235 @@
+/**
+ * URL state utilities for Map Remix
+ * Encodes the map view, theme, hidden layers and a style patch into a URL
+ * hash such as `#map=12/39.74/-104.99&theme=dark&hidden=water&style=z…`.
+ */
+
+/**
+ * Hash length above which the style patch is left out of the link
+ * (long links get cut off by chat apps and mail clients)
+ */
+export const URL_LENGTH_LIMIT = 8000;
+
+/**
+ * Style payloads shorter than this are not worth compressing
+ */
+const COMPRESSION_THRESHOLD = 200;
+
+/**
+ * Prefixes marking how the style payload is encoded
+ */
+const CODEC_JSON = 'j';
+const CODEC_DEFLATE = 'z';
+
+/**
+ * Style value of links whose style patch did not fit (the style is kept as it is)
+ */
+const STYLE_OMITTED = 'omitted';
+
+/**
+ * Encode application state into a URL hash
+ * @param {Object} state - State to encode
+ * @param {Object} state.view - { center: [lng, lat], zoom, bearing, pitch }
+ * @param {string} state.theme - Active theme name
+ * @param {Array<string>} state.hidden - Hidden layer IDs
+ * @param {Object|null} state.patch - Style patch (see diffStyle)
+ * @param {boolean} state.fallback - Whether the patch is against the demo style
+ * @param {Object} options - Encoding options
+ * @param {number} options.maxLength - Longest hash that keeps the style patch
+ * @param {string} options.stylePayload - Previously encoded style payload to reuse
+ * @returns {Promise<Object>} { hash, stylePayload, omitted } — omitted is true if the patch did not fit
+ */
+export async function encodeUrlState(state, { maxLength = URL_LENGTH_LIMIT, stylePayload } = {}) {
+  const params = [];
+
+  if (state.view) {
+    params.push(['map', formatView(state.view)]);
+  }
+  if (state.theme && state.theme !== 'default') {
+    params.push(['theme', encodeURIComponent(state.theme)]);
+  }
+  if (state.hidden?.length) {
+    params.push(['hidden', state.hidden.map(encodeURIComponent).join(',')]);
+  }
+  if (state.fallback) {
+    params.push(['demo', '1']);
+  }
+
+  const baseHash = formatHash(params);
+
+  if (!state.patch && !stylePayload) {
+    return { hash: baseHash, stylePayload: null, omitted: false };
+  }
+
+  const payload = stylePayload ?? await encodeStylePatch(state.patch);
+  const hash = formatHash([...params, ['style', payload]]);
+  if (hash.length > maxLength) {
+    return { hash: formatHash([...params, ['style', STYLE_OMITTED]]), stylePayload: payload, omitted: true };
+  }
+
+  return { hash, stylePayload: payload, omitted: false };
+}
+
+/**
+ * Decode application state from a URL hash
+ * @param {string} hash - URL hash (with or without the leading #)
+ * @returns {Promise<Object|null>} { view, theme, hidden, patch, styleOmitted, fallback }, or null if the
+ *   hash holds no state; styleOmitted is true when the style was too large for the link
+ * @throws {Error} If the style payload is corrupt
+ */
+export async function decodeUrlState(hash) {
+  const params = parseHash(hash);
+  if (!['map', 'theme', 'hidden', 'style'].some(key => params.has(key))) {
+    return null;
+  }
+
+  const style = params.get('style');
+  return {
+    view: params.has('map') ? parseView(params.get('map')) : null,
+    theme: params.has('theme') ? decodeURIComponent(params.get('theme')) : null,
+    hidden: params.get('hidden') ? params.get('hidden').split(',').map(decodeURIComponent) : [],
+    patch: style && style !== STYLE_OMITTED ? await decodeStylePatch(style) : null,
+    styleOmitted: style === STYLE_OMITTED,
+    fallback: params.get('demo') === '1'
+  };
+}
+
+/**
+ * Encode a style patch, compressing it when that makes it shorter
+ * @param {Object} patch - Style patch
+ * @returns {Promise<string>} Payload prefixed with its codec
+ */
+export async function encodeStylePatch(patch) {
+  const bytes = new TextEncoder().encode(JSON.stringify(patch));
+  const plain = CODEC_JSON + toBase64Url(bytes);
+
+  if (plain.length < COMPRESSION_THRESHOLD || typeof CompressionStream === 'undefined') {
+    return plain;
+  }
+
+  const compressed = CODEC_DEFLATE + toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')));
+  return compressed.length < plain.length ? compressed : plain;
+}
+
+/**
+ * Decode a style patch payload
+ * @param {string} payload - Payload created by encodeStylePatch
+ * @returns {Promise<Object>} Style patch
+ * @throws {Error} If the payload is corrupt or uses an unsupported codec
+ */
+export async function decodeStylePatch(payload) {
+  const codec = payload[0];
+  let bytes = fromBase64Url(payload.slice(1));
+
+  if (codec === CODEC_DEFLATE) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot read compressed style links');
+    }
+    bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+  } else if (codec !== CODEC_JSON) {
+    throw new Error(`Unknown style link format "${codec}"`);
+  }
+
+  const patch = JSON.parse(new TextDecoder().decode(bytes));
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('Style link does not contain a style patch');
+  }
+  return patch;
+}
+
+/**
+ * Format a map view as zoom/lat/lng[/bearing/pitch]
+ * @param {Object} view - { center: [lng, lat], zoom, bearing, pitch }
+ * @returns {string} Formatted view
+ */
+function formatView({ center, zoom, bearing = 0, pitch = 0 }) {
+  // Five decimals is about a metre; finer precision only lengthens the link
+  const parts = [round(zoom, 2), round(center[1], 5), round(center[0], 5)];
+  if (round(bearing, 1) || round(pitch, 1)) {
+    parts.push(round(bearing, 1), round(pitch, 1));
+  }
+  return parts.join('/');
+}
+
+/**
+ * Parse a zoom/lat/lng[/bearing/pitch] view
+ * @param {string} value - Formatted view
+ * @returns {Object|null} View or null if invalid
+ */
+function parseView(value) {
+  const [zoom, lat, lng, bearing = 0, pitch = 0] = value.split('/').map(Number);
+  if (![zoom, lat, lng, bearing, pitch].every(Number.isFinite) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { center: [lng, lat], zoom, bearing, pitch };
+}
+
+/**
+ * Parse hash parameters (values stay URI-encoded)
+ * @param {string} hash - URL hash
+ * @returns {Map<string, string>} Parameters
+ */
+function parseHash(hash) {
+  const params = new Map();
+  for (const part of hash.replace(/^#/, '').split('&')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      params.set(part.slice(0, index), part.slice(index + 1));
+    }
+  }
+  return params;
+}
+
+/**
+ * Format hash parameters
+ * @param {Array<Array<string>>} params - [key, encoded value] pairs
+ * @returns {string} Hash with leading # (empty if there are no parameters)
+ */
+function formatHash(params) {
+  return params.length ? '#' + params.map(([key, value]) => `${key}=${value}`).join('&') : '';
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input
+ * @param {CompressionStream|DecompressionStream} stream - Transform stream
+ * @returns {Promise<Uint8Array>} Output
+ */
+async function transform(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64url string
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64
+ * @param {string} value - Base64url string
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Round a number to a number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
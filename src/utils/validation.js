@@ -0,0 +1,766 @@
+/**
+ * Style validation against the MapLibre style specification
+ * Reports each issue with a JSON pointer to the offending value and, where
+ * possible, a repair that can be applied automatically.
+ */
+
+import {
+  STYLE_VERSION,
+  SOURCE_TYPES,
+  TILED_VECTOR_SOURCES,
+  LAYER_PROPERTIES,
+  EXPRESSION_OPERATORS,
+  EXPRESSION_ARITY,
+  EXPRESSION_OUTPUT_TYPES,
+  LEGACY_FILTER_OPERATORS,
+  INTERPOLATION_TYPES
+} from '../styles/styleSpec.js';
+import { GLYPHS_URL } from '../styles/fonts.js';
+import { findVectorLayer } from '../map/TileSchema.js';
+import { deepClone } from './helpers.js';
+
+/**
+ * Build a JSON pointer (RFC 6901) from path segments
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} JSON pointer (e.g. /layers/2/paint/line-width)
+ */
+export function toPointer(segments) {
+  return segments
+    .map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * Split a JSON pointer into path segments
+ * @param {string} pointer - JSON pointer
+ * @returns {string[]} Path segments
+ */
+export function fromPointer(pointer) {
+  if (!pointer) {
+    return [];
+  }
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Check whether a value is a CSS color MapLibre can parse
+ * @param {*} value - Value
+ * @returns {boolean} True for valid colors
+ */
+export function isValidColor(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  if (typeof CSS !== 'undefined' && CSS.supports) {
+    return CSS.supports('color', value);
+  }
+  return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)
+    || /^(rgb|hsl)a?\([^)]*\)$/i.test(value)
+    || /^[a-z]+$/i.test(value);
+}
+
+/**
+ * Collects issues while walking a style
+ * @private
+ */
+class IssueCollector {
+  constructor() {
+    this.issues = [];
+  }
+
+  /**
+   * Record an issue
+   * @param {Array<string|number>} path - Path segments
+   * @param {string} message - Description
+   * @param {Object} options - { severity: 'error'|'warning', fix: {op, path?, value?} }
+   */
+  add(path, message, { severity = 'error', fix = null } = {}) {
+    const pointer = toPointer(path);
+    this.issues.push({
+      path: pointer,
+      message,
+      severity,
+      fix: fix ? { path: pointer, ...fix } : null
+    });
+  }
+
+  /**
+   * Give every issue recorded since a checkpoint the same repair
+   * @param {number} since - Issue count at the checkpoint
+   * @param {Array<string|number>} path - Path segments to repair
+   * @param {Object} fix - Repair ({op, value?})
+   */
+  fixSince(since, path, fix) {
+    for (const issue of this.issues.slice(since)) {
+      issue.fix = { path: toPointer(path), ...fix };
+    }
+  }
+}
+
+/**
+ * Validate an expression (or legacy filter) recursively
+ * @private
+ * @param {Array} expression - Expression
+ * @param {Array<string|number>} path - Path segments
+ * @param {IssueCollector} collector - Issue collector
+ * @param {boolean} legacy - Allow legacy filter operators
+ * @returns {boolean} True if no problems were found
+ */
+function validateExpression(expression, path, collector, legacy = false) {
+  const before = collector.issues.length;
+  const [operator, ...args] = expression;
+
+  if (typeof operator !== 'string') {
+    collector.add(path, 'Expression must start with an operator name; wrap array values in ["literal", …]');
+    return false;
+  }
+  if (!EXPRESSION_OPERATORS.has(operator) && !(legacy && LEGACY_FILTER_OPERATORS.has(operator))) {
+    collector.add([...path, 0], `Unknown expression operator "${operator}"`);
+    return false;
+  }
+
+  // Legacy filters use bare property names and value lists
+  const isLegacy = legacy && isLegacyComparison(expression);
+  const arity = EXPRESSION_ARITY[operator];
+  if (arity && !isLegacy && (args.length < arity[0] || args.length > arity[1])) {
+    collector.add(path, `"${operator}" takes ${describeArity(arity)}`);
+    return false;
+  }
+
+  const check = (value, index) => {
+    if (Array.isArray(value)) {
+      validateExpression(value, [...path, index], collector, legacy);
+    }
+  };
+
+  switch (operator) {
+    case 'literal':
+      break;
+
+    case 'case':
+      if (args.length % 2 === 0) {
+        collector.add(path, '"case" needs condition/output pairs and a fallback');
+        break;
+      }
+      args.forEach((arg, i) => check(arg, i + 1));
+      break;
+
+    case 'match': {
+      if (args.length < 4 || args.length % 2 !== 0) {
+        collector.add(path, '"match" needs an input, label/output pairs and a fallback');
+        break;
+      }
+      check(args[0], 1);
+      const seenLabels = new Set();
+      for (let i = 1; i < args.length - 1; i += 2) {
+        const labels = Array.isArray(args[i]) ? args[i] : [args[i]];
+        if (!labels.length || labels.some(label => typeof label !== 'string' && typeof label !== 'number')) {
+          collector.add([...path, i + 1], '"match" labels must be strings or numbers (or arrays of them)');
+        } else {
+          const duplicate = labels.find(label => seenLabels.has(label));
+          if (duplicate !== undefined) {
+            collector.add([...path, i + 1], `"match" labels must be unique; ${JSON.stringify(duplicate)} is used more than once`);
+          }
+          labels.forEach(label => seenLabels.add(label));
+        }
+        check(args[i + 1], i + 2);
+      }
+      check(args[args.length - 1], args.length);
+      break;
+    }
+
+    case 'interpolate':
+    case 'interpolate-hcl':
+    case 'interpolate-lab': {
+      const [curve, input, ...stops] = args;
+      if (!Array.isArray(curve) || !INTERPOLATION_TYPES.includes(curve[0])) {
+        collector.add([...path, 1], `Interpolation type must be one of ${INTERPOLATION_TYPES.join(', ')}`);
+      }
+      check(input, 2);
+      if (stops.length < 2 || stops.length % 2 !== 0) {
+        collector.add(path, `"${operator}" needs at least one input/output stop pair`);
+        break;
+      }
+      validateStops(stops, 3, path, collector, check);
+      break;
+    }
+
+    case 'step': {
+      const [input, base, ...stops] = args;
+      check(input, 1);
+      check(base, 2);
+      if (stops.length % 2 !== 0) {
+        collector.add(path, '"step" stops must be input/output pairs');
+        break;
+      }
+      validateStops(stops, 3, path, collector, check);
+      break;
+    }
+
+    case 'let':
+      for (let i = 0; i < args.length - 1; i += 2) {
+        if (typeof args[i] !== 'string') {
+          collector.add([...path, i + 1], '"let" variable names must be strings');
+        }
+        check(args[i + 1], i + 2);
+      }
+      check(args[args.length - 1], args.length);
+      break;
+
+    case 'var':
+      if (typeof args[0] !== 'string') {
+        collector.add(path, '"var" takes a variable name');
+      }
+      break;
+
+    default:
+      if (!isLegacy) {
+        args.forEach((arg, i) => check(arg, i + 1));
+      }
+  }
+
+  return collector.issues.length === before;
+}
+
+/**
+ * Describe an argument count for an error message
+ * @private
+ * @param {Array<number>} arity - [min, max]
+ * @returns {string} e.g. "1 or 2 arguments", "at least 2 arguments"
+ */
+function describeArity([min, max]) {
+  const plural = count => `${count} ${count === 1 ? 'argument' : 'arguments'}`;
+  if (max === 0) {
+    return 'no arguments';
+  }
+  if (min === max) {
+    return `exactly ${plural(min)}`;
+  }
+  if (max === Infinity) {
+    return `at least ${plural(min)}`;
+  }
+  return max === min + 1 ? `${min} or ${plural(max)}` : `${min} to ${plural(max)}`;
+}
+
+/**
+ * Check that curve stop inputs are numbers in ascending order
+ * @private
+ * @param {Array} stops - Flat input/output list
+ * @param {number} offset - Index of the first stop in the expression
+ * @param {Array<string|number>} path - Expression path
+ * @param {IssueCollector} collector - Issue collector
+ * @param {Function} check - Validates nested outputs
+ */
+function validateStops(stops, offset, path, collector, check) {
+  let previous = -Infinity;
+  for (let i = 0; i < stops.length; i += 2) {
+    const input = stops[i];
+    if (typeof input !== 'number') {
+      collector.add([...path, offset + i], 'Stop inputs must be numbers');
+    } else if (input <= previous) {
+      collector.add([...path, offset + i], 'Stop inputs must be in strictly ascending order');
+    } else {
+      previous = input;
+    }
+    check(stops[i + 1], offset + i + 1);
+  }
+}
+
+/**
+ * Check that ["zoom"] is only the input of a top-level step or interpolate
+ * (let bodies and coalesce branches count as top level, as in MapLibre)
+ * @private
+ * @param {*} expression - Property expression
+ * @param {Array<string|number>} path - Path segments
+ * @param {IssueCollector} collector - Issue collector
+ * @param {boolean} isTopLevel - Whether a zoom curve is allowed here
+ */
+function checkZoomPlacement(expression, path, collector, isTopLevel = true) {
+  const [operator, ...args] = Array.isArray(expression) ? expression : [];
+  if (typeof operator !== 'string' || operator === 'literal') {
+    return;
+  }
+  if (operator === 'zoom') {
+    collector.add(path, '"zoom" may only be used as the input of a top-level "step" or "interpolate"');
+    return;
+  }
+
+  const curveInput = operator === 'step' ? 1 : operator.startsWith('interpolate') ? 2 : null;
+  args.forEach((arg, i) => {
+    const index = i + 1;
+    if (isTopLevel && index === curveInput && Array.isArray(arg) && arg[0] === 'zoom' && arg.length === 1) {
+      return;
+    }
+    const keepsTopLevel = isTopLevel && (operator === 'coalesce' || (operator === 'let' && index === args.length));
+    checkZoomPlacement(arg, [...path, index], collector, keepsTopLevel);
+  });
+}
+
+/**
+ * Collect the values an expression can output, with their types where known
+ * @private
+ * @param {*} expression - Expression or literal
+ * @param {Array<string|number>} path - Path segments
+ * @param {Array<Object>} outputs - Receives { type, path, value? } (value for literals)
+ */
+function collectOutputs(expression, path, outputs) {
+  if (!Array.isArray(expression)) {
+    const type = expression === null ? null : typeof expression;
+    if (['number', 'string', 'boolean'].includes(type)) {
+      outputs.push({ type, path, value: expression });
+    }
+    return;
+  }
+
+  const [operator, ...args] = expression;
+  const last = expression.length - 1;
+  const branches = (first, step = 2) => {
+    for (let i = first; i < last; i += step) {
+      collectOutputs(expression[i], [...path, i], outputs);
+    }
+    collectOutputs(expression[last], [...path, last], outputs);
+  };
+
+  switch (operator) {
+    case 'literal':
+      if (!Array.isArray(args[0]) && (typeof args[0] !== 'object' || args[0] === null)) {
+        collectOutputs(args[0], path, outputs);
+      }
+      break;
+    case 'case':
+    case 'match':
+      branches(operator === 'case' ? 2 : 3);
+      break;
+    case 'step':
+      branches(2);
+      break;
+    case 'interpolate':
+    case 'interpolate-hcl':
+    case 'interpolate-lab':
+      branches(4);
+      break;
+    case 'coalesce':
+      branches(1, 1);
+      break;
+    case 'let':
+      collectOutputs(expression[last], [...path, last], outputs);
+      break;
+    default: {
+      const type = Object.keys(EXPRESSION_OUTPUT_TYPES)
+        .find(name => EXPRESSION_OUTPUT_TYPES[name].includes(operator));
+      if (type) {
+        outputs.push({ type, path });
+      }
+    }
+  }
+}
+
+/**
+ * Check an expression output against the type its property expects
+ * @private
+ * @param {Object} output - Output from collectOutputs
+ * @param {Object} spec - Property spec
+ * @returns {string|null} Problem description or null when it fits
+ */
+function checkOutputType(output, spec) {
+  const { type } = output;
+  const isLiteral = 'value' in output;
+
+  switch (spec.type) {
+    case 'color':
+      // Strings are parsed as colors; literal ones must parse
+      if (type === 'string') {
+        return !isLiteral || isValidColor(output.value) ? null : `${JSON.stringify(output.value)} is not a valid color`;
+      }
+      return type === 'color' ? null : `Expected a color but found a ${type}`;
+
+    case 'number':
+    case 'string':
+    case 'boolean':
+      return type === spec.type ? null : `Expected a ${spec.type} but found a ${type}`;
+
+    case 'enum':
+      if (type !== 'string') {
+        return `Expected one of ${spec.values.join(', ')} but found a ${type}`;
+      }
+      return isLiteral && !spec.values.includes(output.value)
+        ? `Expected one of ${spec.values.join(', ')}, got ${JSON.stringify(output.value)}`
+        : null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a filter is a legacy comparison (["==", "field", value])
+ * @private
+ * @param {Array} filter - Filter
+ * @returns {boolean} True for legacy comparisons
+ */
+function isLegacyComparison(filter) {
+  const [operator, key] = filter;
+  return typeof key === 'string'
+    && ['==', '!=', '<', '<=', '>', '>=', 'in', '!in', 'has', '!has'].includes(operator);
+}
+
+/**
+ * Check whether an array value is an expression rather than a literal array
+ * @private
+ * @param {*} value - Value
+ * @returns {boolean} True for expressions
+ */
+function looksLikeExpression(value) {
+  return Array.isArray(value) && typeof value[0] === 'string' && EXPRESSION_OPERATORS.has(value[0]);
+}
+
+/**
+ * Validate a literal property value against its spec
+ * @private
+ * @param {*} value - Value
+ * @param {Object} spec - Property spec
+ * @returns {Object|null} { message, fix } or null when valid
+ */
+function checkLiteralValue(value, spec) {
+  const remove = { op: 'remove' };
+
+  switch (spec.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { message: `Expected a number, got ${JSON.stringify(value)}`, fix: remove };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { message: `${value} is below the minimum of ${spec.min}`, fix: { op: 'set', value: spec.min } };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { message: `${value} is above the maximum of ${spec.max}`, fix: { op: 'set', value: spec.max } };
+      }
+      return null;
+
+    case 'color':
+      return isValidColor(value) ? null : { message: `${JSON.stringify(value)} is not a valid color`, fix: remove };
+
+    case 'enum':
+      return spec.values.includes(value)
+        ? null
+        : { message: `Expected one of ${spec.values.join(', ')}, got ${JSON.stringify(value)}`, fix: remove };
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : { message: `Expected true or false, got ${JSON.stringify(value)}`, fix: remove };
+
+    case 'string':
+    case 'resolvedImage':
+      return typeof value === 'string' ? null : { message: `Expected a string, got ${JSON.stringify(value)}`, fix: remove };
+
+    case 'formatted':
+      return typeof value === 'string' ? null : { message: 'Expected a string or expression', fix: remove };
+
+    case 'array': {
+      if (!Array.isArray(value) || value.some(item => typeof item !== spec.value)) {
+        return { message: `Expected an array of ${spec.value}s`, fix: remove };
+      }
+      if (spec.length && value.length !== spec.length) {
+        return { message: `Expected ${spec.length} values, got ${value.length}`, fix: remove };
+      }
+      if (spec.min !== undefined && value.some(item => item < spec.min)) {
+        return { message: `Values must be at least ${spec.min}`, fix: { op: 'set', value: value.map(item => Math.max(item, spec.min)) } };
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a paint or layout property value
+ * @private
+ * @param {*} value - Property value
+ * @param {Object} spec - Property spec
+ * @param {Array<string|number>} path - Path segments
+ * @param {IssueCollector} collector - Issue collector
+ */
+function validatePropertyValue(value, spec, path, collector) {
+  if (looksLikeExpression(value) || (Array.isArray(value) && spec.type !== 'array')) {
+    if (spec.expression === false) {
+      collector.add(path, 'This property does not support expressions', { fix: { op: 'remove' } });
+    } else {
+      // Broken expressions are repaired by falling back to the default value
+      const since = collector.issues.length;
+      if (validateExpression(value, path, collector)) {
+        checkZoomPlacement(value, path, collector);
+
+        const outputs = [];
+        collectOutputs(value, path, outputs);
+        for (const output of outputs) {
+          const problem = checkOutputType(output, spec);
+          if (problem) {
+            collector.add(output.path, problem);
+          }
+        }
+      }
+      if (collector.issues.length > since) {
+        collector.fixSince(since, path, { op: 'remove' });
+      }
+    }
+    return;
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    // Legacy functions ({stops: [...]}) are still accepted by MapLibre
+    if (!Array.isArray(value.stops) && value.type !== 'identity') {
+      collector.add(path, 'Property functions need a "stops" array', { fix: { op: 'remove' } });
+    }
+    return;
+  }
+
+  if (spec.expressionOnly) {
+    collector.add(path, 'This property only accepts an expression', { fix: { op: 'remove' } });
+    return;
+  }
+
+  const problem = checkLiteralValue(value, spec);
+  if (problem) {
+    collector.add(path, problem.message, { fix: problem.fix });
+  }
+}
+
+/**
+ * Validate the sources of a style
+ * @private
+ * @param {Object} sources - Style sources
+ * @param {IssueCollector} collector - Issue collector
+ */
+function validateSources(sources, collector) {
+  for (const [sourceId, source] of Object.entries(sources)) {
+    const path = ['sources', sourceId];
+    if (!source || typeof source !== 'object') {
+      collector.add(path, 'Source must be an object');
+      continue;
+    }
+
+    const requiredKeys = SOURCE_TYPES[source.type];
+    if (!requiredKeys) {
+      collector.add([...path, 'type'], `Unknown source type ${JSON.stringify(source.type)}; expected one of ${Object.keys(SOURCE_TYPES).join(', ')}`);
+    } else if (!requiredKeys.some(key => source[key] !== undefined)) {
+      collector.add(path, `${source.type} sources need ${requiredKeys.join(' or ')}`);
+    }
+  }
+}
+
+/**
+ * Validate one layer
+ * @private
+ * @param {Object} layer - Layer
+ * @param {number} index - Layer index
+ * @param {Object} style - Style
+ * @param {Object} context - { seenIds: Set, tileSchema }
+ * @param {IssueCollector} collector - Issue collector
+ */
+function validateLayer(layer, index, style, context, collector) {
+  const path = ['layers', index];
+  const removeLayer = { op: 'remove' };
+
+  if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+    collector.add(path, 'Layer must be an object', { fix: removeLayer });
+    return;
+  }
+
+  if (typeof layer.id !== 'string' || !layer.id) {
+    collector.add(path, 'Layer is missing an id', { fix: removeLayer });
+    return;
+  }
+  if (context.seenIds.has(layer.id)) {
+    let id = `${layer.id}_2`;
+    for (let suffix = 3; context.seenIds.has(id); suffix++) {
+      id = `${layer.id}_${suffix}`;
+    }
+    collector.add([...path, 'id'], `Duplicate layer id "${layer.id}"`, { fix: { op: 'set', value: id } });
+    context.seenIds.add(id);
+  } else {
+    context.seenIds.add(layer.id);
+  }
+
+  const properties = LAYER_PROPERTIES[layer.type];
+  if (!properties) {
+    collector.add([...path, 'type'], `Unknown layer type ${JSON.stringify(layer.type)}`, { fix: removeLayer });
+    return;
+  }
+
+  // Source references
+  if (layer.type !== 'background') {
+    const source = style.sources?.[layer.source];
+    if (typeof layer.source !== 'string') {
+      collector.add([...path, 'source'], 'Layer needs a source', { fix: { ...removeLayer, path: toPointer(path) } });
+    } else if (!source) {
+      collector.add([...path, 'source'], `Source "${layer.source}" does not exist`, { fix: { ...removeLayer, path: toPointer(path) } });
+    } else if (TILED_VECTOR_SOURCES.includes(source.type)) {
+      if (!layer['source-layer']) {
+        collector.add(path, `Layers of vector source "${layer.source}" need a source-layer`);
+      } else if (context.tileSchema?.[layer.source]?.vectorLayers?.length
+        && !findVectorLayer(context.tileSchema, layer.source, layer['source-layer'])) {
+        const known = context.tileSchema[layer.source].vectorLayers.map(vectorLayer => vectorLayer.id).join(', ');
+        collector.add([...path, 'source-layer'], `Source layer "${layer['source-layer']}" is not in "${layer.source}" (has ${known})`, { severity: 'warning' });
+      }
+    } else if (layer['source-layer'] !== undefined && source.type === 'geojson') {
+      collector.add([...path, 'source-layer'], 'GeoJSON sources have no source layers', { severity: 'warning', fix: { op: 'remove' } });
+    }
+  }
+
+  // Zoom range
+  for (const key of ['minzoom', 'maxzoom']) {
+    const value = layer[key];
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 24)) {
+      collector.add([...path, key], `${key} must be a number between 0 and 24`, {
+        fix: typeof value === 'number' ? { op: 'set', value: Math.min(24, Math.max(0, value)) } : { op: 'remove' }
+      });
+    }
+  }
+  if (typeof layer.minzoom === 'number' && typeof layer.maxzoom === 'number' && layer.minzoom > layer.maxzoom) {
+    collector.add([...path, 'maxzoom'], 'maxzoom must not be below minzoom', { fix: { op: 'remove' } });
+  }
+
+  // Filter
+  if (layer.filter !== undefined) {
+    if (!Array.isArray(layer.filter)) {
+      collector.add([...path, 'filter'], 'Filter must be an expression', { fix: { op: 'remove' } });
+    } else {
+      const since = collector.issues.length;
+      if (!validateExpression(layer.filter, [...path, 'filter'], collector, true)) {
+        collector.fixSince(since, [...path, 'filter'], { op: 'remove' });
+      }
+    }
+  }
+
+  // Paint and layout properties
+  for (const kind of ['paint', 'layout']) {
+    const values = layer[kind];
+    if (values === undefined) {
+      continue;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      collector.add([...path, kind], `${kind} must be an object`, { fix: { op: 'remove' } });
+      continue;
+    }
+    for (const [property, value] of Object.entries(values)) {
+      const spec = properties[kind][property];
+      const propertyPath = [...path, kind, property];
+      if (!spec) {
+        const otherKind = kind === 'paint' ? 'layout' : 'paint';
+        const message = properties[otherKind][property]
+          ? `"${property}" is a ${otherKind} property`
+          : `Unknown ${kind} property "${property}" for ${layer.type} layers`;
+        collector.add(propertyPath, message, { fix: { op: 'remove' } });
+      } else {
+        validatePropertyValue(value, spec, propertyPath, collector);
+      }
+    }
+  }
+
+  if (layer.type === 'symbol' && layer.layout?.['text-field'] !== undefined && !style.glyphs) {
+    collector.add(['glyphs'], `Layer "${layer.id}" has labels but the style has no glyphs URL`, {
+      fix: { op: 'set', value: GLYPHS_URL }
+    });
+  }
+}
+
+/**
+ * Validate a style against the MapLibre style specification
+ * @param {*} style - Style candidate
+ * @param {Object} options - Options
+ * @param {Object} options.tileSchema - Tile schemas keyed by source ID (checks source-layers)
+ * @returns {Object} { valid, errors, warnings, issues, fixable } where each issue is
+ *   { path, message, severity, fix }
+ */
+export function validateStyle(style, { tileSchema = {} } = {}) {
+  const collector = new IssueCollector();
+
+  if (!style || typeof style !== 'object' || Array.isArray(style)) {
+    collector.add([], 'Style must be a JSON object');
+  } else {
+    if (style.version !== STYLE_VERSION) {
+      collector.add(['version'], `version must be ${STYLE_VERSION}`, { fix: { op: 'set', value: STYLE_VERSION } });
+    }
+
+    if (!style.sources || typeof style.sources !== 'object' || Array.isArray(style.sources)) {
+      collector.add(['sources'], 'sources must be an object', { fix: { op: 'set', value: {} } });
+    } else {
+      validateSources(style.sources, collector);
+    }
+
+    if (!Array.isArray(style.layers)) {
+      collector.add(['layers'], 'layers must be an array');
+    } else {
+      const context = { seenIds: new Set(), tileSchema };
+      style.layers.forEach((layer, index) => validateLayer(layer, index, style, context, collector));
+    }
+  }
+
+  // One glyphs repair is enough
+  const issues = collector.issues.filter((issue, index, all) =>
+    issue.path !== '/glyphs' || all.findIndex(other => other.path === '/glyphs') === index);
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: issues.filter(issue => issue.severity === 'warning'),
+    issues,
+    fixable: issues.filter(issue => issue.fix)
+  };
+}
+
+/**
+ * Apply the repairs of validation issues to a copy of a style
+ * Removals run last and deepest-first so array indices stay valid.
+ * @param {Object} style - Style
+ * @param {Array<Object>} issues - Issues from validateStyle
+ * @returns {Object} Repaired style
+ */
+export function repairStyle(style, issues) {
+  const repaired = deepClone(style);
+  const fixes = issues.map(issue => issue.fix).filter(Boolean);
+
+  const resolve = (pointer) => {
+    const segments = fromPointer(pointer);
+    const key = segments.pop();
+    let parent = repaired;
+    for (const segment of segments) {
+      parent = parent?.[segment];
+    }
+    return { parent, key };
+  };
+
+  for (const fix of fixes.filter(f => f.op === 'set')) {
+    const { parent, key } = resolve(fix.path);
+    if (parent && typeof parent === 'object') {
+      parent[key] = deepClone(fix.value);
+    }
+  }
+
+  // Deduplicate, then remove the longest paths (and highest indices) first
+  const removals = [...new Set(fixes.filter(f => f.op === 'remove').map(f => f.path))]
+    .filter((path, _, all) => !all.some(other => other !== path && path.startsWith(`${other}/`)))
+    .sort((a, b) => {
+      const segmentsA = fromPointer(a);
+      const segmentsB = fromPointer(b);
+      for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+        if (segmentsA[i] !== segmentsB[i]) {
+          return (Number(segmentsB[i]) - Number(segmentsA[i])) || segmentsB[i].localeCompare(segmentsA[i]);
+        }
+      }
+      return segmentsB.length - segmentsA.length;
+    });
+
+  for (const path of removals) {
+    const { parent, key } = resolve(path);
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else if (parent && typeof parent === 'object') {
+      delete parent[key];
+    }
+  }
+
+  return repaired;
+}